@@ -0,0 +1,82 @@
+/**
+ * 금전함 / 부저 명령 (영수증 없이 프린터에 보내는 제어 명령)
+ *
+ * 배경:
+ * - 카운터 프린터에 금전함과 부저가 연결되어 있지만 브릿지는 영수증 출력만 가능했음
+ * - 새 배달 주문이 들어와도 출력 소리 외에는 알림이 없어 바쁜 시간에 놓치는 경우가 있었음
+ *
+ * 기술적 결정:
+ * 1. 명령도 영수증과 같은 큐 작업으로 보냄 (job.command) - 프린터마다 워커 1개라
+ *    영수증 출력 도중에 금전함/부저 바이트가 끼어들지 않음
+ * 2. 명령 작업은 재시도/백업 프린터 전환을 하지 않고, 유효 시간이 지나면 실행하지 않음 (queue.js)
+ *    - 전송 타임아웃이어도 이미 실행됐을 수 있고, 몇 분 뒤에 금전함이 열리면 안 되므로
+ *    - 금전함/부저는 특정 프린터에 물리적으로 연결되어 있으므로
+ * 3. 부저는 ESC B n t (n회, t × 약 50ms - 세우/빅솔론 등 ESC/POS 호환 기종)
+ *    패턴은 이름으로 지정 (설정 파일/요청 바디에서 숫자 대신)
+ */
+
+/**
+ * 부저 패턴 - times: 울리는 횟수 (1-9), duration: 한 번 길이 (1-9)
+ */
+export const BEEP_PATTERNS = {
+  short: { times: 1, duration: 1 },
+  double: { times: 2, duration: 2 },
+  triple: { times: 3, duration: 2 },
+  long: { times: 1, duration: 6 },
+  alert: { times: 5, duration: 3 }
+};
+
+export const BEEP_PATTERN_NAMES = Object.keys(BEEP_PATTERNS);
+
+export const DRAWER_PINS = [2, 5];
+
+/**
+ * 금전함 열기 명령
+ *
+ * @param {Object} options
+ * @param {number} options.pin - 커넥터 핀 (2 | 5)
+ * @param {number} options.pulseMs - 펄스 길이 (ms)
+ * @returns {Object} 큐 작업의 command
+ */
+export function drawerCommand({ pin, pulseMs }) {
+  return { type: 'drawer', pin, pulseMs };
+}
+
+/**
+ * 부저 명령
+ *
+ * @param {string} pattern - BEEP_PATTERNS 이름
+ * @returns {Object} 큐 작업의 command
+ */
+export function beepCommand(pattern) {
+  return { type: 'beep', pattern, ...BEEP_PATTERNS[pattern] };
+}
+
+/**
+ * 명령 바이트를 프린터 버퍼에 추가 (큐 워커에서 호출, 이후 printReceipt로 전송)
+ *
+ * @param {ReceiptPrinter} printer
+ * @param {Object} command - drawerCommand / beepCommand 결과
+ */
+export function appendCommand(printer, command) {
+  switch (command.type) {
+    case 'drawer':
+      printer.openDrawer({ pin: command.pin, pulseMs: command.pulseMs });
+      break;
+    case 'beep':
+      printer.beep(command.times, command.duration);
+      break;
+    default:
+      throw new Error(`알 수 없는 명령: ${command.type}`);
+  }
+}
+
+/**
+ * 명령 설명 (로그/오류 메시지용)
+ *
+ * @param {Object} command
+ * @returns {string} 예: "금전함 (핀 2)", "부저 double"
+ */
+export function describeCommand(command) {
+  return command.type === 'drawer' ? `금전함 (핀 ${command.pin})` : `부저 ${command.pattern}`;
+}
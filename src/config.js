@@ -0,0 +1,604 @@
+import { readFileSync, writeFileSync, renameSync, existsSync } from 'fs';
+import { dirname, join, resolve, extname, basename } from 'path';
+import { parseArgs } from 'util';
+import YAML from 'yaml';
+import { TRANSPORT_TYPES } from './transports/index.js';
+import { ENCODING_NAMES } from './encoding.js';
+import { RENDER_MODES, QR_MODES } from './printer.js';
+import { PROFILE_NAMES } from './profiles.js';
+import { COPY_TYPE_NAMES, QR_TARGETS, BARCODE_FIELDS, ORDER_TYPES } from './receipt.js';
+import { BEEP_PATTERN_NAMES, DRAWER_PINS } from './commands.js';
+import { LABEL_LANGUAGES, LABEL_MODES, LABEL_FIELDS, describeLayoutProblem } from './labels.js';
+
+/**
+ * 브릿지 설정 (설정 파일 + 환경변수 + 명령줄)
+ *
+ * 배경:
+ * - 포트, 프린터 이름 패턴, 타임아웃 등이 코드에 고정되어 매장마다 .exe를 다시 빌드해야 했음
+ *
+ * 기술적 결정:
+ * 1. 우선순위: 명령줄 > 환경변수 > 설정 파일 > 기본값
+ *    - 설정 파일은 매장별 고정값, 환경변수/명령줄은 바로가기·서비스 등록 시 덮어쓰기용
+ * 2. 설정 파일은 실행 파일(또는 작업 디렉토리) 옆 printer-config.json / .yaml / .yml
+ *    (--config 또는 PRINTER_CONFIG로 경로 지정 가능)
+ * 3. 모든 항목을 OPTIONS 표 하나로 정의 - 파일 키, 환경변수, 명령줄 플래그, 검증, 도움말이 같은 표에서 나옴
+ * 4. 시작 시 전체 검증 - 잘못된 값은 출처(파일/환경변수/명령줄)와 함께 한 번에 보고하고 서버를 시작하지 않음
+ * 5. 설정 파일의 경로 값은 설정 파일 기준 상대 경로, 환경변수/명령줄은 작업 디렉토리 기준
+ */
+
+/**
+ * 실행 파일 기준 디렉토리
+ *
+ * - .exe 실행 시: 실행 파일 위치 (pkg 번들 내부 경로는 읽기 전용)
+ * - node 직접 실행 시: 현재 작업 디렉토리
+ */
+export const APP_DIR = process.pkg ? dirname(process.execPath) : process.cwd();
+
+const CONFIG_FILE_NAMES = ['printer-config.json', 'printer-config.yaml', 'printer-config.yml'];
+
+/**
+ * 설정 파일이 없을 때 새로 만들 경로 (PUT /printers/selected)
+ */
+export const DEFAULT_CONFIG_FILE = join(APP_DIR, CONFIG_FILE_NAMES[0]);
+
+/**
+ * 설정 항목
+ *
+ * key: 설정 파일 경로 (점 구분) / env: 환경변수 / flag: 명령줄 플래그 (--flag)
+ * default가 없는 항목은 전송 방식 등 사용하는 쪽의 기본값을 따름
+ */
+const OPTIONS = [
+  // 서버
+  { key: 'port', env: 'BRIDGE_PORT', flag: 'port', type: 'integer', min: 1, max: 65535, default: 18181, description: 'HTTP 포트' },
+  { key: 'bodyLimit', env: 'BRIDGE_BODY_LIMIT', flag: 'body-limit', type: 'size', default: '10mb', description: '요청 바디 최대 크기 (예: 10mb, 512kb)' },
+  { key: 'dataDir', env: 'PRINTER_DATA_DIR', flag: 'data-dir', type: 'path', default: join(APP_DIR, 'data'), description: '출력 대기열 저장 디렉토리' },
+  { key: 'templateDir', env: 'PRINTER_TEMPLATE_DIR', flag: 'template-dir', type: 'path', default: join(APP_DIR, 'templates'), description: '영수증 템플릿 디렉토리' },
+  { key: 'dedupeWindowSeconds', env: 'DEDUPE_WINDOW_SECONDS', flag: 'dedupe-window', type: 'integer', min: 1, default: 600, description: '중복 출력 방지 시간 (초)' },
+  { key: 'journalRetentionDays', env: 'JOURNAL_RETENTION_DAYS', flag: 'journal-retention', type: 'integer', min: 1, default: 30, description: '출력 기록/대기열의 개인정보 보관 일수 (지나면 이름/전화번호/영수증 내용 삭제, 완료된 작업 삭제)' },
+
+  // 접근 제어
+  { key: 'security.allowedOrigins', env: 'BRIDGE_ALLOWED_ORIGINS', flag: 'allowed-origins', type: 'origins', default: ['https://fruit-matjip.store'], description: '호출을 허용할 웹 페이지 Origin (쉼표 구분)' },
+  { key: 'security.pairing', env: 'BRIDGE_PAIRING', flag: 'pairing', type: 'boolean', default: false, description: '페어링 토큰 필수 (출력 요청에 Authorization: Bearer 토큰)' },
+
+  // 프린터 연결
+  { key: 'printer.transport', env: 'PRINTER_TRANSPORT', flag: 'transport', type: 'enum', values: TRANSPORT_TYPES, default: 'windows', description: '전송 방식' },
+  { key: 'printer.name', env: 'PRINTER_NAME', flag: 'printer-name', type: 'string', description: 'Windows/CUPS 프린터 이름 (생략 시 자동 탐색/기본 프린터)' },
+  { key: 'printer.match', env: 'PRINTER_MATCH', flag: 'printer-match', type: 'string', description: 'Windows 자동 탐색 이름 패턴 (기본 *SEWOO*)' },
+  { key: 'printer.fallbackName', env: 'PRINTER_FALLBACK_NAME', flag: 'printer-fallback-name', type: 'string', description: '탐색 실패 시 사용할 Windows 프린터 이름 (기본 SEWOO SLK-TS 100)' },
+  { key: 'printer.host', env: 'PRINTER_HOST', flag: 'printer-host', type: 'string', description: 'TCP 프린터 주소' },
+  { key: 'printer.port', env: 'PRINTER_PORT', flag: 'printer-port', type: 'integer', min: 1, max: 65535, description: 'TCP 프린터 포트 (기본 9100)' },
+  { key: 'printer.outputDir', env: 'PRINTER_OUTPUT_DIR', flag: 'output-dir', type: 'path', description: 'file 방식: 작업별 .bin 저장 디렉토리' },
+  { key: 'printer.device', env: 'PRINTER_DEVICE', flag: 'device', type: 'path', description: 'file 방식: 바이트를 기록할 디바이스 경로' },
+  { key: 'printer.timeoutMs', env: 'PRINTER_TIMEOUT_MS', flag: 'printer-timeout', type: 'integer', min: 100, description: '전송/조회 타임아웃 (ms, 기본 windows·cups 10000, tcp 5000)' },
+  { key: 'printer.statusTimeoutMs', env: 'PRINTER_STATUS_TIMEOUT_MS', flag: 'status-timeout', type: 'integer', min: 100, description: 'TCP 하드웨어 상태 응답 대기 (ms, 기본 2000)' },
+  { key: 'printer.backup', env: 'PRINTER_BACKUP', flag: 'printer-backup', type: 'string', description: '기본 프린터가 출력 불가일 때 넘길 프린터 (printers의 이름)' },
+
+  // 출력 방식
+  { key: 'printer.encoding', env: 'PRINTER_ENCODING', flag: 'encoding', type: 'enum', values: ENCODING_NAMES, default: 'cp949', description: '문자 인코딩' },
+  { key: 'printer.render', env: 'PRINTER_RENDER', flag: 'render', type: 'enum', values: RENDER_MODES, default: 'text', description: '렌더링 방식' },
+  { key: 'printer.font', env: 'PRINTER_FONT', flag: 'font', type: 'path', description: '비트맵 렌더링용 TTF (생략 시 번들 나눔고딕)' },
+  { key: 'printer.paper', env: 'PRINTER_PAPER', flag: 'paper', type: 'enum', values: PROFILE_NAMES, default: '58mm', description: '용지 프로필' },
+  { key: 'printer.qrMode', env: 'PRINTER_QR_MODE', flag: 'qr-mode', type: 'enum', values: QR_MODES, default: 'native', description: 'QR 코드 출력 방식' },
+
+  // 영수증
+  { key: 'receipt.copies', env: 'PRINTER_COPIES', flag: 'copies', type: 'list', values: COPY_TYPE_NAMES, default: ['customer'], description: '기본 출력 사본 (쉼표 구분)' },
+  { key: 'receipt.maskPhone', env: 'PRINTER_MASK_PHONE', flag: 'mask-phone', type: 'boolean', default: false, description: '배달기사/포장용 사본 전화번호 가림' },
+  { key: 'receipt.qr', env: 'PRINTER_QR', flag: 'qr', type: 'enum', values: Object.keys(QR_TARGETS), description: 'QR 대상 (생략 시 QR 없음)' },
+  { key: 'receipt.barcode', env: 'PRINTER_BARCODE', flag: 'barcode', type: 'enum', values: BARCODE_FIELDS, description: '바코드 필드 (생략 시 바코드 없음)' },
+  { key: 'receipt.links.order', env: 'QR_ORDER_URL', flag: 'qr-order-url', type: 'string', default: 'https://fruit-matjip.store/admin/orders/{{orderId}}', description: '주문 상세 QR URL' },
+  { key: 'receipt.links.map', env: 'QR_MAP_URL', flag: 'qr-map-url', type: 'string', default: 'https://map.naver.com/p/search/{{address|url}}', description: '길찾기 QR URL' },
+  { key: 'receipt.links.review', env: 'QR_REVIEW_URL', flag: 'qr-review-url', type: 'string', description: '리뷰 QR URL' },
+
+  // 매장 정보 (고객용 영수증 머리말/꼬리말)
+  { key: 'store.name', env: 'STORE_NAME', flag: 'store-name', type: 'string', description: '상호 (생략 시 매장 정보 없음)' },
+  { key: 'store.businessNumber', env: 'STORE_BUSINESS_NUMBER', flag: 'store-business-number', type: 'string', description: '사업자등록번호 000-00-00000 (있으면 공급가액/부가세 표시)' },
+  { key: 'store.owner', env: 'STORE_OWNER', flag: 'store-owner', type: 'string', description: '대표자 이름' },
+  { key: 'store.address', env: 'STORE_ADDRESS', flag: 'store-address', type: 'string', description: '사업장 주소' },
+  { key: 'store.phone', env: 'STORE_PHONE', flag: 'store-phone', type: 'string', description: '매장 전화번호' },
+  { key: 'store.footer', env: 'STORE_FOOTER', flag: 'store-footer', type: 'string', description: '영수증 하단 안내 문구 (설정 파일에서는 여러 줄 가능)' },
+
+  // 백엔드 주문 가져오기 (pull 모드)
+  { key: 'pull.enabled', env: 'PULL_ENABLED', flag: 'pull', type: 'boolean', default: false, description: '결제된 주문을 백엔드에서 가져와 자동 출력' },
+  { key: 'pull.url', env: 'PULL_URL', flag: 'pull-url', type: 'url', description: '주문 조회 URL (poll: GET ?after=커서 / sse: 이벤트 스트림)' },
+  { key: 'pull.mode', env: 'PULL_MODE', flag: 'pull-mode', type: 'enum', values: ['poll', 'sse'], default: 'poll', description: '가져오기 방식' },
+  { key: 'pull.intervalSeconds', env: 'PULL_INTERVAL_SECONDS', flag: 'pull-interval', type: 'integer', min: 1, default: 10, description: 'poll 주기 / sse 재연결 대기 (초)' },
+  { key: 'pull.ackUrl', env: 'PULL_ACK_URL', flag: 'pull-ack-url', type: 'url', description: '출력 결과 보고 URL (POST, 생략 시 보고 안 함)' },
+  { key: 'pull.token', env: 'PULL_TOKEN', flag: 'pull-token', type: 'string', description: '백엔드 인증 토큰 (Authorization: Bearer)' },
+  { key: 'pull.timeoutMs', env: 'PULL_TIMEOUT_MS', flag: 'pull-timeout', type: 'integer', min: 100, default: 10000, description: '백엔드 요청 타임아웃 (ms)' },
+
+  // 마감 집계표
+  { key: 'report.closingTime', env: 'REPORT_CLOSING_TIME', flag: 'report-time', type: 'time', description: '마감 시각 - 매일 이 시각에 당일 집계표 자동 출력 (생략 시 자동 출력 안 함)' },
+  { key: 'report.printer', env: 'REPORT_PRINTER', flag: 'report-printer', type: 'string', default: 'default', description: '집계표를 출력할 프린터 (printers의 이름)' },
+
+  // 금전함 / 부저
+  { key: 'drawer.printer', env: 'DRAWER_PRINTER', flag: 'drawer-printer', type: 'string', default: 'default', description: '금전함이 연결된 프린터 (printers의 이름)' },
+  { key: 'drawer.pin', env: 'DRAWER_PIN', flag: 'drawer-pin', type: 'integer', min: 2, max: 5, default: 2, description: '금전함 커넥터 핀 (2 또는 5)' },
+  { key: 'drawer.pulseMs', env: 'DRAWER_PULSE_MS', flag: 'drawer-pulse', type: 'integer', min: 2, max: 510, default: 100, description: '금전함 열림 펄스 길이 (ms)' },
+  { key: 'buzzer.printer', env: 'BUZZER_PRINTER', flag: 'buzzer-printer', type: 'string', default: 'default', description: '부저가 있는 프린터 (printers의 이름)' },
+  { key: 'buzzer.onPrint', env: 'BUZZER_ON_PRINT', flag: 'buzzer-on-print', type: 'boolean', default: false, description: '새 주문 출력 시 부저 (요청 바디의 beep으로 건별 지정 가능)' },
+  { key: 'buzzer.newOrder', env: 'BUZZER_NEW_ORDER', flag: 'buzzer-new-order', type: 'enum', values: BEEP_PATTERN_NAMES, default: 'double', description: '즉시배달 새 주문 부저 패턴' },
+  { key: 'buzzer.scheduledOrder', env: 'BUZZER_SCHEDULED_ORDER', flag: 'buzzer-scheduled-order', type: 'enum', values: BEEP_PATTERN_NAMES, default: 'long', description: '예약배달 새 주문 부저 패턴' },
+
+  // 라벨 프린터 (봉투/선물 상자 스티커, POST /labels)
+  { key: 'labels.printer', env: 'LABEL_PRINTER', flag: 'label-printer', type: 'string', description: '라벨 프린터 (printers의 이름, 생략 시 라벨 출력 안 함)' },
+  { key: 'labels.language', env: 'LABEL_LANGUAGE', flag: 'label-language', type: 'enum', values: LABEL_LANGUAGES, default: 'tspl', description: '라벨 명령 - tspl: TSC 등, zpl: Zebra' },
+  { key: 'labels.mode', env: 'LABEL_MODE', flag: 'label-mode', type: 'enum', values: LABEL_MODES, default: 'item', description: '라벨 단위 - item: 상품 1개당 1장, bag: 봉투(items[].bag)당 1장' },
+  { key: 'labels.widthMm', env: 'LABEL_WIDTH_MM', flag: 'label-width', type: 'integer', min: 20, max: 120, default: 50, description: '라벨 폭 (mm)' },
+  { key: 'labels.heightMm', env: 'LABEL_HEIGHT_MM', flag: 'label-height', type: 'integer', min: 10, max: 200, default: 30, description: '라벨 높이 (mm)' },
+  { key: 'labels.gapMm', env: 'LABEL_GAP_MM', flag: 'label-gap', type: 'integer', min: 0, max: 10, default: 2, description: '라벨 사이 간격 (mm, tspl)' },
+  { key: 'labels.dpi', env: 'LABEL_DPI', flag: 'label-dpi', type: 'integer', min: 150, max: 600, default: 203, description: '라벨 프린터 해상도 (203 / 300)' },
+  { key: 'labels.fields', env: 'LABEL_FIELDS', flag: 'label-fields', type: 'list', values: LABEL_FIELDS, default: [...LABEL_FIELDS], description: '라벨 항목과 순서 (쉼표 구분, 위에서부터)' },
+  { key: 'labels.font', env: 'LABEL_FONT', flag: 'label-font', type: 'string', description: '글꼴 - tspl: 내장 글꼴 이름 (기본 K), zpl: 프린터에 저장된 한글 TTF (예: E:NANUMGOTHIC.TTF, 필수)' },
+
+  // 여러 프린터 (구조가 있어 설정 파일에서만 지정)
+  { key: 'printers', type: 'printers', default: {}, description: '추가 프린터 - 이름: { printer.* 항목 + backup } (생략한 출력 방식은 기본 프린터 설정)' },
+  { key: 'routes', type: 'routes', default: [], description: '출력 프린터 규칙 - [{ copy?, scheduled?, orderType?, printer }] (위에서부터 처음 맞는 규칙)' }
+];
+
+/**
+ * 추가 프린터가 기본 프린터(printer.*)에서 물려받는 출력 방식 항목
+ */
+const INHERITED_PRINTER_FIELDS = ['encoding', 'render', 'font', 'paper', 'qrMode'];
+const PRINTER_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const OPTION_BY_KEY = new Map(OPTIONS.map(option => [option.key, option]));
+
+/**
+ * 값 변환 및 검증
+ *
+ * @param {Object} option - OPTIONS 항목
+ * @param {*} raw - 원본 값
+ * @param {boolean} fromText - 환경변수/명령줄 문자열이면 true (파일 값은 JSON/YAML 타입 그대로)
+ * @param {string} baseDir - 상대 경로 기준 디렉토리
+ * @returns {{ value?: *, error?: string, errors?: { path: string, message: string }[] }} errors: printers/routes 하위 항목별 오류
+ */
+function coerce(option, raw, fromText, baseDir) {
+  switch (option.type) {
+    case 'string':
+    case 'path':
+      if (typeof raw !== 'string' || raw === '') return { error: '문자열이어야 합니다' };
+      return { value: option.type === 'path' ? resolve(baseDir, raw) : raw };
+
+    case 'integer': {
+      const value = fromText ? Number(raw) : raw;
+      const { min = 0, max = Number.MAX_SAFE_INTEGER } = option;
+      if (!Number.isInteger(value) || value < min || value > max) {
+        return { error: option.max ? `${min}-${max} 정수여야 합니다` : `${min} 이상 정수여야 합니다` };
+      }
+      return { value };
+    }
+
+    case 'boolean':
+      if (fromText && ['true', '1'].includes(raw)) return { value: true };
+      if (fromText && ['false', '0'].includes(raw)) return { value: false };
+      if (typeof raw === 'boolean') return { value: raw };
+      return { error: 'true 또는 false여야 합니다' };
+
+    case 'enum':
+      if (!option.values.includes(raw)) return { error: `${option.values.join(' | ')} 중 하나여야 합니다` };
+      return { value: raw };
+
+    case 'list': {
+      const list = fromText && typeof raw === 'string'
+        ? raw.split(',').map(item => item.trim()).filter(Boolean)
+        : raw;
+      if (!Array.isArray(list) || list.length === 0 || list.some(item => !option.values.includes(item))) {
+        return { error: `${option.values.join(', ')} 중 1개 이상의 목록이어야 합니다` };
+      }
+      return { value: list };
+    }
+
+    case 'origins': {
+      const list = fromText && typeof raw === 'string'
+        ? raw.split(',').map(item => item.trim()).filter(Boolean)
+        : raw;
+      const invalid = Array.isArray(list) ? list.find(item => !isOrigin(item)) : raw;
+      if (!Array.isArray(list) || list.length === 0 || invalid !== undefined) {
+        return { error: `Origin 목록이어야 합니다 (예: https://fruit-matjip.store - 경로/끝 슬래시 없이)${invalid !== undefined ? `, 잘못된 값: ${JSON.stringify(invalid)}` : ''}` };
+      }
+      return { value: list };
+    }
+
+    case 'url':
+      if (!isHttpUrl(raw)) return { error: 'http:// 또는 https:// URL이어야 합니다' };
+      return { value: raw };
+
+    case 'time':
+      if (typeof raw !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(raw)) return { error: '24시간 형식 HH:MM이어야 합니다 (예: 22:00)' };
+      return { value: raw };
+
+    case 'printers':
+      return coercePrinters(raw, baseDir);
+
+    case 'routes':
+      return coerceRoutes(raw);
+
+    case 'size':
+      if (typeof raw !== 'string' || !/^\d+(b|kb|mb)$/i.test(raw)) return { error: '크기여야 합니다 (예: 10mb, 512kb)' };
+      return { value: raw.toLowerCase() };
+
+    default:
+      return { error: `알 수 없는 형식 ${option.type}` };
+  }
+}
+
+/**
+ * printers 항목 검증 - 각 프린터의 항목은 printer.* 와 같은 규칙으로 검증
+ */
+function coercePrinters(raw, baseDir) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { error: '이름: { 설정 } 형태의 객체여야 합니다' };
+  }
+  const errors = [];
+  const value = {};
+  for (const [name, entry] of Object.entries(raw)) {
+    if (!PRINTER_NAME_PATTERN.test(name) || name === 'default') {
+      errors.push({ path: `.${name}`, message: "프린터 이름은 영문/숫자/-/_ 만 가능 ('default'는 printer.* 설정)" });
+      continue;
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push({ path: `.${name}`, message: '객체여야 합니다' });
+      continue;
+    }
+    value[name] = {};
+    for (const [field, fieldValue] of Object.entries(entry)) {
+      const option = OPTION_BY_KEY.get(`printer.${field}`);
+      if (!option) {
+        errors.push({ path: `.${name}.${field}`, message: '알 수 없는 설정' });
+        continue;
+      }
+      if (fieldValue === null) continue;
+      const result = coerce(option, fieldValue, false, baseDir);
+      if (result.error) errors.push({ path: `.${name}.${field}`, message: result.error });
+      else value[name][field] = result.value;
+    }
+    if (!value[name].transport) {
+      errors.push({ path: `.${name}.transport`, message: `전송 방식이 필요합니다 (${TRANSPORT_TYPES.join(' | ')})` });
+    }
+  }
+  return errors.length > 0 ? { errors } : { value };
+}
+
+/**
+ * routes 항목 검증 (프린터 이름이 있는지는 crossCheck에서)
+ */
+function coerceRoutes(raw) {
+  if (!Array.isArray(raw)) {
+    return { error: '규칙 배열이어야 합니다' };
+  }
+  const errors = [];
+  raw.forEach((rule, i) => {
+    if (!rule || typeof rule !== 'object' || typeof rule.printer !== 'string') {
+      errors.push({ path: `[${i}]`, message: '{ printer: "이름" } 형태여야 합니다' });
+      return;
+    }
+    const unknown = Object.keys(rule).find(field => !['copy', 'scheduled', 'orderType', 'printer'].includes(field));
+    if (unknown) errors.push({ path: `[${i}].${unknown}`, message: '알 수 없는 조건 (copy, scheduled, orderType만 가능)' });
+    if (rule.copy !== undefined && !COPY_TYPE_NAMES.includes(rule.copy)) {
+      errors.push({ path: `[${i}].copy`, message: `${COPY_TYPE_NAMES.join(' | ')} 중 하나여야 합니다` });
+    }
+    if (rule.scheduled !== undefined && typeof rule.scheduled !== 'boolean') {
+      errors.push({ path: `[${i}].scheduled`, message: 'true 또는 false여야 합니다' });
+    }
+    if (rule.orderType !== undefined && !ORDER_TYPES.includes(rule.orderType)) {
+      errors.push({ path: `[${i}].orderType`, message: `${ORDER_TYPES.join(' | ')} 중 하나여야 합니다` });
+    }
+  });
+  return errors.length > 0 ? { errors } : { value: raw };
+}
+
+function isHttpUrl(value) {
+  try {
+    return typeof value === 'string' && ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function isOrigin(value) {
+  try {
+    return typeof value === 'string' && new URL(value).origin === value;
+  } catch (error) {
+    return false;
+  }
+}
+
+function setPath(target, key, value) {
+  const parts = key.split('.');
+  let node = target;
+  for (const part of parts.slice(0, -1)) {
+    if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+    node = node[part];
+  }
+  node[parts[parts.length - 1]] = value;
+}
+
+/**
+ * 중첩 객체를 점 구분 키로 펼침 ({ printer: { name } } → { 'printer.name': ... })
+ */
+function flatten(object, prefix = '', result = {}) {
+  for (const [name, value] of Object.entries(object)) {
+    const key = prefix ? `${prefix}.${name}` : name;
+    if (value && typeof value === 'object' && !Array.isArray(value) && !OPTION_BY_KEY.has(key)) {
+      flatten(value, key, result);
+    } else {
+      result[key] = value;
+    }
+  }
+  return result;
+}
+
+function isYaml(file) {
+  return ['.yaml', '.yml'].includes(extname(file).toLowerCase());
+}
+
+/**
+ * 설정 파일 찾기 (명시한 경로가 없으면 오류, 기본 위치에 없으면 null)
+ */
+function findConfigFile(explicit) {
+  if (explicit) {
+    const file = resolve(explicit);
+    if (!existsSync(file)) throw new Error(`설정 파일이 없습니다: ${file}`);
+    return file;
+  }
+  const found = CONFIG_FILE_NAMES.map(name => join(APP_DIR, name)).find(file => existsSync(file));
+  return found || null;
+}
+
+function readConfigFile(file) {
+  const text = readFileSync(file, 'utf-8');
+  try {
+    const parsed = isYaml(file) ? YAML.parse(text) : JSON.parse(text);
+    if (parsed === null || parsed === undefined) return {};
+    if (typeof parsed !== 'object' || Array.isArray(parsed)) throw new Error('최상위가 객체가 아닙니다');
+    return parsed;
+  } catch (error) {
+    throw new Error(`설정 파일 ${basename(file)} 파싱 실패: ${error.message}`);
+  }
+}
+
+/**
+ * 명령줄 인자 해석 (util.parseArgs - 알 수 없는 플래그는 오류)
+ *
+ * boolean 항목은 값 없이 --mask-phone / --no-mask-phone 형태
+ */
+function parseCommandLine(argv) {
+  const options = {
+    config: { type: 'string' },
+    help: { type: 'boolean', short: 'h' }
+  };
+  for (const option of OPTIONS.filter(item => item.flag)) {
+    if (option.type === 'boolean') {
+      options[option.flag] = { type: 'boolean' };
+      options[`no-${option.flag}`] = { type: 'boolean' };
+    } else {
+      options[option.flag] = { type: 'string' };
+    }
+  }
+  try {
+    return parseArgs({ args: argv, options, strict: true, allowPositionals: false }).values;
+  } catch (error) {
+    throw new Error(`명령줄 인자 오류: ${error.message} (--help로 사용법 확인)`);
+  }
+}
+
+/**
+ * 설정 로드 및 검증
+ *
+ * @param {Object} [input]
+ * @param {string[]} [input.argv] - 명령줄 인자 (process.argv.slice(2))
+ * @param {Object} [input.env] - 환경변수 (process.env)
+ * @returns {{ config: Object, file: string|null, sources: Object<string, string>, help: boolean }}
+ *          sources: 기본값이 아닌 항목의 출처 ('파일' | '환경변수 X' | '명령줄 --x')
+ * @throws {Error} 잘못된 설정 (모든 오류를 한 메시지에 포함)
+ */
+export function loadConfig({ argv = [], env = {} } = {}) {
+  const args = parseCommandLine(argv);
+  if (args.help) {
+    return { config: null, file: null, sources: {}, help: true };
+  }
+
+  const file = findConfigFile(args.config || env.PRINTER_CONFIG);
+  const fileValues = file ? flatten(readConfigFile(file)) : {};
+
+  const config = {};
+  const sources = {};
+  const errors = [];
+
+  for (const key of Object.keys(fileValues)) {
+    if (!OPTION_BY_KEY.has(key)) errors.push(`${key}: 알 수 없는 설정 (${basename(file)})`);
+  }
+
+  for (const option of OPTIONS) {
+    const candidates = [
+      { raw: fileValues[option.key], fromText: false, baseDir: file ? dirname(file) : APP_DIR, source: `설정 파일 ${file ? basename(file) : ''}` },
+      { raw: option.env ? env[option.env] || undefined : undefined, fromText: true, baseDir: process.cwd(), source: `환경변수 ${option.env}` },
+      { raw: option.flag ? commandLineValue(args, option) : undefined, fromText: true, baseDir: process.cwd(), source: `명령줄 --${option.flag}` }
+    ];
+
+    let value = option.default;
+    for (const { raw, fromText, baseDir, source } of candidates) {
+      if (raw === undefined || raw === null) continue;
+      const result = coerce(option, raw, fromText, baseDir);
+      if (result.errors) {
+        // 구조가 있는 항목(printers, routes)은 하위 항목별로
+        errors.push(...result.errors.map(({ path, message }) => `${option.key}${path} (${source}): ${message}`));
+        continue;
+      }
+      if (result.error) {
+        errors.push(`${option.key} = ${JSON.stringify(raw)} (${source}): ${result.error}`);
+        continue;
+      }
+      value = result.value;
+      sources[option.key] = source;
+    }
+    setPath(config, option.key, value);
+  }
+
+  if (errors.length === 0) {
+    inheritPrinterDefaults(config);
+    errors.push(...crossCheck(config));
+  }
+  if (errors.length > 0) {
+    throw new Error(`설정 오류${file ? ` (${file})` : ''}:\n  - ${errors.join('\n  - ')}`);
+  }
+  return { config, file, sources, help: false };
+}
+
+function commandLineValue(args, option) {
+  if (option.type !== 'boolean') return args[option.flag];
+  if (args[`no-${option.flag}`]) return 'false';
+  if (args[option.flag]) return 'true';
+  return undefined;
+}
+
+/**
+ * 추가 프린터에 기본 프린터의 출력 방식(인코딩, 용지 등) 채우기
+ */
+function inheritPrinterDefaults(config) {
+  for (const entry of Object.values(config.printers)) {
+    for (const field of INHERITED_PRINTER_FIELDS) {
+      if (entry[field] === undefined) entry[field] = config.printer[field];
+    }
+  }
+}
+
+/**
+ * 항목 간 검증 (전송 방식별 필수값, 백업/규칙/집계표/금전함/부저/라벨의 프린터 이름, 금전함 핀, QR 대상 URL,
+ * 라벨 레이아웃, pull URL)
+ */
+function crossCheck(config) {
+  const errors = [];
+  const { printer, receipt, printers, routes } = config;
+  const names = ['default', ...Object.keys(printers)];
+
+  const entries = [['default', 'printer', printer], ...Object.entries(printers).map(([name, entry]) => [name, `printers.${name}`, entry])];
+  for (const [name, key, entry] of entries) {
+    const hint = (text) => name === 'default' ? ` (${text})` : '';
+    if (entry.transport === 'tcp' && !entry.host) {
+      errors.push(`${key}.host: tcp 전송에는 프린터 주소가 필요합니다${hint('PRINTER_HOST / --printer-host')}`);
+    }
+    if (entry.transport === 'file' && !entry.outputDir && !entry.device) {
+      errors.push(`${key}.outputDir: file 전송에는 outputDir 또는 device가 필요합니다${hint('PRINTER_OUTPUT_DIR / PRINTER_DEVICE')}`);
+    }
+    if (entry.backup !== undefined && (entry.backup === name || !names.includes(entry.backup))) {
+      errors.push(`${key}.backup: '${entry.backup}'은(는) 자신이 아닌 등록된 프린터여야 합니다 (${names.join(', ')})`);
+    }
+  }
+  routes.forEach((rule, i) => {
+    if (!names.includes(rule.printer)) {
+      errors.push(`routes[${i}].printer: '${rule.printer}'은(는) 등록된 프린터가 아닙니다 (${names.join(', ')})`);
+    }
+  });
+  for (const key of ['report', 'drawer', 'buzzer']) {
+    if (!names.includes(config[key].printer)) {
+      errors.push(`${key}.printer: '${config[key].printer}'은(는) 등록된 프린터가 아닙니다 (${names.join(', ')})`);
+    }
+  }
+  if (config.labels.printer !== undefined && !names.includes(config.labels.printer)) {
+    errors.push(`labels.printer: '${config.labels.printer}'은(는) 등록된 프린터가 아닙니다 (${names.join(', ')})`);
+  }
+  // 라벨 프린터는 TSPL/ZPL만 받음 - 영수증/ESC/POS 명령이 가는 프린터와 겹치면 안 됨
+  const labelPrinter = config.labels.printer;
+  if (labelPrinter === 'default') {
+    errors.push('labels.printer: 기본 프린터는 영수증 프린터입니다 - 라벨 프린터는 printers.<이름>으로 추가하세요');
+  } else if (labelPrinter !== undefined) {
+    for (const [name, key, entry] of entries) {
+      if (entry.backup !== undefined && (name === labelPrinter || entry.backup === labelPrinter)) {
+        errors.push(`${key}.backup: 라벨 프린터(${labelPrinter})는 백업으로 지정하거나 백업을 둘 수 없습니다`);
+      }
+    }
+    routes.forEach((rule, i) => {
+      if (rule.printer === labelPrinter) {
+        errors.push(`routes[${i}].printer: 라벨 프린터(${labelPrinter})로는 영수증 사본을 보낼 수 없습니다`);
+      }
+    });
+    for (const key of ['report', 'drawer', 'buzzer']) {
+      if (config[key].printer === labelPrinter) {
+        errors.push(`${key}.printer: 라벨 프린터(${labelPrinter})는 ESC/POS 명령을 받지 않습니다`);
+      }
+    }
+  }
+  if (config.labels.language === 'zpl' && !config.labels.font) {
+    errors.push('labels.font: zpl 라벨에는 프린터에 저장된 한글 TTF 경로가 필요합니다 (예: E:NANUMGOTHIC.TTF / LABEL_FONT)');
+  }
+  const layoutProblem = describeLayoutProblem(config.labels);
+  if (layoutProblem) {
+    errors.push(`labels.heightMm: ${layoutProblem}`);
+  }
+  if (!DRAWER_PINS.includes(config.drawer.pin)) {
+    errors.push(`drawer.pin: ${config.drawer.pin} - 금전함 핀은 ${DRAWER_PINS.join(' 또는 ')}입니다`);
+  }
+  if (receipt.qr && !receipt.links[receipt.qr]) {
+    errors.push(`receipt.qr: '${receipt.qr}' QR의 URL(receipt.links.${receipt.qr})이 설정되지 않았습니다`);
+  }
+  if (config.store.businessNumber && !/^\d{3}-\d{2}-\d{5}$/.test(config.store.businessNumber)) {
+    errors.push(`store.businessNumber: '${config.store.businessNumber}' - 000-00-00000 형식이어야 합니다`);
+  }
+  if (config.store.businessNumber && !config.store.name) {
+    errors.push('store.name: 사업자등록번호를 출력하려면 상호가 필요합니다 (STORE_NAME / --store-name)');
+  }
+  if (config.pull.enabled && !config.pull.url) {
+    errors.push('pull.url: pull 모드에는 주문 조회 URL이 필요합니다 (PULL_URL / --pull-url)');
+  }
+  return errors;
+}
+
+/**
+ * 설정 파일 일부 항목 저장 (없으면 새로 만듦)
+ *
+ * YAML은 문서 단위로 고쳐서 주석/순서를 유지, JSON은 다시 직렬화
+ * 임시 파일 작성 후 rename (저장 도중 종료되어도 파일이 깨지지 않음)
+ *
+ * @param {string} file - 설정 파일 경로
+ * @param {Object<string, *>} updates - { 'printer.name': '...' } 형태
+ */
+export function updateConfigFile(file, updates) {
+  let text;
+  if (isYaml(file)) {
+    const doc = existsSync(file) ? YAML.parseDocument(readFileSync(file, 'utf-8')) : new YAML.Document({});
+    for (const [key, value] of Object.entries(updates)) {
+      doc.setIn(key.split('.'), value);
+    }
+    text = String(doc);
+  } else {
+    const object = existsSync(file) ? readConfigFile(file) : {};
+    for (const [key, value] of Object.entries(updates)) {
+      setPath(object, key, value);
+    }
+    text = `${JSON.stringify(object, null, 2)}\n`;
+  }
+  const tmpFile = `${file}.tmp`;
+  writeFileSync(tmpFile, text, 'utf-8');
+  renameSync(tmpFile, file);
+}
+
+/**
+ * --help 출력
+ * @returns {string}
+ */
+export function formatHelp() {
+  const rows = [
+    ['--config <경로>', `설정 파일 [PRINTER_CONFIG] (기본: ${CONFIG_FILE_NAMES.join(' / ')})`],
+    ...OPTIONS.map(option => {
+      if (!option.flag) {
+        return [`(파일) ${option.key}`, option.description];
+      }
+      const placeholder = { path: '<경로>', url: '<URL>', time: '<HH:MM>' }[option.type] || '<값>';
+      const flag = option.type === 'boolean' ? `--[no-]${option.flag}` : `--${option.flag} ${placeholder}`;
+      const values = option.values ? ` (${option.values.join(' | ')})` : '';
+      const fallback = option.default !== undefined && option.type !== 'path'
+        ? ` 기본: ${Array.isArray(option.default) ? option.default.join(',') : option.default}`
+        : '';
+      return [flag, `${option.description}${values} [${option.env}, 파일: ${option.key}]${fallback}`];
+    })
+  ];
+  const width = Math.max(...rows.map(([flag]) => flag.length));
+  return [
+    '사용법: onuljang-printer [옵션]',
+    '',
+    '우선순위: 명령줄 > 환경변수 > 설정 파일 > 기본값',
+    '',
+    ...rows.map(([flag, text]) => `  ${flag.padEnd(width)}  ${text}`)
+  ].join('\n');
+}
@@ -0,0 +1,137 @@
+import iconv from 'iconv-lite';
+
+/**
+ * 텍스트 → 프린터 바이트 인코딩 단계
+ *
+ * 배경:
+ * - node-thermal-printer는 문자마다 코드페이지를 추측해 전환하므로
+ *   한글이 어떤 바이트로 나갈지 프린터/드라이버에 따라 달라짐 ("한글 깨짐" 증상)
+ * - 출력 직전에 모든 문자열을 지정한 인코딩으로 명시적으로 변환하고,
+ *   버퍼 맨 앞에 해당 문자 모드를 선택하는 ESC/POS 명령을 넣어 결과를 고정
+ *
+ * 지원 인코딩:
+ * - cp949: 국내 영수증 프린터 기본 (KS X 1001 + 확장 한글 11,172자)
+ * - euc-kr: KS X 1001 완성형 2,350자만 사용 (확장 한글 폰트가 없는 구형 펌웨어용)
+ * - utf-8: UTF-8 입력을 지원하는 최신 펌웨어
+ * - shift_jis: 일본어 모델
+ *
+ * 인코딩할 수 없는 문자(이모지, 희귀 한자 등) 치환 규칙:
+ * - 제로폭 문자(ZWJ, 이모지 변형 선택자 등)는 제거
+ * - 따옴표/대시/말줄임표 등 타이포그래피 기호는 ASCII로 치환
+ * - 그 외 한글 음절과 BMP 밖 문자(이모지 등, JS 길이 2)는 '□'(2폭), 나머지는 '?'(1폭)
+ *   → receipt.js 정렬 계산에 쓰인 폭(한글 2폭, 나머지 JS 길이)이 출력 후에도 유지됨
+ */
+
+const ESC = 0x1b;
+const FS = 0x1c;
+
+// 국제 문자 세트 선택: ESC R n (n=8 일본, n=13 한국)
+const SELECT_INTL_JAPAN = [ESC, 0x52, 0x08];
+const SELECT_INTL_KOREA = [ESC, 0x52, 0x0d];
+// 2바이트(한자/한글) 문자 모드 ON: FS &
+const KANJI_MODE_ON = [FS, 0x26];
+// 2바이트 문자 모드 OFF: FS .
+const KANJI_MODE_OFF = [FS, 0x2e];
+// 2바이트 코드 체계 선택: FS C n (n=1 Shift JIS)
+const KANJI_CODE_SJIS = [FS, 0x43, 0x01];
+// 문자 인코딩 체계 선택: FS ( C pL pH fn=48 m=2 (UTF-8)
+const ENCODE_UTF8 = [FS, 0x28, 0x43, 0x02, 0x00, 0x30, 0x02];
+// 코드페이지 PC437 (1바이트 영역 기본값): ESC t 0
+const CODE_PAGE_PC437 = [ESC, 0x74, 0x00];
+
+export const ENCODINGS = {
+  'cp949': {
+    iconv: 'cp949',
+    prelude: [...CODE_PAGE_PC437, ...SELECT_INTL_KOREA, ...KANJI_MODE_ON]
+  },
+  'euc-kr': {
+    iconv: 'cp949',
+    prelude: [...CODE_PAGE_PC437, ...SELECT_INTL_KOREA, ...KANJI_MODE_ON],
+    // KS X 1001 영역(선행/후행 바이트 모두 0xA1-0xFE)만 허용
+    accepts: bytes => bytes.length === 1 || (bytes[0] >= 0xa1 && bytes[1] >= 0xa1)
+  },
+  'utf-8': {
+    iconv: 'utf8',
+    prelude: [...KANJI_MODE_OFF, ...ENCODE_UTF8]
+  },
+  'shift_jis': {
+    iconv: 'shift_jis',
+    prelude: [...CODE_PAGE_PC437, ...SELECT_INTL_JAPAN, ...KANJI_CODE_SJIS, ...KANJI_MODE_ON]
+  }
+};
+
+export const ENCODING_NAMES = Object.keys(ENCODINGS);
+
+// 제로폭 문자: ZWSP/ZWNJ/ZWJ, 이모지 변형 선택자, BOM
+const ZERO_WIDTH = /[\u200B-\u200D\uFE0E\uFE0F\uFEFF]/g;
+
+// 타이포그래피 기호 → ASCII (스마트 따옴표, 대시, 말줄임표, NBSP)
+const TYPOGRAPHIC_SUBSTITUTES = {
+  '\u2018': "'", '\u2019': "'", '\u201C': '"', '\u201D': '"',
+  '\u2013': '-', '\u2014': '-', '\u2026': '...', '\u00A0': ' '
+};
+const TYPOGRAPHIC = /[\u2018\u2019\u201C\u201D\u2013\u2014\u2026\u00A0]/g;
+
+const HANGUL = /[\uAC00-\uD7A3]/;
+
+/**
+ * 인코더 생성
+ *
+ * @param {string} name - 인코딩 이름 (ENCODING_NAMES 중 하나, 대소문자 무시)
+ * @returns {{ name: string, prelude: Buffer, encode: (text: string) => Buffer }}
+ */
+export function createEncoder(name = 'cp949') {
+  const key = String(name).toLowerCase();
+  const spec = ENCODINGS[key];
+  if (!spec) {
+    throw new Error(`지원하지 않는 인코딩: ${name} (사용 가능: ${ENCODING_NAMES.join(', ')})`);
+  }
+
+  // 문자 단위 인코딩 결과 캐시 (영수증마다 같은 문자가 반복됨)
+  const cache = new Map();
+
+  function encodeChar(char) {
+    if (cache.has(char)) return cache.get(char);
+
+    let bytes = iconv.encode(char, spec.iconv);
+    // iconv-lite는 변환 불가 문자를 '?'(0x3F)로 바꿈 - 입력이 ASCII가 아니므로 전부 '?'면 실패
+    const unmappable = bytes.every(byte => byte === 0x3f) || (spec.accepts && !spec.accepts(bytes));
+    if (unmappable) {
+      bytes = iconv.encode(char.length > 1 || HANGUL.test(char) ? '□' : '?', spec.iconv);
+    }
+    cache.set(char, bytes);
+    return bytes;
+  }
+
+  return {
+    name: key,
+    prelude: Buffer.from(spec.prelude),
+
+    /**
+     * 문자열 → 프린터 바이트
+     *
+     * ASCII는 그대로, 그 외 문자는 1글자씩 변환하며 인코딩 불가 문자를 치환
+     */
+    encode(text) {
+      const normalized = String(text)
+        .replace(ZERO_WIDTH, '')
+        .replace(TYPOGRAPHIC, c => TYPOGRAPHIC_SUBSTITUTES[c]);
+
+      const chunks = [];
+      let ascii = '';
+      for (const char of normalized) {
+        if (char.charCodeAt(0) < 0x80) {
+          ascii += char;
+          continue;
+        }
+        if (ascii) {
+          chunks.push(Buffer.from(ascii, 'latin1'));
+          ascii = '';
+        }
+        chunks.push(encodeChar(char));
+      }
+      if (ascii) chunks.push(Buffer.from(ascii, 'latin1'));
+      return Buffer.concat(chunks);
+    }
+  };
+}
@@ -0,0 +1,147 @@
+/**
+ * 실시간 이벤트 채널 (Server-Sent Events, GET /events)
+ *
+ * 배경:
+ * - 관리자 페이지가 /health를 폴링해 출력 버튼을 켜고 끄며,
+ *   출력 결과는 /print 응답으로만 알 수 있어 백그라운드 재시도 끝에 실패한 작업을 놓쳤음
+ *
+ * 기술적 결정:
+ * 1. WebSocket 대신 SSE - 서버 → 브라우저 단방향이면 충분하고 추가 의존성 없음,
+ *    브라우저 EventSource가 끊기면 자동 재연결
+ * 2. 이벤트마다 순번(id)을 붙이고 최근 REPLAY_LIMIT개를 보관
+ *    - 재연결 시 브라우저가 보내는 Last-Event-ID 이후 이벤트를 다시 보냄 (끊긴 동안의 실패 알림 유실 방지)
+ *    - 서버가 재시작되어 순번을 이어갈 수 없으면 다시 보내지 않음 (연결 직후 현재 상태를 새로 받음)
+ * 3. 여러 탭 = 연결 여러 개, 모든 연결에 같은 이벤트를 보냄
+ * 4. HEARTBEAT_MS마다 heartbeat 이벤트 - 프록시/보안 프로그램의 유휴 연결 종료를 막고,
+ *    브라우저는 heartbeat가 끊기면 브릿지가 멈춘 것으로 판단 가능
+ * 5. 서버 내부 모듈도 addListener로 같은 이벤트를 받음 (예: pull.js가 출력 완료를 백엔드에 보고)
+ *
+ * 이벤트 (event: 이름, data: JSON):
+ * - printer.status: 프린터 상태가 바뀜 { printer, online, ready, reason, warnings, hardware, checkedAt }
+ * - job.queued / job.printing / job.printed / job.retrying / job.failed / job.failover: 작업 상태 변화 (작업 요약)
+ * - config.changed: 설정 변경 { keys: [...], ... }
+ * - heartbeat: { at }
+ */
+
+const HEARTBEAT_MS = 15000;   // heartbeat 주기
+const REPLAY_LIMIT = 100;     // 재연결 시 다시 보낼 수 있는 최근 이벤트 수
+const RETRY_MS = 3000;        // 연결이 끊겼을 때 브라우저 재연결 대기 (retry 필드)
+
+const clients = new Set();    // 연결된 응답 스트림 (탭마다 1개)
+const listeners = new Set();  // 서버 내부 구독자 (type, data) => void
+const recent = [];            // 최근 이벤트 [{ id, type, data }]
+let lastId = 0;
+let heartbeatTimer = null;
+
+/**
+ * 이벤트 발행 (연결된 모든 탭에 전송)
+ *
+ * 연결이 없어도 최근 이벤트로 보관 (곧 재연결할 탭을 위해)
+ *
+ * @param {string} type - 이벤트 이름
+ * @param {Object} data - JSON으로 보낼 내용
+ */
+export function publish(type, data) {
+  const event = { id: ++lastId, type, data };
+  recent.push(event);
+  if (recent.length > REPLAY_LIMIT) recent.shift();
+  for (const res of clients) {
+    write(res, event);
+  }
+  for (const listener of listeners) {
+    try {
+      listener(type, data);
+    } catch (error) {
+      console.error(`[Events] ${type} 처리 중 오류:`, error);
+    }
+  }
+}
+
+/**
+ * 서버 내부 구독 (발행 이후의 이벤트만 받음)
+ *
+ * @param {(type: string, data: Object) => void} listener
+ * @returns {() => void} 구독 해제 함수
+ */
+export function addListener(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * 이벤트 스트림 연결 (GET /events 핸들러에서 호출)
+ *
+ * Last-Event-ID 헤더(재연결)가 있으면 그 이후 이벤트를 먼저 보내고,
+ * 그다음 initial 이벤트(현재 상태)를 보냄 - initial은 보관하지 않는 1회성 이벤트
+ *
+ * @param {import('express').Request} req
+ * @param {import('express').Response} res
+ * @param {{ type: string, data: Object }[]} [initial] - 연결 직후 이 탭에만 보낼 이벤트
+ */
+export function subscribe(req, res, initial = []) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const since = Number(req.get('Last-Event-ID'));
+  if (Number.isInteger(since) && since > 0 && since <= lastId) {
+    for (const event of recent.filter(item => item.id > since)) {
+      write(res, event);
+    }
+  }
+  for (const { type, data } of initial) {
+    write(res, { id: null, type, data });
+  }
+
+  clients.add(res);
+  startHeartbeat();
+  req.on('close', () => {
+    clients.delete(res);
+    if (clients.size === 0) stopHeartbeat();
+  });
+}
+
+/**
+ * 연결된 탭 수 (0이면 상태 감시 생략)
+ *
+ * @returns {number}
+ */
+export function countSubscribers() {
+  return clients.size;
+}
+
+/**
+ * 모든 스트림 종료 (서버 종료 시 - 열린 SSE 연결이 있으면 server.close가 끝나지 않음)
+ */
+export function closeEvents() {
+  stopHeartbeat();
+  for (const res of clients) {
+    res.end();
+  }
+  clients.clear();
+}
+
+function write(res, { id, type, data }) {
+  res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(() => {
+    const event = { id: null, type: 'heartbeat', data: { at: new Date().toISOString() } };
+    for (const res of clients) {
+      write(res, event);
+    }
+  }, HEARTBEAT_MS);
+}
+
+function stopHeartbeat() {
+  if (heartbeatTimer) {
+    clearInterval(heartbeatTimer);
+    heartbeatTimer = null;
+  }
+}
@@ -0,0 +1,71 @@
+import { createHash } from 'crypto';
+
+/**
+ * /print 중복 요청 판별용 멱등성 키 생성
+ *
+ * 배경:
+ * - 관리자 페이지에서 더블 클릭, 타임아웃 후 재시도로 같은 주문이 두 번 요청되는 경우가 있음
+ * - 주문 식별자만으로 판단하면 주문 수정 후 다시 출력하는 정상 요청까지 막히므로
+ *   주문 내용 해시를 함께 사용 (내용이 같을 때만 중복으로 간주)
+ * - 출력 옵션(사본, 프린터, 용지, QR 등)은 해시에서 제외 - 같은 주문을 사본 수나 프린터만 바꿔
+ *   다시 보낸 재시도도 중복으로 간주 (옵션을 바꿔 다시 출력하려면 reprint: true)
+ *
+ * 키 형식: "{orderId}:{displayCode}:{내용 해시 16자}"
+ */
+
+// 해시 계산에서 제외할 필드 (출력 제어용 옵션이지 주문 내용이 아님)
+const NON_CONTENT_FIELDS = [
+  'reprint', 'idempotencyKey', 'beep',
+  'printer', 'copies', 'template', 'paperProfile', 'maskPhone', 'qr', 'barcode'
+];
+
+/**
+ * 객체 키를 정렬하여 직렬화 (필드 순서가 달라도 같은 해시가 나오도록)
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * 주문 데이터로부터 기본 멱등성 키 생성
+ *
+ * @param {Object} data - /print 요청 바디
+ * @returns {string} 예: "123:1995:3f2a9c0d1b7e4a56"
+ */
+export function buildIdempotencyKey(data) {
+  const content = { ...data };
+  for (const field of NON_CONTENT_FIELDS) {
+    delete content[field];
+  }
+  const hash = createHash('sha256').update(stableStringify(content)).digest('hex').slice(0, 16);
+  return `${data.orderId ?? ''}:${data.displayCode ?? ''}:${hash}`;
+}
+
+/**
+ * 일괄 출력(/print/batch) 경로표의 멱등성 키 - 같은 주문 묶음이면 순서와 무관하게 같은 키
+ *
+ * @param {string[]} keys - 주문별 멱등성 키
+ * @returns {string} 예: "batch:3f2a9c0d1b7e4a56"
+ */
+export function buildBatchKey(keys) {
+  const hash = createHash('sha256').update([...keys].sort().join('\n')).digest('hex').slice(0, 16);
+  return `batch:${hash}`;
+}
+
+/**
+ * 라벨(/labels)의 멱등성 키 - 같은 주문의 영수증 키와 겹치지 않게 단위(item/bag)와 함께
+ *
+ * @param {string} key - 주문의 멱등성 키
+ * @param {string} mode - 라벨 단위 ('item' | 'bag')
+ * @returns {string} 예: "labels:bag:123:1995:3f2a9c0d1b7e4a56"
+ */
+export function buildLabelKey(key, mode) {
+  return `labels:${mode}:${key}`;
+}
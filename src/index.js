@@ -1,28 +1,209 @@
 import express from 'express';
 import cors from 'cors';
-import { initPrinter, checkPrinterStatus, printReceipt, closePrinter } from './printer.js';
-import { buildReceipt } from './receipt.js';
+import { join } from 'path';
+import { initPrinter, createPrinter, configurePrinter, checkPrinterStatus, getPrinterStatus, printReceipt, closePrinter, listPrinters, hasPrinter, getPrinterKind, DEFAULT_PRINTER } from './printer.js';
+import { buildReceipts, isScheduledOrder, isPickupOrder, copiesForOrder } from './receipt.js';
+import { loadTemplates } from './templates/index.js';
+import { initQueue, enqueueJobs, findDuplicateJob, listSiblingJobs, getJob, listJobs, toJobSummary, stopQueue, getReprintCount } from './queue.js';
+import { buildIdempotencyKey, buildBatchKey, buildLabelKey } from './idempotency.js';
+import { getPrintRequestSchema, validatePrintRequest as validateSchema, describeErrors } from './schema.js';
+import { renderPreview, PREVIEW_FORMATS } from './preview.js';
+import { loadFont } from './raster.js';
+import { loadConfig, formatHelp, updateConfigFile, DEFAULT_CONFIG_FILE } from './config.js';
+import { listInstalledPrinters } from './transports/index.js';
+import { configureRouting, routeCopies, getBackup } from './routing.js';
+import { subscribe, publish, countSubscribers, closeEvents } from './events.js';
+import { initPull, stopPull, getPullStatus } from './pull.js';
+import { initJournal, stopJournal, saveReceiptBytes, readReceiptBytes, getHistoryEntry, searchHistory, toHistorySummary, localDate } from './journal.js';
+import { createDailyReport, printDailyReport, toCsv, scheduleDailyReport, stopDailyReport } from './report.js';
+import { compareRouteOrder, buildRouteSheet, printRouteSheet } from './routesheet.js';
+import { LABEL_MODES, MAX_LABELS, planLabels, countLabels, buildLabelCommands } from './labels.js';
+import { BEEP_PATTERN_NAMES, DRAWER_PINS, drawerCommand, beepCommand, appendCommand, describeCommand } from './commands.js';
+import { initSecurity, originGuard, privateNetworkAccess, requirePairing, getPairingState, startPairing, confirmPairing } from './security.js';
 
 /**
  * ESC/POS 프린터 브릿지 서버
  *
- * 포트: 18181
+ * 포트: 18181 (설정 port로 변경 가능)
  * - 과일맛집 시스템 포트 규칙: 백엔드 8088, 프론트엔드 3000, 프린터 18181
  * - 1만 단위 포트 사용으로 시스템 포트(0-1023) 충돌 회피
  *
  * 아키텍처 결정:
  * 1. HTTP 서버 (WebSocket 아님) - 단방향 출력만 필요, 복잡도 최소화
  * 2. Express 프레임워크 - 미들웨어 생태계, 에러 핸들링 용이
- * 3. CORS 전체 허용 - 로컬 네트워크 내 프린터 서버는 보안 경계 밖 (매장 내부망)
+ * 3. 허용된 Origin(관리자 페이지)만 호출 가능 + 선택적 페어링 토큰 - 매장 PC에서 열린 다른 웹 페이지의 출력 차단
  */
 
+/**
+ * 설정 로드 (명령줄 > 환경변수 > 설정 파일 > 기본값, config.js)
+ *
+ * 잘못된 설정은 서버를 시작하지 않고 항목별 오류를 출력한 뒤 종료
+ */
+let loaded;
+try {
+  loaded = loadConfig({ argv: process.argv.slice(2), env: process.env });
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
+if (loaded.help) {
+  console.log(formatHelp());
+  process.exit(0);
+}
+const { config } = loaded;
+
 const app = express();
-const PORT = 18181;
+const PORT = config.port;
+
+/**
+ * 데이터 디렉토리 (출력 작업 큐 저장, 기본: 실행 파일 옆 data/)
+ */
+const DATA_DIR = config.dataDir;
+
+/**
+ * 영수증 템플릿 디렉토리 (기본: 실행 파일 옆 templates/)
+ *
+ * *.json 파일 이름이 템플릿 이름 (default.json이 있으면 기본 레이아웃 대체)
+ */
+const TEMPLATE_DIR = config.templateDir;
+
+/**
+ * 중복 출력 방지 시간 (기본 10분)
+ *
+ * 같은 멱등성 키의 요청이 이 시간 안에 다시 오면 출력하지 않고 기존 작업을 응답
+ */
+const DEDUPE_WINDOW_MS = config.dedupeWindowSeconds * 1000;
+
+/**
+ * /print 응답에 쓰는 프린터 상태의 최대 경과 시간
+ *
+ * 작업 등록 직후 큐 워커가 상태를 조회하므로 대부분 그 결과를 재사용 (Windows 조회는 PowerShell 실행)
+ */
+const STATUS_MAX_AGE_MS = 5000;
+
+/**
+ * 금전함/부저 명령 유효 시간
+ *
+ * 프린터가 출력 불가 상태로 이 시간이 지나면 실행하지 않음 (복구된 뒤 뜬금없이 금전함이 열리지 않도록)
+ */
+const COMMAND_TTL_SECONDS = 30;
+
+/**
+ * 일괄 출력(/print/batch) 1회 최대 주문 수
+ *
+ * 검증이 끝나야 출력을 시작하므로 너무 많으면 응답이 늦어지고 큐 파일이 커짐
+ */
+const MAX_BATCH_ORDERS = 100;
+
+/**
+ * 이벤트 스트림(/events)이 연결되어 있는 동안 프린터 상태를 확인하는 주기
+ *
+ * 상태가 바뀌면 printer.status 이벤트 발행 (연결된 탭이 없으면 확인하지 않음)
+ */
+const STATUS_WATCH_MS = 10000;
+let statusWatchTimer = null;
+
+/**
+ * 프린터 전송 방식 설정 (printer.* - 생략한 항목은 전송 방식별 기본값)
+ *
+ * - transport: 'windows' | 'tcp' | 'cups' | 'file'
+ * - name / match / fallbackName: Windows/CUPS 프린터 이름, 자동 탐색 패턴, 탐색 실패 시 이름
+ * - host, port: TCP 프린터 주소 (포트 기본 9100)
+ * - outputDir / device: file 방식의 저장 디렉토리 / 디바이스 경로 (예: /dev/usb/lp0)
+ * - timeoutMs, statusTimeoutMs: 전송/조회 타임아웃
+ * 추가 프린터(printers.<이름>)도 같은 항목
+ *
+ * @param {Object} [printer] - 프린터 설정 (생략 시 기본 프린터 printer.*)
+ * @returns {Object} createTransport 설정
+ */
+function transportConfig(printer = config.printer) {
+  return {
+    type: printer.transport,
+    printerName: printer.name,
+    match: printer.match,
+    fallbackName: printer.fallbackName,
+    host: printer.host,
+    port: printer.port,
+    directory: printer.outputDir,
+    path: printer.device,
+    timeoutMs: printer.timeoutMs,
+    statusTimeoutMs: printer.statusTimeoutMs
+  };
+}
+
+/**
+ * 프린터 종류 - labels.printer로 지정한 프린터만 라벨(TSPL/ZPL) 프린터
+ *
+ * @param {string} name - 프린터 이름
+ * @returns {'receipt'|'label'}
+ */
+function printerKind(name) {
+  return name === config.labels.printer ? 'label' : 'receipt';
+}
+
+/**
+ * 요청에서 지정한 출력 프린터 확인 (영수증/ESC/POS 명령은 라벨 프린터로 보내지 않음)
+ *
+ * @param {string} name - 프린터 이름
+ * @param {'receipt'|'label'} [kind] - 보낼 내용에 맞는 프린터 종류
+ * @returns {string|null} 오류 메시지 (문제 없으면 null)
+ */
+function describePrinterProblem(name, kind = 'receipt') {
+  const available = listPrinters().filter(item => item.kind === kind).map(item => item.name).join(', ');
+  if (!hasPrinter(name)) {
+    return `알 수 없는 프린터: ${name} (사용 가능: ${available})`;
+  }
+  if (getPrinterKind(name) !== kind) {
+    return kind === 'label'
+      ? `라벨 프린터가 아닙니다: ${name} (사용 가능: ${available || '없음'})`
+      : `라벨 프린터로는 보낼 수 없습니다: ${name} (사용 가능: ${available})`;
+  }
+  return null;
+}
+
+/**
+ * 출력 방식 (printer.*)
+ *
+ * - encoding: 'cp949' | 'euc-kr' | 'utf-8' | 'shift_jis'
+ * - render: 'text' | 'raster' (영수증 전체 비트맵) | 'hybrid' (비ASCII 문자가 있는 줄만 비트맵)
+ * - font: 비트맵 렌더링용 TTF 경로 (생략 시 번들 나눔고딕)
+ * - paper: '58mm' (32자) | '58mm-small' (Font B 42자) | '80mm' (48자) | '80mm-42' (42자)
+ *   요청 바디의 paperProfile로 건별 지정도 가능
+ */
+const PRINTER_FONT = config.printer.font;
+
+/**
+ * 영수증 기본값 (receipt.* - 모두 요청 바디로 건별 지정 가능)
+ *
+ * - copies: 출력 사본 순서 'customer' | 'rider' | 'kitchen' (예: kitchen,rider,customer → 3장, 사이마다 절단)
+ * - maskPhone: 배달기사/포장용 사본 전화번호 가림 ("010-1234-5678" → "010-****-5678")
+ * - qr: QR 대상 'order' | 'map' | 'review' (생략 시 QR 없음)
+ * - links: 대상별 QR URL ({{orderId}}, {{address|url}} 등 템플릿 바인딩)
+ * - barcode: CODE128 바코드로 찍을 필드 'orderId' | 'displayCode' (생략 시 바코드 없음)
+ */
+const PRINTER_COPIES = config.receipt.copies;
+const PRINTER_MASK_PHONE = config.receipt.maskPhone;
+const PRINTER_QR = config.receipt.qr || null;
+const QR_LINKS = config.receipt.links;
+const PRINTER_BARCODE = config.receipt.barcode || null;
+
+/**
+ * 접근 제어 (security.js)
+ *
+ * - security.allowedOrigins: 호출을 허용할 웹 페이지 Origin (기본 https://fruit-matjip.store)
+ * - security.pairing: true면 출력 요청에 페어링 토큰 필수
+ */
+initSecurity({
+  origins: config.security.allowedOrigins,
+  pairing: config.security.pairing,
+  dir: DATA_DIR
+});
 
 /**
  * CORS 미들웨어 설정
  *
- * origin: true - 모든 Origin 허용
+ * 허용 목록의 Origin만 CORS 헤더로 응답 (목록 밖은 originGuard가 preflight 포함 403)
+ * PNA 헤더는 cors가 preflight를 끝내기 전에 붙여야 하므로 cors보다 먼저 등록
  *
  * 동작 흐름:
  * 1. 관리자가 매장 PC 브라우저에서 https://fruit-matjip.store/admin 접속
@@ -34,130 +215,1017 @@ const PORT = 18181;
  *   HTTPS 사이트에서 호출해도 Mixed Content 차단이 발생하지 않음
  * - 따라서 프린터 서버에 HTTPS 설정이 불필요
  */
+app.use(originGuard);
+app.use(privateNetworkAccess);
 app.use(cors({
-  origin: true,
+  origin: config.security.allowedOrigins,
   credentials: true
 }));
 
 /**
- * Chrome Private Network Access (PNA) 대응
+ * JSON 바디 파서
+ *
+ * limit: 기본 '10mb' (설정 bodyLimit) - 대량 주문 시 items 배열이 클 수 있으므로 여유 있게 설정
+ * strict: true - 배열/객체만 허용, 원시값(문자열/숫자) 거부 (보안)
+ */
+app.use(express.json({ limit: config.bodyLimit, strict: true }));
+
+/**
+ * 출력/미리보기 요청 바디 검증 (schema.js + 서버 설정에 따라 달라지는 항목)
  *
- * HTTPS 사이트(fruit-matjip.store)에서 로컬 서버(127.0.0.1)로 요청 시
- * Chrome이 preflight에 Access-Control-Request-Private-Network 헤더를 추가.
- * 서버가 Access-Control-Allow-Private-Network: true로 응답해야 요청이 허용됨.
+ * @param {Object} data - 요청 바디
+ * @returns {{ path: string, message: string }[]} 오류 목록 (비어 있으면 정상)
  */
-app.use((req, res, next) => {
-  if (req.headers['access-control-request-private-network']) {
-    res.setHeader('Access-Control-Allow-Private-Network', 'true');
+function validatePrintRequest(data) {
+  const errors = validateSchema(data);
+
+  // QR 대상의 URL이 설정되어 있는지 (스키마는 대상 이름만 검증)
+  if (errors.length === 0 && data.qr && !QR_LINKS[data.qr]) {
+    errors.push({ path: 'qr', message: `QR 대상 ${data.qr}의 URL이 설정되지 않았습니다` });
   }
-  next();
-});
+  return errors;
+}
 
 /**
- * JSON 바디 파서
+ * 요청 바디 → 영수증 출력 옵션 (생략된 값은 서버 설정값, 픽업 주문은 배달기사용 사본 제외)
+ */
+function receiptOptions(data) {
+  return {
+    copies: copiesForOrder(data, data.copies || PRINTER_COPIES),
+    maskPhone: typeof data.maskPhone === 'boolean' ? data.maskPhone : PRINTER_MASK_PHONE,
+    template: data.template,
+    qr: data.qr === false ? null : (data.qr || PRINTER_QR),
+    links: QR_LINKS,
+    barcode: data.barcode === false ? null : (data.barcode || PRINTER_BARCODE),
+    store: config.store
+  };
+}
+
+/**
+ * 출력 요청 접수 (/print와 pull 모드 공통)
  *
- * limit: '10mb' - 대량 주문 시 items 배열이 클 수 있으므로 여유 있게 설정
- * strict: true - 배열/객체만 허용, 원시값(문자열/숫자) 거부 (보안)
+ * 검증 → 중복 확인 → (새 주문 부저) → 사본별 프린터 결정 → 프린터별 작업 등록
+ *
+ * @param {Object} data - 주문 데이터 (/print 바디)
+ * @param {Object} [meta]
+ * @param {string} [meta.key] - 멱등성 키 (생략 시 바디의 idempotencyKey, 없으면 주문 내용으로 생성)
+ * @param {boolean} [meta.quiet] - 새 주문 부저를 울리지 않음 (일괄 출력)
+ * @returns {{ jobs?: Object[], beepJob?: Object, duplicate?: Object, duplicateJobs?: Object[], error?: string, errors?: { path: string, message: string }[] }}
+ *          duplicate: 먼저 접수된 작업 중 1건, duplicateJobs: 그 요청으로 함께 등록된 작업 전체 (프린터별 사본)
  */
-app.use(express.json({ limit: '10mb', strict: true }));
+function acceptPrintRequest(data, { key: requestKey, quiet = false } = {}) {
+  const errors = validatePrintRequest(data);
+  if (errors.length > 0) {
+    return { error: describeErrors(errors), errors };
+  }
+  const key = requestKey || data.idempotencyKey || buildIdempotencyKey(data);
+
+  // 중복 요청 확인 (더블 클릭, 타임아웃 후 재시도, 관리자 페이지와 pull 모드가 같은 주문을 받은 경우)
+  const reprint = data.reprint === true;
+  if (!reprint) {
+    const duplicate = findDuplicateJob(key);
+    if (duplicate) {
+      return { duplicate, duplicateJobs: listSiblingJobs(duplicate) };
+    }
+  }
+
+  // 새 주문 부저 (재출력, 일괄 출력 제외) - 영수증보다 먼저 등록해 출력 시작과 함께 울림
+  const pattern = reprint || quiet ? null : beepPattern(data);
+  const beepJob = pattern ? enqueueCommand(config.buzzer.printer, beepCommand(pattern)) : undefined;
+
+  // 출력 작업 등록 (프린터 오프라인/용지 없음이어도 대기열에 보관 후 복구 시 출력)
+  const targets = routeCopies(data, receiptOptions(data).copies);
+  return { jobs: enqueueJobs(data, { key, reprint, targets }), beepJob };
+}
+
+/**
+ * 새 주문 부저 패턴 (요청 바디 beep > 설정 buzzer.onPrint)
+ *
+ * @param {Object} data - 주문 데이터
+ * @returns {string|null} 패턴 이름 (울리지 않으면 null)
+ */
+function beepPattern(data) {
+  const beep = data.beep ?? config.buzzer.onPrint;
+  if (typeof beep === 'string') return beep;
+  if (!beep) return null;
+  return isScheduledOrder(data) ? config.buzzer.scheduledOrder : config.buzzer.newOrder;
+}
+
+/**
+ * 금전함/부저 명령 작업 등록 (영수증과 같은 프린터 큐 - 출력 도중에 끼어들지 않음)
+ *
+ * @param {string} printer - 프린터 이름
+ * @param {Object} command - commands.js drawerCommand / beepCommand
+ * @returns {Object} 등록된 작업
+ */
+function enqueueCommand(printer, command) {
+  const [job] = enqueueJobs({}, { targets: [{ printer, copies: null }], command });
+  return job;
+}
 
 /**
  * POST /print - 영수증 출력
  *
- * Request Body:
+ * Request Body (전체 규칙은 GET /schema):
  * {
- *   orderId: number,
+ *   orderType?: 'delivery' | 'pickup',  // 생략 시 delivery
+ *   orderId: number | string,
+ *   displayCode?: number | string,
  *   paidAt: string (ISO 8601),
- *   deliveryHour: number,
- *   deliveryMinute: number,
  *   buyerName: string,
  *   phone: string,
- *   items: [{ productName, quantity, amount }],
- *   totalProductAmount: number,
- *   deliveryFee: number,
+ *   items: [{ productName, quantity, amount, discount?, taxFree?, bag? }],  // amount = 단가 × 수량 (정수 단가, 할인 전)
+ *   totalProductAmount: number,  // items[].amount의 합
+ *   discounts?: [{ type: 'coupon' | 'points' | 'other', label?, amount }],  // 주문 할인
+ *   paymentMethod?: 'card' | 'cash' | 'transfer' | 'easyPay' | 'other',
+ *   approvalNumber?: string,     // 승인번호 (paymentMethod 필요)
+ *   deliveryFee: number,         // 배달 주문만 (아래 4개)
  *   distanceKm: number,
  *   address1: string,
- *   address2: string
+ *   address2?: string,
+ *   scheduledDeliveryHour?: number,    // 있으면 예약배달
+ *   scheduledDeliveryMinute?: number,
+ *   pickupDate: string,       // 픽업 주문만 - YYYY-MM-DD
+ *   pickupSlot: string,       // 픽업 주문만 - 'HH:MM-HH:MM' 또는 'HH:MM'
+ *   pickupNumber?: number | string,  // 픽업 번호 (생략 시 D-코드/주문번호)
+ *   idempotencyKey?: string,  // 생략 시 orderId/displayCode + 주문 내용 해시
+ *   reprint?: boolean,        // true면 중복 검사 없이 "재출력 (n회차)" 배너와 함께 출력
+ *   paperProfile?: string,    // 용지 프로필 (생략 시 프린터 설정값)
+ *   template?: string,        // 배달 주문 고객용 사본 템플릿 이름 (생략 시 default, 픽업 주문은 pickup)
+ *   copies?: string[],        // 사본 종류 순서 - 'customer' | 'rider' | 'kitchen' (생략 시 PRINTER_COPIES, 픽업은 rider 제외)
+ *   maskPhone?: boolean,      // 배달기사/포장용 사본 전화번호 가림 (생략 시 PRINTER_MASK_PHONE)
+ *   qr?: string | false,      // QR 대상 - 'order' | 'map' | 'review' (생략 시 PRINTER_QR)
+ *   barcode?: string | false, // 바코드 필드 - 'orderId' | 'displayCode' (생략 시 PRINTER_BARCODE)
+ *   printer?: string,         // 모든 사본을 이 프린터로 (생략 시 routes 규칙, 'default' = 기본 프린터)
+ *   beep?: boolean | string   // 새 주문 부저 - true: buzzer.newOrder / buzzer.scheduledOrder, 패턴 이름, false: 끄기
+ *                             // (생략 시 buzzer.onPrint, 재출력은 울리지 않음)
  * }
  *
+ * Headers:
+ * - Idempotency-Key (선택): 바디의 idempotencyKey 대신 사용 가능
+ * - Authorization: Bearer <토큰> (security.pairing이 켜져 있으면 필수, POST /pair/confirm에서 발급)
+ *
  * Response:
- * 200 - { message: "영수증 출력 완료" }
- * 400 - { error: "필수 필드 누락" }
- * 500 - { error: "프린터 연결 실패" | "출력 오류: ..." }
+ * 202 - { message: "출력 대기열 등록", jobId, orderId, printer, jobs, reprintCount?, warnings?, beep?: { jobId, printer, pattern } }
+ * 202 - { message: "출력 보류: 용지 없음 - ...", jobId, orderId, printer, jobs, held: true, reason } (해결되면 자동 출력)
+ *
+ * 사본이 여러 프린터로 나뉘면 프린터마다 작업 1건 (jobs: [{ id, printer, copies, held?, reason? }])
+ * jobId/printer는 첫 작업 기준 (프린터 1대 매장은 기존과 같음)
+ * 200 - { message: "이미 접수된 출력 요청", jobId, orderId, status, duplicate: true }
+ * 400 - { error: "items[0].quantity: 1 이상이어야 합니다; ...", errors: [{ path, message }] } (모든 오류)
+ * 401 - { error: "페어링 필요: ...", pairingRequired: true }
+ * 403 - { error: "허용되지 않은 Origin", origin }
+ * 500 - { error: "출력 실패: ..." }
  *
- * 에러 핸들링 전략:
- * 1. 필수 필드 검증 (orderId, items 등)
- * 2. 프린터 연결 확인
- * 3. ESC/POS 명령 생성 및 전송
- * 4. 각 단계별 에러 시 명확한 메시지 반환 (프론트엔드 디버깅 용이)
+ * 처리 흐름:
+ * 1. 요청 검증 (schema.js - 형식/범위/길이/날짜 + 상품 금액 합계, 단가, 주문 유형별 필수 필드)
+ * 2. 중복 요청 확인 (재출력이 아니고 같은 키의 작업이 DEDUPE_WINDOW_MS 이내에 있으면 출력 생략)
+ * 3. 사본별 출력 프린터 결정 (routing.js)
+ * 4. 프린터별 출력 작업 큐에 등록 후 즉시 응답 (실제 출력은 프린터마다 워커가 순서대로 처리)
+ *    프린터가 출력 불가(오프라인, 용지 없음, 커버 열림 등)면 보류 사유를 함께 응답
+ *    (백업 프린터가 설정되어 있으면 큐가 백업으로 넘겨 출력)
+ * 5. 출력 결과는 GET /jobs/:jobId 로 확인
  */
-app.post('/print', async (req, res) => {
+app.post('/print', requirePairing, async (req, res) => {
   try {
     const data = req.body;
+    const { jobs, beepJob, duplicate, error, errors } = acceptPrintRequest(data, { key: req.get('Idempotency-Key') });
+    if (error) {
+      return res.status(400).json({ error, errors });
+    }
+    if (duplicate) {
+      console.log(`[API /print] 중복 요청 무시: 주문 ${data.orderId} (작업 ${duplicate.id})`);
+      return res.json({
+        message: '이미 접수된 출력 요청',
+        jobId: duplicate.id,
+        orderId: data.orderId,
+        status: duplicate.status,
+        duplicate: true
+      });
+    }
 
-    // 필수 필드 검증
-    const requiredFields = [
-      'orderId', 'paidAt', 'deliveryHour', 'deliveryMinute',
-      'buyerName', 'phone', 'items', 'totalProductAmount',
-      'deliveryFee', 'distanceKm', 'address1'
-    ];
-
-    for (const field of requiredFields) {
-      if (data[field] === undefined || data[field] === null) {
-        return res.status(400).json({
-          error: `필수 필드 누락: ${field}`
-        });
-      }
+    // 바로 출력되지 않는 경우 사유를 함께 응답 (큐 워커가 방금 조회한 결과를 재사용)
+    const statuses = await Promise.all(
+      jobs.map(job => getPrinterStatus({ name: job.printer, maxAgeMs: STATUS_MAX_AGE_MS }))
+    );
+    const held = statuses.find(status => !status.ready);
+    const warnings = statuses.flatMap((status, i) =>
+      status.warnings.map(warning => jobs.length > 1 ? `${jobs[i].printer}: ${warning}` : warning)
+    );
+
+    res.status(202).json({
+      message: held ? `출력 보류: ${held.reason} - 해결되면 자동 출력` : '출력 대기열 등록',
+      jobId: jobs[0].id,
+      orderId: data.orderId,
+      printer: jobs[0].printer,
+      jobs: jobs.map((job, i) => ({
+        id: job.id,
+        printer: job.printer,
+        copies: job.copies,
+        held: statuses[i].ready ? undefined : true,
+        reason: statuses[i].ready ? undefined : statuses[i].reason
+      })),
+      reprintCount: jobs[0].reprint ? jobs[0].reprint.count : undefined,
+      held: held ? true : undefined,
+      reason: held ? held.reason : undefined,
+      warnings: warnings.length > 0 ? warnings : undefined,
+      beep: beepJob ? { jobId: beepJob.id, printer: beepJob.printer, pattern: beepJob.command.pattern } : undefined
+    });
+
+  } catch (error) {
+    console.error('[API /print] 에러:', error);
+
+    // 에러 상세 정보 반환 (개발/디버깅용)
+    // 운영 환경에서는 민감 정보 노출 주의
+    res.status(500).json({
+      error: `출력 실패: ${error.message}`,
+      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+    });
+  }
+});
+
+/**
+ * POST /print/batch - 여러 주문 일괄 출력 + 배달 경로표
+ *
+ * Request Body:
+ * { orders: [/print 바디, ...], sheetPrinter?: string }  (orders 배열만 보내도 됨)
+ * - sheetPrinter: 경로표 프린터 (생략 시 기본 프린터, 주문 영수증은 주문별 printer / routes 규칙)
+ *
+ * Response:
+ * 202 - { message: "일괄 출력 대기열 등록 (n건)", results, routeSheet: { jobId, printer, duplicate? }, held?, reason? }
+ *       results: 요청 순서대로 [{ index, sequence, orderId, status: 'queued' | 'duplicate', jobIds, printers }]
+ *       (sequence: 출력 순서 1부터)
+ * 400 - { error: "2건 검증 실패 - 출력하지 않음: [0] phone: ...", results: [{ index, orderId, errors }] }
+ *       (한 건이라도 틀리면 아무것도 출력하지 않음 - 정상 주문은 errors: [], 픽업 주문은 경로표에 넣을 수 없어 오류)
+ * 401 / 403 - POST /print와 같음
+ * 500 - { error: "일괄 출력 실패: ..." }
+ *
+ * 처리 흐름:
+ * 1. 모든 주문 검증 (POST /print와 같은 규칙)
+ * 2. 출력 순서 정렬 - 즉시배달, 예약 시각순, 같은 시각이면 distanceKm 가까운 순 (routesheet.js)
+ * 3. 순서대로 POST /print와 같이 접수 (중복 확인, 사본 라우팅 - 새 주문 부저는 울리지 않음)
+ * 4. 마지막에 경로표 작업 등록 (같은 주문 묶음을 DEDUPE_WINDOW_MS 안에 다시 보내면 경로표도 다시 출력하지 않음)
+ */
+app.post('/print/batch', requirePairing, async (req, res) => {
+  try {
+    const { orders, sheetPrinter = DEFAULT_PRINTER } = Array.isArray(req.body) ? { orders: req.body } : (req.body || {});
+    if (!Array.isArray(orders) || orders.length === 0) {
+      return res.status(400).json({ error: '주문 목록(orders)이 비어 있습니다' });
+    }
+    if (orders.length > MAX_BATCH_ORDERS) {
+      return res.status(400).json({ error: `한 번에 ${MAX_BATCH_ORDERS}건까지 출력할 수 있습니다 (${orders.length}건)` });
+    }
+    const printerProblem = describePrinterProblem(sheetPrinter);
+    if (printerProblem) {
+      return res.status(400).json({ error: printerProblem });
     }
 
-    // items 배열 검증
-    if (!Array.isArray(data.items) || data.items.length === 0) {
+    // 1. 전체 검증 - 출력을 시작한 뒤에 멈추면 영수증과 경로표가 어긋나므로
+    const checked = orders.map((order, index) => {
+      const errors = validatePrintRequest(order);
+      if (errors.length === 0 && isPickupOrder(order)) {
+        errors.push({ path: 'orderType', message: '픽업 주문은 일괄 출력(배달 경로표)에 넣을 수 없습니다' });
+      }
+      return { index, order, errors };
+    });
+    const invalid = checked.filter(item => item.errors.length > 0);
+    if (invalid.length > 0) {
       return res.status(400).json({
-        error: '상품 목록(items)이 비어 있습니다'
+        error: `${invalid.length}건 검증 실패 - 출력하지 않음: ${invalid.map(item => `[${item.index}] ${describeErrors(item.errors)}`).join(' / ')}`,
+        results: checked.map(({ index, order, errors }) => ({ index, orderId: order?.orderId, errors }))
       });
     }
 
-    // 프린터 초기화
-    const printer = initPrinter();
+    // 2~3. 출력 순서대로 접수
+    const sorted = checked.slice().sort((a, b) => compareRouteOrder(a.order, b.order));
+    const results = [];
+    const keys = [];
+    for (const [i, { index, order }] of sorted.entries()) {
+      const key = order.idempotencyKey || buildIdempotencyKey(order);
+      const { jobs, duplicate, duplicateJobs } = acceptPrintRequest(order, { key, quiet: true });
+      const accepted = duplicate ? duplicateJobs : jobs;
+      keys.push(key);
+      results[index] = {
+        index,
+        sequence: i + 1,
+        orderId: order.orderId,
+        status: duplicate ? 'duplicate' : 'queued',
+        jobIds: accepted.map(job => job.id),
+        printers: accepted.map(job => job.printer)
+      };
+    }
 
-    // 프린터 연결 확인
-    const isConnected = await checkPrinterStatus();
-    if (!isConnected) {
-      return res.status(500).json({
-        error: '프린터 연결 실패 - USB 케이블 및 전원을 확인하세요'
+    // 4. 경로표
+    const sheetKey = buildBatchKey(keys);
+    const sheetDuplicate = findDuplicateJob(sheetKey);
+    const [sheetJob] = sheetDuplicate
+      ? [sheetDuplicate]
+      : enqueueJobs(buildRouteSheet(sorted.map(item => item.order)), {
+        key: sheetKey,
+        targets: [{ printer: sheetPrinter, copies: null }],
+        routeSheet: true
       });
+
+    const queued = results.filter(result => result.status === 'queued').length;
+    console.log(`[API /print/batch] ${orders.length}건 (신규 ${queued}, 중복 ${orders.length - queued}) → 경로표 ${sheetJob.id} (${sheetPrinter})`);
+
+    // 바로 출력되지 않는 경우 사유를 함께 응답
+    const printers = [...new Set([...results.flatMap(result => result.printers), sheetPrinter])];
+    const statuses = await Promise.all(
+      printers.map(name => getPrinterStatus({ name, maxAgeMs: STATUS_MAX_AGE_MS }))
+    );
+    const heldIndex = statuses.findIndex(status => !status.ready);
+    const reason = heldIndex === -1 ? null : `${printers[heldIndex]}: ${statuses[heldIndex].reason}`;
+
+    res.status(202).json({
+      message: reason ? `일괄 출력 보류: ${reason} - 해결되면 자동 출력` : `일괄 출력 대기열 등록 (${orders.length}건)`,
+      results,
+      routeSheet: {
+        jobId: sheetJob.id,
+        printer: sheetJob.printer,
+        duplicate: sheetDuplicate ? true : undefined
+      },
+      held: reason ? true : undefined,
+      reason: reason || undefined
+    });
+
+  } catch (error) {
+    console.error('[API /print/batch] 에러:', error);
+    res.status(500).json({ error: `일괄 출력 실패: ${error.message}` });
+  }
+});
+
+/**
+ * POST /labels - 봉투/선물 상자 라벨 출력 (라벨 프린터)
+ *
+ * Request Body: POST /print와 동일 (items[].bag - 봉투 번호, 봉투 단위에서 사용)
+ *
+ * Query (선택):
+ * - mode: 'item' (상품 1개당 1장) | 'bag' (봉투당 1장) - 생략 시 labels.mode
+ *
+ * Response:
+ * 202 - { message: "라벨 출력 대기열 등록 (n장)", jobId, orderId, printer, mode, count, held?, reason? }
+ * 200 - { message: "이미 접수된 라벨 요청", jobId, orderId, status, duplicate: true }
+ * 400 - { error: "...", errors?: [{ path, message }] } (POST /print와 같은 검증 + 라벨 수)
+ * 503 - { error: "라벨 프린터가 설정되지 않았습니다 ..." }
+ *
+ * 라벨 프린터(labels.printer)의 대기열로 보내고, 백업 프린터로 넘기지 않음
+ * 같은 주문/단위를 DEDUPE_WINDOW_MS 안에 다시 보내면 출력하지 않음 (다시 뽑을 때는 reprint: true)
+ */
+app.post('/labels', requirePairing, async (req, res) => {
+  try {
+    const data = req.body;
+    const mode = req.query.mode || config.labels.mode;
+    const printer = config.labels.printer;
+    if (!printer) {
+      return res.status(503).json({ error: '라벨 프린터가 설정되지 않았습니다 (labels.printer / LABEL_PRINTER)' });
+    }
+    if (!LABEL_MODES.includes(mode)) {
+      return res.status(400).json({ error: `알 수 없는 라벨 단위: ${mode} (사용 가능: ${LABEL_MODES.join(', ')})` });
+    }
+    const errors = validatePrintRequest(data);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: describeErrors(errors), errors });
     }
+    const count = countLabels(data, mode);
+    if (count > MAX_LABELS) {
+      return res.status(400).json({ error: `라벨은 한 번에 ${MAX_LABELS}장까지 출력할 수 있습니다 (${count}장 - 봉투 단위(mode=bag)를 확인하세요)` });
+    }
+
+    const key = buildLabelKey(req.get('Idempotency-Key') || data.idempotencyKey || buildIdempotencyKey(data), mode);
+    const duplicate = data.reprint === true ? null : findDuplicateJob(key);
+    if (duplicate) {
+      console.log(`[API /labels] 중복 요청 무시: 주문 ${data.orderId} (작업 ${duplicate.id})`);
+      return res.json({
+        message: '이미 접수된 라벨 요청',
+        jobId: duplicate.id,
+        orderId: data.orderId,
+        status: duplicate.status,
+        duplicate: true
+      });
+    }
+
+    const [job] = enqueueJobs(data, { key, targets: [{ printer, copies: null }], labels: { mode, count } });
+    console.log(`[API /labels] 주문 ${data.orderId} 라벨 ${count}장 (${mode}) → 작업 ${job.id} (${printer})`);
+
+    const status = await getPrinterStatus({ name: printer, maxAgeMs: STATUS_MAX_AGE_MS });
+    res.status(202).json({
+      message: status.ready ? `라벨 출력 대기열 등록 (${count}장)` : `라벨 출력 보류: ${status.reason} - 해결되면 자동 출력`,
+      jobId: job.id,
+      orderId: data.orderId,
+      printer,
+      mode,
+      count,
+      held: status.ready ? undefined : true,
+      reason: status.ready ? undefined : status.reason
+    });
+
+  } catch (error) {
+    console.error('[API /labels] 에러:', error);
+    res.status(500).json({ error: `라벨 출력 실패: ${error.message}` });
+  }
+});
+
+/**
+ * POST /preview - 영수증 미리보기 (출력하지 않음)
+ *
+ * Request Body: POST /print와 동일
+ *
+ * Query:
+ * - format: 'text' (기본) | 'html' | 'png'
+ *
+ * Response:
+ * 200 - text/plain | text/html | image/png
+ * 400 - { error: "...", errors: [{ path, message }] } (POST /print와 같은 검증)
+ * 500 - { error: "미리보기 실패: ..." }
+ *
+ * 처리 흐름:
+ * 1. /print와 같은 검증 후 buildReceipt로 ESC/POS 버퍼 생성 (큐/중복 검사는 거치지 않음)
+ * 2. 버퍼를 해석기(preview.js)로 다시 읽어 요청한 형식으로 렌더링
+ *
+ * text/html은 렌더링 방식과 무관하게 텍스트 모드 버퍼로 만들고,
+ * png는 설정된 렌더링 방식(raster 포함) 그대로 만들어 실제 용지와 같은 폭으로 그림
+ * 재출력(reprint: true)이면 다음 회차 번호로 배너를 표시 (회차는 증가시키지 않음)
+ */
+app.post('/preview', (req, res) => {
+  try {
+    const data = req.body;
+    const format = req.query.format || 'text';
+
+    if (!PREVIEW_FORMATS.includes(format)) {
+      return res.status(400).json({
+        error: `알 수 없는 미리보기 형식: ${format} (사용 가능: ${PREVIEW_FORMATS.join(', ')})`
+      });
+    }
+
+    const errors = validatePrintRequest(data);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: describeErrors(errors), errors });
+    }
+
+    const printer = createPrinter({
+      name: data.printer || undefined,
+      paper: data.paperProfile || undefined,
+      render: format === 'png' ? undefined : 'text'
+    });
+    const reprint = data.reprint === true
+      ? { count: getReprintCount(data.orderId) + 1, requestedAt: new Date().toISOString() }
+      : null;
+    buildReceipts(printer, data, { ...receiptOptions(data), reprint });
+
+    const output = renderPreview(printer.getBuffer(), {
+      format,
+      paper: printer.profile.name,
+      font: format === 'png' ? loadFont(PRINTER_FONT) : undefined
+    });
+
+    if (format === 'png') {
+      res.type('png').send(output);
+    } else if (format === 'html') {
+      res.type('html').send(output);
+    } else {
+      res.type('text/plain; charset=utf-8').send(output);
+    }
+
+  } catch (error) {
+    console.error('[API /preview] 에러:', error);
+    res.status(500).json({
+      error: `미리보기 실패: ${error.message}`
+    });
+  }
+});
+
+/**
+ * GET /schema - 출력 요청 바디의 JSON Schema
+ *
+ * Response:
+ * 200 - application/schema+json (template/printer 목록은 현재 등록된 값)
+ *
+ * 관리자 페이지/백엔드가 보내기 전에 같은 규칙으로 검증할 때 사용
+ * 상품 금액 합계, 단가 정수, 달력에 있는 날짜는 스키마로 표현할 수 없어 서버에서만 검증
+ */
+app.get('/schema', (req, res) => {
+  res.type('application/schema+json').send(JSON.stringify(getPrintRequestSchema(), null, 2));
+});
+
+/**
+ * GET /jobs - 출력 작업 목록 (최신순)
+ *
+ * Query:
+ * - status: 'queued' | 'printing' | 'done' | 'failed' (선택)
+ * - printer: 프린터 이름 (선택)
+ *
+ * Response:
+ * 200 - { jobs: [{ id, orderId, printer, copies, status, attempts, createdAt, updatedAt, nextAttemptAt, error,
+ *          reprint, replayOf, report, command, routeSheet, labels, expiresAt, failover }] }
+ *       (작업 종류 필드 reprint~labels는 해당 작업이 아니면 null/false, /events의 job.* 이벤트도 같은 형태)
+ * 401 - POST /print와 같음 (페어링 사용 시 - 주문 기록은 출력 요청과 같은 권한으로만 조회)
+ */
+app.get('/jobs', requirePairing, (req, res) => {
+  const jobs = listJobs({ status: req.query.status, printer: req.query.printer });
+  res.json({ jobs: jobs.map(toJobSummary) });
+});
+
+/**
+ * GET /jobs/:id - 출력 작업 상태 조회
+ *
+ * Response:
+ * 200 - GET /jobs의 작업 1건과 같은 형태
+ * 401 - POST /print와 같음 (페어링 사용 시)
+ * 404 - { error: "존재하지 않는 작업" }
+ */
+app.get('/jobs/:id', requirePairing, (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    return res.status(404).json({
+      error: '존재하지 않는 작업',
+      jobId: req.params.id
+    });
+  }
+  res.json(toJobSummary(job));
+});
 
-    // 영수증 ESC/POS 명령 생성
-    buildReceipt(printer, data);
+/**
+ * GET /history - 출력 기록 검색 (최신순)
+ *
+ * Query (모두 선택):
+ * - from, to: 날짜 YYYY-MM-DD (완료 시각 기준, 포함)
+ * - orderId: 주문 번호
+ * - buyer: 주문자 이름 (부분 일치)
+ * - phone: 전화번호 끝자리 (예: 5678)
+ * - status: 'printed' | 'failed'
+ * - printer: 프린터 이름
+ * - limit: 최대 건수 (기본 100, 최대 1000)
+ *
+ * Response:
+ * 200 - { entries: [{ id, orderId, printer, copies, status, error, attempts, createdAt, finishedAt,
+ *                     reprint, replayOf, report, command, failover, bytesHash, bytesLength, buyerName, phone, purged? }] }
+ * 400 - { error: "날짜 형식 오류: ..." } / { error: "limit 오류: ..." } (1 이상의 정수가 아님)
+ * 401 - POST /print와 같음 (페어링 사용 시 - 이름/전화번호가 들어 있음)
+ *
+ * 보관 기간(journalRetentionDays)이 지난 기록은 buyerName/phone이 null이고 purged: true
+ */
+app.get('/history', requirePairing, (req, res) => {
+  const { from, to, orderId, buyer, phone, status, printer, limit = '100' } = req.query;
+  const invalidDate = [from, to].find(date => date !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(date));
+  if (invalidDate !== undefined) {
+    return res.status(400).json({ error: `날짜 형식 오류: ${invalidDate} (YYYY-MM-DD)` });
+  }
+  if (!/^\d+$/.test(limit) || Number(limit) < 1) {
+    return res.status(400).json({ error: `limit 오류: ${limit} (1 이상의 정수)` });
+  }
+  const entries = searchHistory({ from, to, orderId, buyer, phone, status, printer, limit: Math.min(Number(limit), 1000) });
+  res.json({ entries: entries.map(toHistorySummary) });
+});
+
+/**
+ * GET /history/:id - 출력 기록 1건 (요청 바디 포함)
+ *
+ * Response:
+ * 200 - { id, ..., data }
+ * 401 - POST /print와 같음 (페어링 사용 시 - 요청 바디의 이름/전화번호/주소가 들어 있음)
+ * 404 - { error: "존재하지 않는 출력 기록" }
+ */
+app.get('/history/:id', requirePairing, (req, res) => {
+  const entry = getHistoryEntry(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: '존재하지 않는 출력 기록', id: req.params.id });
+  }
+  res.json(entry);
+});
+
+/**
+ * POST /history/:id/reprint - 기록된 영수증을 그대로 다시 출력
+ *
+ * Request Body (선택): { printer?: string } - 생략 시 원래 출력한 프린터
+ *
+ * Response:
+ * 202 - { message: "재출력 대기열 등록", jobId, orderId, printer, replayOf }
+ * 400 - { error: "알 수 없는 프린터: ..." } / 라벨 기록을 영수증 프린터로 (또는 반대로) 보내는 경우
+ * 404 - { error: "존재하지 않는 출력 기록" }
+ * 409 - { error: "출력 내용이 없는 기록입니다 ..." } (출력 전에 실패한 작업, 금전함/부저 명령)
+ * 410 - { error: "개인정보 보관 기간이 지나 재출력할 수 없습니다" }
+ *
+ * 당시 프린터로 보낸 바이트를 그대로 보냄 (템플릿/설정이 바뀌어도 원본과 같은 영수증, 재출력 배너 없음)
+ * 새 주문 내용으로 다시 만들어야 하면 POST /print에 reprint: true
+ * 작업 종류(labels/report/routeSheet)도 그대로 옮김 - 라벨(TSPL/ZPL) 바이트가 백업 영수증 프린터로 넘어가지 않도록
+ */
+app.post('/history/:id/reprint', requirePairing, (req, res) => {
+  const entry = getHistoryEntry(req.params.id);
+  if (!entry) {
+    return res.status(404).json({ error: '존재하지 않는 출력 기록', id: req.params.id });
+  }
+  if (entry.purged) {
+    return res.status(410).json({ error: '개인정보 보관 기간이 지나 재출력할 수 없습니다', id: entry.id });
+  }
+  if (entry.command) {
+    return res.status(409).json({ error: '금전함/부저 명령은 재출력할 수 없습니다 (POST /drawer, POST /beep)', id: entry.id });
+  }
+  if (!readReceiptBytes(entry.id)) {
+    return res.status(409).json({ error: '출력 내용이 없는 기록입니다 (영수증을 만들기 전에 실패한 작업)', id: entry.id });
+  }
+
+  const printer = (req.body && req.body.printer) || entry.printer;
+  const printerProblem = describePrinterProblem(printer, entry.labels ? 'label' : 'receipt');
+  if (printerProblem) {
+    return res.status(400).json({ error: printerProblem, id: entry.id });
+  }
+
+  const [job] = enqueueJobs(entry.data, {
+    targets: [{ printer, copies: entry.copies }],
+    replayOf: entry.id,
+    report: entry.report,
+    routeSheet: entry.routeSheet,
+    labels: entry.labels
+  });
+  console.log(`[API /history] 기록 재출력: ${entry.id} → 작업 ${job.id} (주문 ${entry.orderId})`);
+  res.status(202).json({
+    message: '재출력 대기열 등록',
+    jobId: job.id,
+    orderId: entry.orderId,
+    printer,
+    replayOf: entry.id
+  });
+});
+
+/**
+ * 마감 집계표 출력 작업 등록
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} printer - 프린터 이름
+ * @returns {Object} 등록된 작업
+ */
+function enqueueDailyReport(date, printer) {
+  const [job] = enqueueJobs({}, { targets: [{ printer, copies: null }], report: date });
+  return job;
+}
+
+/**
+ * GET /reports/daily - 마감 집계 조회 / CSV 다운로드
+ *
+ * Query (모두 선택):
+ * - date: YYYY-MM-DD (기본 오늘, 출력 완료 날짜 기준)
+ * - format: 'json' | 'csv' (기본 json)
+ *
+ * Response:
+ * 200 - { date, generatedAt, orderCount, purgedCount, totalProductAmount, totalDeliveryFee, totalDiscount, totalAmount,
+ *         totalSupplyAmount, totalVat, totalTaxFreeAmount, immediateCount, scheduledCount, pickupCount, distance: [{ label, count }],
+ *         products: [{ productName, quantity, amount }], hourly: [{ hour, count }] }
+ * 200 - text/csv (format=csv, 첨부 파일 daily-report-YYYY-MM-DD.csv)
+ * 400 - { error: "날짜 형식 오류: ..." }
+ * 401 - POST /print와 같음 (페어링 사용 시 - 매출 자료)
+ */
+app.get('/reports/daily', requirePairing, (req, res) => {
+  const { date = localDate(new Date()), format = 'json' } = req.query;
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: `날짜 형식 오류: ${date} (YYYY-MM-DD)` });
+  }
+  if (format !== 'json' && format !== 'csv') {
+    return res.status(400).json({ error: `알 수 없는 형식: ${format} (사용 가능: json, csv)` });
+  }
+
+  const report = createDailyReport(date);
+  if (format === 'csv') {
+    return res
+      .type('text/csv; charset=utf-8')
+      .attachment(`daily-report-${date}.csv`)
+      .send(toCsv(report));
+  }
+  res.json(report);
+});
+
+/**
+ * POST /reports/daily - 마감 집계표 출력
+ *
+ * Request Body (선택): { date?: 'YYYY-MM-DD', printer?: string } - 생략 시 오늘, report.printer 설정
+ *
+ * Response:
+ * 202 - { message: "집계표 출력 대기열 등록", jobId, date, printer, report }
+ * 400 - { error: "날짜 형식 오류: ..." } / { error: "알 수 없는 프린터: ..." }
+ *
+ * report는 등록 시점의 집계 (출력물은 출력 시점에 다시 집계)
+ */
+app.post('/reports/daily', requirePairing, (req, res) => {
+  const { date = localDate(new Date()), printer = config.report.printer } = req.body || {};
+  if (typeof date !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(date)) {
+    return res.status(400).json({ error: `날짜 형식 오류: ${date} (YYYY-MM-DD)` });
+  }
+  const printerProblem = describePrinterProblem(printer);
+  if (printerProblem) {
+    return res.status(400).json({ error: printerProblem });
+  }
+
+  const job = enqueueDailyReport(date, printer);
+  console.log(`[API /reports/daily] ${date} 집계표 출력 → 작업 ${job.id} (${printer})`);
+  res.status(202).json({
+    message: '집계표 출력 대기열 등록',
+    jobId: job.id,
+    date,
+    printer,
+    report: createDailyReport(date)
+  });
+});
+
+/**
+ * 명령 작업 등록 응답 (프린터가 출력 불가면 보류 사유 포함)
+ */
+async function respondCommand(res, job, message) {
+  const status = await getPrinterStatus({ name: job.printer, maxAgeMs: STATUS_MAX_AGE_MS });
+  res.status(202).json({
+    message: status.ready ? message : `${message} 보류: ${status.reason} - ${COMMAND_TTL_SECONDS}초 안에 해결되지 않으면 취소`,
+    jobId: job.id,
+    printer: job.printer,
+    command: job.command,
+    held: status.ready ? undefined : true,
+    reason: status.ready ? undefined : status.reason
+  });
+}
+
+/**
+ * POST /drawer - 금전함 열기
+ *
+ * Request Body (선택): { printer?: string, pin?: 2 | 5, pulseMs?: number } - 생략 시 drawer.* 설정
+ *
+ * Response:
+ * 202 - { message: "금전함 열기 요청", jobId, printer, command, held?, reason? }
+ * 400 - { error: "..." }
+ *
+ * 영수증과 같은 프린터 큐로 보내 출력 도중에 끼어들지 않음 (결과는 job.printed / job.failed 이벤트)
+ * 재시도하지 않고, 프린터가 출력 불가 상태로 유효 시간이 지나면 열지 않음
+ */
+app.post('/drawer', requirePairing, async (req, res) => {
+  const { printer = config.drawer.printer, pin = config.drawer.pin, pulseMs = config.drawer.pulseMs } = req.body || {};
+  const printerProblem = describePrinterProblem(printer);
+  if (printerProblem) {
+    return res.status(400).json({ error: printerProblem });
+  }
+  if (!DRAWER_PINS.includes(pin)) {
+    return res.status(400).json({ error: `금전함 핀은 ${DRAWER_PINS.join(' 또는 ')}입니다: ${pin}` });
+  }
+  if (!Number.isInteger(pulseMs) || pulseMs < 2 || pulseMs > 510) {
+    return res.status(400).json({ error: `펄스 길이는 2-510 ms 정수여야 합니다: ${pulseMs}` });
+  }
+
+  const job = enqueueCommand(printer, drawerCommand({ pin, pulseMs }));
+  console.log(`[API /drawer] ${describeCommand(job.command)} → 작업 ${job.id} (${printer})`);
+  await respondCommand(res, job, '금전함 열기 요청');
+});
+
+/**
+ * POST /beep - 부저 울리기
+ *
+ * Request Body (선택): { pattern?: 'short' | 'double' | 'triple' | 'long' | 'alert', printer?: string }
+ *   - 생략 시 short, buzzer.printer
+ *
+ * Response:
+ * 202 - { message: "부저 요청", jobId, printer, command, held?, reason? }
+ * 400 - { error: "..." }
+ */
+app.post('/beep', requirePairing, async (req, res) => {
+  const { pattern = 'short', printer = config.buzzer.printer } = req.body || {};
+  if (!BEEP_PATTERN_NAMES.includes(pattern)) {
+    return res.status(400).json({ error: `알 수 없는 부저 패턴: ${pattern} (사용 가능: ${BEEP_PATTERN_NAMES.join(', ')})` });
+  }
+  const printerProblem = describePrinterProblem(printer);
+  if (printerProblem) {
+    return res.status(400).json({ error: printerProblem });
+  }
+
+  const job = enqueueCommand(printer, beepCommand(pattern));
+  console.log(`[API /beep] ${describeCommand(job.command)} → 작업 ${job.id} (${printer})`);
+  await respondCommand(res, job, '부저 요청');
+});
 
-    // 프린터 출력 실행
-    await printReceipt(printer);
+/**
+ * GET /printers - 이 PC에 설치된 프린터 목록
+ *
+ * Response:
+ * 200 - {
+ *   printers: [{ name, port, driver, isDefault, online, selected }],
+ *   transport: 'windows' | 'cups',   // 목록의 프린터를 선택하면 쓰게 될 전송 방식
+ *   current: { transport, name, match }, // 현재 설정 (기본 프린터)
+ *   configured: [{ name, kind, transport, paper, backup }], // 브릿지에 등록된 프린터 (기본 + printers, kind: receipt | label)
+ *   configFile: string                // 선택 결과가 저장될 설정 파일
+ * }
+ * 500 - { error: "프린터 목록 조회 실패: ..." }
+ *
+ * 매장 직원이 목록에서 프린터를 골라 PUT /printers/selected로 저장
+ * 응답 전에 연결이 끊기면 조회 취소 (Windows 조회 도우미를 다른 조회가 쓸 수 있도록)
+ */
+app.get('/printers', async (req, res) => {
+  const controller = new AbortController();
+  res.on('close', () => controller.abort());
+  try {
+    const { transport, printers } = await listInstalledPrinters({ timeoutMs: config.printer.timeoutMs, signal: controller.signal });
+    const { printer } = config;
+    const current = printer.transport === transport ? printer.name : null;
 
-    // 성공 응답
     res.json({
-      message: '영수증 출력 완료',
-      orderId: data.orderId
+      printers: printers.map(item => ({ ...item, selected: item.name === current })),
+      transport,
+      current: { transport: printer.transport, name: printer.name || null, match: printer.match || null },
+      configured: listPrinters().map(item => ({ ...item, backup: getBackup(item.name) || undefined })),
+      configFile: loaded.file || DEFAULT_CONFIG_FILE
     });
+  } catch (error) {
+    if (controller.signal.aborted) return;
+    console.error('[API /printers] 에러:', error);
+    res.status(500).json({
+      error: `프린터 목록 조회 실패: ${error.message}`
+    });
+  }
+});
+
+/**
+ * PUT /printers/selected - 출력할 프린터 선택 및 설정 파일 저장
+ *
+ * Request Body: { name: string } - GET /printers 목록의 프린터 이름
+ *
+ * Response:
+ * 200 - { message: "프린터 선택 저장", name, transport, configFile, overriddenBy? }
+ * 400 - { error: "목록에 없는 프린터: ..." }
+ * 500 - { error: "프린터 선택 실패: ..." }
+ *
+ * 기본 프린터(printer.*)만 변경 - 추가 프린터는 설정 파일 printers에서 지정
+ * 저장 후 바로 적용 (재시작 불필요)
+ * 같은 항목을 환경변수/명령줄로 지정한 경우 재시작 후에는 그 값이 우선하므로 overriddenBy로 알려줌
+ */
+app.put('/printers/selected', requirePairing, async (req, res) => {
+  try {
+    const name = req.body && req.body.name;
+    if (typeof name !== 'string' || name === '') {
+      return res.status(400).json({ error: 'name(프린터 이름)이 필요합니다' });
+    }
+
+    const { transport, printers } = await listInstalledPrinters({ timeoutMs: config.printer.timeoutMs });
+    if (!printers.some(item => item.name === name)) {
+      return res.status(400).json({
+        error: `목록에 없는 프린터: ${name}`,
+        printers: printers.map(item => item.name)
+      });
+    }
+
+    const file = loaded.file || DEFAULT_CONFIG_FILE;
+    updateConfigFile(file, { 'printer.transport': transport, 'printer.name': name });
+    config.printer.transport = transport;
+    config.printer.name = name;
+    configurePrinter({ transport: transportConfig() });
+    console.log(`[Config] 프린터 선택 저장: ${name} (${file})`);
 
+    const overriddenBy = ['printer.transport', 'printer.name']
+      .map(key => loaded.sources[key])
+      .filter(source => source && !source.startsWith('설정 파일'));
+    publish('config.changed', {
+      keys: ['printer.transport', 'printer.name'],
+      printer: { transport, name },
+      configFile: file
+    });
+
+    res.json({
+      message: '프린터 선택 저장',
+      name,
+      transport,
+      configFile: file,
+      overriddenBy: overriddenBy.length > 0 ? overriddenBy : undefined
+    });
   } catch (error) {
-    console.error('[API /print] 에러:', error);
+    console.error('[API /printers/selected] 에러:', error);
+    res.status(500).json({
+      error: `프린터 선택 실패: ${error.message}`
+    });
+  }
+});
 
-    // 에러 상세 정보 반환 (개발/디버깅용)
-    // 운영 환경에서는 민감 정보 노출 주의
+/**
+ * GET /events - 실시간 이벤트 (Server-Sent Events)
+ *
+ * Response: text/event-stream (연결 유지)
+ * - 연결 직후 프린터마다 printer.status (현재 상태)
+ * - printer.status: 프린터 상태 변화 { printer, online, ready, reason, warnings, hardware, checkedAt }
+ * - job.queued | job.printing | job.printed | job.retrying | job.failed | job.failover: 작업 요약 (GET /jobs/:id와 같은 형식)
+ * - config.changed: { keys, ... } (예: PUT /printers/selected)
+ * - heartbeat: { at } (15초마다)
+ *
+ * 사용 예 (브라우저):
+ * const events = new EventSource('http://127.0.0.1:18181/events');
+ * events.addEventListener('job.failed', e => toast(JSON.parse(e.data).error));
+ *
+ * 재연결 시 브라우저가 Last-Event-ID를 보내면 끊긴 동안의 이벤트를 이어서 받음
+ */
+app.get('/events', async (req, res) => {
+  try {
+    const names = listPrinters().map(item => item.name);
+    const statuses = await Promise.all(names.map(name => getPrinterStatus({ name, maxAgeMs: STATUS_MAX_AGE_MS })));
+    subscribe(req, res, names.map((name, i) => ({
+      type: 'printer.status',
+      data: { printer: name, ...statuses[i] }
+    })));
+  } catch (error) {
+    console.error('[API /events] 에러:', error);
     res.status(500).json({
-      error: `출력 실패: ${error.message}`,
-      details: process.env.NODE_ENV === 'development' ? error.stack : undefined
+      error: `이벤트 연결 실패: ${error.message}`
     });
   }
 });
 
+/**
+ * GET /pair - 페어링 상태
+ *
+ * Response:
+ * 200 - { required: boolean, paired: boolean }
+ *
+ * 관리자 페이지가 저장된 토큰을 Authorization 헤더로 보내 유효한지 확인 (paired: false면 페어링 화면)
+ */
+app.get('/pair', (req, res) => {
+  res.json(getPairingState(req));
+});
+
+/**
+ * POST /pair/start - 페어링 시작 (브릿지 콘솔에 6자리 확인 코드 표시)
+ *
+ * Response:
+ * 200 - { pairingId, expiresAt }
+ */
+app.post('/pair/start', (req, res) => {
+  res.json(startPairing(req.get('Origin')));
+});
+
+/**
+ * POST /pair/confirm - 확인 코드 검증 후 토큰 발급
+ *
+ * Request Body: { pairingId: string, code: string }
+ *
+ * Response:
+ * 200 - { token } - 관리자 페이지가 저장해 두고 출력 요청마다 Authorization: Bearer <token>
+ * 400 - { error: "확인 코드가 일치하지 않습니다" }
+ */
+app.post('/pair/confirm', (req, res) => {
+  const { pairingId, code } = req.body || {};
+  const result = confirmPairing(pairingId, code, req.get('Origin'));
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ token: result.token });
+});
+
+/**
+ * 출력 작업 1건 처리 (큐 워커에서 호출)
+ *
+ * 이전 실패로 버퍼에 남은 명령이 있을 수 있으므로 매번 비우고 새로 생성
+ * 실패 시 throw → 큐가 백오프 후 재시도
+ *
+ * @param {Object} job - 큐 작업 ({ id, data, printer, copies, ... })
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - 큐 종료 시 전송 취소
+ */
+async function processPrintJob(job, { signal } = {}) {
+  // 건별 용지 프로필이 있으면 해당 폭으로 별도 버퍼 생성
+  const printer = job.data.paperProfile
+    ? createPrinter({ name: job.printer, paper: job.data.paperProfile })
+    : initPrinter(job.printer);
+  printer.clear();
+
+  if (job.replayOf) {
+    // 기록 재출력 - 당시 바이트 그대로
+    const bytes = readReceiptBytes(job.replayOf);
+    if (!bytes) throw new Error(`출력 기록의 영수증 내용이 없습니다: ${job.replayOf}`);
+    printer.replaceBuffer(bytes);
+  } else if (job.command) {
+    // 금전함/부저 - 명령만 (영수증 없음)
+    appendCommand(printer, job.command);
+  } else if (job.report) {
+    // 마감 집계표 - 출력 시점에 집계 (재시도 중에 들어온 주문도 포함)
+    printDailyReport(printer, createDailyReport(job.report));
+  } else if (job.routeSheet) {
+    // 배달 경로표 - 등록 시점에 만든 내용 (job.data)
+    printRouteSheet(printer, job.data);
+  } else if (job.labels) {
+    // 라벨 - TSPL/ZPL 명령으로 버퍼를 통째로 교체 (ESC/POS 초기화 명령 없이)
+    printer.replaceBuffer(buildLabelCommands(planLabels(job.data, job.labels.mode), config.labels));
+  } else {
+    const options = receiptOptions(job.data);
+    buildReceipts(printer, job.data, { ...options, copies: job.copies || options.copies, reprint: job.reprint });
+  }
+
+  // 출력 기록용 바이트 저장 (재출력, 내용 확인)
+  job.render = saveReceiptBytes(job.id, printer.getBuffer());
+  await printReceipt(printer, { signal });
+}
+
 /**
  * GET /health - 프린터 상태 확인
  *
  * Response:
- * 200 - { status: "connected", message: "프린터 정상" }
- * 503 - { status: "disconnected", message: "프린터 연결 안 됨" }
+ * 200 - { status: "connected", message: "프린터 정상", printer: PrinterStatus }
+ * 503 - { status: "not_ready", message: "용지 없음", printer: PrinterStatus }
+ * 503 - { status: "disconnected", message: "프린터 연결 안 됨", printer: PrinterStatus }
+ *
+ * status/printer는 기본 프린터 기준, 추가 프린터가 있으면 printers: { 이름: PrinterStatus }
+ * pull 모드가 켜져 있으면 pull: { mode, url, connected, cursor, lastSuccessAt, lastError, pendingAcks }
+ * (추가 프린터가 출력 불가면 message에 함께 표시, 상태 코드는 기본 프린터 기준)
+ *
+ * printer.hardware (응답 채널이 있는 전송 방식만, 모르는 항목은 null):
+ * { online, paper: 'ok' | 'nearEnd' | 'out', coverOpen, cutterError, unrecoverableError, recoverableError, drawerOpen }
  *
  * 용도:
  * - 프론트엔드에서 출력 버튼 활성화/비활성화 판단
@@ -166,17 +1234,33 @@ app.post('/print', async (req, res) => {
  */
 app.get('/health', async (req, res) => {
   try {
-    const isConnected = await checkPrinterStatus();
+    const names = listPrinters().map(item => item.name);
+    const statuses = await Promise.all(names.map(name => getPrinterStatus({ name })));
+    const printer = statuses[names.indexOf(DEFAULT_PRINTER)];
+    const others = names.length > 1
+      ? Object.fromEntries(names.map((name, i) => [name, statuses[i]]))
+      : undefined;
+    const otherProblems = names
+      .map((name, i) => [name, statuses[i]])
+      .filter(([name, status]) => name !== DEFAULT_PRINTER && !status.ready)
+      .map(([name, status]) => `${name}: ${status.online ? status.reason : '연결 안 됨'}`);
+    const suffix = otherProblems.length > 0 ? ` / ${otherProblems.join(', ')}` : '';
 
-    if (isConnected) {
+    if (printer.ready) {
       res.json({
         status: 'connected',
-        message: '프린터 정상'
+        message: (printer.warnings.length > 0 ? `프린터 정상 (${printer.warnings.join(', ')})` : '프린터 정상') + suffix,
+        printer,
+        printers: others,
+        pull: getPullStatus() || undefined
       });
     } else {
       res.status(503).json({
-        status: 'disconnected',
-        message: '프린터 연결 안 됨'
+        status: printer.online ? 'not_ready' : 'disconnected',
+        message: (printer.online ? printer.reason : '프린터 연결 안 됨') + suffix,
+        printer,
+        printers: others,
+        pull: getPullStatus() || undefined
       });
     }
   } catch (error) {
@@ -225,11 +1309,107 @@ const server = app.listen(PORT, () => {
   console.log(`   헬스체크: http://localhost:${PORT}/health`);
   console.log(`   출력 API: http://localhost:${PORT}/print\n`);
 
+  if (loaded.file) {
+    console.log(`[Config] ${loaded.file}`);
+  }
+
+  configurePrinter({
+    transport: transportConfig(),
+    encoding: config.printer.encoding,
+    render: config.printer.render,
+    fontPath: PRINTER_FONT,
+    paper: config.printer.paper,
+    qr: config.printer.qrMode,
+    kind: printerKind(DEFAULT_PRINTER)
+  });
+
+  // 추가 프린터 (출력 방식은 설정 로드 시 기본 프린터 값으로 채워짐)
+  for (const [name, printer] of Object.entries(config.printers)) {
+    configurePrinter({
+      name,
+      transport: transportConfig(printer),
+      encoding: printer.encoding,
+      render: printer.render,
+      fontPath: printer.font,
+      paper: printer.paper,
+      qr: printer.qrMode,
+      kind: printerKind(name)
+    });
+  }
+  configureRouting({
+    rules: config.routes,
+    backups: Object.fromEntries(
+      [[DEFAULT_PRINTER, config.printer], ...Object.entries(config.printers)]
+        .filter(([, printer]) => printer.backup)
+        .map(([name, printer]) => [name, printer.backup])
+    ),
+    defaultPrinter: DEFAULT_PRINTER
+  });
+
+  // 매장별 영수증 템플릿 등록 (잘못된 템플릿은 첫 출력이 아니라 시작 시점에 실패)
+  const templates = loadTemplates(TEMPLATE_DIR);
+  if (templates.length > 0) {
+    console.log(`[Template] ${TEMPLATE_DIR}: ${templates.join(', ')}`);
+  }
+
+  // 출력 기록 (큐보다 먼저 - 복원된 작업의 완료도 기록)
+  initJournal({
+    dir: join(DATA_DIR, 'journal'),
+    retentionDays: config.journalRetentionDays,
+    getJob
+  });
+
+  // 출력 작업 큐 시작 (이전 실행에서 남은 작업 이어서 출력)
+  initQueue({
+    dir: DATA_DIR,
+    handler: processPrintJob,
+    isReady: checkPrinterStatus,
+    getBackup,
+    printers: listPrinters().map(item => item.name),
+    defaultPrinter: DEFAULT_PRINTER,
+    dedupeWindowMs: DEDUPE_WINDOW_MS,
+    commandTtlMs: COMMAND_TTL_SECONDS * 1000,
+    retentionDays: config.journalRetentionDays
+  });
+
+  // 백엔드에서 결제된 주문 가져오기 (관리자 페이지가 닫혀 있어도 출력)
+  if (config.pull.enabled) {
+    initPull({
+      ...config.pull,
+      dir: DATA_DIR,
+      accept: order => acceptPrintRequest(order),
+      getJob,
+      getHistory: getHistoryEntry
+    });
+  }
+
+  // 마감 시각 집계표 자동 출력
+  if (config.report.closingTime) {
+    scheduleDailyReport({
+      closingTime: config.report.closingTime,
+      run: date => {
+        const job = enqueueDailyReport(date, config.report.printer);
+        console.log(`[Report] ${date} 마감 집계표 자동 출력 → 작업 ${job.id} (${config.report.printer})`);
+      }
+    });
+    console.log(`[Report] 매일 ${config.report.closingTime} 마감 집계표 자동 출력 (${config.report.printer})`);
+  }
+
+  // 이벤트 스트림이 연결된 동안 프린터 상태 감시 (바뀌면 printer.status 발행)
+  statusWatchTimer = setInterval(() => {
+    if (countSubscribers() === 0) return;
+    for (const { name } of listPrinters()) {
+      getPrinterStatus({ name, maxAgeMs: STATUS_MAX_AGE_MS }).catch(() => {});
+    }
+  }, STATUS_WATCH_MS);
+
   // 초기 프린터 연결 확인 (비차단)
-  checkPrinterStatus()
-    .then(isConnected => {
-      if (isConnected) {
+  getPrinterStatus()
+    .then(printer => {
+      if (printer.ready) {
         console.log('✅ 프린터 연결 확인됨');
+      } else if (printer.online) {
+        console.log(`⚠️  프린터 출력 불가: ${printer.reason}`);
       } else {
         console.log('⚠️  프린터 연결 안 됨 - USB 케이블 확인');
       }
@@ -243,8 +1423,10 @@ const server = app.listen(PORT, () => {
  * Graceful Shutdown 핸들러
  *
  * SIGTERM/SIGINT (Ctrl+C) 신호 수신 시:
- * 1. HTTP 서버 종료 (새 요청 거부)
- * 2. 진행 중인 요청 완료 대기
+ * 1. HTTP 서버 종료 (새 요청 거부, 이벤트 스트림 연결 종료)
+ * 2. 진행 중인 요청 및 출력 중인 작업 완료 대기 (대기 작업은 다음 실행 시 출력)
+ *    - 출력/상태 확인이 3초(큐 stopGraceMs) 안에 끝나지 않으면 취소 - Windows 도우미가 멈춰 있어도
+ *      강제 종료 타임아웃까지 기다리지 않고, 취소된 작업은 다음 실행 시 다시 출력
  * 3. 프린터 연결 해제
  * 4. 프로세스 종료
  *
@@ -255,8 +1437,13 @@ process.on('SIGINT', shutdown);
 
 function shutdown() {
   console.log('\n서버 종료 중...');
-  server.close(() => {
+  const queueStopped = Promise.all([stopPull(), stopQueue()]).then(stopJournal);
+  clearInterval(statusWatchTimer);
+  stopDailyReport();
+  closeEvents();
+  server.close(async () => {
     console.log('HTTP 서버 종료됨');
+    await queueStopped;
     closePrinter();
     process.exit(0);
   });
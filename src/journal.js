@@ -0,0 +1,283 @@
+import { readFileSync, writeFileSync, appendFileSync, renameSync, existsSync, mkdirSync, readdirSync, unlinkSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+import { addListener } from './events.js';
+
+/**
+ * 출력 기록 (로컬 저널)
+ *
+ * 배경:
+ * - printReceipt 이후 아무것도 남지 않아 "123번 주문 영수증을 못 받았다"는 배달기사 문의에
+ *   출력 여부/시각/내용을 확인할 수 없었음
+ *
+ * 기술적 결정:
+ * 1. 날짜별 JSONL 파일 (data/journal/YYYY-MM-DD.jsonl) - 추가만 하고 수정하지 않음
+ *    - SQLite는 네이티브 모듈이라 .exe 번들이 어려워 사용하지 않음
+ *    - 날짜로 파일이 나뉘어 기간 검색 시 해당 날짜 파일만 읽음
+ * 2. 작업이 끝날 때(job.printed / job.failed 이벤트) 1줄 기록 - 요청 바디, 프린터, 결과, 오류, 시각
+ * 3. 프린터로 보낸 바이트는 receipts/<작업 ID>.bin에 따로 저장하고 기록에는 SHA-256만
+ *    - 재출력은 저장된 바이트를 그대로 보냄 (템플릿/설정이 바뀌어도 원본과 같은 영수증)
+ * 4. 보관 기간(retentionDays)이 지난 날짜는 개인정보(요청 바디, 이름, 전화번호, 바이트 파일)를 지우고
+ *    결과/해시만 남김 - 지운 파일은 YYYY-MM-DD.purged.jsonl로 이름을 바꿔 다시 읽지 않음
+ */
+
+const RECEIPTS_DIR = 'receipts';
+const PURGE_CHECK_MS = 60 * 60 * 1000;  // 보관 기간 확인 주기 (1시간)
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})(\.purged)?\.jsonl$/;
+
+let journalDir = null;
+let retentionDays = 30;
+let lookupJob = null;
+let index = new Map();       // 기록 ID → 파일 이름 (재출력 시 검색 없이 찾기)
+let removeListener = null;
+let purgeTimer = null;
+
+/**
+ * 저널 초기화 (서버 시작 시 1회)
+ *
+ * @param {Object} config
+ * @param {string} config.dir - 저장 디렉토리 (data/journal)
+ * @param {number} config.retentionDays - 개인정보 보관 일수
+ * @param {(id: string) => Object|null} config.getJob - 작업 조회 (이벤트에는 요청 바디가 없으므로)
+ */
+export function initJournal({ dir, retentionDays: days, getJob }) {
+  journalDir = dir;
+  retentionDays = days;
+  lookupJob = getJob;
+  mkdirSync(join(dir, RECEIPTS_DIR), { recursive: true });
+
+  index = new Map();
+  for (const file of listFiles()) {
+    for (const entry of readEntries(file)) {
+      index.set(entry.id, file);
+    }
+  }
+
+  purgeExpired();
+  purgeTimer = setInterval(purgeExpired, PURGE_CHECK_MS);
+  purgeTimer.unref();
+  removeListener = addListener(onJobEvent);
+}
+
+/**
+ * 저널 중지 (서버 종료 시)
+ */
+export function stopJournal() {
+  clearInterval(purgeTimer);
+  if (removeListener) removeListener();
+}
+
+/**
+ * 프린터로 보낼 바이트 저장 (출력 직전, 큐 워커에서 호출)
+ *
+ * 재시도하면 마지막 시도의 바이트로 덮어씀
+ *
+ * @param {string} id - 작업 ID
+ * @param {Buffer} bytes
+ * @returns {{ hash: string, length: number }} job.render로 저장해 두면 완료 기록에 포함
+ */
+export function saveReceiptBytes(id, bytes) {
+  writeFileSync(join(journalDir, RECEIPTS_DIR, `${id}.bin`), bytes);
+  return { hash: createHash('sha256').update(bytes).digest('hex'), length: bytes.length };
+}
+
+/**
+ * 저장된 출력 바이트 (보관 기간이 지났거나 출력 전에 실패했으면 null)
+ *
+ * @param {string} id - 기록(작업) ID
+ * @returns {Buffer|null}
+ */
+export function readReceiptBytes(id) {
+  const file = join(journalDir, RECEIPTS_DIR, `${id}.bin`);
+  return existsSync(file) ? readFileSync(file) : null;
+}
+
+/**
+ * 기록 1건 조회
+ *
+ * @param {string} id - 기록(작업) ID
+ * @returns {Object|null}
+ */
+export function getHistoryEntry(id) {
+  const file = index.get(id);
+  if (!file) return null;
+  return readEntries(file).find(entry => entry.id === id) || null;
+}
+
+/**
+ * 기록 검색 (최신순)
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.from] - 시작 날짜 YYYY-MM-DD (포함)
+ * @param {string} [filter.to] - 끝 날짜 YYYY-MM-DD (포함)
+ * @param {string|number} [filter.orderId]
+ * @param {string} [filter.buyer] - 주문자 이름 (부분 일치)
+ * @param {string} [filter.phone] - 전화번호 끝자리 (숫자만 비교)
+ * @param {string} [filter.status] - 'printed' | 'failed'
+ * @param {string} [filter.printer] - 프린터 이름
+ * @param {number} [filter.limit] - 최대 건수
+ * @returns {Object[]}
+ */
+export function searchHistory({ from, to, orderId, buyer, phone, status, printer, limit = 100 } = {}) {
+  const phoneDigits = phone ? String(phone).replace(/\D/g, '') : null;
+  const results = [];
+
+  for (const file of listFiles().reverse()) {
+    const date = FILE_PATTERN.exec(file)[1];
+    if ((from && date < from) || (to && date > to)) continue;
+
+    for (const entry of readEntries(file).reverse()) {
+      if (orderId != null && String(entry.orderId) !== String(orderId)) continue;
+      if (status && entry.status !== status) continue;
+      if (printer && entry.printer !== printer) continue;
+      if (buyer && !(entry.buyerName || '').includes(buyer)) continue;
+      if (phoneDigits && !(entry.phone || '').replace(/\D/g, '').endsWith(phoneDigits)) continue;
+      results.push(entry);
+      if (results.length >= limit) return results;
+    }
+  }
+  return results;
+}
+
+/**
+ * 날짜별 출력된 주문 (마감 집계용)
+ *
+ * 주문당 1건 - 여러 프린터로 나뉜 작업, 재출력, 기록 재출력, 집계표/경로표/라벨/금전함/부저 작업은 제외
+ *
+ * @param {string} date - YYYY-MM-DD (출력 완료 날짜)
+ * @returns {{ orders: Object[], purged: number }} purged: 보관 기간이 지나 내용을 알 수 없는 주문 수
+ */
+export function listPrintedOrders(date) {
+  const seen = new Set();
+  const orders = [];
+  let purged = 0;
+
+  for (const file of listFiles().filter(name => FILE_PATTERN.exec(name)[1] === date)) {
+    for (const entry of readEntries(file)) {
+      if (entry.status !== 'printed' || entry.replayOf || entry.report || entry.routeSheet || entry.labels || entry.command || entry.reprint) continue;
+      if (entry.orderId == null || seen.has(String(entry.orderId))) continue;
+      seen.add(String(entry.orderId));
+      if (entry.purged || !entry.data) purged += 1;
+      else orders.push(entry.data);
+    }
+  }
+  return { orders, purged };
+}
+
+/**
+ * 검색 결과용 요약 (요청 바디 제외)
+ *
+ * @param {Object} entry
+ * @returns {Object}
+ */
+export function toHistorySummary(entry) {
+  const { data, ...summary } = entry;
+  return summary;
+}
+
+/**
+ * 작업 완료/최종 실패 시 기록 추가
+ */
+function onJobEvent(type, summary) {
+  if (type !== 'job.printed' && type !== 'job.failed') return;
+  const job = lookupJob(summary.id);
+  const data = job ? job.data : {};
+  const finishedAt = summary.updatedAt || new Date().toISOString();
+
+  const entry = {
+    id: summary.id,
+    orderId: summary.orderId,
+    printer: summary.printer,
+    copies: summary.copies,
+    status: type === 'job.printed' ? 'printed' : 'failed',
+    error: summary.error,
+    attempts: summary.attempts,
+    createdAt: summary.createdAt,
+    finishedAt,
+    reprint: summary.reprint,
+    replayOf: summary.replayOf || null,
+    report: summary.report || null,
+    command: summary.command || null,
+    routeSheet: summary.routeSheet || false,
+    labels: summary.labels || null,
+    failover: summary.failover,
+    bytesHash: job && job.render ? job.render.hash : null,
+    bytesLength: job && job.render ? job.render.length : null,
+    buyerName: data.buyerName ?? null,
+    phone: data.phone ?? null,
+    data
+  };
+
+  const file = `${localDate(new Date(finishedAt))}.jsonl`;
+  try {
+    appendFileSync(join(journalDir, file), `${JSON.stringify(entry)}\n`, 'utf-8');
+    index.set(entry.id, file);
+  } catch (error) {
+    console.error(`[Journal] 기록 실패: ${entry.id}`, error.message);
+  }
+}
+
+/**
+ * 보관 기간이 지난 날짜 파일의 개인정보 삭제
+ */
+function purgeExpired() {
+  const cutoff = new Date();
+  cutoff.setDate(cutoff.getDate() - retentionDays);
+  const cutoffDate = localDate(cutoff);
+
+  for (const file of listFiles()) {
+    const [, date, purged] = FILE_PATTERN.exec(file);
+    if (purged || date >= cutoffDate) continue;
+
+    const entries = readEntries(file).map(entry => {
+      const bytesFile = join(journalDir, RECEIPTS_DIR, `${entry.id}.bin`);
+      if (existsSync(bytesFile)) unlinkSync(bytesFile);
+      return { ...entry, buyerName: null, phone: null, data: null, purged: true };
+    });
+
+    const purgedFile = `${date}.purged.jsonl`;
+    const tmpFile = join(journalDir, `${purgedFile}.tmp`);
+    writeFileSync(tmpFile, entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), 'utf-8');
+    renameSync(tmpFile, join(journalDir, purgedFile));
+    unlinkSync(join(journalDir, file));
+    for (const entry of entries) {
+      index.set(entry.id, purgedFile);
+    }
+    console.log(`[Journal] ${date} 기록 개인정보 삭제 (${entries.length}건, 보관 ${retentionDays}일 경과)`);
+  }
+}
+
+/**
+ * 날짜순 저널 파일 이름
+ */
+function listFiles() {
+  return readdirSync(journalDir).filter(file => FILE_PATTERN.test(file)).sort();
+}
+
+/**
+ * 파일의 기록 (깨진 줄은 건너뜀 - 기록 도중 종료되면 마지막 줄이 잘릴 수 있음)
+ */
+function readEntries(file) {
+  const lines = readFileSync(join(journalDir, file), 'utf-8').split('\n');
+  const entries = [];
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (error) {
+      console.warn(`[Journal] ${file}: 손상된 줄 건너뜀`);
+    }
+  }
+  return entries;
+}
+
+/**
+ * 로컬 날짜 YYYY-MM-DD (매장 PC 시간대 기준 - 기록 파일 이름과 같은 기준)
+ *
+ * @param {Date} date
+ * @returns {string}
+ */
+export function localDate(date) {
+  const pad = value => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
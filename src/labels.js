@@ -0,0 +1,197 @@
+import { formatOrderLabel, formatScheduledTime, isPickupOrder, splitByWidth } from './receipt.js';
+import { createEncoder } from './encoding.js';
+
+/**
+ * 봉투/선물 상자 라벨 (TSPL / ZPL 라벨 프린터)
+ *
+ * 배경:
+ * - 선물 상자나 봉투가 여러 개인 주문은 주문 코드, 이름, 상품, 몇 번째 봉투인지를 스티커에 손으로 적었음
+ * - 라벨 프린터는 ESC/POS가 아니라 TSPL(TSC 등) / ZPL(Zebra) 명령을 받음
+ *
+ * 기술적 결정:
+ * 1. 출력 단위
+ *    - item: 상품 1개(수량 1)당 1장 - 선물 상자처럼 상품마다 붙이는 경우
+ *    - bag: 봉투(items[].bag, 생략 시 1번)당 1장 - 봉투에 담긴 상품을 한 줄로
+ *    - 라벨마다 "n/m" (전체 m장 중 n번째)
+ * 2. 레이아웃은 설정(labels.*)의 크기/해상도와 항목 목록으로 계산
+ *    - 위에서부터 항목 순서대로 한 줄씩, 주문 코드는 2줄 높이 (멀리서도 보이게)
+ *    - 글자 크기는 줄 높이에 맞춤, 폭을 넘는 내용은 자름 (한글 2폭 기준 추정)
+ * 3. 명령은 ESC/POS 버퍼를 거치지 않고 바이트로 만들어 그대로 전송 (printer.replaceBuffer)
+ *    - TSPL: 내장 한글 글꼴 K (KS X 1001) - EUC-KR로 인코딩 (없는 글자는 □)
+ *    - ZPL: ^CI28(UTF-8) + 프린터에 저장된 한글 TTF (내장 글꼴에는 한글이 없음)
+ */
+
+export const LABEL_LANGUAGES = ['tspl', 'zpl'];
+export const LABEL_MODES = ['item', 'bag'];
+
+/**
+ * 라벨 항목 - code: 주문 코드 (픽업 번호), buyer: 주문자, product: 상품, count: n/m, time: 배달/픽업 시각
+ */
+export const LABEL_FIELDS = ['code', 'buyer', 'product', 'count', 'time'];
+
+/**
+ * 요청 1건의 최대 라벨 수 (수량이 큰 상품을 item 단위로 보내 라벨지를 다 쓰지 않도록)
+ */
+export const MAX_LABELS = 100;
+
+const MARGIN_MM = 2;
+const MIN_ROW_DOTS = 24;     // 한 줄 최소 높이 (TSPL K 글꼴 1배)
+const TSPL_CELL = 24;        // K 글꼴 한글 1자 (dots, 1배) - 영문/숫자는 절반
+const TSPL_ROW_PITCH = 28;   // 줄 간격 포함 1배 높이
+const TSPL_MAX_SCALE = 10;
+const ZPL_FONT_RATIO = 0.85; // 줄 높이 대비 글자 높이
+
+const encoder = createEncoder('euc-kr');
+
+/**
+ * 주문 → 라벨 내용 목록
+ *
+ * @param {Object} data - 주문 데이터 (/print 바디, 검증을 통과한 값)
+ * @param {string} mode - 'item' | 'bag'
+ * @returns {{ code: string, buyer: string, product: string, count: string, time: string }[]}
+ */
+export function planLabels(data, mode) {
+  const groups = mode === 'bag' ? groupByBag(data.items) : unitItems(data.items);
+  const base = {
+    code: data.pickupNumber != null ? String(data.pickupNumber) : formatOrderLabel(data),
+    buyer: data.buyerName,
+    time: labelTime(data)
+  };
+  return groups.map((product, i) => ({ ...base, product, count: `${i + 1}/${groups.length}` }));
+}
+
+/**
+ * 라벨 수 (planLabels 결과 길이 - 요청 검증용)
+ *
+ * @param {Object} data - 주문 데이터
+ * @param {string} mode - 'item' | 'bag'
+ * @returns {number}
+ */
+export function countLabels(data, mode) {
+  if (mode === 'bag') return new Set(data.items.map(item => item.bag ?? 1)).size;
+  return data.items.reduce((total, item) => total + item.quantity, 0);
+}
+
+/**
+ * 레이아웃 설정 확인 (설정 검증용)
+ *
+ * @param {Object} layout - labels.* 설정 ({ heightMm, dpi, fields })
+ * @returns {string|null} 문제 설명 (없으면 null)
+ */
+export function describeLayoutProblem(layout) {
+  const { rowDots } = measure(layout);
+  if (rowDots < MIN_ROW_DOTS) {
+    return `높이 ${layout.heightMm}mm에 항목 ${layout.fields.length}개가 들어가지 않습니다 - 높이를 늘리거나 항목(fields)을 줄이세요`;
+  }
+  return null;
+}
+
+/**
+ * 라벨 출력 명령 생성
+ *
+ * @param {Object[]} labels - planLabels 결과
+ * @param {Object} layout - labels.* 설정
+ * @param {string} layout.language - 'tspl' | 'zpl'
+ * @param {number} layout.widthMm - 라벨 폭
+ * @param {number} layout.heightMm - 라벨 높이
+ * @param {number} layout.gapMm - 라벨 간격 (TSPL)
+ * @param {number} layout.dpi - 프린터 해상도
+ * @param {string[]} layout.fields - 출력할 항목 (LABEL_FIELDS, 위에서부터 순서대로)
+ * @param {string} [layout.font] - TSPL 글꼴 이름 (기본 K) / ZPL TTF 경로 (필수)
+ * @returns {Buffer}
+ */
+export function buildLabelCommands(labels, layout) {
+  return layout.language === 'zpl' ? buildZpl(labels, layout) : buildTspl(labels, layout);
+}
+
+function buildTspl(labels, layout) {
+  const { margin, width, rows } = measure(layout);
+  const font = layout.font || 'K';
+  const lines = [
+    `SIZE ${layout.widthMm} mm,${layout.heightMm} mm`,
+    `GAP ${layout.gapMm} mm,0 mm`,
+    'DIRECTION 1',
+    'REFERENCE 0,0'
+  ];
+  for (const label of labels) {
+    lines.push('CLS');
+    for (const { field, y, height } of rows) {
+      const scale = Math.max(1, Math.min(TSPL_MAX_SCALE, Math.floor(height / TSPL_ROW_PITCH)));
+      const text = truncate(label[field], Math.floor(width / (TSPL_CELL / 2 * scale)));
+      lines.push(`TEXT ${margin},${margin + y},"${font}",0,${scale},${scale},"${text.replace(/"/g, '\\["]')}"`);
+    }
+    lines.push('PRINT 1,1');
+  }
+  return encoder.encode(lines.map(line => `${line}\r\n`).join(''));
+}
+
+function buildZpl(labels, layout) {
+  const { margin, width, rows, dots } = measure(layout);
+  const commands = labels.map(label => {
+    const fields = rows.map(({ field, y, height }) => {
+      const size = Math.floor(height * ZPL_FONT_RATIO);
+      const text = truncate(label[field], Math.floor(width / (size / 2)));
+      return `^FO${margin},${margin + y}^A@N,${size},${size},${layout.font}^FH_^FD${escapeZpl(text)}^FS`;
+    });
+    return ['^XA', '^CI28', `^PW${dots(layout.widthMm)}`, `^LL${dots(layout.heightMm)}`, ...fields, '^XZ'].join('\n');
+  });
+  return Buffer.from(`${commands.join('\n')}\n`, 'utf8');
+}
+
+/**
+ * 크기/해상도 → 인쇄 영역과 항목별 줄 위치 (dots)
+ */
+function measure({ widthMm, heightMm, dpi, fields }) {
+  const dots = mm => Math.round(mm * dpi / 25.4);
+  const margin = dots(MARGIN_MM);
+  const weights = fields.map(field => field === 'code' ? 2 : 1);
+  const rowDots = Math.floor((dots(heightMm) - margin * 2) / weights.reduce((total, weight) => total + weight, 0));
+
+  let y = 0;
+  const rows = fields.map((field, i) => {
+    const row = { field, y, height: rowDots * weights[i] };
+    y += row.height;
+    return row;
+  });
+  return { dots, margin, width: dots(widthMm) - margin * 2, rowDots, rows };
+}
+
+/**
+ * item 단위 - 상품 수량만큼 1장씩
+ */
+function unitItems(items) {
+  return items.flatMap(item => Array.from({ length: item.quantity }, () => item.productName));
+}
+
+/**
+ * bag 단위 - 봉투 번호순, 봉투마다 "상품 x수량" 목록
+ */
+function groupByBag(items) {
+  const bags = new Map();
+  for (const item of items) {
+    const bag = item.bag ?? 1;
+    if (!bags.has(bag)) bags.set(bag, []);
+    bags.get(bag).push(item.quantity > 1 ? `${item.productName} x${item.quantity}` : item.productName);
+  }
+  return [...bags.keys()].sort((a, b) => a - b).map(bag => bags.get(bag).join(', '));
+}
+
+/**
+ * 라벨의 시각 ("픽업 10-19 14:00~15:00", "예약 14:30", "즉시배달")
+ */
+function labelTime(data) {
+  if (isPickupOrder(data)) return `픽업 ${data.pickupDate.slice(5)} ${data.pickupSlot.replace('-', '~')}`;
+  const scheduled = formatScheduledTime(data);
+  return scheduled ? `예약 ${scheduled}` : '즉시배달';
+}
+
+function truncate(text, width) {
+  return splitByWidth(text, width)[0]?.text ?? '';
+}
+
+/**
+ * ^FH_ 16진수 표기 (^, ~는 명령 접두어, _는 16진수 표기 문자)
+ */
+function escapeZpl(text) {
+  return text.replace(/[_^~]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+}
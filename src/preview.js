@@ -0,0 +1,749 @@
+import iconv from 'iconv-lite';
+import { deflateSync } from 'zlib';
+import { renderLine, renderQr, toRasterCommand } from './raster.js';
+import { FONT_CELLS, getProfile } from './profiles.js';
+
+/**
+ * ESC/POS 버퍼 해석기 + 미리보기 렌더러 (텍스트 / HTML / PNG)
+ *
+ * 배경:
+ * - 레이아웃이나 새 필드를 확인하려면 실제로 용지를 뽑아봐야 했음
+ * - buildReceipt가 만든 바이트를 그대로 해석해서 보여주므로
+ *   미리보기와 실제 출력이 다른 경로로 갈라지지 않음
+ * - 같은 해석기로 영수증 골든 파일 테스트 (test/receipt.test.js - 프린터 없이 Linux에서 레이아웃 비교)
+ *
+ * 처리 단계:
+ * 1. interpretEscPos: 바이트 → 블록 목록 (텍스트 줄, 이미지, 절단, QR/바코드)
+ *    - 정렬, 굵게, 반전, 밑줄, 글자 크기, 글꼴(A/B), 코드페이지/2바이트 모드 상태를 추적
+ *    - 문자열은 상태에 맞는 인코딩(CP949, Shift-JIS, UTF-8, PC437)으로 디코딩
+ * 2. layoutBlocks: 용지 폭(도트)에 맞춰 물리적 줄로 나눔
+ *    - 프린터와 같이 폭을 넘는 줄은 다음 줄로 넘어감 (58mm에서 48자 구분선이 두 줄이 되는 것까지 재현)
+ * 3. renderText / renderHtml / renderPng: 물리적 줄 → 결과물
+ *
+ * 인식하지 못하는 명령은 건너뜀 (미리보기 용도이므로 해석 실패로 중단하지 않음)
+ */
+
+export const PREVIEW_FORMATS = ['text', 'html', 'png'];
+
+const LF = 0x0a;
+const HT = 0x09;
+const ESC = 0x1b;
+const GS = 0x1d;
+const FS = 0x1c;
+const DLE = 0x10;
+
+const ALIGNS = ['left', 'center', 'right'];
+
+function initialState() {
+  return {
+    align: 'left',
+    bold: false,
+    invert: false,
+    underline: false,
+    scaleX: 1,
+    scaleY: 1,
+    font: 'A',
+    country: 0,       // ESC R n
+    kanji: false,     // FS & / FS .
+    kanjiSystem: 0,   // FS C n (1 = Shift JIS)
+    utf8: false       // FS ( C fn=48 m=2
+  };
+}
+
+/**
+ * 현재 상태에서 문자 바이트를 해석할 인코딩
+ */
+function decoderFor(state) {
+  if (state.utf8) return 'utf8';
+  if (state.kanji) {
+    return state.country === 8 || state.kanjiSystem === 1 ? 'shift_jis' : 'cp949';
+  }
+  return 'cp437';
+}
+
+function styleOf(state) {
+  const { bold, invert, underline, scaleX, scaleY, font } = state;
+  return { bold, invert, underline, scaleX, scaleY, font, decoder: decoderFor(state) };
+}
+
+function sameStyle(a, b) {
+  return a.bold === b.bold && a.invert === b.invert && a.underline === b.underline
+    && a.scaleX === b.scaleX && a.scaleY === b.scaleY && a.font === b.font && a.decoder === b.decoder;
+}
+
+/**
+ * ESC/POS 바이트 → 블록 목록
+ *
+ * 블록 종류:
+ * - { type: 'text', align, runs: [{ text, bold, invert, underline, scaleX, scaleY, font }], scaleY }
+ *   (LF 1번 = 블록 1개, 빈 줄은 runs가 비어 있음)
+ * - { type: 'image', align, bitmap: { width, height, pixels } } - GS v 0 래스터
+ * - { type: 'feed', dots } - ESC J
+ * - { type: 'cut', partial }
+ * - { type: 'qr', data, cellSize } / { type: 'pdf417', data } / { type: 'barcode', data }
+ * - { type: 'pulse' } - 금전함 열기 (ESC p)
+ *
+ * @param {Buffer} buffer - ESC/POS 명령 버퍼
+ * @returns {Object[]}
+ */
+export function interpretEscPos(buffer) {
+  const blocks = [];
+  let state = initialState();
+  let line = null;
+  let symbolData = {};  // GS ( k 저장 영역 (cn별)
+  let qrCellSize = 3;   // GS ( k fn=67 (프린터 기본값 3)
+
+  const startLine = () => {
+    if (!line) line = { align: state.align, runs: [] };
+    return line;
+  };
+
+  const pushByte = (byte) => {
+    const current = startLine();
+    const style = styleOf(state);
+    const last = current.runs[current.runs.length - 1];
+    if (last && sameStyle(last.style, style)) {
+      last.bytes.push(byte);
+    } else {
+      current.runs.push({ style, bytes: [byte] });
+    }
+  };
+
+  const endLine = () => {
+    const current = line || { align: state.align, runs: [] };
+    const runs = current.runs.map(({ style, bytes }) => {
+      const { decoder, ...rest } = style;
+      return { text: iconv.decode(Buffer.from(bytes), decoder), ...rest };
+    });
+    blocks.push({
+      type: 'text',
+      align: current.align,
+      runs,
+      scaleY: runs.length > 0 ? Math.max(...runs.map(run => run.scaleY)) : state.scaleY
+    });
+    line = null;
+  };
+
+  // 이미지/절단 등은 줄 버퍼에 남은 문자를 먼저 인쇄한 뒤 처리됨
+  const flushLine = () => {
+    if (line && line.runs.length > 0) endLine();
+    line = null;
+  };
+
+  let i = 0;
+  const at = (offset) => buffer[i + offset] ?? 0;
+
+  while (i < buffer.length) {
+    const byte = buffer[i];
+
+    if (byte === LF) {
+      endLine();
+      i += 1;
+    } else if (byte === HT) {
+      pushByte(0x20);
+      i += 1;
+    } else if (byte === 0x0d || byte === 0x0c) {
+      i += 1;
+    } else if (byte === ESC) {
+      const cmd = at(1);
+      const n = at(2);
+      switch (cmd) {
+        case 0x40: // ESC @ 초기화
+          state = initialState();
+          i += 2;
+          break;
+        case 0x61: // ESC a n 정렬
+          state.align = ALIGNS[n & 0x03] || 'left';
+          if (line && line.runs.length === 0) line.align = state.align;
+          i += 3;
+          break;
+        case 0x45: // ESC E n 굵게
+          state.bold = Boolean(n & 0x01);
+          i += 3;
+          break;
+        case 0x2d: // ESC - n 밑줄
+          state.underline = (n & 0x03) !== 0;
+          i += 3;
+          break;
+        case 0x21: // ESC ! n 인쇄 모드 일괄 지정
+          state.font = n & 0x01 ? 'B' : 'A';
+          state.bold = Boolean(n & 0x08);
+          state.scaleY = n & 0x10 ? 2 : 1;
+          state.scaleX = n & 0x20 ? 2 : 1;
+          state.underline = Boolean(n & 0x80);
+          i += 3;
+          break;
+        case 0x4d: // ESC M n 글꼴
+          state.font = (n & 0x01) ? 'B' : 'A';
+          i += 3;
+          break;
+        case 0x52: // ESC R n 국제 문자 세트
+          state.country = n;
+          i += 3;
+          break;
+        case 0x64: // ESC d n n줄 급지
+          flushLine();
+          for (let k = 0; k < n; k++) endLine();
+          i += 3;
+          break;
+        case 0x4a: // ESC J n n도트 급지
+          flushLine();
+          blocks.push({ type: 'feed', dots: n });
+          i += 3;
+          break;
+        case 0x70: // ESC p m t1 t2 금전함
+          blocks.push({ type: 'pulse' });
+          i += 5;
+          break;
+        case 0x42: // ESC B n t 부저
+          i += 4;
+          break;
+        case 0x69: // ESC i 전체 절단 (구형 명령)
+        case 0x6d: // ESC m 부분 절단 (구형 명령)
+          flushLine();
+          blocks.push({ type: 'cut', partial: cmd === 0x6d });
+          i += 2;
+          break;
+        case 0x32: // ESC 2 기본 줄 간격
+        case 0x3c: // ESC <
+          i += 2;
+          break;
+        case 0x24: // ESC $ nL nH 절대 위치
+        case 0x5c: // ESC \ nL nH 상대 위치
+          i += 4;
+          break;
+        case 0x2a: { // ESC * m nL nH d... 비트 이미지 (미리보기에서는 생략)
+          const columns = at(3) + at(4) * 256;
+          i += 5 + columns * (n === 0 || n === 1 ? 1 : 3);
+          break;
+        }
+        case 0x44: { // ESC D n1...nk NUL 탭 위치
+          let end = i + 2;
+          while (end < buffer.length && buffer[end] !== 0) end++;
+          i = end + 1;
+          break;
+        }
+        default: // ESC t, ESC 3, ESC {, ESC G, ESC V 등 파라미터 1개짜리
+          i += 3;
+      }
+    } else if (byte === GS) {
+      const cmd = at(1);
+      const n = at(2);
+      switch (cmd) {
+        case 0x21: // GS ! n 글자 크기 (상위 4비트 가로, 하위 4비트 세로 배율 - 1)
+          state.scaleX = ((n >> 4) & 0x07) + 1;
+          state.scaleY = (n & 0x07) + 1;
+          i += 3;
+          break;
+        case 0x42: // GS B n 반전
+          state.invert = Boolean(n & 0x01);
+          i += 3;
+          break;
+        case 0x56: // GS V m [n] 절단
+          flushLine();
+          blocks.push({ type: 'cut', partial: [0x01, 0x31, 0x42, 0x62].includes(n) });
+          i += n === 0x41 || n === 0x42 || n === 0x61 || n === 0x62 ? 4 : 3;
+          break;
+        case 0x76: { // GS v 0 m xL xH yL yH d... 래스터 이미지
+          const bytesPerRow = at(4) + at(5) * 256;
+          const height = at(6) + at(7) * 256;
+          const data = buffer.subarray(i + 8, i + 8 + bytesPerRow * height);
+          flushLine();
+          blocks.push({ type: 'image', align: state.align, bitmap: unpackBitmap(data, bytesPerRow, height) });
+          i += 8 + bytesPerRow * height;
+          break;
+        }
+        case 0x28: { // GS ( fn pL pH ... 확장 명령
+          const length = at(3) + at(4) * 256;
+          const payload = buffer.subarray(i + 5, i + 5 + length);
+          if (n === 0x6b && payload.length >= 2) {
+            // GS ( k: cn=49 QR, cn=48 PDF417 / fn=80 데이터 저장, fn=81 인쇄
+            const [cn, fn] = payload;
+            if (cn === 0x31 && fn === 0x43) {
+              qrCellSize = payload[2];
+            } else if (fn === 0x50) {
+              symbolData[cn] = payload.subarray(3).toString('utf8');
+            } else if (fn === 0x51) {
+              flushLine();
+              blocks.push(cn === 0x31
+                ? { type: 'qr', align: state.align, data: symbolData[cn] || '', cellSize: qrCellSize }
+                : { type: 'pdf417', align: state.align, data: symbolData[cn] || '' });
+            }
+          }
+          i += 5 + length;
+          break;
+        }
+        case 0x6b: { // GS k m ... 바코드
+          let start, end;
+          if (n <= 6) {
+            start = i + 3;
+            end = start;
+            while (end < buffer.length && buffer[end] !== 0) end++;
+            i = end + 1;
+          } else {
+            start = i + 4;
+            end = start + at(3);
+            i = end;
+          }
+          flushLine();
+          blocks.push({
+            type: 'barcode',
+            align: state.align,
+            data: buffer.subarray(start, end).toString('latin1').replace(/^\{[ABC]/, '')
+          });
+          break;
+        }
+        case 0x4c: // GS L nL nH 왼쪽 여백
+        case 0x57: // GS W nL nH 인쇄 영역 폭
+        case 0x50: // GS P x y
+          i += 4;
+          break;
+        default: // GS H, GS f, GS h, GS w, GS a, GS r 등 파라미터 1개짜리
+          i += 3;
+      }
+    } else if (byte === FS) {
+      const cmd = at(1);
+      switch (cmd) {
+        case 0x26: // FS & 2바이트 문자 모드 ON
+          state.kanji = true;
+          i += 2;
+          break;
+        case 0x2e: // FS . 2바이트 문자 모드 OFF
+          state.kanji = false;
+          i += 2;
+          break;
+        case 0x43: // FS C n 2바이트 코드 체계
+          state.kanjiSystem = at(2) & 0x01;
+          i += 3;
+          break;
+        case 0x28: { // FS ( fn pL pH ...
+          const length = at(3) + at(4) * 256;
+          if (at(2) === 0x43 && at(5) === 0x30) {
+            // FS ( C fn=48: 문자 인코딩 체계 (m=2 UTF-8, m=1 기존 방식)
+            state.utf8 = (at(6) & 0x0f) === 2;
+          }
+          i += 5 + length;
+          break;
+        }
+        case 0x53: // FS S n1 n2 2바이트 문자 간격
+          i += 4;
+          break;
+        default: // FS ! n, FS W n 등
+          i += 3;
+      }
+    } else if (byte === DLE) {
+      // DLE EOT n / DLE ENQ n 상태 조회, DLE DC4 fn m t 실시간 펄스
+      i += at(1) === 0x14 ? 5 : 3;
+    } else {
+      pushByte(byte);
+      i += 1;
+    }
+  }
+
+  flushLine();
+  return blocks;
+}
+
+/**
+ * GS v 0 데이터 → { width, height, pixels } (1 = 검은 점)
+ */
+function unpackBitmap(data, bytesPerRow, height) {
+  const width = bytesPerRow * 8;
+  const pixels = new Uint8Array(width * height);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const byte = data[row * bytesPerRow + (col >> 3)] ?? 0;
+      if (byte & (0x80 >> (col & 7))) pixels[row * width + col] = 1;
+    }
+  }
+  return { width, height, pixels };
+}
+
+/**
+ * 문자 1개의 칸 수 (한글/전각 2칸, 그 외 1칸 - receipt.js, raster.js와 같은 기준)
+ */
+function charCells(char) {
+  return /[\uAC00-\uD7A3\u3000-\u30FF\u4E00-\u9FFF\uFF00-\uFFEF]/.test(char) || char.length > 1 ? 2 : 1;
+}
+
+/**
+ * 문자열 폭 (도트)
+ */
+function textWidth(text, font, scaleX) {
+  return [...text].reduce((sum, char) => sum + charCells(char) * FONT_CELLS[font].width * scaleX, 0);
+}
+
+/**
+ * 블록 → 용지 폭 기준 물리적 줄
+ *
+ * 텍스트 줄은 도트 폭을 누적해 용지 폭을 넘으면 다음 줄로 넘김 (프린터 동작과 동일)
+ * QR은 그대로 두고(렌더러가 텍스트는 내용, HTML/PNG는 실제 QR 이미지로 표시),
+ * PDF417/바코드는 내용을 표시하는 텍스트 줄로 바꿈
+ *
+ * @param {Object[]} blocks - interpretEscPos 결과
+ * @param {Object} profile - 용지 프로필
+ * @returns {Object[]} 물리적 줄 ({ type: 'text', align, runs, width, scaleY } | image | feed | cut)
+ */
+export function layoutBlocks(blocks, profile) {
+  const { paperDots } = profile;
+  const rows = [];
+
+  for (const block of blocks) {
+    if (block.type === 'pdf417' || block.type === 'barcode') {
+      const label = { pdf417: 'PDF417', barcode: '바코드' }[block.type];
+      const text = `[${label}: ${block.data}]`;
+      const width = textWidth(text, profile.font, 1);
+      rows.push({
+        type: 'text',
+        align: block.align,
+        runs: [{ text, bold: false, invert: false, underline: false, scaleX: 1, scaleY: 1, font: profile.font, width }],
+        width,
+        scaleY: 1
+      });
+      continue;
+    }
+    if (block.type === 'pulse') continue;
+    if (block.type !== 'text') {
+      rows.push(block);
+      continue;
+    }
+
+    let row = { type: 'text', align: block.align, runs: [], width: 0, scaleY: block.scaleY };
+    const pushRow = () => {
+      if (row.runs.length > 0) {
+        row.scaleY = Math.max(...row.runs.map(run => run.scaleY));
+      }
+      rows.push(row);
+      row = { type: 'text', align: block.align, runs: [], width: 0, scaleY: block.scaleY };
+    };
+
+    for (const run of block.runs) {
+      let piece = { ...run, text: '', width: 0 };
+      for (const char of run.text) {
+        const width = textWidth(char, run.font, run.scaleX);
+        if (row.width + width > paperDots && row.width > 0) {
+          if (piece.text) row.runs.push(piece);
+          pushRow();
+          piece = { ...run, text: '', width: 0 };
+        }
+        piece.text += char;
+        piece.width += width;
+        row.width += width;
+      }
+      if (piece.text) row.runs.push(piece);
+    }
+    pushRow();
+  }
+  return rows;
+}
+
+/**
+ * 정렬에 따른 왼쪽 여백 (도트)
+ */
+function offsetFor(align, contentWidth, paperDots) {
+  const free = Math.max(0, paperDots - contentWidth);
+  if (align === 'center') return Math.floor(free / 2);
+  if (align === 'right') return free;
+  return 0;
+}
+
+/**
+ * 일반 텍스트 미리보기 (골든 파일 비교, 로그 확인용)
+ *
+ * - 정렬은 공백으로 재현 (기준 칸 = 프로필 글꼴의 1칸)
+ * - 굵게/반전/크기는 표현하지 않음 (크기는 정렬 계산에만 반영)
+ */
+export function renderText(rows, profile) {
+  const cell = FONT_CELLS[profile.font].width;
+  const columns = Math.floor(profile.paperDots / cell);
+  return rows.map(row => {
+    switch (row.type) {
+      case 'text': {
+        const pad = Math.round(offsetFor(row.align, row.width, profile.paperDots) / cell);
+        return (' '.repeat(pad) + row.runs.map(run => run.text).join('')).replace(/\s+$/, '');
+      }
+      case 'image':
+        return `[이미지 ${row.bitmap.width}x${row.bitmap.height}]`;
+      case 'qr': {
+        const label = `[QR: ${row.data}]`;
+        const pad = Math.round(offsetFor(row.align, textWidth(label, profile.font, 1), profile.paperDots) / cell);
+        return ' '.repeat(pad) + label;
+      }
+      case 'feed':
+        return '';
+      case 'cut':
+        return `${'~'.repeat(Math.floor((columns - 6) / 2))} 절단 ${'~'.repeat(Math.ceil((columns - 6) / 2))}`;
+      default:
+        return '';
+    }
+  }).join('\n') + '\n';
+}
+
+const escapeHtml = text => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * HTML 미리보기 (브라우저에서 바로 확인)
+ *
+ * - 고정폭 글꼴 1ch = 1칸 기준으로 용지 폭을 맞춤
+ * - 2배 폭/높이는 transform으로 늘리고, 늘어난 만큼 여백을 확보해 정렬 유지
+ * - 래스터 이미지는 PNG data URL로 삽입
+ */
+export function renderHtml(rows, profile) {
+  const cell = FONT_CELLS[profile.font];
+  const columns = profile.paperDots / cell.width;
+  const body = rows.map(row => {
+    switch (row.type) {
+      case 'text': {
+        const runs = row.runs.map(run => {
+          const classes = [run.bold && 'b', run.invert && 'inv', run.underline && 'u'].filter(Boolean);
+          const styles = [];
+          if (run.scaleX > 1 || run.scaleY > 1 || run.font !== profile.font) {
+            const cells = run.width / (FONT_CELLS[run.font].width * run.scaleX);
+            const fontRatio = FONT_CELLS[run.font].width / cell.width;
+            styles.push(
+              'display:inline-block',
+              `transform:scale(${run.scaleX * fontRatio},${run.scaleY})`,
+              'transform-origin:0 100%',
+              `margin-right:${(cells * (run.scaleX * fontRatio - 1)).toFixed(2)}ch`
+            );
+          }
+          const attrs = (classes.length ? ` class="${classes.join(' ')}"` : '')
+            + (styles.length ? ` style="${styles.join(';')}"` : '');
+          return `<span${attrs}>${escapeHtml(run.text)}</span>`;
+        }).join('');
+        const pad = row.scaleY > 1 ? `;padding-top:${(row.scaleY - 1) * 1.25}em` : '';
+        return `<div class="line" style="text-align:${row.align}${pad}">${runs}</div>`;
+      }
+      case 'image':
+      case 'qr': {
+        const bitmap = row.type === 'qr' ? renderQr(row.data, { paperDots: profile.paperDots, cellSize: row.cellSize, align: row.align }) : row.bitmap;
+        const alt = row.type === 'qr' ? escapeHtml(row.data) : '';
+        return `<div class="line" style="text-align:${row.align}"><img alt="${alt}" style="width:${(bitmap.width / cell.width).toFixed(2)}ch" src="data:image/png;base64,${encodePng(bitmap).toString('base64')}"></div>`;
+      }
+      case 'feed':
+        return `<div style="height:${(row.dots / cell.height * 1.25).toFixed(2)}em"></div>`;
+      case 'cut':
+        return '<div class="cut"></div>';
+      default:
+        return '';
+    }
+  }).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="ko">
+<head>
+<meta charset="utf-8">
+<title>영수증 미리보기 (${profile.name})</title>
+<style>
+body { background: #ddd; margin: 0; padding: 16px; }
+.receipt { width: ${columns}ch; margin: 0 auto; padding: 2ch; background: #fff; color: #000;
+  font: 14px/1.25 'D2Coding', 'NanumGothicCoding', monospace; white-space: pre; }
+.line { min-height: 1.25em; }
+.b { font-weight: bold; }
+.inv { background: #000; color: #fff; }
+.u { text-decoration: underline; }
+.cut { border-top: 2px dashed #999; margin: 1em -2ch; }
+</style>
+</head>
+<body>
+<div class="receipt">
+${body}
+</div>
+</body>
+</html>
+`;
+}
+
+/**
+ * PNG 미리보기 (실제 용지 폭 도트 그대로)
+ *
+ * 텍스트는 래스터 출력과 같은 렌더러(raster.js)로 그리므로
+ * 프린터 내장 폰트와 글자 모양은 다르지만 칸 배치와 줄 높이는 같음
+ *
+ * @param {Object[]} rows - layoutBlocks 결과
+ * @param {Object} profile - 용지 프로필
+ * @param {opentype.Font} font - loadFont() 결과
+ * @returns {Buffer} PNG
+ */
+export function renderPng(rows, profile, font) {
+  const { paperDots } = profile;
+  const bitmaps = rows.map(row => {
+    switch (row.type) {
+      case 'text':
+        return renderTextRow(row, profile, font);
+      case 'image': {
+        const image = blank(paperDots, row.bitmap.height);
+        blit(image, row.bitmap, offsetFor(row.align, row.bitmap.width, paperDots), 0);
+        return image;
+      }
+      case 'qr':
+        return renderQr(row.data, { paperDots, cellSize: row.cellSize, align: row.align });
+      case 'feed':
+        return blank(paperDots, row.dots);
+      case 'cut': {
+        const image = blank(paperDots, 24);
+        for (let col = 0; col < paperDots; col++) {
+          if (col % 12 < 6) image.pixels[12 * paperDots + col] = 1;
+        }
+        return image;
+      }
+      default:
+        return blank(paperDots, 0);
+    }
+  });
+
+  const height = bitmaps.reduce((sum, bitmap) => sum + bitmap.height, 0);
+  const page = blank(paperDots, height);
+  let y = 0;
+  for (const bitmap of bitmaps) {
+    blit(page, bitmap, 0, y);
+    y += bitmap.height;
+  }
+  return encodePng(page);
+}
+
+function blank(width, height) {
+  return { width, height, pixels: new Uint8Array(width * height) };
+}
+
+/**
+ * 비트맵 겹쳐 그리기 (OR) - 용지 밖으로 나가는 부분은 잘라냄
+ */
+function blit(target, source, x, y) {
+  for (let row = 0; row < source.height; row++) {
+    const ty = y + row;
+    if (ty < 0 || ty >= target.height) continue;
+    for (let col = 0; col < source.width; col++) {
+      const tx = x + col;
+      if (tx < 0 || tx >= target.width) continue;
+      if (source.pixels[row * source.width + col]) target.pixels[ty * target.width + tx] = 1;
+    }
+  }
+}
+
+/**
+ * 텍스트 줄 1개 → 비트맵 (스타일 구간별로 그려 아래쪽 기준으로 맞춤)
+ */
+function renderTextRow(row, profile, font) {
+  const { paperDots } = profile;
+  const baseCell = FONT_CELLS[profile.font];
+  const heightOf = (cell, scaleY) => renderLine('', { font, paperDots: 1, cellWidth: cell.width, cellHeight: cell.height, scaleY }).height;
+
+  const height = row.runs.length > 0
+    ? Math.max(...row.runs.map(run => heightOf(FONT_CELLS[run.font], run.scaleY)))
+    : heightOf(baseCell, row.scaleY);
+  const image = blank(paperDots, height);
+
+  let x = offsetFor(row.align, row.width, paperDots);
+  for (const run of row.runs) {
+    const cell = FONT_CELLS[run.font];
+    const glyphs = renderLine(run.text, {
+      font,
+      paperDots: Math.max(1, run.width),
+      bold: run.bold,
+      scaleX: run.scaleX,
+      scaleY: run.scaleY,
+      cellWidth: cell.width,
+      cellHeight: cell.height
+    });
+    const top = height - glyphs.height;
+    if (run.invert) {
+      // 반전: 구간 배경을 칠하고 글자 부분만 비움
+      for (let i = 0; i < glyphs.pixels.length; i++) glyphs.pixels[i] ^= 1;
+    }
+    if (run.underline) {
+      const underlineRow = cell.height * run.scaleY;
+      for (let col = 0; col < glyphs.width; col++) glyphs.pixels[underlineRow * glyphs.width + col] = 1;
+    }
+    blit(image, glyphs, x, top);
+    x += run.width;
+  }
+  return image;
+}
+
+// ---------- PNG 인코더 (1비트 흑백, 외부 의존성 없음) ----------
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+  const length = Buffer.alloc(4);
+  length.writeUInt32BE(data.length);
+  const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+  const crc = Buffer.alloc(4);
+  crc.writeUInt32BE(crc32(body));
+  return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 비트맵 → PNG (그레이스케일 1비트, 0 = 검정)
+ *
+ * GS v 0 데이터와 비트 배치가 같으므로(MSB가 왼쪽, 1 = 검정) 래스터 명령 변환을 재사용하고 반전만 함
+ */
+function encodePng(bitmap) {
+  const { width, height } = bitmap;
+  const bytesPerRow = Math.ceil(width / 8);
+  const packed = toRasterCommand(bitmap).subarray(8);
+  const raw = Buffer.alloc((bytesPerRow + 1) * height);
+  for (let row = 0; row < height; row++) {
+    raw[row * (bytesPerRow + 1)] = 0; // 필터 없음
+    for (let col = 0; col < bytesPerRow; col++) {
+      raw[row * (bytesPerRow + 1) + 1 + col] = ~packed[row * bytesPerRow + col] & 0xff;
+    }
+  }
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(width, 0);
+  header.writeUInt32BE(height, 4);
+  header[8] = 1;  // 비트 깊이
+  header[9] = 0;  // 그레이스케일
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    pngChunk('IHDR', header),
+    pngChunk('IDAT', deflateSync(raw)),
+    pngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * ESC/POS 버퍼 미리보기
+ *
+ * @param {Buffer} buffer - ESC/POS 명령 버퍼
+ * @param {Object} options
+ * @param {'text'|'html'|'png'} [options.format] - 결과 형식 (기본 text)
+ * @param {string} [options.paper] - 용지 프로필 이름 (기본 58mm)
+ * @param {opentype.Font} [options.font] - PNG 렌더링용 폰트 (format이 png일 때 필수)
+ * @returns {string|Buffer} text/html은 문자열, png는 Buffer
+ */
+export function renderPreview(buffer, { format = 'text', paper, font } = {}) {
+  const profile = getProfile(paper);
+  const rows = layoutBlocks(interpretEscPos(buffer), profile);
+  switch (format) {
+    case 'text':
+      return renderText(rows, profile);
+    case 'html':
+      return renderHtml(rows, profile);
+    case 'png':
+      if (!font) throw new Error('PNG 미리보기에는 폰트가 필요합니다');
+      return renderPng(rows, profile, font);
+    default:
+      throw new Error(`알 수 없는 미리보기 형식: ${format} (사용 가능: ${PREVIEW_FORMATS.join(', ')})`);
+  }
+}
@@ -1,250 +1,570 @@
 import { ThermalPrinter, PrinterTypes } from 'node-thermal-printer';
-import { execSync } from 'child_process';
-import { writeFileSync, unlinkSync, existsSync } from 'fs';
-import { tmpdir } from 'os';
-import { join } from 'path';
+import { createTransport } from './transports/index.js';
+import { createEncoder } from './encoding.js';
+import { loadFont, renderLine, renderQr, toRasterCommand } from './raster.js';
+import { getProfile, FONT_CELLS, DEFAULT_PROFILE } from './profiles.js';
+import { STATUS_QUERY, STATUS_RESPONSE_LENGTH, parseStatus, evaluateHardware } from './status.js';
+import { publish } from './events.js';
 
 /**
  * ESC/POS 프린터 연결 및 출력 래퍼
  *
  * 기술적 결정:
- * 1. USB 인터페이스 사용 (PrinterTypes.EPSON) - 대부분의 58mm 영수증 프린터가 EPSON ESC/POS 호환
- * 2. 싱글톤 패턴으로 프린터 인스턴스 관리 - 동시 출력 충돌 방지
- * 3. wmic으로 SEWOO 프린터 자동 탐색
- * 4. Windows 프린터 스풀러 API로 RAW 데이터 전송 (fs.writeFile은 가상 포트 미지원)
- */
-
-let printerInstance = null;
-let sewooPrinterName = null;
-
-/**
- * Windows 프린터 스풀러에 RAW 데이터를 전송하는 PowerShell 스크립트
- *
- * winspool.Drv의 Win32 API를 P/Invoke로 호출:
- * OpenPrinter → StartDocPrinter(RAW) → StartPagePrinter → WritePrinter → 정리
- */
-const RAW_PRINT_SCRIPT = `param([string]$FilePath, [string]$PrinterName)
-Add-Type -TypeDefinition @"
-using System;
-using System.Runtime.InteropServices;
-
-[StructLayout(LayoutKind.Sequential, CharSet = CharSet.Ansi)]
-public class DOCINFOA {
-    [MarshalAs(UnmanagedType.LPStr)] public string pDocName;
-    [MarshalAs(UnmanagedType.LPStr)] public string pOutputFile;
-    [MarshalAs(UnmanagedType.LPStr)] public string pDataType;
-}
-
-public class RawPrinterHelper {
-    [DllImport("winspool.Drv", EntryPoint="OpenPrinterA", SetLastError=true)]
-    public static extern bool OpenPrinter([MarshalAs(UnmanagedType.LPStr)] string p, out IntPtr h, IntPtr d);
-    [DllImport("winspool.Drv", EntryPoint="ClosePrinter", SetLastError=true)]
-    public static extern bool ClosePrinter(IntPtr h);
-    [DllImport("winspool.Drv", EntryPoint="StartDocPrinterA", SetLastError=true)]
-    public static extern bool StartDocPrinter(IntPtr h, Int32 l, [In, MarshalAs(UnmanagedType.LPStruct)] DOCINFOA d);
-    [DllImport("winspool.Drv", EntryPoint="EndDocPrinter", SetLastError=true)]
-    public static extern bool EndDocPrinter(IntPtr h);
-    [DllImport("winspool.Drv", EntryPoint="StartPagePrinter", SetLastError=true)]
-    public static extern bool StartPagePrinter(IntPtr h);
-    [DllImport("winspool.Drv", EntryPoint="EndPagePrinter", SetLastError=true)]
-    public static extern bool EndPagePrinter(IntPtr h);
-    [DllImport("winspool.Drv", EntryPoint="WritePrinter", SetLastError=true)]
-    public static extern bool WritePrinter(IntPtr h, IntPtr p, Int32 c, out Int32 w);
-
-    public static bool Send(string name, byte[] data) {
-        IntPtr hPrinter;
-        DOCINFOA di = new DOCINFOA();
-        di.pDocName = "ESC/POS Receipt";
-        di.pDataType = "RAW";
-        if (!OpenPrinter(name, out hPrinter, IntPtr.Zero)) return false;
-        if (!StartDocPrinter(hPrinter, 1, di)) { ClosePrinter(hPrinter); return false; }
-        if (!StartPagePrinter(hPrinter)) { EndDocPrinter(hPrinter); ClosePrinter(hPrinter); return false; }
-        IntPtr pBytes = Marshal.AllocCoTaskMem(data.Length);
-        Marshal.Copy(data, 0, pBytes, data.Length);
-        int written;
-        bool ok = WritePrinter(hPrinter, pBytes, data.Length, out written);
-        Marshal.FreeCoTaskMem(pBytes);
-        EndPagePrinter(hPrinter);
-        EndDocPrinter(hPrinter);
-        ClosePrinter(hPrinter);
-        return ok;
-    }
+ * 1. EPSON ESC/POS 명령 생성기 사용 (PrinterTypes.EPSON) - 대부분의 58mm 영수증 프린터가 EPSON ESC/POS 호환
+ * 2. 프린터마다 인스턴스 1개 (이름으로 등록) - 같은 프린터 버퍼를 동시에 건드리지 않음
+ *    (매장에 포장대/카운터 프린터를 따로 두는 경우 - 출력 대상 선택은 routing.js)
+ * 3. 명령 생성(node-thermal-printer 버퍼)과 전송(transports/)을 분리
+ *    - 프린터 인스턴스는 interface 없이 버퍼 생성 용도로만 사용
+ *    - 실제 전송은 설정된 전송 방식(Windows 스풀러, TCP 9100, CUPS, 파일)이 담당
+ * 4. 문자열은 버퍼에 들어가는 시점에 설정된 인코딩(기본 CP949)으로 변환 (encoding.js)
+ * 5. 한글 폰트가 없는 프린터는 줄 단위 비트맵(래스터)으로 출력 (raster.js)
+ * 6. 용지 폭(58mm/80mm)과 글꼴(A/B)은 프로필로 지정 (profiles.js) - 인스턴스마다 profile 보관
+ * 7. QR 코드는 프린터 내장 생성기(GS ( k) 또는 비트맵(GS v 0) 중 선택 - 내장 QR이 없는 프린터용
+ * 8. 상태 확인은 연결 여부 + 하드웨어 상태(용지/커버/커터, status.js) - 출력 불가면 큐가 작업 보류
+ * 9. 프린터 종류(kind) - receipt: ESC/POS 영수증 프린터, label: TSPL/ZPL 라벨 프린터 (labels.printer)
+ *    - 라벨 프린터에는 ESC/POS 상태 조회(DLE EOT)를 보내지 않음 (응답이 없거나 글자로 출력됨)
+ */
+
+/**
+ * 렌더링 방식
+ * - text: 문자 코드 전송 (프린터 내장 폰트 사용, 기본값)
+ * - raster: 모든 줄을 비트맵으로 전송
+ * - hybrid: ASCII만 있는 줄은 텍스트, 한글 등이 섞인 줄만 비트맵
+ */
+export const RENDER_MODES = ['text', 'raster', 'hybrid'];
+
+/**
+ * QR 코드 출력 방식
+ * - native: 프린터 내장 QR 생성기 (GS ( k, 기본값)
+ * - raster: 브릿지에서 QR을 비트맵으로 그려 전송 (내장 QR이 없는 프린터)
+ */
+export const QR_MODES = ['native', 'raster'];
+
+/**
+ * 기본 프린터 이름 (printer.* 설정, 이름 없이 호출하면 이 프린터)
+ */
+export const DEFAULT_PRINTER = 'default';
+
+/**
+ * 프린터 종류
+ * - receipt: ESC/POS 영수증 프린터 (기본값)
+ * - label: TSPL/ZPL 라벨 프린터 - 라벨 작업만 보냄
+ */
+export const PRINTER_KINDS = ['receipt', 'label'];
+
+/**
+ * 등록된 프린터 (이름 → 설정/상태)
+ *
+ * 프린터마다 전송 방식, 인코딩, 용지, 출력 버퍼(instance), 상태 조회 캐시를 따로 가짐
+ * @type {Map<string, Object>}
+ */
+const printers = new Map();
+
+/**
+ * 등록 전 기본값 (configurePrinter에서 생략한 항목)
+ */
+function createEntry(name) {
+  return {
+    name,
+    kind: 'receipt',
+    transport: null,
+    encoding: 'cp949',
+    render: 'text',
+    fontPath: null,
+    paper: DEFAULT_PROFILE,
+    qr: 'native',
+    instance: null,
+    lastStatus: null,        // 마지막 상태 조회 결과
+    pendingStatus: null,     // 진행 중인 상태 조회 (동시 요청은 결과 공유)
+    statusQueryWarned: false
+  };
 }
-"@
-` + String.raw`$bytes = [System.IO.File]::ReadAllBytes($FilePath)
-if (-not [RawPrinterHelper]::Send($PrinterName, $bytes)) {
-    Write-Error "RAW print failed"
-    exit 1
-}`;
 
-let rawPrintScriptPath = null;
+/**
+ * 이름으로 프린터 조회
+ *
+ * 기본 프린터는 configurePrinter 없이도 Windows 스풀러 + SEWOO 자동 탐색으로 동작
+ */
+function getEntry(name = DEFAULT_PRINTER) {
+  let entry = printers.get(name);
+  if (!entry && name === DEFAULT_PRINTER) {
+    entry = createEntry(name);
+    printers.set(name, entry);
+  }
+  if (!entry) {
+    throw new Error(`등록되지 않은 프린터: ${name} (사용 가능: ${[...printers.keys()].join(', ')})`);
+  }
+  return entry;
+}
 
 /**
- * PowerShell RAW 출력 스크립트를 임시 디렉토리에 생성 (최초 1회)
+ * 로그 접두어 (기본 프린터만 쓰는 매장은 기존 로그 그대로)
  */
-function ensureRawPrintScript() {
-  if (rawPrintScriptPath && existsSync(rawPrintScriptPath)) {
-    return rawPrintScriptPath;
+function label(entry) {
+  return entry.name === DEFAULT_PRINTER ? '' : `${entry.name}: `;
+}
+
+/**
+ * 인코딩/래스터 단계를 끼운 ThermalPrinter
+ *
+ * node-thermal-printer의 문자별 코드페이지 추측 대신:
+ * - 모든 문자열을 append 시점에 지정 인코딩 바이트로 변환
+ * - 버퍼 시작과 하드웨어 초기화(ESC @ - cut() 직후 자동 포함) 직후마다
+ *   문자 모드 선택 명령(prelude)을 다시 넣어 프린터 상태를 고정
+ *
+ * 래스터 모드:
+ * - 정렬/굵게/글자 크기 명령을 그대로 보내면서 현재 스타일을 함께 기록
+ * - println() 시 해당 줄을 같은 스타일의 비트맵으로 그려 GS v 0 으로 전송
+ *   (receipt.js는 렌더링 방식과 무관하게 같은 코드로 동작)
+ */
+class ReceiptPrinter extends ThermalPrinter {
+  constructor(config, { name = DEFAULT_PRINTER, encoder, profile, render = 'text', font = null, qr = 'native' }) {
+    super({ ...config, width: profile.printerWidth });
+    this.destination = name;
+    this.encoder = encoder;
+    this.profile = profile;
+    this.render = render;
+    this.qrMode = qr;
+    this.font = font;
+    this.paperDots = profile.paperDots;
+    this.cell = FONT_CELLS[profile.font];
+    this.resetStyle();
+    this.appendPrelude();
+  }
+
+  append(text) {
+    super.append(typeof text === 'string' ? this.encoder.encode(text) : text);
+  }
+
+  /**
+   * 문자 모드 + 글꼴 선택 (Font A는 프린터 기본값이므로 명령 생략)
+   */
+  appendPrelude() {
+    this.append(this.encoder.prelude);
+    if (this.profile.font === 'B') {
+      super.setTypeFontB();
+    }
+  }
+
+  initHardware() {
+    super.initHardware();
+    this.resetStyle();
+    this.appendPrelude();
+  }
+
+  clear() {
+    this.buffer = null;
+    this.resetStyle();
+    this.appendPrelude();
+  }
+
+  /**
+   * 금전함 열기 (ESC p m t1 t2)
+   *
+   * node-thermal-printer의 openCashDrawer는 펄스 길이(t1, t2) 없이 ESC p m만 보내
+   * 프린터가 다음 바이트를 펄스 길이로 읽음 - 5바이트를 모두 채워 보냄
+   *
+   * @param {Object} [options]
+   * @param {number} [options.pin] - 커넥터 핀 (2 | 5)
+   * @param {number} [options.pulseMs] - 펄스 길이 (ms, 2ms 단위, 최대 510)
+   */
+  openDrawer({ pin = 2, pulseMs = 100 } = {}) {
+    const on = Math.min(255, Math.max(1, Math.round(pulseMs / 2)));
+    // 끄는 시간은 켜는 시간의 2배 (연속으로 열 때 솔레노이드가 복귀할 시간)
+    this.append(Buffer.from([0x1b, 0x70, pin === 5 ? 1 : 0, on, Math.min(255, on * 2)]));
+  }
+
+  /**
+   * 버퍼를 이미 만든 바이트로 교체 (출력 기록 재출력 - 앞부분 명령까지 원본 그대로)
+   */
+  replaceBuffer(bytes) {
+    this.buffer = Buffer.from(bytes);
+  }
+
+  // ---------- 스타일 추적 (래스터 렌더링용) ----------
+
+  resetStyle() {
+    this.style = { align: 'left', bold: false, scaleX: 1, scaleY: 1 };
+  }
+
+  alignLeft() { super.alignLeft(); this.style.align = 'left'; }
+  alignCenter() { super.alignCenter(); this.style.align = 'center'; }
+  alignRight() { super.alignRight(); this.style.align = 'right'; }
+  bold(enabled) { super.bold(enabled); this.style.bold = Boolean(enabled); }
+  setTextNormal() { super.setTextNormal(); Object.assign(this.style, { scaleX: 1, scaleY: 1 }); }
+  setTextDoubleHeight() { super.setTextDoubleHeight(); Object.assign(this.style, { scaleX: 1, scaleY: 2 }); }
+  setTextDoubleWidth() { super.setTextDoubleWidth(); Object.assign(this.style, { scaleX: 2, scaleY: 1 }); }
+  setTextQuadArea() { super.setTextQuadArea(); Object.assign(this.style, { scaleX: 2, scaleY: 2 }); }
+
+  /**
+   * 해당 줄을 비트맵으로 보낼지 판단
+   */
+  shouldRasterize(text) {
+    if (this.render === 'raster') return true;
+    if (this.render === 'hybrid') return /[^\x00-\x7F]/.test(text);
+    return false;
+  }
+
+  println(text) {
+    const line = String(text ?? '');
+    if (!this.shouldRasterize(line)) {
+      super.println(line);
+      return;
+    }
+    const bitmap = renderLine(line, {
+      font: this.font,
+      paperDots: this.paperDots,
+      cellWidth: this.cell.width,
+      cellHeight: this.cell.height,
+      ...this.style
+    });
+    this.append(toRasterCommand(bitmap));
+  }
+
+  drawLine(character = this.config.lineCharacter) {
+    if (this.render !== 'raster') {
+      super.drawLine(character);
+      return;
+    }
+    // 래스터 모드에서는 용지 폭만큼만 그림 (텍스트 모드처럼 줄바꿈되지 않으므로)
+    this.println(character.repeat(this.profile.columns));
+  }
+
+  /**
+   * QR 코드 출력 (모델 2, 오류 정정 M - 현재 정렬 적용)
+   *
+   * @param {string} data - QR 내용
+   * @param {Object} [options]
+   * @param {number} [options.cellSize] - 모듈 1칸 크기 (1-8 도트)
+   */
+  printQRCode(data, { cellSize = 5 } = {}) {
+    if (this.qrMode === 'native') {
+      this.printQR(data, { model: 2, cellSize, correction: 'M' });
+      this.newLine();
+      return;
+    }
+    this.append(toRasterCommand(renderQr(data, {
+      paperDots: this.paperDots,
+      cellSize,
+      align: this.style.align
+    })));
+  }
+
+  /**
+   * CODE128 바코드 출력 (숫자/영문, 아래쪽에 사람이 읽는 문자 표시)
+   *
+   * @param {string} data - 바코드 내용 (ASCII)
+   * @param {Object} [options]
+   * @param {number} [options.height] - 바코드 높이 (도트, 1-255)
+   */
+  printBarcode128(data, { height = 80 } = {}) {
+    // 모듈 폭 2도트 - 58mm(384도트)에도 주문번호 20자 정도까지 들어감
+    this.code128(data, { hriPos: 2, hriFont: 0, width: 2, height });
+    this.newLine();
   }
-  rawPrintScriptPath = join(tmpdir(), 'onuljang-raw-print.ps1');
-  writeFileSync(rawPrintScriptPath, RAW_PRINT_SCRIPT, 'utf-8');
-  return rawPrintScriptPath;
 }
 
 /**
- * PowerShell Get-CimInstance로 SEWOO 프린터 정보 조회
+ * 프린터 등록/설정 (서버 시작 시 프린터마다 1회 호출)
  *
- * Windows 11에서 wmic이 제거되어 PowerShell로 대체
- * Get-CimInstance Win32_Printer는 PS 3.0+ (Windows 10/11 기본 탑재)
+ * 호출하지 않으면 기본 프린터는 Windows 스풀러 + SEWOO 자동 탐색 + CP949 텍스트 출력을 사용
+ * 이미 등록된 프린터를 다시 호출하면 넘긴 항목만 바꿈 (예: 전송 방식만 교체)
  *
- * @returns {{ name: string, port: string, workOffline: boolean } | null}
+ * @param {Object} config
+ * @param {string} [config.name] - 프린터 이름 (기본 'default')
+ * @param {Object} [config.transport] - { type: 'windows' | 'tcp' | 'cups' | 'file', ...옵션 }
+ * @param {string} [config.encoding] - 'cp949' | 'euc-kr' | 'utf-8' | 'shift_jis'
+ * @param {string} [config.render] - 'text' | 'raster' | 'hybrid'
+ * @param {string} [config.fontPath] - 래스터 출력용 TTF 경로 (생략 시 번들 나눔고딕)
+ * @param {string} [config.paper] - 용지 프로필 이름 ('58mm' | '58mm-small' | '80mm' | '80mm-42')
+ * @param {string} [config.qr] - QR 코드 출력 방식 ('native' | 'raster')
+ * @param {string} [config.kind] - 프린터 종류 ('receipt' | 'label')
  */
-let sewooCache = null;
+export function configurePrinter({ name = DEFAULT_PRINTER, transport: transportConfig, encoding, render, fontPath: font, paper, qr, kind } = {}) {
+  const entry = printers.get(name) || createEntry(name);
 
-function findSewooPrinter() {
-  if (sewooCache) return sewooCache;
-  try {
-    const result = execSync(
-      'powershell -NoProfile -Command "Get-CimInstance Win32_Printer | Where-Object { $_.Name -like \'*SEWOO*\' } | Select-Object Name,PortName,WorkOffline | ConvertTo-Json"',
-      { encoding: 'utf-8', timeout: 10000 }
-    );
-    const trimmed = result.trim();
-    if (!trimmed) return null;
-    const data = JSON.parse(trimmed);
-    const printer = Array.isArray(data) ? data[0] : data;
-    if (printer && printer.Name) {
-      sewooCache = {
-        name: printer.Name,
-        port: (printer.PortName || '').replace(/[^A-Za-z0-9]/g, ''),
-        workOffline: printer.WorkOffline
-      };
-      return sewooCache;
+  if (encoding) {
+    createEncoder(encoding); // 잘못된 이름이면 여기서 throw
+    entry.encoding = encoding;
+  }
+  if (render) {
+    if (!RENDER_MODES.includes(render)) {
+      throw new Error(`알 수 없는 렌더링 방식: ${render} (사용 가능: ${RENDER_MODES.join(', ')})`);
     }
-    return null;
-  } catch (error) {
-    return null;
+    entry.render = render;
+  }
+  if (font) {
+    entry.fontPath = font;
+  }
+  if (paper) {
+    getProfile(paper); // 잘못된 이름이면 여기서 throw
+    entry.paper = paper;
+  }
+  if (qr) {
+    if (!QR_MODES.includes(qr)) {
+      throw new Error(`알 수 없는 QR 출력 방식: ${qr} (사용 가능: ${QR_MODES.join(', ')})`);
+    }
+    entry.qr = qr;
   }
+  if (kind) {
+    if (!PRINTER_KINDS.includes(kind)) {
+      throw new Error(`알 수 없는 프린터 종류: ${kind} (사용 가능: ${PRINTER_KINDS.join(', ')})`);
+    }
+    entry.kind = kind;
+  }
+  if (entry.render !== 'text') {
+    loadFont(entry.fontPath); // 폰트가 없으면 첫 출력이 아니라 시작 시점에 실패
+  }
+  entry.instance = null;
+  entry.lastStatus = null;
+  if (entry.transport && entry.transport.close) {
+    entry.transport.close(); // 이전 전송 방식의 도우미 프로세스 정리 (PUT /printers/selected)
+  }
+  entry.transport = createTransport(transportConfig);
+  printers.set(name, entry);
+  if (entry.kind === 'label') {
+    console.log(`[Printer] ${label(entry)}전송 방식: ${entry.transport.describe()}, 라벨 프린터`);
+    return;
+  }
+  console.log(`[Printer] ${label(entry)}전송 방식: ${entry.transport.describe()}, 인코딩: ${entry.encoding}, 렌더링: ${entry.render}, 용지: ${entry.paper}, QR: ${entry.qr}`);
 }
 
-function findPrinterPort() {
-  const info = findSewooPrinter();
-  return info ? info.port : null;
+function getTransport(entry) {
+  if (!entry.transport) {
+    entry.transport = createTransport({ type: 'windows' });
+  }
+  return entry.transport;
 }
 
 /**
- * SEWOO 프린터의 Windows 등록 이름을 반환
- * @returns {string|null} 예: 'SEWOO SLK-TS 100'
+ * 등록된 프린터 목록
+ *
+ * @returns {{ name: string, kind: string, transport: string, paper: string }[]}
  */
-function findPrinterName() {
-  const info = findSewooPrinter();
-  return info ? info.name : null;
+export function listPrinters() {
+  getEntry(DEFAULT_PRINTER);
+  return [...printers.values()].map(entry => ({
+    name: entry.name,
+    kind: entry.kind,
+    transport: getTransport(entry).describe(),
+    paper: entry.paper
+  }));
 }
 
 /**
- * 프린터 초기화 및 연결
- *
- * @returns {ThermalPrinter} 프린터 인스턴스
- *
- * Windows 포트 탐색 순서:
- * 1. wmic으로 SEWOO 프린터 포트 자동 탐색
- * 2. 탐색 실패 시 LPT1 폴백
+ * 등록된 프린터인지 확인
+ * @param {string} name
+ * @returns {boolean}
  */
-export function initPrinter() {
-  if (printerInstance) {
-    return printerInstance;
-  }
+export function hasPrinter(name) {
+  return name === DEFAULT_PRINTER || printers.has(name);
+}
 
-  const port = findPrinterPort();
-  sewooPrinterName = findPrinterName();
-  if (port && sewooPrinterName) {
-    console.log(`[Printer] ${sewooPrinterName} 발견 → 포트: ${port}`);
-  } else {
-    console.warn('[Printer] SEWOO 프린터를 찾을 수 없습니다. LPT1으로 시도합니다.');
-  }
-  const interfacePath = `\\\\.\\${port || 'LPT1'}`;
+/**
+ * 프린터 종류
+ *
+ * @param {string} [name] - 프린터 이름 (기본 'default')
+ * @returns {string} 'receipt' | 'label'
+ */
+export function getPrinterKind(name = DEFAULT_PRINTER) {
+  return getEntry(name).kind;
+}
 
-  printerInstance = new ThermalPrinter({
+/**
+ * ESC/POS 명령 버퍼 생성
+ *
+ * 출력용 싱글톤과 별개로 버퍼만 필요할 때 사용
+ *
+ * @param {Object} [options]
+ * @param {string} [options.name] - 출력할 프린터 이름 (기본 'default') - 생략한 항목은 이 프린터 설정값
+ * @param {string} [options.encoding] - 인코딩 이름
+ * @param {string} [options.render] - 렌더링 방식
+ * @param {string} [options.paper] - 용지 프로필 이름
+ * @returns {ThermalPrinter}
+ */
+export function createPrinter({ name = DEFAULT_PRINTER, encoding, render, paper } = {}) {
+  const entry = getEntry(name);
+  const renderMode = render || entry.render;
+  return new ReceiptPrinter({
     type: PrinterTypes.EPSON,
-    interface: interfacePath,
-    characterSet: 'PC437_USA',
     removeSpecialCharacters: false,
-    lineCharacter: "=",
-    options: {
-      timeout: 5000
-    }
+    lineCharacter: "="
+  }, {
+    name,
+    encoder: createEncoder(encoding || entry.encoding),
+    profile: getProfile(paper || entry.paper),
+    render: renderMode,
+    font: renderMode === 'text' ? null : loadFont(entry.fontPath),
+    qr: entry.qr
   });
+}
 
-  return printerInstance;
+/**
+ * 프린터 초기화 (프린터마다 출력 버퍼 1개)
+ *
+ * @param {string} [name] - 프린터 이름 (기본 'default')
+ * @returns {ThermalPrinter} 프린터 인스턴스 (ESC/POS 명령 버퍼)
+ */
+export function initPrinter(name = DEFAULT_PRINTER) {
+  const entry = getEntry(name);
+  if (entry.instance) {
+    return entry.instance;
+  }
+
+  entry.instance = createPrinter({ name });
+  return entry.instance;
 }
 
 /**
- * 프린터 연결 상태 확인
+ * 프린터 상태
+ *
+ * @typedef {Object} PrinterStatus
+ * @property {boolean} online - 전송 방식 기준 연결 여부
+ * @property {boolean} ready - 출력 가능 여부 (온라인 + 용지 없음/커버 열림/오류 아님)
+ * @property {string|null} reason - 출력 불가 사유
+ * @property {string[]} warnings - 출력은 가능하지만 알려야 할 상태 (용지 부족)
+ * @property {HardwareStatus|null} hardware - 하드웨어 상태 (조회할 수 없는 전송 방식이면 null)
+ * @property {string} checkedAt - 조회 시각 (ISO)
+ */
+
+/**
+ * 프린터 상태 조회
+ *
+ * 연결 판단 기준은 전송 방식마다 다름:
+ * - windows: Win32_Printer의 WorkOffline 플래그 (+ 드라이버가 보고하는 DetectedErrorState)
+ * - tcp: 9100 포트 연결 가능 여부 (+ DLE EOT 실시간 상태 응답)
+ * - cups: lpstat 상태
+ * - file: 대상 경로 쓰기 가능 여부
  *
- * @returns {Promise<boolean>} 연결 성공 여부
+ * 응답 채널이 있는 전송 방식(query)은 용지/커버/커터 상태까지 확인 (라벨 프린터 제외 - 연결 여부만)
+ * 상태 응답을 지원하지 않는 프린터는 연결 여부만으로 판단 (hardware: null)
+ * 직전 조회와 상태가 달라지면 printer.status 이벤트 발행 (events.js)
  *
- * Windows: fs.existsSync가 디바이스 경로(\\.\LPT1)를 인식하지 못하므로
- *          wmic으로 프린터 오프라인 여부를 확인
+ * @param {Object} [options]
+ * @param {string} [options.name] - 프린터 이름 (기본 'default')
+ * @param {number} [options.maxAgeMs] - 이 시간 안에 조회한 결과가 있으면 재사용 (기본 0 = 항상 조회)
+ * @param {AbortSignal} [options.signal] - 조회 취소 (서버 종료 - 취소되면 상태를 기록하지 않고 reject,
+ *   이미 진행 중인 조회에 합류하면 그 조회를 따름)
+ * @returns {Promise<PrinterStatus>}
  */
-export async function checkPrinterStatus() {
+export function getPrinterStatus({ name = DEFAULT_PRINTER, maxAgeMs = 0, signal } = {}) {
+  const entry = getEntry(name);
+  if (entry.lastStatus && Date.now() - Date.parse(entry.lastStatus.checkedAt) < maxAgeMs) {
+    return Promise.resolve(entry.lastStatus);
+  }
+  if (!entry.pendingStatus) {
+    entry.pendingStatus = readStatus(entry, signal).finally(() => {
+      entry.pendingStatus = null;
+    });
+  }
+  return entry.pendingStatus;
+}
+
+async function readStatus(entry, signal) {
+  const current = getTransport(entry);
+  let online = false;
+  let reason = null;
+  let hardware = null;
+
   try {
-    initPrinter();
-    // 캐시 초기화하여 최신 상태 조회
-    sewooCache = null;
-    const info = findSewooPrinter();
-    if (info) {
-      return !info.workOffline; // false = 온라인
+    ({ online, reason, hardware = null } = await current.getStatus({ signal }));
+    if (online && current.query && entry.kind !== 'label') {
+      hardware = parseStatus(await current.query(STATUS_QUERY, STATUS_RESPONSE_LENGTH));
+      entry.statusQueryWarned = false;
     }
-    return false;
   } catch (error) {
-    console.error('[Printer] 연결 확인 실패:', error.message);
-    return false;
+    if (signal && signal.aborted) throw error; // 취소는 프린터 상태가 아님 (오프라인으로 기록하지 않음)
+    if (online) {
+      // 연결은 되지만 상태 응답이 없음 - 연결 여부만으로 판단 (같은 경고 반복 방지)
+      if (!entry.statusQueryWarned) {
+        console.warn(`[Printer] ${label(entry)}하드웨어 상태 조회 실패:`, error.message);
+        entry.statusQueryWarned = true;
+      }
+    } else {
+      console.error(`[Printer] ${label(entry)}연결 확인 실패:`, error.message);
+      reason = error.message;
+    }
   }
+
+  const { ready, problems, warnings } = evaluateHardware(online, hardware);
+  const previous = entry.lastStatus;
+  entry.lastStatus = {
+    online,
+    ready,
+    reason: online ? (problems.join(', ') || null) : (reason || '프린터 연결 안 됨'),
+    warnings,
+    hardware,
+    checkedAt: new Date().toISOString()
+  };
+  if (!previous || statusKey(previous) !== statusKey(entry.lastStatus)) {
+    publish('printer.status', { printer: entry.name, ...entry.lastStatus });
+  }
+  return entry.lastStatus;
+}
+
+/**
+ * 상태 변화 판단 기준 (조회 시각/하드웨어 세부값이 아니라 사용자에게 보이는 상태)
+ */
+function statusKey(status) {
+  return JSON.stringify([status.online, status.ready, status.reason, status.warnings]);
+}
+
+/**
+ * 출력 가능 여부 확인 (큐 워커의 isReady)
+ *
+ * @param {string} [name] - 프린터 이름 (기본 'default')
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - 조회 취소 (큐 종료)
+ * @returns {Promise<boolean>} 온라인이고 용지 없음/커버 열림/오류가 아니면 true
+ */
+export async function checkPrinterStatus(name = DEFAULT_PRINTER, { signal } = {}) {
+  const status = await getPrinterStatus({ name, signal });
+  return status.ready;
 }
 
 /**
  * ESC/POS 명령 실행 및 출력
  *
- * Windows 프린터 스풀러 API를 통해 RAW 데이터 전송:
- * 1. 프린터 내부 버퍼를 임시 .bin 파일로 저장
- * 2. PowerShell 스크립트가 winspool.Drv Win32 API로 프린터 스풀러에 전송
- * 3. 임시 파일 정리
+ * 프린터 버퍼를 해당 프린터(createPrinter/initPrinter의 name)의 전송 방식으로 보낸 뒤 버퍼를 비움
  *
  * @param {ThermalPrinter} printer - 프린터 인스턴스
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - 전송 취소 (큐 종료 - 지원하는 전송 방식만, 현재 windows)
  * @returns {Promise<void>}
  */
-export async function printReceipt(printer) {
+export async function printReceipt(printer, { signal } = {}) {
   const buffer = printer.getBuffer();
   if (!buffer) throw new Error('출력할 데이터가 없습니다');
 
-  const name = sewooPrinterName || 'SEWOO SLK-TS 100';
-  const scriptPath = ensureRawPrintScript();
-  const tmpBin = join(tmpdir(), `receipt-${Date.now()}.bin`);
-  writeFileSync(tmpBin, buffer);
-
+  const entry = getEntry(printer.destination);
   try {
-    execSync(
-      `powershell -ExecutionPolicy Bypass -File "${scriptPath}" -FilePath "${tmpBin}" -PrinterName "${name}"`,
-      { encoding: 'utf-8', timeout: 10000 }
-    );
+    await getTransport(entry).send(buffer, { signal });
     printer.clear();
-    console.log('[Printer] 출력 완료');
+    console.log(`[Printer] ${label(entry)}출력 완료`);
   } catch (error) {
-    console.error('[Printer] 출력 실패:', error.message);
+    console.error(`[Printer] ${label(entry)}출력 실패:`, error.message);
     throw new Error(`프린터 출력 오류: ${error.message}`);
-  } finally {
-    try { unlinkSync(tmpBin); } catch (e) {}
   }
 }
 
 /**
  * 프린터 인스턴스 해제 (서버 종료 시 호출)
  *
- * USB 디바이스 파일 디스크립터 정리
+ * USB 디바이스 파일 디스크립터 정리, 전송 방식의 상주 프로세스(Windows PowerShell 도우미) 종료
  * 메모리 누수 방지
  */
 export function closePrinter() {
-  if (printerInstance) {
-    printerInstance = null;
+  let released = false;
+  for (const entry of printers.values()) {
+    if (entry.transport && entry.transport.close) {
+      entry.transport.close();
+    }
+    if (entry.instance) {
+      entry.instance = null;
+      released = true;
+    }
+  }
+  if (released) {
     console.log('[Printer] 연결 해제됨');
   }
 }
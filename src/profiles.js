@@ -0,0 +1,71 @@
+/**
+ * 용지 폭 프로필
+ *
+ * 영수증 레이아웃의 모든 폭 계산(정렬, 구분선, 상품 표 칼럼, 4배 면적 합계)은
+ * 이 프로필에서 파생됨 - 프린터별 또는 요청별로 선택
+ *
+ * 필드:
+ * - columns: 본문 한 줄 폭 (ASCII 1폭, 한글 2폭 기준)
+ * - font: 'A' (12×24 도트) | 'B' (9×17 도트) - B는 같은 용지에 더 많은 글자
+ * - paperDots: 인쇄 가능 폭 (도트, 래스터 출력 시 비트맵 폭)
+ * - printerWidth: node-thermal-printer width 설정 (drawLine 길이, println 자동 줄바꿈 기준)
+ * - items: 상품 표 칼럼 폭 (상품명 + 수량 + 가격 + 총합 = columns)
+ *
+ * 58mm 프로필의 printerWidth가 48인 이유:
+ * - 프로필 도입 전에는 width를 지정하지 않아 node-thermal-printer 기본값(48)으로
+ *   구분선(drawLine)을 그렸음 - 기존 출력과 바이트 단위로 같게 유지하기 위해 그대로 둠
+ */
+
+export const FONT_CELLS = {
+  A: { width: 12, height: 24 },
+  B: { width: 9, height: 17 }
+};
+
+export const PAPER_PROFILES = {
+  '58mm': {
+    columns: 32,
+    font: 'A',
+    paperDots: 384,
+    printerWidth: 48,
+    items: { name: 14, quantity: 3, unitPrice: 7, amount: 8 }
+  },
+  '58mm-small': {
+    columns: 42,
+    font: 'B',
+    paperDots: 384,
+    printerWidth: 42,
+    items: { name: 18, quantity: 4, unitPrice: 9, amount: 11 }
+  },
+  '80mm': {
+    columns: 48,
+    font: 'A',
+    paperDots: 576,
+    printerWidth: 48,
+    items: { name: 22, quantity: 4, unitPrice: 10, amount: 12 }
+  },
+  '80mm-42': {
+    columns: 42,
+    font: 'A',
+    paperDots: 512,
+    printerWidth: 42,
+    items: { name: 18, quantity: 4, unitPrice: 9, amount: 11 }
+  }
+};
+
+export const DEFAULT_PROFILE = '58mm';
+
+export const PROFILE_NAMES = Object.keys(PAPER_PROFILES);
+
+/**
+ * 프로필 조회
+ *
+ * @param {string} [name] - 프로필 이름 (생략 시 58mm)
+ * @returns {Object} 프로필 (name 필드 포함)
+ */
+export function getProfile(name = DEFAULT_PROFILE) {
+  const profile = PAPER_PROFILES[name];
+  if (!profile) {
+    throw new Error(`알 수 없는 용지 프로필: ${name} (사용 가능: ${PROFILE_NAMES.join(', ')})`);
+  }
+  return { name, ...profile };
+}
@@ -0,0 +1,411 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { addListener } from './events.js';
+
+/**
+ * 백엔드 주문 가져오기 (pull 모드)
+ *
+ * 배경:
+ * - 영수증은 관리자 페이지가 열려 있고 그 JavaScript가 /print를 호출할 때만 출력되어
+ *   탭을 닫거나 PC가 절전에 들어가면 배달 주문이 출력되지 않고 지나갔음
+ *
+ * 백엔드 규약:
+ * - poll: GET {url}?after=<커서> → { orders: [주문], cursor?, hasMore? }
+ *   - 주문은 /print 바디와 같은 형식, 커서는 백엔드가 정하는 값 (생략 시 마지막 주문의 cursor 또는 orderId)
+ *   - hasMore: true면 주기를 기다리지 않고 바로 다음 페이지 조회
+ * - sse: GET {url}?after=<커서> (Accept: text/event-stream, Last-Event-ID: <커서>)
+ *   - event: order (또는 이름 없음), id: <커서>, data: 주문 JSON / 그 외 이벤트(ping 등)는 무시
+ * - ack (선택): POST {ackUrl} { orderId, status: 'printed' | 'failed' | 'rejected', jobIds, error, at }
+ *   - 백엔드는 같은 주문의 보고를 여러 번 받을 수 있음 (보고 실패 시 다음 주기에 재전송)
+ * - 인증: Authorization: Bearer <token> (pull.token)
+ *
+ * 기술적 결정:
+ * 1. 가져온 주문은 /print와 같은 경로(검증 → 중복 확인 → 라우팅 → 큐)로 처리 (accept 콜백)
+ * 2. 커서는 주문을 큐에 넣은 직후 data/pull.json에 저장
+ *    - 큐도 디스크에 저장되므로 재시작해도 가져온 주문은 큐에서 이어서 출력 (누락 없음)
+ *    - 큐 등록 후 커서 저장 전에 종료되면 같은 주문을 다시 받지만 멱등성 키로 걸러짐 (중복 없음)
+ * 3. 관리자 페이지의 /print와 함께 써도 같은 멱등성 키라 한 번만 출력
+ * 4. 보고는 주문의 모든 작업이 끝난 뒤 1회 (job.printed / job.failed 이벤트), 보낼 때까지 파일에 보관
+ *    - 이미 접수된 주문은 그 요청으로 등록된 작업 전체(프린터별 사본)를 기다림
+ *    - 재시작 후 큐에서 정리된 작업은 출력 기록(journal)의 결과로, 기록도 없으면 failed로 보고
+ *      (결과를 모르는 주문을 printed로 보고하면 백엔드가 다시 보내지 않아 출력 누락)
+ */
+
+const PULL_FILE = 'pull.json';
+
+let settings = null;
+let acceptOrder = null;
+let lookupJob = null;
+let lookupHistory = null;
+let stateFile = null;
+let state = { cursor: null, tracking: [], outbox: [] };
+let stopping = false;
+let timer = null;
+let running = null;          // 진행 중인 조회/연결 Promise
+let abort = null;            // 진행 중인 요청 취소
+let removeListener = null;
+let flushing = null;         // 진행 중인 보고 전송 Promise
+let status = { connected: false, lastSuccessAt: null, lastError: null, failures: 0 };
+
+/**
+ * pull 모드 시작 (서버 시작 시 1회, pull.enabled일 때만)
+ *
+ * @param {Object} config
+ * @param {string} config.url - 주문 조회 URL
+ * @param {'poll'|'sse'} config.mode - 가져오기 방식
+ * @param {number} config.intervalSeconds - poll 주기 / sse 재연결 대기
+ * @param {string} [config.ackUrl] - 출력 결과 보고 URL
+ * @param {string} [config.token] - 백엔드 인증 토큰
+ * @param {number} config.timeoutMs - 요청 타임아웃
+ * @param {string} config.dir - 커서 저장 디렉토리
+ * @param {(order: Object) => { jobs?: Object[], duplicate?: Object, duplicateJobs?: Object[], error?: string }} config.accept - 주문 1건 접수 (/print와 같은 처리)
+ * @param {(id: string) => Object|null} config.getJob - 작업 조회 (재시작 시 보고 대기 작업 확인)
+ * @param {(id: string) => Object|null} [config.getHistory] - 출력 기록 조회 (큐에서 정리된 작업의 결과)
+ */
+export function initPull({ url, mode, intervalSeconds, ackUrl, token, timeoutMs, dir, accept, getJob, getHistory = () => null }) {
+  settings = { url, mode, intervalMs: intervalSeconds * 1000, ackUrl, token, timeoutMs };
+  acceptOrder = accept;
+  lookupJob = getJob;
+  lookupHistory = getHistory;
+  stopping = false;
+
+  mkdirSync(dir, { recursive: true });
+  stateFile = join(dir, PULL_FILE);
+  state = loadState();
+
+  if (ackUrl) {
+    removeListener = addListener(onJobEvent);
+    reconcile();
+  }
+
+  console.log(`[Pull] ${mode === 'sse' ? '이벤트 스트림' : `${intervalSeconds}초마다 조회`}: ${url}${state.cursor != null ? ` (커서 ${state.cursor})` : ''}`);
+  schedule(0);
+}
+
+/**
+ * pull 모드 상태 (/health)
+ *
+ * @returns {{ mode, url, connected, cursor, lastSuccessAt, lastError, pendingAcks }|null} 꺼져 있으면 null
+ */
+export function getPullStatus() {
+  if (!settings) return null;
+  return {
+    mode: settings.mode,
+    url: settings.url,
+    connected: status.connected,
+    cursor: state.cursor,
+    lastSuccessAt: status.lastSuccessAt,
+    lastError: status.lastError,
+    pendingAcks: state.tracking.length + state.outbox.length
+  };
+}
+
+/**
+ * pull 모드 중지 (서버 종료 시) - 진행 중인 요청을 취소하고 끝날 때까지 대기
+ */
+export async function stopPull() {
+  if (!settings) return;
+  stopping = true;
+  clearTimeout(timer);
+  if (abort) abort.abort();
+  if (removeListener) removeListener();
+  await running;
+}
+
+function schedule(delayMs) {
+  if (stopping) return;
+  clearTimeout(timer);
+  timer = setTimeout(() => {
+    running = (settings.mode === 'sse' ? listen() : poll())
+      .catch(error => fail(error))
+      .then(() => flushAcks())
+      .finally(() => {
+        running = null;
+        schedule(settings.intervalMs);
+      });
+  }, delayMs);
+}
+
+/**
+ * poll: 커서 이후 주문을 모두 가져올 때까지 조회
+ */
+async function poll() {
+  let hasMore = true;
+  while (hasMore && !stopping) {
+    const body = await request(withCursor(settings.url), { headers: { Accept: 'application/json' } });
+    if (!body || !Array.isArray(body.orders)) {
+      throw new Error('응답 형식 오류 (orders 배열 없음)');
+    }
+    succeed();
+
+    for (const order of body.orders) {
+      handleOrder(order, order && (order.cursor ?? order.orderId));
+    }
+    if (body.cursor != null && body.cursor !== state.cursor) {
+      state.cursor = body.cursor;
+      saveState();
+    }
+    hasMore = body.hasMore === true && body.orders.length > 0;
+  }
+}
+
+/**
+ * sse: 연결이 끊길 때까지 주문 이벤트 처리
+ */
+async function listen() {
+  const headers = { Accept: 'text/event-stream' };
+  if (state.cursor != null) headers['Last-Event-ID'] = String(state.cursor);
+  const response = await request(withCursor(settings.url), { headers, stream: true });
+  succeed();
+  status.connected = true;
+  console.log('[Pull] 이벤트 스트림 연결됨');
+
+  try {
+    let buffer = '';
+    let event = { id: null, type: null, data: [] };
+    const decoder = new TextDecoder();
+    for await (const chunk of response.body) {
+      buffer += decoder.decode(chunk, { stream: true });
+      let newline;
+      while ((newline = buffer.search(/\r?\n/)) !== -1) {
+        const line = buffer.slice(0, newline);
+        buffer = buffer.slice(buffer[newline] === '\r' ? newline + 2 : newline + 1);
+
+        if (line === '') {
+          dispatch(event);
+          event = { id: null, type: null, data: [] };
+          continue;
+        }
+        if (line.startsWith(':')) continue;
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'id') event.id = value;
+        else if (field === 'event') event.type = value;
+        else if (field === 'data') event.data.push(value);
+      }
+    }
+    if (!stopping) {
+      console.warn(`[Pull] 이벤트 스트림 종료 - ${settings.intervalMs / 1000}초 후 재연결`);
+    }
+  } catch (error) {
+    if (!stopping) throw error;
+  } finally {
+    status.connected = false;
+  }
+}
+
+function dispatch({ id, type, data }) {
+  if (data.length === 0 || (type && type !== 'order')) return;
+  let order;
+  try {
+    order = JSON.parse(data.join('\n'));
+  } catch (error) {
+    console.error(`[Pull] 주문 이벤트 JSON 오류 (id ${id}):`, error.message);
+    return;
+  }
+  handleOrder(order, id || (order && (order.cursor ?? order.orderId)));
+}
+
+/**
+ * 주문 1건 접수 후 커서 저장
+ */
+function handleOrder(order, cursor) {
+  const orderId = order && order.orderId;
+  // 커서는 주문 내용이 아님 (멱등성 키가 /print로 받은 같은 주문과 같아야 함)
+  const { cursor: omitted, ...data } = order || {};
+  const result = acceptOrder(data);
+
+  if (result.error) {
+    console.error(`[Pull] 주문 ${orderId} 거부: ${result.error}`);
+    queueAck({ orderId, status: 'rejected', jobIds: [], error: result.error });
+  } else if (result.duplicate) {
+    const jobIds = (result.duplicateJobs || [result.duplicate]).map(job => job.id);
+    console.log(`[Pull] 이미 접수된 주문: ${orderId} (작업 ${jobIds.join(', ')})`);
+    track(orderId, jobIds);
+  } else {
+    console.log(`[Pull] 주문 ${orderId} 접수 (작업 ${result.jobs.length}건)`);
+    track(orderId, result.jobs.map(job => job.id));
+  }
+
+  if (cursor != null) state.cursor = cursor;
+  saveState();
+}
+
+/**
+ * 백엔드 요청 (timeoutMs 안에 응답이 없으면 취소)
+ *
+ * stream이면 응답 헤더까지만 타임아웃 적용 (연결된 뒤로는 끊길 때까지 유지)
+ * 아니면 JSON 바디까지 읽어서 반환
+ */
+async function request(url, { headers, stream = false }) {
+  abort = new AbortController();
+  const timeout = setTimeout(() => abort.abort(new Error(`${settings.timeoutMs}ms 동안 응답 없음`)), settings.timeoutMs);
+  try {
+    const response = await fetch(url, {
+      headers: { ...headers, ...(settings.token ? { Authorization: `Bearer ${settings.token}` } : {}) },
+      signal: abort.signal
+    });
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+    return stream ? response : await response.json();
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+function withCursor(url) {
+  const target = new URL(url);
+  if (state.cursor != null) target.searchParams.set('after', String(state.cursor));
+  return target.toString();
+}
+
+function succeed() {
+  if (status.failures > 0) {
+    console.log(`[Pull] 백엔드 연결 복구 (${status.failures}회 실패 후)`);
+  }
+  status.failures = 0;
+  status.lastError = null;
+  status.lastSuccessAt = new Date().toISOString();
+}
+
+function fail(error) {
+  if (stopping) return;
+  const message = error.cause ? `${error.message} (${error.cause.message || error.cause})` : error.message;
+  status.failures += 1;
+  status.lastError = message;
+  // 같은 장애가 이어지는 동안 로그 반복 방지
+  if (status.failures === 1) {
+    console.error(`[Pull] 주문 조회 실패 - ${settings.intervalMs / 1000}초마다 재시도:`, message);
+  }
+}
+
+/**
+ * 주문의 작업 완료를 기다렸다가 보고 (ackUrl이 없으면 추적하지 않음)
+ */
+function track(orderId, jobIds) {
+  if (!settings.ackUrl) return;
+  state.tracking = state.tracking.filter(entry => entry.orderId !== orderId);
+  state.tracking.push({ orderId, jobIds, results: {} });
+  reconcile();
+}
+
+function queueAck({ orderId, status: result, jobIds, error = null }) {
+  if (!settings.ackUrl) return;
+  state.outbox.push({ orderId, status: result, jobIds, error, at: new Date().toISOString() });
+  saveState();
+  flushAcks();
+}
+
+/**
+ * job.printed / job.failed 이벤트 → 주문의 모든 작업이 끝났으면 보고 대기열로
+ */
+function onJobEvent(type, job) {
+  if (type !== 'job.printed' && type !== 'job.failed') return;
+  const entry = state.tracking.find(item => item.jobIds.includes(job.id));
+  if (!entry) return;
+  entry.results[job.id] = type === 'job.printed' ? { status: 'printed' } : { status: 'failed', error: job.error };
+  completeIfFinished(entry);
+}
+
+/**
+ * 재시작 등으로 이벤트를 놓친 작업은 큐에서 직접 확인
+ * (큐에서 정리되어 없는 작업은 출력 기록에서, 기록도 없으면 결과를 알 수 없으므로 실패로)
+ */
+function reconcile() {
+  for (const entry of [...state.tracking]) {
+    for (const id of entry.jobIds) {
+      if (entry.results[id]) continue;
+      const job = lookupJob(id);
+      if (job) {
+        if (job.status === 'done') entry.results[id] = { status: 'printed' };
+        else if (job.status === 'failed') entry.results[id] = { status: 'failed', error: job.error };
+        continue;
+      }
+      const history = lookupHistory(id);
+      if (history && history.status === 'printed') entry.results[id] = { status: 'printed' };
+      else if (history) entry.results[id] = { status: 'failed', error: history.error };
+      else entry.results[id] = { status: 'failed', error: `출력 결과를 확인할 수 없음 (작업 ${id}가 큐와 출력 기록에 없음)` };
+    }
+    completeIfFinished(entry);
+  }
+  saveState();
+}
+
+function completeIfFinished(entry) {
+  const results = entry.jobIds.map(id => entry.results[id]);
+  if (results.some(result => !result)) return;
+  const failed = results.find(result => result.status === 'failed');
+  state.tracking = state.tracking.filter(item => item !== entry);
+  queueAck({
+    orderId: entry.orderId,
+    status: failed ? 'failed' : 'printed',
+    jobIds: entry.jobIds,
+    error: failed ? failed.error : null
+  });
+}
+
+/**
+ * 보고 대기열 전송 (실패하면 남겨 두고 다음 주기에 재전송)
+ */
+function flushAcks() {
+  if (!settings.ackUrl || stopping) return Promise.resolve();
+  if (!flushing) {
+    flushing = sendAcks().finally(() => {
+      flushing = null;
+    });
+  }
+  return flushing;
+}
+
+async function sendAcks() {
+  while (state.outbox.length > 0 && !stopping) {
+    const ack = state.outbox[0];
+    try {
+      const response = await fetch(settings.ackUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          ...(settings.token ? { Authorization: `Bearer ${settings.token}` } : {})
+        },
+        body: JSON.stringify(ack),
+        signal: AbortSignal.timeout(settings.timeoutMs)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+    } catch (error) {
+      console.warn(`[Pull] 주문 ${ack.orderId} 결과 보고 실패 - 다음 주기에 재전송:`, error.message);
+      return;
+    }
+    state.outbox.shift();
+    saveState();
+    console.log(`[Pull] 주문 ${ack.orderId} 결과 보고: ${ack.status}`);
+  }
+}
+
+function loadState() {
+  const empty = { cursor: null, tracking: [], outbox: [] };
+  if (!existsSync(stateFile)) return empty;
+  try {
+    const parsed = JSON.parse(readFileSync(stateFile, 'utf-8'));
+    return {
+      cursor: parsed.cursor ?? null,
+      tracking: Array.isArray(parsed.tracking) ? parsed.tracking : [],
+      outbox: Array.isArray(parsed.outbox) ? parsed.outbox : []
+    };
+  } catch (error) {
+    console.error('[Pull] 커서 파일 손상 - 처음부터 조회:', error.message);
+    return empty;
+  }
+}
+
+/**
+ * 커서/보고 대기열 저장 (임시 파일 작성 후 rename)
+ */
+function saveState() {
+  const tmpFile = `${stateFile}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify(state, null, 2), 'utf-8');
+  renameSync(tmpFile, stateFile);
+}
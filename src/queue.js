@@ -0,0 +1,545 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { publish } from './events.js';
+import { describeCommand } from './commands.js';
+
+/**
+ * 디스크 영속 출력 작업 큐
+ *
+ * 기술적 결정:
+ * 1. /print는 작업만 등록하고 즉시 응답 - 스풀러 호출(최대 10초)을 HTTP 요청과 분리
+ * 2. 프린터마다 워커 1개가 등록 순서대로 하나씩 처리 - 같은 프린터 버퍼를 동시에 건드리지 않음
+ *    (프린터가 다르면 동시에 출력 - 포장대 프린터가 멈춰도 카운터 출력은 계속)
+ * 3. 작업 목록을 JSON 파일로 저장 - 프로세스 재시작 후에도 대기 중인 작업을 이어서 출력
+ * 4. 실패 시 지수 백오프 재시도, 프린터 오프라인 동안은 시도 횟수를 소모하지 않고 대기
+ * 5. 프린터가 출력 불가이고 백업 프린터가 출력 가능하면 대기 작업을 백업 프린터로 넘김
+ *    (넘긴 기록은 job.failover - 서로를 백업으로 지정해도 되돌아오지 않음)
+ * 6. 상태가 바뀔 때마다 job.* 이벤트 발행 (events.js - 관리자 페이지 실시간 알림)
+ * 7. 금전함/부저 명령 작업(job.command)은 재시도/백업 전환 없이 1회만, commandTtlMs가 지나면 실행하지 않음
+ *    (몇 분 뒤에 금전함이 열리거나, 전송 타임아웃 후 재시도로 두 번 열리지 않도록)
+ * 8. 라벨 작업(job.labels)은 백업 프린터로 넘기지 않음 (TSPL/ZPL 명령은 영수증 프린터에서 출력되지 않음)
+ * 9. 출력/상태 확인에 AbortSignal을 넘김 - 종료 시 stopGraceMs 안에 끝나지 않은 작업은 취소
+ *    (Windows 도우미에서 멈춘 출력을 기다리다 강제 종료되지 않도록, 취소된 작업은 시도 횟수를 되돌리고 대기열로)
+ * 10. 완료/실패 작업은 retentionDays가 지나면 삭제 (요청 바디의 이름/전화번호/주소가 출력 기록 보관 기간보다
+ *     오래 jobs.json에 남지 않도록 - 주문이 적은 매장은 keepFinished에 닿지 않음), 1시간마다 확인
+ *
+ * 작업 상태 흐름:
+ * queued → printing → done
+ *                   → queued (재시도 대기) → ... → failed (최대 시도 초과)
+ */
+
+export const JobStatus = {
+  QUEUED: 'queued',
+  PRINTING: 'printing',
+  DONE: 'done',
+  FAILED: 'failed'
+};
+
+/**
+ * 출력 시도 후 상태 → 발행할 이벤트 (queued = 재시도 대기)
+ */
+const JOB_EVENTS = {
+  [JobStatus.DONE]: 'job.printed',
+  [JobStatus.FAILED]: 'job.failed',
+  [JobStatus.QUEUED]: 'job.retrying'
+};
+
+const DEFAULT_OPTIONS = {
+  maxAttempts: 5,          // 최초 시도 포함 최대 출력 시도 횟수
+  retryBaseMs: 2000,       // 첫 재시도 대기 시간 (이후 2배씩 증가)
+  retryMaxMs: 60000,       // 재시도 대기 상한
+  offlinePollMs: 5000,     // 프린터 오프라인 시 재확인 주기
+  keepFinished: 200,       // 보관할 완료/실패 작업 수 (오래된 것부터 삭제)
+  commandTtlMs: 30000,     // 금전함/부저 명령 유효 시간 (지나면 실행하지 않고 실패 처리)
+  stopGraceMs: 3000,       // 종료 시 진행 중인 출력을 기다리는 시간 (지나면 취소)
+  dedupeWindowMs: 600000,  // 같은 멱등성 키 재요청을 중복으로 간주하는 시간 (10분)
+  retentionDays: null      // 완료/실패 작업 보관 일수 (null이면 keepFinished만 적용)
+};
+
+const PURGE_CHECK_MS = 60 * 60 * 1000;  // 보관 기간 확인 주기 (1시간)
+
+let jobs = [];
+let reprintCounts = {};    // 주문별 재출력 횟수 (작업 정리와 무관하게 유지)
+let queueFile = null;
+let jobHandler = null;
+let readyCheck = null;
+let backupOf = null;
+let defaultPrinter = 'default';
+let options = { ...DEFAULT_OPTIONS };
+
+const workers = new Map(); // 프린터 이름 → { draining: 진행 중인 drain 루프 Promise, wakeTimer }
+let stopping = false;
+let abortController = new AbortController(); // stopQueue에서 진행 중인 출력/상태 확인 취소
+let purgeTimer = null;
+
+/**
+ * 큐 초기화 - 저장된 작업 복원 후 워커 시작
+ *
+ * @param {Object} config
+ * @param {string} config.dir - 큐 파일을 저장할 디렉토리
+ * @param {(job: Object, options: { signal: AbortSignal }) => Promise<void>} config.handler - 작업 1건 출력 함수 (실패 시 throw)
+ * @param {(printer: string, options: { signal: AbortSignal }) => Promise<boolean>} [config.isReady] - 프린터 출력 가능 여부 (false면 대기)
+ * @param {(printer: string) => string|null} [config.getBackup] - 프린터의 백업 프린터 이름
+ * @param {string[]} [config.printers] - 등록된 프린터 이름 (없는 프린터의 작업은 기본 프린터로)
+ * @param {string} [config.defaultPrinter] - 기본 프린터 이름 (이전 버전 작업, 삭제된 프린터의 작업)
+ *
+ * 재시작 시 'printing' 상태로 남은 작업은 출력 도중 종료된 것이므로 다시 대기열로 돌림
+ * (드물게 중복 출력될 수 있으나 주문 누락보다 낫다고 판단)
+ */
+export function initQueue({ dir, handler, isReady, getBackup, printers, defaultPrinter: fallback = 'default', ...overrides }) {
+  options = { ...DEFAULT_OPTIONS, ...overrides };
+  jobHandler = handler;
+  readyCheck = isReady || null;
+  backupOf = getBackup || null;
+  defaultPrinter = fallback;
+  stopping = false;
+  abortController = new AbortController();
+
+  mkdirSync(dir, { recursive: true });
+  queueFile = join(dir, 'jobs.json');
+  ({ jobs, reprintCounts } = loadJobs());
+
+  let restored = 0;
+  for (const job of jobs) {
+    if (!job.printer) {
+      job.printer = defaultPrinter;
+    }
+    if (printers && !printers.includes(job.printer) && isPending(job)) {
+      console.warn(`[Queue] 설정에 없는 프린터(${job.printer})의 작업 → ${defaultPrinter}: ${job.id}`);
+      job.printer = defaultPrinter;
+    }
+    if (job.status === JobStatus.PRINTING) {
+      job.status = JobStatus.QUEUED;
+    }
+    if (job.status === JobStatus.QUEUED) {
+      job.nextAttemptAt = null;
+      restored++;
+    }
+  }
+  pruneFinished();
+  saveJobs();
+
+  clearInterval(purgeTimer);
+  purgeTimer = setInterval(() => {
+    if (pruneFinished() > 0) saveJobs();
+  }, PURGE_CHECK_MS);
+  purgeTimer.unref();
+
+  if (restored > 0) {
+    console.log(`[Queue] 미출력 작업 ${restored}건 복원`);
+  }
+  for (const printer of new Set(jobs.filter(isPending).map(job => job.printer))) {
+    kick(printer);
+  }
+}
+
+function isPending(job) {
+  return job.status === JobStatus.QUEUED || job.status === JobStatus.PRINTING;
+}
+
+/**
+ * 출력 작업 등록 (주문 1건 → 출력 프린터마다 작업 1개)
+ *
+ * @param {Object} data - /print 요청 바디 (주문 데이터)
+ * @param {Object} [meta]
+ * @param {string} [meta.key] - 멱등성 키 (중복 판별용, 같은 주문의 작업끼리 공유)
+ * @param {boolean} [meta.reprint] - 재출력 여부 (true면 주문별 회차를 1 증가시켜 모든 작업에 기록)
+ * @param {{ printer: string, copies: string[]|null }[]} [meta.targets] - 프린터별 사본 (routing.js routeCopies)
+ *        생략 시 기본 프린터 1개 + 요청의 사본 구성
+ * @param {string} [meta.replayOf] - 출력 기록 ID (영수증을 새로 만들지 않고 기록된 바이트를 그대로 출력)
+ * @param {string} [meta.report] - 집계 날짜 YYYY-MM-DD (영수증 대신 마감 집계표 출력, data는 빈 객체)
+ * @param {Object} [meta.command] - 금전함/부저 명령 (commands.js, data는 빈 객체)
+ * @param {boolean} [meta.routeSheet] - 영수증 대신 배달 경로표 출력 (routesheet.js, data는 경로표 내용)
+ * @param {Object} [meta.labels] - 영수증 대신 라벨 출력 { mode, count } (labels.js, data는 주문 데이터)
+ * @returns {Object[]} 등록된 작업
+ */
+export function enqueueJobs(data, { key = null, reprint = false, targets = [{ printer: defaultPrinter, copies: null }], replayOf = null, report = null, command = null, routeSheet = false, labels = null } = {}) {
+  const now = new Date().toISOString();
+  let reprintInfo = null;
+  if (reprint) {
+    const orderKey = String(data.orderId);
+    reprintCounts[orderKey] = (reprintCounts[orderKey] || 0) + 1;
+    reprintInfo = { count: reprintCounts[orderKey], requestedAt: now };
+  }
+
+  const created = targets.map(({ printer, copies }) => ({
+    id: randomUUID(),
+    orderId: data.orderId,
+    key,
+    printer,
+    copies,
+    status: JobStatus.QUEUED,
+    attempts: 0,
+    createdAt: now,
+    updatedAt: now,
+    nextAttemptAt: null,
+    error: null,
+    reprint: reprintInfo,
+    replayOf,
+    report,
+    command,
+    routeSheet,
+    labels,
+    expiresAt: command ? new Date(Date.now() + options.commandTtlMs).toISOString() : null,
+    failover: null,
+    data
+  }));
+  jobs.push(...created);
+  saveJobs();
+  for (const job of created) {
+    publish('job.queued', toJobSummary(job));
+    kick(job.printer);
+  }
+  return created;
+}
+
+/**
+ * 같은 멱등성 키로 최근 등록된 작업 조회
+ *
+ * dedupeWindowMs 이내에 등록되었고 실패하지 않은 작업만 중복으로 간주
+ * (실패한 작업은 다시 요청하면 새로 출력해야 하므로 제외)
+ *
+ * @param {string} key - 멱등성 키
+ * @returns {Object|null} 중복 작업 (없으면 null)
+ */
+export function findDuplicateJob(key) {
+  const since = Date.now() - options.dedupeWindowMs;
+  for (let i = jobs.length - 1; i >= 0; i--) {
+    const job = jobs[i];
+    if (Date.parse(job.createdAt) < since) break;
+    if (job.key === key && job.status !== JobStatus.FAILED) {
+      return job;
+    }
+  }
+  return null;
+}
+
+/**
+ * 같은 요청으로 함께 등록된 작업 (라우팅으로 나뉜 손님용/주방/기사 사본 - 자신 포함)
+ *
+ * enqueueJobs 1회에 등록된 작업은 멱등성 키와 등록 시각이 같음
+ *
+ * @param {Object} job - findDuplicateJob 등으로 찾은 작업
+ * @returns {Object[]}
+ */
+export function listSiblingJobs(job) {
+  return jobs.filter(item => item.key === job.key && item.createdAt === job.createdAt);
+}
+
+/**
+ * 주문의 현재 재출력 횟수 (미리보기에서 다음 회차 표시용)
+ *
+ * @param {number|string} orderId
+ * @returns {number}
+ */
+export function getReprintCount(orderId) {
+  return reprintCounts[String(orderId)] || 0;
+}
+
+/**
+ * 작업 조회
+ * @param {string} id
+ * @returns {Object|null}
+ */
+export function getJob(id) {
+  return jobs.find(job => job.id === id) || null;
+}
+
+/**
+ * 작업 목록 조회 (최신순)
+ *
+ * @param {Object} [filter]
+ * @param {string} [filter.status] - 상태 필터
+ * @param {string} [filter.printer] - 프린터 필터
+ * @returns {Object[]}
+ */
+export function listJobs({ status, printer } = {}) {
+  return jobs
+    .filter(job => !status || job.status === status)
+    .filter(job => !printer || job.printer === printer)
+    .slice()
+    .reverse();
+}
+
+/**
+ * API 응답/이벤트용 작업 요약에 포함하는 필드
+ *
+ * 주문 원본(data), 멱등성 키(key), 출력 바이트 해시(render)는 내부용이라 제외
+ */
+const SUMMARY_FIELDS = [
+  'id', 'orderId', 'printer', 'copies', 'status', 'attempts', 'createdAt', 'updatedAt', 'nextAttemptAt', 'error',
+  'reprint', 'replayOf', 'report', 'command', 'routeSheet', 'labels', 'expiresAt', 'failover'
+];
+
+/**
+ * API 응답/이벤트용 작업 요약
+ */
+export function toJobSummary(job) {
+  const summary = {};
+  for (const field of SUMMARY_FIELDS) {
+    summary[field] = job[field] ?? null;
+  }
+  return summary;
+}
+
+/**
+ * 워커 정지 - 진행 중인 작업이 끝날 때까지 대기 (stopGraceMs가 지나면 취소 후 대기)
+ *
+ * 대기 중인 작업은 파일에 남아 있으므로 다음 실행 시 이어서 출력됨
+ * @param {Object} [params]
+ * @param {number} [params.graceMs] - 취소 전 대기 시간 (기본 options.stopGraceMs)
+ * @returns {Promise<void>}
+ */
+export async function stopQueue({ graceMs = options.stopGraceMs } = {}) {
+  stopping = true;
+  clearInterval(purgeTimer);
+  for (const worker of workers.values()) {
+    if (worker.wakeTimer) {
+      clearTimeout(worker.wakeTimer);
+      worker.wakeTimer = null;
+    }
+  }
+  const draining = Promise.all([...workers.values()].map(worker => worker.draining).filter(Boolean));
+
+  let graceTimer = null;
+  const finished = await Promise.race([
+    draining.then(() => true),
+    new Promise(resolve => { graceTimer = setTimeout(resolve, graceMs, false); })
+  ]);
+  clearTimeout(graceTimer);
+  if (!finished) {
+    console.warn(`[Queue] 종료 대기 ${graceMs / 1000}초 초과 - 진행 중인 출력 취소`);
+    abortController.abort();
+    await draining;
+  }
+}
+
+function getWorker(printer) {
+  if (!workers.has(printer)) {
+    workers.set(printer, { draining: null, wakeTimer: null });
+  }
+  return workers.get(printer);
+}
+
+/**
+ * 프린터 워커 깨우기 - 이미 실행 중이면 무시 (프린터마다 워커 1개 보장)
+ */
+function kick(printer) {
+  const worker = getWorker(printer);
+  if (stopping || worker.draining || !jobHandler) return;
+  if (worker.wakeTimer) {
+    clearTimeout(worker.wakeTimer);
+    worker.wakeTimer = null;
+  }
+  worker.draining = drain(printer)
+    .catch(error => console.error(`[Queue] 워커 오류 (${printer}):`, error))
+    .finally(() => {
+      worker.draining = null;
+    });
+}
+
+/**
+ * 지정 시간 후 워커 재실행 예약
+ */
+function scheduleWake(printer, delayMs) {
+  if (stopping) return;
+  const worker = getWorker(printer);
+  if (worker.wakeTimer) clearTimeout(worker.wakeTimer);
+  worker.wakeTimer = setTimeout(() => {
+    worker.wakeTimer = null;
+    kick(printer);
+  }, Math.max(0, delayMs));
+}
+
+/**
+ * 프린터별 대기열 소진 루프
+ *
+ * 등록 순서를 지키기 위해 항상 해당 프린터의 가장 오래된 대기 작업부터 처리
+ * 해당 작업이 재시도 대기 중이면 그 시각에 맞춰 재실행을 예약하고 종료
+ * 프린터가 출력 불가면 백업 프린터로 넘기거나, 백업이 없으면 주기적으로 재확인
+ */
+async function drain(printer) {
+  while (!stopping) {
+    const job = jobs.find(j => j.status === JobStatus.QUEUED && j.printer === printer);
+    if (!job) return;
+
+    if (job.expiresAt && Date.parse(job.expiresAt) <= Date.now()) {
+      expire(job);
+      continue;
+    }
+
+    const waitMs = job.nextAttemptAt ? Date.parse(job.nextAttemptAt) - Date.now() : 0;
+    if (waitMs > 0) {
+      scheduleWake(printer, waitMs);
+      return;
+    }
+
+    if (readyCheck && !(await isReadySafe(printer))) {
+      if (stopping) return;
+      if (await failover(printer)) continue;
+      scheduleWake(printer, options.offlinePollMs);
+      return;
+    }
+    if (stopping) return;
+
+    await runJob(job);
+  }
+}
+
+async function isReadySafe(printer) {
+  try {
+    return await readyCheck(printer, { signal: abortController.signal });
+  } catch (error) {
+    if (abortController.signal.aborted) return false;
+    console.error(`[Queue] 프린터 상태 확인 실패 (${printer}):`, error.message);
+    return false;
+  }
+}
+
+/**
+ * 출력 불가 프린터의 대기 작업을 백업 프린터로 넘김
+ *
+ * 백업 프린터에서 넘어온 작업은 되돌리지 않음 (서로 백업인 경우 무한 반복 방지)
+ * 명령/라벨 작업은 넘기지 않음 (해당 프린터에서만 의미가 있음)
+ *
+ * @returns {Promise<boolean>} 넘긴 작업이 있으면 true
+ */
+async function failover(printer) {
+  const backup = backupOf ? backupOf(printer) : null;
+  if (!backup) return false;
+
+  const movable = jobs.filter(job =>
+    job.status === JobStatus.QUEUED &&
+    job.printer === printer &&
+    !job.command &&
+    !job.labels &&
+    !(job.failover || []).some(entry => entry.from === backup)
+  );
+  if (movable.length === 0 || !(await isReadySafe(backup))) return false;
+
+  const at = new Date().toISOString();
+  for (const job of movable) {
+    job.failover = [...(job.failover || []), { from: printer, to: backup, at }];
+    job.printer = backup;
+    job.nextAttemptAt = null;
+    job.updatedAt = at;
+  }
+  saveJobs();
+  for (const job of movable) {
+    publish('job.failover', toJobSummary(job));
+  }
+  console.warn(`[Queue] ${printer} 출력 불가 → 백업 프린터 ${backup}로 ${movable.length}건 전환`);
+  kick(backup);
+  return true;
+}
+
+/**
+ * 작업 1건 실행 및 결과 반영
+ */
+async function runJob(job) {
+  job.status = JobStatus.PRINTING;
+  job.attempts += 1;
+  job.updatedAt = new Date().toISOString();
+  saveJobs();
+  publish('job.printing', toJobSummary(job));
+
+  try {
+    await jobHandler(job, { signal: abortController.signal });
+    job.status = JobStatus.DONE;
+    job.error = null;
+    job.nextAttemptAt = null;
+    console.log(`[Queue] 작업 완료: ${job.id} (${describeJob(job)})`);
+  } catch (error) {
+    job.error = error.message;
+    if (abortController.signal.aborted && !job.command) {
+      // 종료로 취소 - 실패로 세지 않고 다음 실행 시 다시 출력 (명령 작업은 이미 실행됐을 수 있으므로 아래에서 실패 처리)
+      job.status = JobStatus.QUEUED;
+      job.attempts -= 1;
+      job.nextAttemptAt = null;
+      console.warn(`[Queue] 종료로 출력 취소, 다음 실행 시 다시 출력: ${job.id} (${describeJob(job)})`);
+    } else if (job.command || job.attempts >= options.maxAttempts) {
+      job.status = JobStatus.FAILED;
+      job.nextAttemptAt = null;
+      console.error(`[Queue] 작업 실패 (${job.attempts}회 시도): ${job.id} - ${error.message}`);
+    } else {
+      const delay = Math.min(options.retryBaseMs * 2 ** (job.attempts - 1), options.retryMaxMs);
+      job.status = JobStatus.QUEUED;
+      job.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+      console.warn(`[Queue] 출력 실패, ${delay / 1000}초 후 재시도 (${job.attempts}/${options.maxAttempts}): ${error.message}`);
+    }
+  }
+
+  job.updatedAt = new Date().toISOString();
+  pruneFinished();
+  saveJobs();
+  publish(JOB_EVENTS[job.status], toJobSummary(job));
+}
+
+/**
+ * 유효 시간이 지난 명령 작업 실패 처리 (실행하지 않음)
+ */
+function expire(job) {
+  job.status = JobStatus.FAILED;
+  job.error = `유효 시간(${options.commandTtlMs / 1000}초) 초과 - 프린터가 출력 불가 상태라 실행하지 않음`;
+  job.updatedAt = new Date().toISOString();
+  console.warn(`[Queue] ${describeJob(job)} 명령 만료: ${job.id}`);
+  pruneFinished();
+  saveJobs();
+  publish('job.failed', toJobSummary(job));
+}
+
+/**
+ * 로그용 작업 설명
+ */
+function describeJob(job) {
+  if (job.command) return describeCommand(job.command);
+  if (job.report) return `집계표 ${job.report}`;
+  if (job.routeSheet) return `경로표 ${job.data.stops.length}건`;
+  if (job.labels) return `주문 ${job.orderId} 라벨 ${job.labels.count}장`;
+  return `주문 ${job.orderId}`;
+}
+
+/**
+ * 완료/실패 작업 정리 - keepFinished를 넘는 오래된 작업, retentionDays가 지난 작업 삭제
+ *
+ * @returns {number} 삭제한 작업 수
+ */
+function pruneFinished() {
+  const finished = jobs.filter(job => job.status === JobStatus.DONE || job.status === JobStatus.FAILED);
+  const excess = Math.max(0, finished.length - options.keepFinished);
+  const removed = new Set(finished.slice(0, excess));
+  if (options.retentionDays != null) {
+    const cutoff = Date.now() - options.retentionDays * 24 * 60 * 60 * 1000;
+    for (const job of finished) {
+      if (Date.parse(job.updatedAt) < cutoff) removed.add(job);
+    }
+  }
+  if (removed.size === 0) return 0;
+  jobs = jobs.filter(job => !removed.has(job));
+  return removed.size;
+}
+
+function loadJobs() {
+  const empty = { jobs: [], reprintCounts: {} };
+  if (!existsSync(queueFile)) return empty;
+  try {
+    const parsed = JSON.parse(readFileSync(queueFile, 'utf-8'));
+    return {
+      jobs: Array.isArray(parsed.jobs) ? parsed.jobs : [],
+      reprintCounts: parsed.reprintCounts || {}
+    };
+  } catch (error) {
+    console.error('[Queue] 큐 파일 손상 - 빈 큐로 시작:', error.message);
+    return empty;
+  }
+}
+
+/**
+ * 큐 파일 저장 (임시 파일 작성 후 rename - 저장 도중 종료되어도 파일이 깨지지 않음)
+ */
+function saveJobs() {
+  const tmpFile = `${queueFile}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify({ jobs, reprintCounts }, null, 2), 'utf-8');
+  renameSync(tmpFile, queueFile);
+}
@@ -0,0 +1,299 @@
+import { readFileSync, existsSync } from 'fs';
+import { createRequire } from 'module';
+import { dirname, join } from 'path';
+import opentype from 'opentype.js';
+import qrcode from 'qrcode-generator';
+
+/**
+ * 텍스트 → 1비트 비트맵 렌더링 (한글 폰트 ROM이 없는 프린터용)
+ *
+ * 배경:
+ * - 일부 저가 58mm 프린터는 한글 폰트가 없어 어떤 인코딩으로 보내도 한글이 깨짐
+ * - 번들된 나눔고딕 TTF로 줄 단위 비트맵을 만들어 GS v 0 래스터 이미지로 전송
+ *
+ * 기술적 결정:
+ * 1. 순수 JS (opentype.js로 글리프 윤곽선만 읽고 채우기는 직접 구현)
+ *    - 매장 PC에 canvas/네이티브 모듈 설치 없이 오프라인 동작
+ * 2. 텍스트 모드와 같은 격자에 글자를 배치
+ *    - Font A 기준 1칸 = 12×24 도트, ASCII 1칸 / 한글 2칸 (receipt.js 폭 계산과 동일)
+ *    - 글리프가 칸보다 넓으면 가로로 압축 → 열 정렬이 텍스트 모드와 똑같이 유지됨
+ * 3. 강조 표현도 텍스트 모드 명령과 대응
+ *    - bold: 1도트 오른쪽으로 겹쳐 찍기 (ESC E의 이중 타격과 같은 방식)
+ *    - 2배 높이/4배 면적: 칸 크기를 세로(및 가로) 2배로 키워 렌더링
+ */
+
+// Font A 문자 칸 크기 (도트) - 프로필이 Font B면 9×17 칸을 넘겨받음
+export const CELL_WIDTH = 12;
+export const CELL_HEIGHT = 24;
+// 기본 줄 간격 (ESC 2, 1/6인치 = 30도트) - 글자 높이 24 + 여백 6
+const LINE_GAP = 6;
+
+const HANGUL = /[\uAC00-\uD7A3]/;
+
+let cachedFont = null;
+let cachedFontPath = null;
+
+/**
+ * 기본 폰트 경로 탐색
+ *
+ * 1. .exe 실행 시: 실행 파일 옆 fonts/NanumGothic.ttf (pkg 번들에는 TTF가 포함되지 않음)
+ * 2. node 실행 시: @kfonts/nanum-gothic 패키지의 NanumGothic.ttf
+ *
+ * @returns {string|null}
+ */
+function defaultFontPath() {
+  const candidates = [];
+  if (process.pkg) {
+    candidates.push(join(dirname(process.execPath), 'fonts', 'NanumGothic.ttf'));
+  }
+  try {
+    candidates.push(createRequire(import.meta.url).resolve('@kfonts/nanum-gothic/src/NanumGothic.ttf'));
+  } catch (e) {}
+  return candidates.find(path => existsSync(path)) || null;
+}
+
+/**
+ * TTF 로드 (경로별 1회, 이후 캐시)
+ *
+ * @param {string} [fontPath] - TTF 경로 (생략 시 번들 나눔고딕)
+ * @returns {opentype.Font}
+ */
+export function loadFont(fontPath) {
+  const path = fontPath || defaultFontPath();
+  if (!path) {
+    throw new Error('래스터 출력용 한글 폰트(NanumGothic.ttf)를 찾을 수 없습니다');
+  }
+  if (cachedFont && cachedFontPath === path) return cachedFont;
+
+  const file = readFileSync(path);
+  cachedFont = opentype.parse(file.buffer.slice(file.byteOffset, file.byteOffset + file.byteLength));
+  cachedFontPath = path;
+  return cachedFont;
+}
+
+/**
+ * 곡선을 포함한 글리프 경로 → 선분 목록
+ *
+ * 2차/3차 베지어는 고정 8분할로 근사 (24도트 글자에서 눈에 띄는 오차 없음)
+ *
+ * @returns {Array<[number, number, number, number]>} [x0, y0, x1, y1]
+ */
+function flattenPath(commands, transform) {
+  const edges = [];
+  const SEGMENTS = 8;
+  let startX = 0, startY = 0, x = 0, y = 0;
+
+  const lineTo = (nx, ny) => {
+    const [ax, ay] = transform(x, y);
+    const [bx, by] = transform(nx, ny);
+    if (ay !== by) edges.push([ax, ay, bx, by]);
+    x = nx;
+    y = ny;
+  };
+
+  for (const cmd of commands) {
+    if (cmd.type === 'M') {
+      startX = x = cmd.x;
+      startY = y = cmd.y;
+    } else if (cmd.type === 'L') {
+      lineTo(cmd.x, cmd.y);
+    } else if (cmd.type === 'Q') {
+      const x0 = x, y0 = y;
+      for (let i = 1; i <= SEGMENTS; i++) {
+        const t = i / SEGMENTS, u = 1 - t;
+        lineTo(
+          u * u * x0 + 2 * u * t * cmd.x1 + t * t * cmd.x,
+          u * u * y0 + 2 * u * t * cmd.y1 + t * t * cmd.y
+        );
+      }
+    } else if (cmd.type === 'C') {
+      const x0 = x, y0 = y;
+      for (let i = 1; i <= SEGMENTS; i++) {
+        const t = i / SEGMENTS, u = 1 - t;
+        lineTo(
+          u * u * u * x0 + 3 * u * u * t * cmd.x1 + 3 * u * t * t * cmd.x2 + t * t * t * cmd.x,
+          u * u * u * y0 + 3 * u * u * t * cmd.y1 + 3 * u * t * t * cmd.y2 + t * t * t * cmd.y
+        );
+      }
+    } else if (cmd.type === 'Z') {
+      lineTo(startX, startY);
+    }
+  }
+  return edges;
+}
+
+/**
+ * 선분 목록을 비트맵에 채우기 (스캔라인, non-zero winding 규칙)
+ *
+ * 각 도트의 중심(x+0.5, y+0.5)이 윤곽선 안쪽이면 검은 점
+ */
+function fillEdges(bitmap, edges) {
+  const { width, height, pixels } = bitmap;
+  for (let row = 0; row < height; row++) {
+    const sampleY = row + 0.5;
+    const crossings = [];
+    for (const [x0, y0, x1, y1] of edges) {
+      const goingDown = y1 > y0;
+      const top = goingDown ? y0 : y1;
+      const bottom = goingDown ? y1 : y0;
+      if (sampleY < top || sampleY >= bottom) continue;
+      const t = (sampleY - y0) / (y1 - y0);
+      crossings.push({ x: x0 + t * (x1 - x0), dir: goingDown ? 1 : -1 });
+    }
+    if (crossings.length === 0) continue;
+    crossings.sort((a, b) => a.x - b.x);
+
+    let winding = 0;
+    for (let i = 0; i < crossings.length - 1; i++) {
+      winding += crossings[i].dir;
+      if (winding === 0) continue;
+      const from = Math.max(0, Math.ceil(crossings[i].x - 0.5));
+      const to = Math.min(width - 1, Math.floor(crossings[i + 1].x - 0.5));
+      for (let col = from; col <= to; col++) {
+        pixels[row * width + col] = 1;
+      }
+    }
+  }
+}
+
+/**
+ * 텍스트 1줄을 용지 폭 비트맵으로 렌더링
+ *
+ * @param {string} text - 출력 텍스트
+ * @param {Object} options
+ * @param {opentype.Font} options.font - loadFont() 결과
+ * @param {number} options.paperDots - 용지 인쇄 폭 (58mm = 384도트)
+ * @param {'left'|'center'|'right'} [options.align] - 정렬
+ * @param {boolean} [options.bold] - 굵게
+ * @param {number} [options.scaleX] - 가로 배율 (2배 폭/4배 면적 시 2)
+ * @param {number} [options.scaleY] - 세로 배율 (2배 높이/4배 면적 시 2)
+ * @param {number} [options.cellWidth] - 1칸 폭 (기본 Font A 12도트)
+ * @param {number} [options.cellHeight] - 1칸 높이 (기본 Font A 24도트)
+ * @returns {{ width: number, height: number, pixels: Uint8Array }}
+ */
+export function renderLine(text, {
+  font, paperDots, align = 'left', bold = false, scaleX = 1, scaleY = 1,
+  cellWidth = CELL_WIDTH, cellHeight = CELL_HEIGHT
+}) {
+  const cellW = cellWidth * scaleX;
+  const cellH = cellHeight * scaleY;
+  const height = cellH + LINE_GAP * scaleY;
+  const bitmap = { width: paperDots, height, pixels: new Uint8Array(paperDots * height) };
+
+  // 칸 배치 계산 (한글 2칸, 그 외 1칸 - BMP 밖 문자는 JS 길이 2이므로 2칸)
+  const chars = [...text];
+  const cells = chars.map(char => (HANGUL.test(char) || char.length > 1 ? 2 : 1));
+  const lineWidth = cells.reduce((sum, n) => sum + n * cellW, 0);
+
+  let x = 0;
+  if (align === 'center') x = Math.floor(Math.max(0, paperDots - lineWidth) / 2);
+  else if (align === 'right') x = Math.max(0, paperDots - lineWidth);
+
+  // 칸 높이에 ascender~descender가 꼭 맞도록 글자 크기 결정 (세로 배율은 변환에서 적용)
+  const emHeight = (font.ascender - font.descender) / font.unitsPerEm;
+  const fontSize = cellHeight / emHeight;
+  const baseline = (font.ascender / font.unitsPerEm) * fontSize;
+
+  chars.forEach((char, i) => {
+    const boxWidth = cells[i] * cellW;
+    if (char !== ' ' && x < paperDots) {
+      const glyph = font.charToGlyph(char);
+      const advance = (glyph.advanceWidth / font.unitsPerEm) * fontSize * scaleX;
+      const squeeze = advance > boxWidth ? boxWidth / advance : 1;
+      const offsetX = x + (boxWidth - advance * squeeze) / 2;
+      const path = glyph.getPath(0, baseline, fontSize);
+      const edges = flattenPath(path.commands, (px, py) => [
+        offsetX + px * scaleX * squeeze,
+        py * scaleY
+      ]);
+      fillEdges(bitmap, edges);
+    }
+    x += boxWidth;
+  });
+
+  if (bold) {
+    // 오른쪽에서 왼쪽으로 진행해야 방금 칠한 점이 다시 번지지 않음
+    for (let row = 0; row < height; row++) {
+      for (let col = paperDots - 1; col > 0; col--) {
+        if (bitmap.pixels[row * paperDots + col - 1]) bitmap.pixels[row * paperDots + col] = 1;
+      }
+    }
+  }
+
+  return bitmap;
+}
+
+/**
+ * QR 코드 → 용지 폭 비트맵 (GS ( k 를 지원하지 않는 프린터용)
+ *
+ * 프린터 내장 QR과 같은 설정(모델 2, 오류 정정 M)으로 만들고,
+ * 모듈 1칸 = cellSize × cellSize 도트 + 사방 4모듈 여백(quiet zone)
+ *
+ * @param {string} data - QR 내용 (UTF-8로 인코딩)
+ * @param {Object} options
+ * @param {number} options.paperDots - 용지 인쇄 폭 (도트)
+ * @param {number} [options.cellSize] - 모듈 1칸 크기 (도트, 프린터 내장 QR의 cell size와 같은 의미)
+ * @param {'left'|'center'|'right'} [options.align] - 정렬
+ * @returns {{ width: number, height: number, pixels: Uint8Array }}
+ */
+export function renderQr(data, { paperDots, cellSize = 5, align = 'center' }) {
+  const qr = qrcode(0, 'M');
+  // 라이브러리는 문자 1개 = 1바이트로 처리하므로 UTF-8 바이트열을 latin1 문자열로 넘김
+  qr.addData(Buffer.from(data, 'utf8').toString('latin1'), 'Byte');
+  qr.make();
+
+  const QUIET_ZONE = 4;
+  const modules = qr.getModuleCount();
+  // 용지보다 크면 들어갈 때까지 칸 크기를 줄임
+  let cell = cellSize;
+  while (cell > 1 && (modules + QUIET_ZONE * 2) * cell > paperDots) cell--;
+  const size = (modules + QUIET_ZONE * 2) * cell;
+
+  const bitmap = { width: paperDots, height: size, pixels: new Uint8Array(paperDots * size) };
+  let x = QUIET_ZONE * cell;
+  if (align === 'center') x += Math.floor(Math.max(0, paperDots - size) / 2);
+  else if (align === 'right') x += Math.max(0, paperDots - size);
+  const y = QUIET_ZONE * cell;
+
+  for (let row = 0; row < modules; row++) {
+    for (let col = 0; col < modules; col++) {
+      if (!qr.isDark(row, col)) continue;
+      const from = Math.min(x + col * cell, paperDots);
+      const to = Math.min(x + col * cell + cell, paperDots);
+      for (let dy = 0; dy < cell; dy++) {
+        const rowStart = (y + row * cell + dy) * paperDots;
+        bitmap.pixels.fill(1, rowStart + from, rowStart + to);
+      }
+    }
+  }
+  return bitmap;
+}
+
+/**
+ * 비트맵 → ESC/POS 래스터 이미지 명령 (GS v 0)
+ *
+ * GS v 0 m xL xH yL yH d1...dk
+ * - m=0: 일반 크기
+ * - x: 가로 바이트 수 (8도트 = 1바이트, MSB가 왼쪽 도트)
+ * - y: 세로 도트 수
+ *
+ * @param {{ width: number, height: number, pixels: Uint8Array }} bitmap
+ * @returns {Buffer}
+ */
+export function toRasterCommand({ width, height, pixels }) {
+  const bytesPerRow = Math.ceil(width / 8);
+  const data = Buffer.alloc(bytesPerRow * height);
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      if (pixels[row * width + col]) {
+        data[row * bytesPerRow + (col >> 3)] |= 0x80 >> (col & 7);
+      }
+    }
+  }
+  const header = Buffer.from([
+    0x1d, 0x76, 0x30, 0x00,
+    bytesPerRow & 0xff, (bytesPerRow >> 8) & 0xff,
+    height & 0xff, (height >> 8) & 0xff
+  ]);
+  return Buffer.concat([header, data]);
+}
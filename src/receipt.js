@@ -1,23 +1,46 @@
+import { getProfile } from './profiles.js';
+import { getTemplate } from './templates/index.js';
+import { computeTotals, PAYMENT_METHODS } from './totals.js';
+
 /**
  * JSON 배달 주문 데이터를 ESC/POS 영수증 포맷으로 변환
  *
- * 58mm 용지 기준 설계 (32자 폭):
+ * 폭 계산 기준:
  * - 영문/숫자: 1자 = 1폭
  * - 한글: 1자 = 2폭 (UTF-8 멀티바이트 문자)
- * - 실제 가용 폭: 한글 16자 또는 영문 32자
+ * - 한 줄 폭은 용지 프로필(profiles.js)에서 결정 - 58mm 기본 32폭 (한글 16자 또는 영문 32자),
+ *   80mm 48폭 등. 프린터 인스턴스에 지정된 프로필을 따름
+ *
+ * 한글 출력:
+ * - 이 모듈은 문자열만 전달하고, 바이트 변환은 프린터 인스턴스의 인코딩 단계가 담당
+ *   (printer.js → encoding.js, 기본 CP949 + ESC R 13 / FS & 한글 2바이트 모드)
+ * - 인코딩할 수 없는 문자(이모지 등)는 폭을 유지하는 대체 문자로 치환되어 정렬이 깨지지 않음
+ *
+ * 레이아웃:
+ * - 출력 순서/강조/조건은 템플릿(templates/)에 선언하고, 이 모듈은 템플릿을 해석해 명령으로 변환
+ * - 폭 계산과 상품 표처럼 용지 프로필에 맞춰 계산해야 하는 부분만 코드로 유지
+ */
+
+const DEFAULT_COLUMNS = getProfile().columns;
+
+/**
+ * 출력 폭 계산 (한글 2폭, 그 외 1폭)
  *
- * node-thermal-printer의 제약사항:
- * 1. 한글 직접 출력 불가 - ESC/POS 표준 문자셋(PC437)은 영문/숫자/특수문자만 지원
- * 2. 해결책: printer.printImage() 또는 외부 폰트 라이브러리 사용
- * 3. 현재는 한글을 그대로 전달 - 프린터 펌웨어가 한글 코드페이지 지원 시 출력됨
- *    (대부분의 국내 판매 영수증 프린터는 KS X 1001 또는 EUC-KR 지원)
+ * @param {string} text
+ * @returns {number}
  */
+export function displayWidth(text) {
+  // 한글 문자 개수 계산 (유니코드 범위: AC00-D7A3) - 한글은 2폭이므로 개수만큼 더함
+  const koreanCount = (text.match(/[\uAC00-\uD7A3]/g) || []).length;
+  return text.length + koreanCount;
+}
 
 /**
- * 텍스트 정렬 헬퍼 (32자 폭 기준)
+ * 텍스트 정렬 헬퍼
  *
  * @param {string} text - 출력 텍스트
  * @param {string} align - 정렬 방식 ('left' | 'center' | 'right')
+ * @param {number} width - 줄 폭 (기본: 58mm 프로필 32자)
  * @returns {string} 정렬된 텍스트
  *
  * 한글 폭 계산 이슈:
@@ -25,11 +48,8 @@
  * - 정확한 정렬을 위해 한글 문자 개수를 별도 계산
  * - 예: "과일맛집" = 4글자 × 2폭 = 8폭
  */
-function alignText(text, align = 'left', width = 32) {
-  // 한글 문자 개수 계산 (유니코드 범위: AC00-D7A3)
-  const koreanCount = (text.match(/[\uAC00-\uD7A3]/g) || []).length;
-  // 실제 폭 = 전체 길이 + 한글 개수 (한글은 2폭이므로 +1)
-  const actualWidth = text.length + koreanCount;
+function alignText(text, align = 'left', width = DEFAULT_COLUMNS) {
+  const actualWidth = displayWidth(text);
 
   if (actualWidth >= width) return text;
 
@@ -54,7 +74,7 @@ function alignText(text, align = 'left', width = 32) {
  *
  * 예: 15900 → "15,900원"
  */
-function formatAmount(amount) {
+export function formatAmount(amount) {
   return amount.toLocaleString('ko-KR') + '원';
 }
 
@@ -75,11 +95,40 @@ function formatPrice(amount, width = 15) {
   return ' '.repeat(padding) + formatted;
 }
 
+/**
+ * 일시 포맷팅
+ *
+ * @param {Date|string} value - Date 또는 ISO 8601 문자열
+ * @returns {string} 예: "2026-02-12 02:08:03"
+ */
+export function formatDateTime(value) {
+  const d = new Date(value);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}:${String(d.getSeconds()).padStart(2, '0')}`;
+}
+
+/**
+ * 전화번호 가운데 자리 가림 (배달기사/포장용 사본의 개인정보 보호)
+ *
+ * @param {string} phone - 전화번호 ("010-1234-5678" 또는 "01012345678")
+ * @returns {string} 예: "010-****-5678" (형식을 알 수 없으면 그대로)
+ */
+function maskPhone(phone) {
+  const text = String(phone ?? '');
+  const parts = text.split('-');
+  if (parts.length === 3) {
+    return `${parts[0]}-${'*'.repeat(parts[1].length)}-${parts[2]}`;
+  }
+  const digits = text.replace(/\D/g, '');
+  if (digits.length < 9) return text;
+  return `${digits.slice(0, 3)}-${'*'.repeat(digits.length - 7)}-${digits.slice(-4)}`;
+}
+
 /**
  * 상품명과 금액을 좌우 정렬하여 한 줄에 배치
  *
  * @param {string} label - 좌측 레이블
  * @param {string} value - 우측 값
+ * @param {number} width - 줄 폭 (기본: 58mm 프로필 32자)
  * @returns {string} 정렬된 행
  *
  * 레이아웃:
@@ -88,186 +137,544 @@ function formatPrice(amount, width = 15) {
  * - value: 우측 정렬
  * - 중간 공백으로 채움
  */
-function formatRow(label, value, width = 32) {
-  const koreanCount = (label.match(/[\uAC00-\uD7A3]/g) || []).length;
-  const labelWidth = label.length + koreanCount;
-  const valueKoreanCount = (value.match(/[\uAC00-\uD7A3]/g) || []).length;
-  const valueWidth = value.length + valueKoreanCount;
-
-  const padding = Math.max(0, width - labelWidth - valueWidth);
+export function formatRow(label, value, width = DEFAULT_COLUMNS) {
+  const padding = Math.max(0, width - displayWidth(label) - displayWidth(value));
   return label + ' '.repeat(padding) + value;
 }
 
 /**
- * 배달 주문 데이터를 영수증 ESC/POS 명령으로 변환
+ * 상품 표 헤더 생성
  *
- * @param {ThermalPrinter} printer - 프린터 인스턴스
- * @param {Object} data - 주문 데이터
- *
- * ESC/POS 명령 설명:
- * - alignCenter(): 중앙 정렬 모드 활성화
- * - bold(true): 볼드체 ON (헤더, 합계 강조용)
- * - drawLine(): lineCharacter("=")를 32번 반복하여 구분선 출력
- * - newLine(): LF(Line Feed, 0x0A) 전송 - 용지 한 줄 이동
- * - cut(): 용지 절단 명령 (ESC i, 프린터가 오토커터 지원 시)
+ * 첫 칼럼(상품명)은 좌측 정렬, 나머지는 각 칼럼의 오른쪽 끝에 맞춤
+ * (숫자 칼럼이 우측 정렬이므로 헤더도 같은 끝선에 맞춰야 읽기 쉬움)
+ * 레이블이 칼럼보다 넓으면 왼쪽 여백을 침범함 - 예: 58mm의 "수량"(4폭)은 3폭 칼럼
  *
- * 영수증 레이아웃:
- * 1. 헤더 (상호명) - 중앙 정렬, 볼드
- * 2. 주문 정보 - 주문번호, 일시, 배달예정
- * 3. 고객 정보 - 이름, 전화번호
- * 4. 상품 목록 - 상품명, 수량, 단가, 금액 (테이블 형식)
- * 5. 합계 - 상품합계, 배달비, 총합계
- * 6. 배달 주소 - 주소1, 주소2
+ * @param {string[]} labels - 칼럼 레이블
+ * @param {number[]} widths - 칼럼 폭
+ * @returns {string} 예: "상품명       수량   가격    총합"
  */
-export function buildReceipt(printer, data) {
-  const {
-    orderId,
-    displayCode,
-    paidAt,
-    buyerName,
-    phone,
-    items,
-    totalProductAmount,
-    deliveryFee,
-    distanceKm,
-    address1,
-    address2,
-    scheduledDeliveryHour,
-    scheduledDeliveryMinute
-  } = data;
-
-  const isScheduled = scheduledDeliveryHour != null;
-
-  // 날짜 포맷: "2026-02-12 02:08:03"
-  const d = new Date(paidAt);
-  const orderDate = `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')} ${String(d.getHours()).padStart(2, '0')}:${String(d.getMinutes()).padStart(2, '0')}:${String(d.getSeconds()).padStart(2, '0')}`;
-
-  // 총 결제금액 = 상품합계 + 배달비
-  const totalAmount = totalProductAmount + deliveryFee;
-
-  // 예약배달 시각 (헤더 + 주문정보에서 공용)
-  const scheduledTime = isScheduled
-    ? `${String(scheduledDeliveryHour).padStart(2, '0')}:${String(scheduledDeliveryMinute ?? 0).padStart(2, '0')}`
-    : null;
-
-  // ========== 예약배달 표시 (최상단) ==========
-  if (isScheduled) {
-    printer.alignCenter();
-    printer.setTextDoubleHeight();
-    printer.bold(true);
-    printer.println(`** ${scheduledTime} 예약배달 **`);
-    printer.bold(false);
-    printer.setTextNormal();
-    printer.alignLeft();
+function formatTableHeader(labels, widths) {
+  let line = labels[0];
+  let columnEnd = widths[0];
+  for (let i = 1; i < labels.length; i++) {
+    columnEnd += widths[i];
+    const padding = Math.max(1, columnEnd - displayWidth(line) - displayWidth(labels[i]));
+    line += ' '.repeat(padding) + labels[i];
   }
+  return line;
+}
 
-  // ========== 헤더 (주문번호) ==========
-  const orderLabel = displayCode ? `D-${displayCode}` : `#${orderId}`;
-  printer.alignCenter();
-  printer.drawLine();
-  printer.setTextQuadArea();
-  printer.bold(true);
-  printer.println(orderLabel);
-  printer.bold(false);
-  printer.setTextNormal();
-  printer.alignLeft();
-  printer.drawLine();
-
-  // ========== 주문 정보 ==========
-  printer.println(`주문일시: ${orderDate}`);
-  if (isScheduled) {
-    printer.bold(true);
-    printer.println(`도착예정: ${scheduledTime}`);
-    printer.bold(false);
-  }
-  printer.println('--------------------------------');
-
-  // ========== 고객 정보 ==========
-  printer.println('[고객정보]');
-  printer.setTextDoubleHeight();
-  printer.bold(true);
-  printer.println(`${buyerName} / ${phone}`);
-  printer.bold(false);
-  printer.setTextNormal();
-  printer.newLine();
-  // ========== 배달 주소 ==========
-  printer.println('[배달주소]');
-  printer.setTextDoubleHeight();
-  printer.bold(true);
-  printer.println(address1);
-  if (address2) {
-    printer.println(address2);
+/**
+ * 문자열을 지정 폭 단위로 분할 (한글 2폭)
+ *
+ * @param {string} text
+ * @param {number} maxWidth - 한 조각의 최대 폭
+ * @returns {Array<{ text: string, width: number }>} 조각 목록 (최소 1글자씩)
+ */
+export function splitByWidth(text, maxWidth) {
+  const lines = [];
+  let remaining = text;
+  while (remaining.length > 0) {
+    let cutLen = 0;
+    let cutWidth = 0;
+    for (let i = 0; i < remaining.length; i++) {
+      const charWidth = /[\uAC00-\uD7A3]/.test(remaining[i]) ? 2 : 1;
+      if (cutWidth + charWidth > maxWidth) break;
+      cutWidth += charWidth;
+      cutLen = i + 1;
+    }
+    if (cutLen === 0) cutLen = 1; // 최소 1글자
+    lines.push({ text: remaining.substring(0, cutLen), width: cutWidth });
+    remaining = remaining.substring(cutLen);
   }
-  printer.bold(false);
-  printer.setTextNormal();
-  printer.println('--------------------------------');
-
-  // ========== 상품 목록 ==========
-  // 1줄: 상품명(14폭) + 수량(3) + 가격(7) + 총합(8) = 32
-  // 상품명이 14폭 초과 시 나머지를 다음 줄에 이어서 출력
-  printer.println('상품명       수량   가격    총합');
+  return lines;
+}
+
+/**
+ * 상품 표 출력 (헤더 + 상품별 행)
+ *
+ * 1줄: 상품명 + 수량 + 가격 + 총합 = columns (58mm: 14 + 3 + 7 + 8 = 32)
+ * 상품명이 칼럼 폭 초과 시 나머지를 다음 줄에 이어서 출력
+ * 면세 품목은 상품명 앞에 *, 상품 할인이 있으면 다음 줄에 할인 금액
+ *
+ * @param {ThermalPrinter} printer
+ * @param {Array} items - 주문 상품 목록
+ * @param {string[]} headers - 칼럼 레이블 4개
+ * @param {Object} profile - 용지 프로필
+ */
+function printItemTable(printer, items, headers, profile) {
+  const itemWidths = profile.items;
+  printer.println(formatTableHeader(
+    headers,
+    [itemWidths.name, itemWidths.quantity, itemWidths.unitPrice, itemWidths.amount]
+  ));
   items.forEach(item => {
-    const { productName, quantity, amount } = item;
+    const { productName, quantity, amount, discount, taxFree } = item;
     const unitPrice = amount / quantity;
 
-    // 상품명을 14폭 단위로 분할
-    const nameMaxWidth = 14;
-    const nameLines = [];
-    let remaining = productName;
-    while (remaining.length > 0) {
-      let cutLen = 0;
-      let cutWidth = 0;
-      for (let i = 0; i < remaining.length; i++) {
-        const charWidth = /[\uAC00-\uD7A3]/.test(remaining[i]) ? 2 : 1;
-        if (cutWidth + charWidth > nameMaxWidth) break;
-        cutWidth += charWidth;
-        cutLen = i + 1;
-      }
-      if (cutLen === 0) cutLen = 1; // 최소 1글자
-      nameLines.push({ text: remaining.substring(0, cutLen), width: cutWidth });
-      remaining = remaining.substring(cutLen);
-    }
+    // 상품명을 칼럼 폭 단위로 분할
+    const nameMaxWidth = itemWidths.name;
+    const nameLines = splitByWidth(taxFree ? `*${productName}` : productName, nameMaxWidth);
 
     // 1줄: 상품명 + 수량 + 가격 + 총합
     const firstLine = nameLines[0];
     const namePadding = Math.max(0, nameMaxWidth - firstLine.width);
     const nameField = firstLine.text + ' '.repeat(namePadding);
-    const qtyField = String(quantity).padStart(3, ' ');
-    const unitField = String(unitPrice.toLocaleString('ko-KR')).padStart(7, ' ');
-    const amtField = String(amount.toLocaleString('ko-KR')).padStart(8, ' ');
+    const qtyField = String(quantity).padStart(itemWidths.quantity, ' ');
+    const unitField = String(unitPrice.toLocaleString('ko-KR')).padStart(itemWidths.unitPrice, ' ');
+    const amtField = String(amount.toLocaleString('ko-KR')).padStart(itemWidths.amount, ' ');
     printer.println(`${nameField}${qtyField}${unitField}${amtField}`);
 
     // 2줄~: 나머지 상품명
     for (let i = 1; i < nameLines.length; i++) {
       printer.println(nameLines[i].text);
     }
+
+    if (discount > 0) {
+      printer.println(formatRow('  할인', `-${discount.toLocaleString('ko-KR')}`, profile.columns));
+    }
   });
+}
 
-  printer.println('--------------------------------');
-
-  // ========== 합계 ==========
-  printer.bold(true);
-  printer.println(formatRow('상품합계:', formatAmount(totalProductAmount)));
-  printer.println(formatRow(`배달비(${distanceKm}km):`, formatAmount(deliveryFee)));
-  printer.bold(false);
-  printer.drawLine();
-
-  // 총합계 강조 (4배 면적 + 볼드)
-  // setTextQuadArea 시 16자 폭 기준으로 정렬
-  printer.alignCenter();
-  printer.setTextQuadArea();
-  printer.bold(true);
-  printer.println(formatRow('합계:', formatAmount(totalAmount), 16));
-  printer.bold(false);
-  printer.setTextNormal();
-  printer.alignLeft();
-  printer.drawLine();
-
-  // 용지 여백 추가 (절단 시 내용 잘림 방지)
-  printer.newLine();
-  printer.newLine();
-  printer.newLine();
-
-  // 용지 절단 (오토커터 지원 프린터만 동작)
-  printer.cut();
+/**
+ * 상품명 + 수량 목록 출력 (포장/주방용 - 가격 없이 크게)
+ *
+ * "상품명 ... x수량" 형식, 상품명이 길면 수량 칼럼을 비워 두고 다음 줄로 이어서 출력
+ *
+ * @param {ThermalPrinter} printer
+ * @param {Array} items - 주문 상품 목록
+ * @param {number} width - 줄 폭 (2배 폭/4배 면적이면 columns / 2)
+ */
+function printItemNames(printer, items, width) {
+  items.forEach(({ productName, quantity }) => {
+    const qtyField = ` x${quantity}`;
+    const nameLines = splitByWidth(productName, Math.max(1, width - qtyField.length));
+    printer.println(formatRow(nameLines[0].text, qtyField, width));
+    for (let i = 1; i < nameLines.length; i++) {
+      printer.println(nameLines[i].text);
+    }
+  });
+}
+
+// ========== 템플릿 해석 ==========
+
+const FILTERS = {
+  amount: value => formatAmount(Number(value)),
+  number: value => Number(value).toLocaleString('ko-KR'),
+  datetime: value => formatDateTime(value),
+  maskPhone: value => maskPhone(value),
+  url: value => encodeURIComponent(value == null ? '' : String(value))
+};
+
+// 글자 크기별 가로 배율 (줄 폭 계산용)
+const SIZE_SCALE_X = { normal: 1, doubleHeight: 1, doubleWidth: 2, quad: 2 };
+
+const SIZE_COMMANDS = {
+  normal: 'setTextNormal',
+  doubleHeight: 'setTextDoubleHeight',
+  doubleWidth: 'setTextDoubleWidth',
+  quad: 'setTextQuadArea'
+};
+
+const ALIGN_COMMANDS = {
+  left: 'alignLeft',
+  center: 'alignCenter',
+  right: 'alignRight'
+};
+
+/**
+ * 점 경로로 값 조회 ("reprint.count" → context.reprint.count)
+ */
+function lookup(context, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), context);
+}
+
+/**
+ * {{필드|필터}} 바인딩 치환 - 값이 없으면 빈 문자열
+ */
+function interpolate(text, context) {
+  return text.replace(/\{\{\s*([\w.]+)\s*(?:\|\s*(\w+)\s*)?\}\}/g, (match, path, filter) => {
+    const value = lookup(context, path);
+    if (filter) {
+      const apply = FILTERS[filter];
+      if (!apply) throw new Error(`알 수 없는 템플릿 필터: ${filter}`);
+      return apply(value);
+    }
+    return value == null ? '' : String(value);
+  });
+}
+
+/**
+ * when 조건 평가 - "필드"는 값이 있을 때, "!필드"는 값이 없을 때 출력 (0은 값이 있는 것으로 취급)
+ */
+function isVisible(node, context) {
+  if (!node.when) return true;
+  const negate = node.when.startsWith('!');
+  const value = lookup(context, negate ? node.when.slice(1) : node.when);
+  const present = value != null && value !== '' && value !== false;
+  return negate ? !present : present;
+}
+
+/**
+ * 노드 목록 출력
+ *
+ * 스타일은 노드가 직접 지정한 것만 켜고, 노드가 끝나면 바깥(부모) 스타일로 되돌림
+ * - 켜는 순서: 정렬 → 반전 → 크기 → 굵게 / 끄는 순서: 역순
+ *   (템플릿 도입 전 buildReceipt의 명령 순서와 같아 같은 바이트가 나옴)
+ *
+ * @param {ThermalPrinter} printer
+ * @param {Object[]} nodes - 템플릿 노드
+ * @param {Object} scope - { context, profile, style: 바깥 스타일 }
+ */
+function renderNodes(printer, nodes, scope) {
+  for (const node of nodes) {
+    if (!isVisible(node, scope.context)) continue;
+
+    const outer = scope.style;
+    const style = { ...outer };
+    if (node.align && node.align !== outer.align) {
+      printer[ALIGN_COMMANDS[node.align]]();
+      style.align = node.align;
+    }
+    if (node.invert !== undefined && Boolean(node.invert) !== outer.invert) {
+      printer.invert(Boolean(node.invert));
+      style.invert = Boolean(node.invert);
+    }
+    if (node.size && node.size !== outer.size) {
+      printer[SIZE_COMMANDS[node.size]]();
+      style.size = node.size;
+    }
+    if (node.bold !== undefined && Boolean(node.bold) !== outer.bold) {
+      printer.bold(Boolean(node.bold));
+      style.bold = Boolean(node.bold);
+    }
+
+    if (node.type === undefined) {
+      renderNodes(printer, node.lines, { ...scope, style });
+    } else {
+      renderPrimitive(printer, node, { ...scope, style });
+    }
+
+    if (style.bold !== outer.bold) printer.bold(outer.bold);
+    if (style.size !== outer.size) printer[SIZE_COMMANDS[outer.size]]();
+    if (style.invert !== outer.invert) printer.invert(outer.invert);
+    if (style.align !== outer.align) printer[ALIGN_COMMANDS[outer.align]]();
+  }
+}
+
+/**
+ * 출력 요소 1개 출력
+ */
+function renderPrimitive(printer, node, { context, profile, style }) {
+  const { columns } = profile;
+
+  switch (node.type) {
+    case 'text':
+      // 여러 줄 문구 (매장 안내 문구 등 - 비트맵 렌더링은 줄 단위로 그리므로 나눠서 출력)
+      for (const line of interpolate(node.text, context).split('\n')) printer.println(line);
+      break;
+    case 'row': {
+      const width = node.width === 'half' ? Math.floor(columns / 2) : (node.width ?? columns);
+      printer.println(formatRow(interpolate(node.label, context), interpolate(node.value, context), width));
+      break;
+    }
+    case 'items':
+      if (node.layout === 'names') {
+        printItemNames(printer, context.items || [], Math.floor(columns / SIZE_SCALE_X[style.size]));
+      } else {
+        printItemTable(printer, context.items || [], node.headers || ['상품명', '수량', '가격', '총합'], profile);
+      }
+      break;
+    case 'discounts':
+      for (const { label, amount } of context.discounts || []) {
+        printer.println(formatRow(`${label}:`, `-${formatAmount(amount)}`, columns));
+      }
+      break;
+    case 'qr': {
+      const data = interpolate(node.data, context);
+      if (data) printer.printQRCode(data, { cellSize: node.cellSize });
+      break;
+    }
+    case 'barcode': {
+      const data = interpolate(node.data, context);
+      if (data) printer.printBarcode128(data, { height: node.height });
+      break;
+    }
+    case 'rule':
+      printer.drawLine();
+      break;
+    case 'separator':
+      printer.println('-'.repeat(columns));
+      break;
+    case 'blank':
+      printer.newLine();
+      break;
+    case 'feed':
+      for (let i = 0; i < (node.lines ?? 1); i++) printer.newLine();
+      break;
+    case 'cut':
+      printer.cut();
+      break;
+    default:
+      throw new Error(`알 수 없는 템플릿 요소: ${node.type}`);
+  }
+}
+
+/**
+ * 예약배달 주문 여부 (예약 시각이 있으면 예약, 없으면 즉시배달)
+ *
+ * @param {Object} data - 주문 데이터
+ * @returns {boolean}
+ */
+export function isScheduledOrder(data) {
+  return data.scheduledDeliveryHour != null;
+}
+
+/**
+ * 주문 유형 - delivery: 배달 (기본), pickup: 매장 픽업
+ */
+export const ORDER_TYPES = ['delivery', 'pickup'];
+
+/**
+ * 매장 픽업 주문 여부 (orderType 생략 시 배달)
+ *
+ * @param {Object} data - 주문 데이터
+ * @returns {boolean}
+ */
+export function isPickupOrder(data) {
+  return data.orderType === 'pickup';
+}
+
+/**
+ * 주문 표시 이름 (표시 코드가 있으면 D-코드, 없으면 #주문번호)
+ *
+ * @param {Object} data - 주문 데이터
+ * @returns {string} 예: "D-1995", "#123"
+ */
+export function formatOrderLabel({ orderId, displayCode }) {
+  return displayCode ? `D-${displayCode}` : `#${orderId}`;
+}
+
+/**
+ * 예약배달 시각 HH:MM (즉시배달이면 null)
+ *
+ * @param {Object} data - 주문 데이터
+ * @returns {string|null}
+ */
+export function formatScheduledTime(data) {
+  if (!isScheduledOrder(data)) return null;
+  return `${String(data.scheduledDeliveryHour).padStart(2, '0')}:${String(data.scheduledDeliveryMinute ?? 0).padStart(2, '0')}`;
+}
+
+/**
+ * 템플릿 바인딩용 값 준비 (주문 데이터 + 파생 값)
+ *
+ * @param {Object} data - 주문 데이터
+ * @param {Object} options - buildReceipt options
+ * @returns {Object}
+ */
+function buildContext(data, options) {
+  const { phone, paymentMethod } = data;
+  const isPickup = isPickupOrder(data);
+  const totals = computeTotals(data);
+  const store = options.store || {};
+
+  return {
+    ...data,
+    phone: options.maskPhone ? maskPhone(phone) : phone,
+    orderLabel: formatOrderLabel(data),
+    isScheduled: isScheduledOrder(data),
+    // 예약배달 시각 (헤더 + 주문정보에서 공용)
+    scheduledTime: formatScheduledTime(data),
+    isPickup,
+    // 픽업 일시 "2026-10-19 (월) 14:00~15:00", 픽업 번호 (없으면 주문 표시 이름)
+    pickupTime: isPickup ? formatPickupTime(data) : null,
+    pickupCode: isPickup ? (data.pickupNumber != null ? String(data.pickupNumber) : formatOrderLabel(data)) : null,
+    // 총 결제금액 = 상품합계 - 할인 + 배달비 (totals.js)
+    totalAmount: totals.totalAmount,
+    // 할인/결제수단 - 없으면 null (템플릿 when 조건으로 줄 생략)
+    itemDiscount: totals.itemDiscount || null,
+    discounts: totals.discounts,
+    paymentLabel: paymentMethod ? PAYMENT_METHODS[paymentMethod] : null,
+    // 매장 정보 (설정 store.*) - 사업자등록번호가 있을 때만 공급가액/부가세 표시
+    store,
+    tax: store.businessNumber
+      ? { supplyAmount: totals.supplyAmount, vat: totals.vat, taxFreeAmount: totals.taxFreeAmount || null }
+      : null,
+    // 요청 본문의 reprint 플래그(boolean) 대신 큐가 기록한 재출력 정보를 바인딩
+    reprint: options.reprint || null,
+    ...buildCodes(data, options)
+  };
+}
+
+const WEEKDAYS = ['일', '월', '화', '수', '목', '금', '토'];
+
+/**
+ * 픽업 일시 (요일 포함, 시간대는 ~로 표시)
+ */
+function formatPickupTime({ pickupDate, pickupSlot }) {
+  const [year, month, day] = pickupDate.split('-').map(Number);
+  const weekday = WEEKDAYS[new Date(year, month - 1, day).getDay()];
+  return `${pickupDate} (${weekday}) ${pickupSlot.replace('-', '~')}`;
+}
+
+/**
+ * QR 코드 대상
+ *
+ * - order: 관리자 페이지 주문 상세 (매장에서 스캔해 주문 확인)
+ * - map: address1/address2로 만든 지도/길찾기 링크 (배달기사용, 픽업 주문은 주소가 없어 생략)
+ * - review: 고객 리뷰 작성 링크
+ *
+ * URL은 템플릿과 같은 {{필드|필터}} 바인딩을 쓰는 문자열 (예: "https://.../orders/{{orderId}}")
+ */
+export const QR_TARGETS = {
+  order: { label: '주문 상세' },
+  map: { label: '길찾기' },
+  review: { label: '리뷰 남기기' }
+};
+
+/**
+ * 바코드 내용으로 쓸 수 있는 주문 필드
+ */
+export const BARCODE_FIELDS = ['orderId', 'displayCode'];
+
+/**
+ * QR/바코드 바인딩 값
+ *
+ * - links: 설정된 모든 대상의 URL ({{links.map}}처럼 템플릿에서 직접 사용 가능)
+ * - qrUrl, qrLabel: options.qr로 고른 대상 (없으면 null → 기본 템플릿의 QR 섹션 생략)
+ * - barcodeData: options.barcode로 고른 필드 값 (없으면 null)
+ */
+function buildCodes(data, { qr = null, links = {}, barcode = null }) {
+  const base = {
+    ...data,
+    address: [data.address1, data.address2].filter(Boolean).join(' ')
+  };
+  const urls = {};
+  for (const [target, url] of Object.entries(links)) {
+    if (url) urls[target] = interpolate(url, base);
+  }
+  const barcodeValue = barcode ? data[barcode] : null;
+  const target = qr === 'map' && isPickupOrder(data) ? null : qr;
+
+  return {
+    links: urls,
+    qrUrl: target ? urls[target] || null : null,
+    qrLabel: target ? QR_TARGETS[target].label : null,
+    barcodeData: barcodeValue == null || barcodeValue === '' ? null : String(barcodeValue)
+  };
+}
+
+/**
+ * 주문 데이터를 영수증 ESC/POS 명령으로 변환
+ *
+ * @param {ThermalPrinter} printer - 프린터 인스턴스 (printer.profile로 용지 프로필 결정, 없으면 58mm)
+ * @param {Object} data - 주문 데이터
+ * @param {Object} [options]
+ * @param {{ count: number, requestedAt: string }} [options.reprint] - 재출력 정보 (원본과 구분용 배너 출력)
+ * @param {string} [options.template] - 템플릿 이름 (생략 시 default)
+ * @param {boolean} [options.maskPhone] - 전화번호 가운데 자리 가림
+ * @param {string} [options.qr] - QR 코드 대상 ('order' | 'map' | 'review', 생략 시 QR 없음)
+ * @param {Object} [options.links] - QR 대상별 URL 템플릿 ({ order, map, review })
+ * @param {string} [options.barcode] - 바코드로 찍을 필드 ('orderId' | 'displayCode', 생략 시 바코드 없음)
+ * @param {Object} [options.store] - 매장 정보 (설정 store.* - name, businessNumber, owner, address, phone, footer)
+ *
+ * 레이아웃은 템플릿(templates/)이 결정 - 기본 템플릿(templates/default.js):
+ * 0. 재출력 배너 - 재출력 요청일 때만 "재출력 (n회차)" + 재출력 일시
+ *    매장 정보 - 상호/사업자등록번호/대표자/주소/전화 (설정했을 때만)
+ * 1. 예약배달 표시 + 헤더 (주문번호) - 중앙 정렬, 4배 면적
+ * 2. 주문 정보 - 주문일시, 도착예정
+ * 3. 고객 정보 - 이름, 전화번호
+ * 4. 배달 주소 - 주소1, 주소2
+ * 5. 상품 목록 - 상품명, 수량, 단가, 금액 (테이블 형식)
+ * 6. 합계 - 상품합계, 상품 할인, 배달비, 주문 할인(쿠폰/포인트), 총합계
+ *    결제수단/승인번호, 공급가액/부가세/면세 물품가액 (있을 때만)
+ * 7. QR 코드 / 바코드 - 설정했을 때만, 매장 안내 문구 (store.footer)
+ *
+ * 픽업 주문의 고객용 사본은 templates/pickup.js (픽업 배너, 픽업 번호, 픽업 일시 - 주소/배달비 없음)
+ */
+export function buildReceipt(printer, data, options = {}) {
+  const template = getTemplate(options.template);
+  const profile = printer.profile || getProfile();
+
+  renderNodes(printer, template.sections, {
+    context: buildContext(data, options),
+    profile,
+    style: { align: 'left', invert: false, size: 'normal', bold: false }
+  });
+}
+
+/**
+ * 사본 종류
+ *
+ * - customer: 고객용 - 가격이 모두 들어간 전체 영수증 (기본 템플릿)
+ * - rider: 배달기사용 - 주소/전화번호/도착예정만, 가격 없음
+ * - kitchen: 포장/주방용 - 상품명과 수량을 크게, 고객 정보 없음
+ *
+ * maskable: 전화번호 가림 설정(maskPhone)이 적용되는 사본 (고객용은 항상 원래 번호)
+ * pickupTemplate: 픽업 주문일 때 템플릿 (null이면 픽업 주문은 출력하지 않음)
+ */
+export const COPY_TYPES = {
+  customer: { template: 'default', pickupTemplate: 'pickup', maskable: false },
+  rider: { template: 'rider', pickupTemplate: null, maskable: true },
+  kitchen: { template: 'kitchen', pickupTemplate: 'kitchen', maskable: true }
+};
+
+export const COPY_TYPE_NAMES = Object.keys(COPY_TYPES);
+
+/**
+ * 주문 유형에 맞는 사본 목록 (픽업 주문은 배달기사용 제외)
+ *
+ * 설정된 기본 사본 구성(receipt.copies)이 배달 기준이라 픽업 주문에서 빠지는 사본을 걸러냄
+ * (요청 바디로 지정한 copies는 schema.js가 미리 거부)
+ *
+ * @param {Object} data - 주문 데이터
+ * @param {string[]} copies - 사본 종류 순서
+ * @returns {string[]} 비면 고객용 1장
+ */
+export function copiesForOrder(data, copies) {
+  if (!isPickupOrder(data)) return copies;
+  const result = copies.filter(copy => COPY_TYPES[copy].pickupTemplate);
+  return result.length > 0 ? result : ['customer'];
+}
+
+/**
+ * 주문 1건의 사본 여러 장을 한 버퍼에 연속 출력
+ *
+ * 각 템플릿이 절단(cut)으로 끝나므로 사본 사이가 잘려서 나옴
+ *
+ * @param {ThermalPrinter} printer - 프린터 인스턴스
+ * @param {Object} data - 주문 데이터
+ * @param {Object} [options]
+ * @param {string[]} [options.copies] - 사본 종류 순서 (기본 ['customer'])
+ * @param {boolean} [options.maskPhone] - 배달기사/포장용 사본의 전화번호 가림
+ * @param {string} [options.template] - 배달 주문 고객용 사본의 템플릿 (생략 시 default)
+ *   픽업 주문은 무시하고 pickupTemplate - 배달용 템플릿으로는 주소/배달비 줄이 나오고 픽업 번호/배너가 빠짐
+ *   (픽업 레이아웃은 templates/pickup.json으로 변경)
+ * @param {{ count: number, requestedAt: string }} [options.reprint] - 재출력 정보 (모든 사본에 배너 표시)
+ * @param {string} [options.qr] - QR 코드 대상 (buildReceipt 참고)
+ * @param {Object} [options.links] - QR 대상별 URL 템플릿
+ * @param {string} [options.barcode] - 바코드 필드
+ * @param {Object} [options.store] - 매장 정보 (고객용 사본의 머리말/꼬리말)
+ */
+export function buildReceipts(printer, data, {
+  copies = ['customer'], maskPhone: mask = false, template, reprint, qr, links, barcode, store
+} = {}) {
+  const pickup = isPickupOrder(data);
+  for (const copy of copies) {
+    const copyType = COPY_TYPES[copy];
+    if (!copyType) {
+      throw new Error(`알 수 없는 사본 종류: ${copy} (사용 가능: ${COPY_TYPE_NAMES.join(', ')})`);
+    }
+    const customTemplate = copy === 'customer' && !pickup ? template : null;
+    buildReceipt(printer, data, {
+      reprint,
+      template: customTemplate || (pickup && copyType.pickupTemplate) || copyType.template,
+      maskPhone: copyType.maskable && mask,
+      qr,
+      links,
+      barcode,
+      store
+    });
+  }
 }
@@ -0,0 +1,273 @@
+import { listPrintedOrders, localDate } from './journal.js';
+import { formatRow, formatAmount, formatDateTime, displayWidth, isScheduledOrder, isPickupOrder } from './receipt.js';
+import { computeTotals } from './totals.js';
+
+/**
+ * 마감 집계표 (하루 매출 요약)
+ *
+ * 배경:
+ * - 마감 때마다 관리자 페이지 주문 목록을 보며 주문 수/매출/배달비를 손으로 더해 장부에 옮겼음
+ *
+ * 기술적 결정:
+ * 1. 집계 원본은 출력 기록(journal.js) - 브릿지가 실제로 출력한 주문만 (백엔드 조회 없이 오프라인에서도 동작)
+ *    - 주문당 1건 (여러 프린터 작업, 재출력, 기록 재출력은 한 번만 셈)
+ *    - 날짜는 출력 완료 날짜 (기록 파일과 같은 기준)
+ *    - 보관 기간이 지나 내용이 지워진 주문은 금액을 알 수 없어 건수만 따로 표시
+ * 2. 출력도 영수증과 같은 큐로 (작업의 report 필드) - 프린터별 순서 보장, 재시도/백업 프린터 그대로 사용
+ *    - 출력할 때 집계하므로 재시도 중에 들어온 주문도 포함
+ * 3. 레이아웃은 템플릿이 아닌 코드 - 항목 수가 날마다 달라(시간대/상품) 템플릿 문법으로 표현하기 어려움
+ *    폭 계산은 영수증과 같은 formatRow/formatAmount 사용
+ * 4. CSV는 엑셀에서 바로 열리도록 UTF-8 BOM + CRLF
+ * 5. 금액은 영수증과 같은 계산(totals.js) - 할인 합계, 공급가액/부가세/면세 물품가액 (세금 신고용)
+ * 6. 마감 시각 자동 출력은 매일 그 시각에 당일 집계 (서버가 꺼져 있던 날은 건너뜀 - 필요하면 POST /reports/daily)
+ */
+
+const DISTANCE_BUCKETS = [1, 2, 3, 5];  // 배달 거리 구간 경계 (km)
+const TOP_PRODUCTS = 5;                 // 집계표에 출력할 상품 수 (JSON/CSV는 전체)
+const FEED_LINES = 3;                   // 절단 전 여백 (영수증 템플릿과 같음)
+
+let closingTimer = null;
+
+/**
+ * 날짜별 집계
+ *
+ * @param {string} date - YYYY-MM-DD
+ * @returns {Object} { date, generatedAt, orderCount, purgedCount, totalProductAmount, totalDeliveryFee, totalDiscount, totalAmount,
+ *                     totalSupplyAmount, totalVat, totalTaxFreeAmount,
+ *                     immediateCount, scheduledCount, pickupCount, distance: [{ label, count }] (배달 주문만),
+ *                     products: [{ productName, quantity, amount }] (수량순), hourly: [{ hour, count }] (0~23시) }
+ */
+export function createDailyReport(date) {
+  const { orders, purged } = listPrintedOrders(date);
+  const distance = distanceBuckets();
+  const hourly = Array.from({ length: 24 }, (_, hour) => ({ hour, count: 0 }));
+  const products = new Map();
+  const sums = { productAmount: 0, deliveryFee: 0, discount: 0, totalAmount: 0, supplyAmount: 0, vat: 0, taxFreeAmount: 0 };
+  let scheduledCount = 0;
+  let pickupCount = 0;
+
+  for (const order of orders) {
+    const totals = computeTotals(order);
+    sums.productAmount += totals.productAmount;
+    sums.deliveryFee += totals.deliveryFee;
+    sums.discount += totals.itemDiscount + totals.orderDiscount;
+    sums.totalAmount += totals.totalAmount;
+    sums.supplyAmount += totals.supplyAmount;
+    sums.vat += totals.vat;
+    sums.taxFreeAmount += totals.taxFreeAmount;
+    if (isPickupOrder(order)) pickupCount += 1;
+    else if (isScheduledOrder(order)) scheduledCount += 1;
+
+    const km = Number(order.distanceKm);
+    const bucket = distance.find(item => km >= item.min && km < item.max);
+    if (bucket) bucket.count += 1;
+
+    const paidAt = new Date(order.paidAt);
+    if (!Number.isNaN(paidAt.getTime())) hourly[paidAt.getHours()].count += 1;
+
+    for (const { productName, quantity, amount } of order.items || []) {
+      const product = products.get(productName) || { productName, quantity: 0, amount: 0 };
+      product.quantity += Number(quantity) || 0;
+      product.amount += Number(amount) || 0;
+      products.set(productName, product);
+    }
+  }
+
+  return {
+    date,
+    generatedAt: new Date().toISOString(),
+    orderCount: orders.length,
+    purgedCount: purged,
+    totalProductAmount: sums.productAmount,
+    totalDeliveryFee: sums.deliveryFee,
+    totalDiscount: sums.discount,
+    totalAmount: sums.totalAmount,
+    totalSupplyAmount: sums.supplyAmount,
+    totalVat: sums.vat,
+    totalTaxFreeAmount: sums.taxFreeAmount,
+    immediateCount: orders.length - scheduledCount - pickupCount,
+    scheduledCount,
+    pickupCount,
+    distance: distance.map(({ label, count }) => ({ label, count })),
+    products: [...products.values()].sort((a, b) => b.quantity - a.quantity || b.amount - a.amount),
+    hourly
+  };
+}
+
+/**
+ * 집계표 출력 명령 생성 (printReceipt 전에 호출)
+ *
+ * @param {ThermalPrinter} printer - 프린터 인스턴스 (profile.columns 기준 폭)
+ * @param {Object} report - createDailyReport 결과
+ */
+export function printDailyReport(printer, report) {
+  const { columns } = printer.profile;
+  const row = (label, value) => printer.println(formatRow(label, value, columns));
+
+  printer.alignCenter();
+  printer.bold(true);
+  printer.setTextDoubleHeight();
+  printer.println('마감 집계표');
+  printer.setTextNormal();
+  printer.bold(false);
+  printer.println(report.date);
+  printer.alignLeft();
+  printer.println(rule(columns));
+
+  row('주문 수:', `${report.orderCount}건`);
+  row('상품 합계:', formatAmount(report.totalProductAmount));
+  row('배달비 합계:', formatAmount(report.totalDeliveryFee));
+  if (report.totalDiscount > 0) row('할인 합계:', `-${formatAmount(report.totalDiscount)}`);
+  printer.bold(true);
+  row('총 매출:', formatAmount(report.totalAmount));
+  printer.bold(false);
+  if (report.purgedCount > 0) {
+    printer.println(`* 보관 기간 경과 ${report.purgedCount}건 제외`);
+  }
+
+  section(printer, '부가세');
+  row('과세 공급가액:', formatAmount(report.totalSupplyAmount));
+  row('부가세:', formatAmount(report.totalVat));
+  row('면세 물품가액:', formatAmount(report.totalTaxFreeAmount));
+
+  section(printer, '주문 유형');
+  row('즉시배달:', `${report.immediateCount}건`);
+  row('예약배달:', `${report.scheduledCount}건`);
+  row('픽업:', `${report.pickupCount}건`);
+
+  section(printer, '배달 거리');
+  for (const { label, count } of report.distance) {
+    row(`${label}:`, `${count}건`);
+  }
+
+  section(printer, '많이 팔린 상품');
+  if (report.products.length === 0) printer.println('없음');
+  report.products.slice(0, TOP_PRODUCTS).forEach(({ productName, quantity }, i) => {
+    const value = `${quantity}개`;
+    row(truncate(`${i + 1}. ${productName}`, columns - displayWidth(value) - 1), value);
+  });
+
+  section(printer, '시간대별 주문');
+  const active = report.hourly.filter(item => item.count > 0);
+  if (active.length === 0) {
+    printer.println('없음');
+  } else {
+    // 첫 주문~마지막 주문 시간대 (사이의 빈 시간대도 표시)
+    const hours = report.hourly.slice(active[0].hour, active[active.length - 1].hour + 1);
+    const max = Math.max(...hours.map(item => item.count));
+    const barWidth = Math.max(1, columns - displayWidth(`00시 ${max}건`) - 1);
+    for (const { hour, count } of hours) {
+      const bar = '#'.repeat(Math.ceil((count / max) * barWidth));
+      row(`${String(hour).padStart(2, '0')}시 ${bar}`, `${count}건`);
+    }
+  }
+
+  printer.println(rule(columns));
+  printer.println(`출력: ${formatDateTime(new Date())}`);
+  for (let i = 0; i < FEED_LINES; i++) printer.newLine();
+  printer.cut();
+}
+
+/**
+ * CSV 변환 (구분, 항목, 건수/수량, 금액)
+ *
+ * @param {Object} report - createDailyReport 결과
+ * @returns {string}
+ */
+export function toCsv(report) {
+  const rows = [
+    ['구분', '항목', '건수', '금액'],
+    ['요약', '날짜', report.date, ''],
+    ['요약', '주문 수', report.orderCount, report.totalAmount],
+    ['요약', '상품 합계', '', report.totalProductAmount],
+    ['요약', '배달비 합계', '', report.totalDeliveryFee],
+    ['요약', '할인 합계', '', report.totalDiscount],
+    ['부가세', '과세 공급가액', '', report.totalSupplyAmount],
+    ['부가세', '부가세', '', report.totalVat],
+    ['부가세', '면세 물품가액', '', report.totalTaxFreeAmount],
+    ['요약', '보관 기간 경과 (집계 제외)', report.purgedCount, ''],
+    ['주문 유형', '즉시배달', report.immediateCount, ''],
+    ['주문 유형', '예약배달', report.scheduledCount, ''],
+    ['주문 유형', '픽업', report.pickupCount, ''],
+    ...report.distance.map(({ label, count }) => ['배달 거리', label, count, '']),
+    ...report.products.map(({ productName, quantity, amount }) => ['상품 (수량)', productName, quantity, amount]),
+    ...report.hourly.map(({ hour, count }) => ['시간대', `${String(hour).padStart(2, '0')}시`, count, ''])
+  ];
+  return `\uFEFF${rows.map(cells => cells.map(csvCell).join(',')).join('\r\n')}\r\n`;
+}
+
+/**
+ * 마감 시각 자동 출력 예약 (매일 반복)
+ *
+ * @param {Object} config
+ * @param {string} config.closingTime - HH:MM
+ * @param {(date: string) => void} config.run - 출력 요청 (당일 날짜 YYYY-MM-DD)
+ */
+export function scheduleDailyReport({ closingTime, run }) {
+  const [hour, minute] = closingTime.split(':').map(Number);
+  const now = new Date();
+  const next = new Date(now);
+  next.setHours(hour, minute, 0, 0);
+  if (next <= now) next.setDate(next.getDate() + 1);
+
+  closingTimer = setTimeout(() => {
+    try {
+      run(localDate(new Date()));
+    } catch (error) {
+      console.error('[Report] 마감 집계표 자동 출력 실패:', error.message);
+    }
+    scheduleDailyReport({ closingTime, run });
+  }, next - now);
+  closingTimer.unref();
+}
+
+/**
+ * 자동 출력 예약 해제 (서버 종료 시)
+ */
+export function stopDailyReport() {
+  clearTimeout(closingTimer);
+  closingTimer = null;
+}
+
+function distanceBuckets() {
+  const bounds = [0, ...DISTANCE_BUCKETS, Infinity];
+  return bounds.slice(0, -1).map((min, i) => {
+    const max = bounds[i + 1];
+    const label = min === 0 ? `${max}km 미만` : max === Infinity ? `${min}km 이상` : `${min}~${max}km`;
+    return { label, min, max, count: 0 };
+  });
+}
+
+function section(printer, title) {
+  printer.println(rule(printer.profile.columns));
+  printer.bold(true);
+  printer.println(`[${title}]`);
+  printer.bold(false);
+}
+
+/**
+ * 구분선 (본문 폭 - drawLine은 printerWidth 기준이라 58mm에서 48자로 두 줄이 됨)
+ */
+function rule(columns) {
+  return '-'.repeat(columns);
+}
+
+/**
+ * 출력 폭에 맞게 자르기 (한글 2폭)
+ */
+function truncate(text, width) {
+  let result = text;
+  while (displayWidth(result) > width) result = result.slice(0, -1);
+  return result;
+}
+
+/**
+ * CSV 칸 1개
+ *
+ * 문자열이 =, +, -, @, 탭, CR로 시작하면 앞에 '를 붙임 - 상품명 등 요청 바디 값을 Excel이 수식으로 실행하지 않도록
+ * (CSV 수식 주입, 숫자 칸의 음수는 그대로)
+ */
+function csvCell(value) {
+  const text = typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
@@ -0,0 +1,120 @@
+import { formatRow, formatAmount, formatDateTime, formatOrderLabel, formatScheduledTime, splitByWidth, isScheduledOrder } from './receipt.js';
+import { computeTotals } from './totals.js';
+
+/**
+ * 일괄 출력 순서 + 배달 경로표
+ *
+ * 배경:
+ * - 예약배달은 마감 후 한꺼번에 출력하는데, 주문마다 /print를 눌러 결제 순서대로 나온 영수증을
+ *   배달 시각/거리순으로 다시 정리하고 배달 목록을 손으로 적었음
+ *
+ * 기술적 결정:
+ * 1. 출력 순서: 즉시배달 먼저, 예약배달은 예약 시각순, 같은 시각이면 가까운 순 (distanceKm)
+ *    - 같은 프린터의 작업은 등록 순서대로 출력되므로 정렬 후 차례로 등록하면 출력 순서가 됨
+ * 2. 경로표는 주문 영수증 뒤에 같은 큐로 출력 (작업의 routeSheet 필드, data는 경로표 내용)
+ *    - 등록 시점에 내용을 만들어 둠 (집계표와 달리 요청에 들어온 주문만 대상)
+ * 3. 주소는 시/도, 시/군/구를 빼고 동/도로명부터 (한 줄에 맞게 자름) - 전체 주소는 배달기사용 사본에 있음
+ * 4. 전화번호는 끝 4자리만 (도착 전 연락할 때 사본과 맞춰 보는 용도)
+ */
+
+const FEED_LINES = 3;  // 절단 전 여백 (영수증 템플릿과 같음)
+const INDENT = '   ';
+
+// 주소 앞부분의 광역/기초 자치단체 (경로표에서는 생략)
+const REGION_PATTERN = /^(서울|부산|대구|인천|광주|대전|울산|세종|경기|강원|충북|충남|전북|전남|경북|경남|제주|.+(특별시|광역시|특별자치시|특별자치도|도|시|군|구))$/;
+
+/**
+ * 출력 순서 비교 (Array.prototype.sort용)
+ *
+ * @param {Object} a - 주문 데이터
+ * @param {Object} b - 주문 데이터
+ * @returns {number}
+ */
+export function compareRouteOrder(a, b) {
+  return deliveryMinutes(a) - deliveryMinutes(b) || a.distanceKm - b.distanceKm;
+}
+
+/**
+ * 경로표 내용 생성 (주문은 출력 순서대로)
+ *
+ * @param {Object[]} orders - 주문 데이터 (compareRouteOrder로 정렬된 목록)
+ * @returns {Object} { createdAt, stops: [{ label, time, distanceKm, address, phoneSuffix, amount }], totalAmount }
+ */
+export function buildRouteSheet(orders) {
+  const stops = orders.map(order => ({
+    label: formatOrderLabel(order),
+    time: formatScheduledTime(order),
+    distanceKm: order.distanceKm,
+    address: shortAddress(order),
+    phoneSuffix: String(order.phone).replace(/\D/g, '').slice(-4),
+    amount: computeTotals(order).totalAmount
+  }));
+
+  return {
+    createdAt: new Date().toISOString(),
+    stops,
+    totalAmount: stops.reduce((total, stop) => total + stop.amount, 0)
+  };
+}
+
+/**
+ * 경로표 출력 명령 생성 (printReceipt 전에 호출)
+ *
+ * @param {ThermalPrinter} printer - 프린터 인스턴스 (profile.columns 기준 폭)
+ * @param {Object} sheet - buildRouteSheet 결과
+ */
+export function printRouteSheet(printer, sheet) {
+  const { columns } = printer.profile;
+  const row = (label, value) => printer.println(formatRow(label, value, columns));
+
+  printer.alignCenter();
+  printer.bold(true);
+  printer.setTextDoubleHeight();
+  printer.println('배달 경로표');
+  printer.setTextNormal();
+  printer.bold(false);
+  printer.println(formatDateTime(sheet.createdAt));
+  printer.alignLeft();
+  printer.drawLine();
+
+  sheet.stops.forEach((stop, i) => {
+    if (i > 0) printer.newLine();
+    printer.bold(true);
+    row(`${i + 1}. ${stop.label}`, `${stop.time || '즉시'}  ${stop.distanceKm}km`);
+    printer.bold(false);
+    printer.println(INDENT + truncate(stop.address, columns - INDENT.length));
+    row(`${INDENT}전화 *${stop.phoneSuffix}`, formatAmount(stop.amount));
+  });
+
+  printer.drawLine();
+  row('주문 수:', `${sheet.stops.length}건`);
+  printer.bold(true);
+  row('합계:', formatAmount(sheet.totalAmount));
+  printer.bold(false);
+  for (let i = 0; i < FEED_LINES; i++) printer.newLine();
+  printer.cut();
+}
+
+/**
+ * 배달 시각 (자정부터 분, 즉시배달은 -1 - 예약보다 먼저)
+ */
+function deliveryMinutes(order) {
+  if (!isScheduledOrder(order)) return -1;
+  return order.scheduledDeliveryHour * 60 + (order.scheduledDeliveryMinute ?? 0);
+}
+
+/**
+ * 경로표용 짧은 주소 ("서울시 강남구 역삼동 123-45" + "2층" → "역삼동 123-45 2층")
+ */
+function shortAddress({ address1, address2 }) {
+  const words = address1.trim().split(/\s+/);
+  while (words.length > 2 && REGION_PATTERN.test(words[0])) words.shift();
+  return [...words, address2].filter(Boolean).join(' ');
+}
+
+/**
+ * 출력 폭에 맞게 자르기 (한글 2폭)
+ */
+function truncate(text, width) {
+  return splitByWidth(text, width)[0]?.text ?? '';
+}
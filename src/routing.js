@@ -0,0 +1,82 @@
+import { isScheduledOrder, isPickupOrder } from './receipt.js';
+
+/**
+ * 출력 대상 프린터 선택 (여러 프린터 매장)
+ *
+ * 배경:
+ * - 포장대 프린터와 카운터 프린터를 추가하면서 사본마다 다른 프린터로 보내야 함
+ *   (예: 포장용 사본은 포장대, 예약 주문 고객용은 카운터)
+ *
+ * 규칙 (설정 파일 routes, 위에서부터 처음 맞는 규칙 사용):
+ * [
+ *   { "copy": "kitchen", "printer": "packing" },
+ *   { "scheduled": true, "printer": "counter" },
+ *   { "orderType": "pickup", "printer": "counter" }
+ * ]
+ * - copy: 사본 종류 'customer' | 'rider' | 'kitchen' (생략 시 모든 사본)
+ * - scheduled: true = 예약배달, false = 즉시배달 (생략 시 모든 주문, 픽업 주문은 false)
+ * - orderType: 'delivery' = 배달, 'pickup' = 매장 픽업 (생략 시 모든 주문)
+ * - 맞는 규칙이 없으면 기본 프린터
+ * - /print 바디에 printer가 있으면 규칙 무시하고 모든 사본을 그 프린터로
+ *
+ * 백업 (설정 printer.backup / printers.<이름>.backup):
+ * - 프린터가 출력 불가(오프라인, 용지 없음 등)일 때 큐가 작업을 넘길 프린터 (queue.js)
+ */
+
+let rules = [];
+let backups = {};
+let defaultPrinter = 'default';
+
+/**
+ * 라우팅 설정 (서버 시작 시 1회)
+ *
+ * @param {Object} config
+ * @param {Object[]} [config.rules] - 라우팅 규칙 (위 형식)
+ * @param {Object<string, string>} [config.backups] - 프린터 이름 → 백업 프린터 이름
+ * @param {string} [config.defaultPrinter] - 규칙에 맞지 않는 사본의 프린터
+ */
+export function configureRouting({ rules: routeRules = [], backups: backupMap = {}, defaultPrinter: fallback = 'default' } = {}) {
+  rules = routeRules;
+  backups = backupMap;
+  defaultPrinter = fallback;
+}
+
+/**
+ * 사본별 출력 프린터 결정 후 프린터 단위로 묶음
+ *
+ * 프린터 순서는 사본 순서에서 처음 나온 순서 (같은 프린터로 가는 사본은 한 작업으로 연속 출력)
+ *
+ * @param {Object} data - 주문 데이터 (/print 바디)
+ * @param {string[]} copies - 사본 종류 순서
+ * @returns {{ printer: string, copies: string[] }[]}
+ */
+export function routeCopies(data, copies) {
+  if (data.printer) {
+    return [{ printer: data.printer, copies }];
+  }
+
+  const scheduled = isScheduledOrder(data);
+  const orderType = isPickupOrder(data) ? 'pickup' : 'delivery';
+  const groups = new Map();
+  for (const copy of copies) {
+    const rule = rules.find(r =>
+      (r.copy === undefined || r.copy === copy) &&
+      (r.scheduled === undefined || r.scheduled === scheduled) &&
+      (r.orderType === undefined || r.orderType === orderType)
+    );
+    const printer = rule ? rule.printer : defaultPrinter;
+    if (!groups.has(printer)) groups.set(printer, []);
+    groups.get(printer).push(copy);
+  }
+  return [...groups].map(([printer, printerCopies]) => ({ printer, copies: printerCopies }));
+}
+
+/**
+ * 백업 프린터 이름
+ *
+ * @param {string} name - 프린터 이름
+ * @returns {string|null}
+ */
+export function getBackup(name) {
+  return backups[name] || null;
+}
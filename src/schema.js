@@ -0,0 +1,296 @@
+import { PROFILE_NAMES } from './profiles.js';
+import { COPY_TYPE_NAMES, QR_TARGETS, BARCODE_FIELDS, ORDER_TYPES } from './receipt.js';
+import { listTemplates } from './templates/index.js';
+import { listPrinters } from './printer.js';
+import { BEEP_PATTERN_NAMES } from './commands.js';
+import { DISCOUNT_TYPES, PAYMENT_METHODS, computeTotals } from './totals.js';
+
+/**
+ * 출력 요청 스키마 (POST /print, POST /preview, pull 모드 주문)
+ *
+ * 배경:
+ * - null 여부만 확인해서 문자열 금액, 수량 0, 잘못된 결제 시각이 그대로 출력되어
+ *   영수증에 NaN / Infinity / "NaN-NaN-NaN"이 찍혔음
+ * - 반대로 영수증에 쓰지 않는 deliveryHour/deliveryMinute은 필수였음
+ *   (예약배달은 scheduledDeliveryHour/scheduledDeliveryMinute, 주문 표시는 displayCode)
+ * - 매장 픽업 예약 주문은 배달비/거리/주소가 없어 출력할 수 없었음
+ *
+ * 기술적 결정:
+ * 1. JSON Schema(2020-12)로 선언하고 GET /schema로 공개 - 관리자 페이지/백엔드가 같은 규칙으로 미리 검증 가능
+ *    - 템플릿/프린터 이름은 실행 중 등록된 값으로 채움 (요청마다 스키마 생성)
+ * 2. 검증기는 이 스키마가 쓰는 키워드만 직접 구현 (.exe 번들에 검증 라이브러리를 넣지 않음)
+ *    - type, enum, minimum, maximum, minLength, maxLength, pattern, required, properties, items,
+ *      minItems, maxItems, dependentRequired, if/then/else
+ * 3. 모르는 필드는 허용 - 템플릿이 주문 데이터의 모든 필드를 바인딩할 수 있으므로
+ *    선택 필드의 null은 생략과 같음 (관리자 페이지가 빈 값을 null로 보냄)
+ * 4. 스키마로 표현할 수 없는 항목 간 검증은 checkConsistency에서
+ *    (상품 금액 합계 = totalProductAmount, 단가가 정수, 달력에 있는 결제/픽업 날짜, 픽업 시간대 순서,
+ *     할인이 금액보다 크지 않음)
+ * 5. 첫 오류에서 멈추지 않고 모든 오류를 필드 경로와 함께 반환 (예: items[1].quantity)
+ * 6. 주문 유형(orderType)별 필수 필드는 if/then/else - 배달(기본): deliveryFee, distanceKm, address1 /
+ *    픽업: pickupDate, pickupSlot (누락 오류에 주문 유형을 함께 표시)
+ */
+
+const DATE_PATTERN = '^\\d{4}-\\d{2}-\\d{2}$';
+const TIME_PATTERN = '([01]\\d|2[0-3]):[0-5]\\d';
+const DATE_TIME_PATTERN = '^\\d{4}-\\d{2}-\\d{2}[T ]\\d{2}:\\d{2}(:\\d{2}(\\.\\d+)?)?(Z|[+-]\\d{2}:?\\d{2})?$';
+
+const TYPE_NAMES = {
+  string: '문자열',
+  integer: '정수',
+  number: '숫자',
+  boolean: 'true/false',
+  array: '배열',
+  object: '객체',
+  null: 'null'
+};
+
+/**
+ * 출력 요청 JSON Schema (현재 등록된 템플릿/프린터 포함)
+ *
+ * @returns {Object}
+ */
+export function getPrintRequestSchema() {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: '영수증 출력 요청',
+    description: 'POST /print, POST /preview 요청 바디 (목록에 없는 필드는 템플릿 바인딩용으로 그대로 전달)',
+    type: 'object',
+    required: ['orderId', 'paidAt', 'buyerName', 'phone', 'items', 'totalProductAmount'],
+    properties: {
+      orderType: { enum: ORDER_TYPES, description: '주문 유형 - delivery: 배달, pickup: 매장 픽업 (생략 시 delivery)' },
+      orderId: { type: ['integer', 'string'], minimum: 1, minLength: 1, maxLength: 40, description: '주문 번호' },
+      displayCode: { type: ['integer', 'string'], minimum: 0, minLength: 1, maxLength: 20, description: '표시용 주문 코드 (영수증에 D-코드로 출력)' },
+      paidAt: { type: 'string', pattern: DATE_TIME_PATTERN, examples: ['2026-02-12T02:08:03+09:00'], description: '결제 일시 (ISO 8601, 시간대 생략 시 매장 PC 시간)' },
+      buyerName: { type: 'string', minLength: 1, maxLength: 50 },
+      phone: { type: 'string', pattern: '^[0-9][0-9-]{6,18}[0-9]$', examples: ['010-1234-5678'] },
+      items: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 100,
+        items: {
+          type: 'object',
+          required: ['productName', 'quantity', 'amount'],
+          properties: {
+            productName: { type: 'string', minLength: 1, maxLength: 100 },
+            quantity: { type: 'integer', minimum: 1, maximum: 9999 },
+            amount: { type: 'integer', minimum: 0, description: '상품 금액 합계 (단가 × 수량, 할인 전, 원)' },
+            discount: { type: 'integer', minimum: 0, description: '상품 할인 (원, amount에서 뺌)' },
+            taxFree: { type: 'boolean', description: '부가세 면세 품목 (과일/채소 등 신선 농산물, 생략 시 과세)' },
+            bag: { type: 'integer', minimum: 1, maximum: 99, description: '담을 봉투 번호 (봉투 단위 라벨, 생략 시 1번)' }
+          }
+        }
+      },
+      totalProductAmount: { type: 'integer', minimum: 0, description: '상품 합계 (items[].amount의 합, 할인 전, 원)' },
+      discounts: {
+        type: 'array',
+        maxItems: 10,
+        items: {
+          type: 'object',
+          required: ['type', 'amount'],
+          properties: {
+            type: { enum: Object.keys(DISCOUNT_TYPES) },
+            label: { type: 'string', minLength: 1, maxLength: 20, description: '영수증 표시 이름 (생략 시 쿠폰 할인 / 포인트 사용 / 할인)' },
+            amount: { type: 'integer', minimum: 1, description: '할인 금액 (원)' }
+          }
+        },
+        description: '주문 할인 (쿠폰, 포인트 - 결제금액에서 뺌)'
+      },
+      paymentMethod: { enum: Object.keys(PAYMENT_METHODS), description: '결제수단' },
+      approvalNumber: { type: 'string', pattern: '^[0-9A-Za-z-]{1,30}$', examples: ['30012345'], description: '카드/간편결제 승인번호' },
+      deliveryFee: { type: 'integer', minimum: 0, description: '배달비 (원, 배달 주문 필수)' },
+      distanceKm: { type: 'number', minimum: 0, maximum: 100, description: '배달 거리 (배달 주문 필수)' },
+      address1: { type: 'string', minLength: 1, maxLength: 200, description: '배달 주소 (배달 주문 필수)' },
+      address2: { type: ['string', 'null'], maxLength: 200 },
+      scheduledDeliveryHour: { type: ['integer', 'null'], minimum: 0, maximum: 23, description: '예약배달 시 (있으면 예약배달)' },
+      scheduledDeliveryMinute: { type: ['integer', 'null'], minimum: 0, maximum: 59 },
+      deliveryHour: { type: 'integer', minimum: 0, maximum: 23, description: '(사용 안 함, 이전 버전 호환)' },
+      deliveryMinute: { type: 'integer', minimum: 0, maximum: 59, description: '(사용 안 함, 이전 버전 호환)' },
+      pickupDate: { type: 'string', pattern: DATE_PATTERN, examples: ['2026-10-19'], description: '픽업 날짜 (픽업 주문 필수)' },
+      pickupSlot: { type: 'string', pattern: `^${TIME_PATTERN}(-${TIME_PATTERN})?$`, examples: ['14:00-15:00'], description: '픽업 시간대 HH:MM-HH:MM 또는 시각 HH:MM (픽업 주문 필수)' },
+      pickupNumber: { type: ['integer', 'string'], minimum: 0, minLength: 1, maxLength: 10, description: '픽업 번호 (영수증에 크게 출력, 생략 시 D-코드/주문번호)' },
+      idempotencyKey: { type: 'string', minLength: 1, maxLength: 200, description: '생략 시 orderId/displayCode + 주문 내용 해시' },
+      reprint: { type: 'boolean', description: 'true면 중복 검사 없이 재출력 배너와 함께 출력' },
+      paperProfile: { enum: PROFILE_NAMES, description: '용지 프로필 (생략 시 프린터 설정값)' },
+      template: { enum: listTemplates(), description: '배달 주문 고객용 사본 템플릿 (생략 시 default, 픽업 주문은 pickup 템플릿)' },
+      copies: { type: 'array', minItems: 1, items: { enum: COPY_TYPE_NAMES }, description: '사본 종류 순서' },
+      maskPhone: { type: 'boolean', description: '배달기사/포장용 사본 전화번호 가림' },
+      qr: { enum: [...Object.keys(QR_TARGETS), false], description: 'QR 대상 (false면 끄기)' },
+      barcode: { enum: [...BARCODE_FIELDS, false], description: '바코드 필드 (false면 끄기)' },
+      printer: { enum: listPrinters().filter(item => item.kind === 'receipt').map(item => item.name), description: '모든 사본을 이 프린터로 (라벨 프린터 제외)' },
+      beep: { enum: [true, false, ...BEEP_PATTERN_NAMES], description: '새 주문 부저 - true: 설정된 패턴(즉시/예약별), 패턴 이름, false: 끄기 (생략 시 buzzer.onPrint)' }
+    },
+    dependentRequired: {
+      scheduledDeliveryMinute: ['scheduledDeliveryHour'],
+      approvalNumber: ['paymentMethod']
+    },
+    if: { properties: { orderType: { enum: ['pickup'] } }, required: ['orderType'] },
+    then: { title: '픽업 주문', required: ['pickupDate', 'pickupSlot'] },
+    else: { title: '배달 주문', required: ['deliveryFee', 'distanceKm', 'address1'] }
+  };
+}
+
+/**
+ * 출력 요청 검증 (스키마 + 항목 간 검증)
+ *
+ * @param {*} data - 요청 바디
+ * @returns {{ path: string, message: string }[]} 오류 목록 (비어 있으면 정상)
+ */
+export function validatePrintRequest(data) {
+  const errors = [];
+  validateValue(getPrintRequestSchema(), data, '', errors);
+  if (errors.length === 0) checkConsistency(data, errors);
+  return errors;
+}
+
+/**
+ * 오류 목록 → 한 줄 메시지 (응답의 error, 로그, pull 모드 보고용)
+ *
+ * @param {{ path: string, message: string }[]} errors
+ * @returns {string}
+ */
+export function describeErrors(errors) {
+  return errors.map(({ path, message }) => `${path || '요청 바디'}: ${message}`).join('; ');
+}
+
+/**
+ * 스키마 키워드 검증 (재귀)
+ */
+function validateValue(schema, value, path, errors) {
+  const fail = message => errors.push({ path, message });
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`${schema.enum.map(item => typeof item === 'string' ? item : JSON.stringify(item)).join(' | ')} 중 하나여야 합니다`);
+    return;
+  }
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+      fail(`${types.map(type => TYPE_NAMES[type]).join(' 또는 ')} 타입이어야 합니다 (받은 값: ${JSON.stringify(value)})`);
+      return;
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`${schema.minimum} 이상이어야 합니다`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`${schema.maximum} 이하여야 합니다`);
+  }
+
+  if (typeof value === 'string') {
+    const length = [...value].length;
+    if (schema.minLength !== undefined && length < schema.minLength) fail(schema.minLength === 1 ? '비어 있습니다' : `${schema.minLength}자 이상이어야 합니다`);
+    if (schema.maxLength !== undefined && length > schema.maxLength) fail(`${schema.maxLength}자 이하여야 합니다 (${length}자)`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`형식이 올바르지 않습니다${schema.examples ? ` (예: ${schema.examples[0]})` : ''}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(value.length === 0 ? '비어 있습니다' : `${schema.minItems}개 이상이어야 합니다`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`${schema.maxItems}개 이하여야 합니다 (${value.length}개)`);
+    if (schema.items) {
+      value.forEach((item, i) => validateValue(schema.items, item, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    const child = key => path ? `${path}.${key}` : key;
+    for (const key of schema.required || []) {
+      if (value[key] === undefined || value[key] === null) errors.push({ path: child(key), message: '필수 필드 누락' });
+    }
+    for (const [key, dependencies] of Object.entries(schema.dependentRequired || {})) {
+      if (value[key] == null) continue;
+      for (const dependency of dependencies.filter(name => value[name] == null)) {
+        errors.push({ path: child(dependency), message: `${key} 지정 시 필요합니다` });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      // null은 생략과 같음 (관리자 페이지가 빈 값을 null로 보냄, 필수 필드면 위에서 누락으로 보고)
+      if (value[key] == null) continue;
+      validateValue(propertySchema, value[key], child(key), errors);
+    }
+    if (schema.if) {
+      const branch = matches(schema.if, value) ? schema.then : schema.else;
+      if (branch) {
+        // 분기 오류에는 분기 이름을 붙임 (예: "deliveryFee: 필수 필드 누락 (배달 주문)")
+        const start = errors.length;
+        validateValue(branch, value, path, errors);
+        if (branch.title) errors.slice(start).forEach(error => { error.message += ` (${branch.title})`; });
+      }
+    }
+  }
+}
+
+/**
+ * if 조건 일치 여부 (오류 없이 통과하면 일치)
+ */
+function matches(schema, value) {
+  const errors = [];
+  validateValue(schema, value, '', errors);
+  return errors.length === 0;
+}
+
+/**
+ * 항목 간 검증 (스키마 검증을 통과한 요청만)
+ */
+function checkConsistency(data, errors) {
+  // 단가 = 금액 / 수량 (영수증 상품 표의 가격 칼럼)
+  data.items.forEach((item, i) => {
+    if (item.amount % item.quantity !== 0) {
+      errors.push({ path: `items[${i}].amount`, message: `수량(${item.quantity})으로 나누어떨어지지 않습니다 (단가가 정수가 아님)` });
+    }
+    if (item.discount > item.amount) {
+      errors.push({ path: `items[${i}].discount`, message: `상품 금액(${item.amount})보다 큽니다` });
+    }
+  });
+
+  const sum = data.items.reduce((total, item) => total + item.amount, 0);
+  if (sum !== data.totalProductAmount) {
+    errors.push({ path: 'totalProductAmount', message: `상품 금액 합계(${sum})와 다릅니다 (${data.totalProductAmount})` });
+  }
+
+  const { totalAmount, orderDiscount } = computeTotals(data);
+  if (totalAmount < 0) {
+    errors.push({ path: 'discounts', message: `할인 합계(${orderDiscount})가 할인 전 결제금액(${totalAmount + orderDiscount})보다 큽니다` });
+  }
+
+  // 패턴은 맞지만 달력에 없는 날짜 (2026-02-30 등 - Date는 다음 달로 넘겨 버림)
+  if (!isCalendarDate(data.paidAt) || Number.isNaN(new Date(data.paidAt).getTime())) {
+    errors.push({ path: 'paidAt', message: `존재하지 않는 일시입니다: ${data.paidAt}` });
+  }
+
+  if (data.orderType === 'pickup') {
+    if (!isCalendarDate(data.pickupDate)) {
+      errors.push({ path: 'pickupDate', message: `존재하지 않는 날짜입니다: ${data.pickupDate}` });
+    }
+    const [start, end] = data.pickupSlot.split('-');
+    if (end && end <= start) {
+      errors.push({ path: 'pickupSlot', message: `끝 시각이 시작 시각보다 늦어야 합니다: ${data.pickupSlot}` });
+    }
+    // 픽업 영수증에는 배달비 줄이 없으므로 합계가 달라지지 않도록
+    if (data.deliveryFee > 0) {
+      errors.push({ path: 'deliveryFee', message: '픽업 주문에는 배달비가 없습니다' });
+    }
+    if (data.copies && data.copies.includes('rider')) {
+      errors.push({ path: 'copies', message: '픽업 주문에는 배달기사용(rider) 사본이 없습니다' });
+    }
+  }
+}
+
+/**
+ * YYYY-MM-DD로 시작하는 문자열의 날짜가 달력에 있는지
+ */
+function isCalendarDate(text) {
+  const [year, month, day] = text.slice(0, 10).split('-').map(Number);
+  const calendar = new Date(Date.UTC(year, month - 1, day));
+  return calendar.getUTCMonth() === month - 1 && calendar.getUTCDate() === day;
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
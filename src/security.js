@@ -0,0 +1,227 @@
+import { readFileSync, writeFileSync, renameSync, existsSync, mkdirSync } from 'fs';
+import { join } from 'path';
+import { randomBytes, randomInt, randomUUID, createHash, timingSafeEqual } from 'crypto';
+
+/**
+ * 브릿지 API 접근 제어 (Origin 허용 목록 + 페어링 토큰)
+ *
+ * 배경:
+ * - CORS 전체 허용 + PNA 항상 허용이라 매장 PC에서 열린 아무 웹 페이지나 영수증을 출력할 수 있었음
+ *
+ * 기술적 결정:
+ * 1. Origin 허용 목록 (기본 https://fruit-matjip.store)
+ *    - 브라우저는 교차 출처 요청에 항상 Origin을 붙이므로 목록에 없는 Origin은 preflight 포함 403
+ *    - Origin이 없는 요청(curl, 백엔드, 같은 PC의 스크립트)은 웹 페이지가 아니므로 허용
+ *    - PNA(Access-Control-Allow-Private-Network)도 허용된 Origin에만 응답
+ * 2. 페어링 (선택, security.pairing)
+ *    - 관리자 페이지가 POST /pair/start → 브릿지 콘솔에 6자리 확인 코드 표시
+ *    - 직원이 코드를 관리자 페이지에 입력 → POST /pair/confirm → 토큰 발급 (1회)
+ *    - 이후 출력 요청마다 Authorization: Bearer <토큰>
+ *    - 주문 개인정보/매출을 돌려주는 조회(GET /jobs, /history, /reports/daily)도 같은 토큰 필요
+ *    - 콘솔을 볼 수 있는 사람 = 매장 PC 앞에 있는 사람이므로 원격 페이지는 토큰을 얻을 수 없음
+ * 3. 토큰은 SHA-256 해시만 data/pairing.json에 저장 (파일이 유출되어도 토큰 재사용 불가)
+ * 4. 거부된 요청은 Origin과 함께 로그 ([Security])
+ */
+
+const CODE_TTL_MS = 5 * 60 * 1000;  // 확인 코드 유효 시간
+const MAX_CODE_ATTEMPTS = 5;        // 확인 코드 입력 허용 횟수 (초과 시 새로 요청)
+
+let allowedOrigins = [];
+let pairingEnabled = false;
+let pairingFile = null;
+let tokens = [];            // [{ id, hash, origin, createdAt }]
+let pending = null;         // 진행 중인 페어링 { id, code, origin, expiresAt, attempts }
+
+/**
+ * 접근 제어 초기화 (서버 시작 시 1회)
+ *
+ * @param {Object} options
+ * @param {string[]} options.origins - 허용 Origin 목록
+ * @param {boolean} [options.pairing] - 페어링 토큰 필수 여부
+ * @param {string} options.dir - 토큰 저장 디렉토리
+ */
+export function initSecurity({ origins, pairing = false, dir }) {
+  allowedOrigins = origins;
+  pairingEnabled = pairing;
+  mkdirSync(dir, { recursive: true });
+  pairingFile = join(dir, 'pairing.json');
+  tokens = loadTokens();
+  pending = null;
+}
+
+/**
+ * 허용된 Origin인지 확인 (Origin 헤더가 없으면 허용)
+ *
+ * @param {string|undefined} origin
+ * @returns {boolean}
+ */
+export function isAllowedOrigin(origin) {
+  return !origin || allowedOrigins.includes(origin);
+}
+
+/**
+ * Origin 검사 미들웨어 (cors보다 먼저 등록)
+ *
+ * 목록에 없는 Origin은 CORS/PNA 헤더 없이 403 - 브라우저가 응답을 페이지에 넘기지 않음
+ */
+export function originGuard(req, res, next) {
+  const origin = req.get('Origin');
+  if (isAllowedOrigin(origin)) {
+    return next();
+  }
+  console.warn(`[Security] 허용되지 않은 Origin 거부: ${origin} → ${req.method} ${req.path}`);
+  res.status(403).json({
+    error: '허용되지 않은 Origin',
+    origin
+  });
+}
+
+/**
+ * Chrome Private Network Access (PNA) 대응
+ *
+ * HTTPS 사이트(fruit-matjip.store)에서 로컬 서버(127.0.0.1)로 요청 시
+ * Chrome이 preflight에 Access-Control-Request-Private-Network 헤더를 추가.
+ * 서버가 Access-Control-Allow-Private-Network: true로 응답해야 요청이 허용됨.
+ * originGuard를 통과한 요청만 여기까지 오므로 허용된 Origin에만 응답하게 됨
+ */
+export function privateNetworkAccess(req, res, next) {
+  if (req.headers['access-control-request-private-network'] && isAllowedOrigin(req.get('Origin'))) {
+    res.setHeader('Access-Control-Allow-Private-Network', 'true');
+  }
+  next();
+}
+
+/**
+ * 페어링 토큰 검사 미들웨어 (출력 등 프린터를 움직이는 라우트, 주문 내용을 돌려주는 조회 라우트에 적용)
+ *
+ * 페어링이 꺼져 있으면 통과
+ */
+export function requirePairing(req, res, next) {
+  if (!pairingEnabled) {
+    return next();
+  }
+  const token = bearerToken(req);
+  if (token && findToken(token)) {
+    return next();
+  }
+  console.warn(`[Security] 페어링 토큰 ${token ? '불일치' : '없음'}: ${req.get('Origin') || '(Origin 없음)'} → ${req.method} ${req.path}`);
+  res.status(401).json({
+    error: '페어링 필요: 관리자 페이지에서 프린터 연결(페어링)을 진행해 주세요',
+    pairingRequired: true
+  });
+}
+
+/**
+ * 페어링 상태 (관리자 페이지가 페어링 화면을 띄울지 판단)
+ *
+ * @param {import('express').Request} req
+ * @returns {{ required: boolean, paired: boolean }} paired: 요청의 토큰이 유효한지
+ */
+export function getPairingState(req) {
+  const token = bearerToken(req);
+  return { required: pairingEnabled, paired: Boolean(token && findToken(token)) };
+}
+
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * 페어링 시작 - 확인 코드를 콘솔에 표시
+ *
+ * 진행 중인 페어링이 있으면 대체 (콘솔에는 항상 최신 코드 1개)
+ *
+ * @param {string|undefined} origin - 요청 Origin (로그/토큰 기록용)
+ * @returns {{ pairingId: string, expiresAt: string }}
+ */
+export function startPairing(origin) {
+  const code = String(randomInt(0, 1000000)).padStart(6, '0');
+  pending = {
+    id: randomUUID(),
+    code,
+    origin: origin || null,
+    expiresAt: Date.now() + CODE_TTL_MS,
+    attempts: 0
+  };
+
+  console.log(`\n🔑 페어링 요청 (${origin || 'Origin 없음'})`);
+  console.log(`   확인 코드: ${code}  - ${CODE_TTL_MS / 60000}분 안에 관리자 페이지에 입력하세요\n`);
+
+  return { pairingId: pending.id, expiresAt: new Date(pending.expiresAt).toISOString() };
+}
+
+/**
+ * 확인 코드 검증 후 토큰 발급
+ *
+ * @param {string} pairingId - startPairing이 돌려준 ID
+ * @param {string} code - 콘솔에 표시된 6자리 코드
+ * @param {string|undefined} origin
+ * @returns {{ token?: string, error?: string }}
+ */
+export function confirmPairing(pairingId, code, origin) {
+  if (!pending || pending.id !== pairingId) {
+    return { error: '진행 중인 페어링이 없습니다 - 다시 시작해 주세요' };
+  }
+  if (Date.now() > pending.expiresAt) {
+    pending = null;
+    return { error: '확인 코드가 만료되었습니다 - 다시 시작해 주세요' };
+  }
+
+  pending.attempts += 1;
+  if (!safeEqual(String(code), pending.code)) {
+    console.warn(`[Security] 페어링 확인 코드 불일치 (${pending.attempts}/${MAX_CODE_ATTEMPTS}): ${origin || '(Origin 없음)'}`);
+    if (pending.attempts >= MAX_CODE_ATTEMPTS) {
+      pending = null;
+      return { error: '확인 코드를 여러 번 틀렸습니다 - 다시 시작해 주세요' };
+    }
+    return { error: '확인 코드가 일치하지 않습니다' };
+  }
+
+  pending = null;
+  const token = randomBytes(32).toString('hex');
+  tokens.push({
+    id: randomUUID(),
+    hash: hashToken(token),
+    origin: origin || null,
+    createdAt: new Date().toISOString()
+  });
+  saveTokens();
+  console.log(`[Security] 페어링 완료: ${origin || '(Origin 없음)'}`);
+  return { token };
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && timingSafeEqual(left, right);
+}
+
+function findToken(token) {
+  const hash = hashToken(token);
+  return tokens.find(entry => safeEqual(entry.hash, hash)) || null;
+}
+
+function loadTokens() {
+  if (!existsSync(pairingFile)) return [];
+  try {
+    const parsed = JSON.parse(readFileSync(pairingFile, 'utf-8'));
+    return Array.isArray(parsed.tokens) ? parsed.tokens : [];
+  } catch (error) {
+    console.error('[Security] 페어링 파일 손상 - 다시 페어링 필요:', error.message);
+    return [];
+  }
+}
+
+/**
+ * 토큰 파일 저장 (임시 파일 작성 후 rename)
+ */
+function saveTokens() {
+  const tmpFile = `${pairingFile}.tmp`;
+  writeFileSync(tmpFile, JSON.stringify({ tokens }, null, 2), 'utf-8');
+  renameSync(tmpFile, pairingFile);
+}
@@ -0,0 +1,125 @@
+/**
+ * 프린터 하드웨어 상태 (ESC/POS 실시간 상태 조회)
+ *
+ * 배경:
+ * - Windows WorkOffline 플래그나 9100 포트 연결 여부만으로는 용지 없음/커버 열림을 구분할 수 없어
+ *   "온라인"으로 보이는 프린터에 주문이 출력되지 않고 사라지는 일이 있었음
+ *
+ * 기술적 결정:
+ * 1. DLE EOT n (실시간 상태 전송) 사용 - 프린터가 오프라인/오류 상태여도 수신 즉시 1바이트로 응답
+ *    (GS r은 버퍼 순서대로 처리되어 오프라인 중에는 응답하지 않으므로 사용하지 않음)
+ * 2. 응답을 받을 수 있는 전송 방식(query 지원)에서만 조회 - 나머지는 전송 방식 자체 상태만 사용
+ * 3. 알 수 없는 항목은 null - "정상"과 "모름"을 구분
+ */
+
+/**
+ * 조회 명령: DLE EOT 1(프린터) / 2(오프라인 원인) / 3(오류 원인) / 4(용지 센서)
+ * 응답은 명령 순서대로 1바이트씩 4바이트
+ */
+export const STATUS_QUERY = Buffer.from([
+  0x10, 0x04, 0x01,
+  0x10, 0x04, 0x02,
+  0x10, 0x04, 0x03,
+  0x10, 0x04, 0x04
+]);
+export const STATUS_RESPONSE_LENGTH = 4;
+
+/**
+ * 하드웨어 상태 (알 수 없는 항목은 null)
+ *
+ * @typedef {Object} HardwareStatus
+ * @property {string} source - 'escpos' (DLE EOT 응답) | 'spooler' (Windows 드라이버 보고)
+ * @property {boolean|null} online - 프린터 자체 온라인 여부
+ * @property {'ok'|'nearEnd'|'out'|null} paper - 용지 상태
+ * @property {boolean|null} coverOpen - 커버 열림
+ * @property {boolean|null} cutterError - 오토커터 오류
+ * @property {boolean|null} unrecoverableError - 복구 불가 오류 (전원 재시작 필요)
+ * @property {boolean|null} recoverableError - 자동 복구 오류 (헤드 과열 등)
+ * @property {boolean|null} drawerOpen - 금전함 열림 (커넥터 3번 핀 HIGH 기준)
+ */
+
+/**
+ * 모든 항목이 null인 상태 (전송 방식별로 아는 항목만 채워서 사용)
+ *
+ * @param {string} source
+ * @returns {HardwareStatus}
+ */
+export function unknownHardwareStatus(source) {
+  return {
+    source,
+    online: null,
+    paper: null,
+    coverOpen: null,
+    cutterError: null,
+    unrecoverableError: null,
+    recoverableError: null,
+    drawerOpen: null
+  };
+}
+
+/**
+ * DLE EOT 응답 해석
+ *
+ * 상태 바이트는 항상 0xx1xx10 형태 (비트 1, 4 = 1 / 비트 0, 7 = 0)
+ * 형식이 다르면 이전 작업의 다른 응답이 섞인 것이므로 throw
+ *
+ * @param {Buffer} bytes - STATUS_QUERY에 대한 응답 4바이트
+ * @returns {HardwareStatus}
+ */
+export function parseStatus(bytes) {
+  if (!bytes || bytes.length < STATUS_RESPONSE_LENGTH) {
+    throw new Error(`상태 응답 길이 오류 (${bytes ? bytes.length : 0}바이트)`);
+  }
+  const [printer, offline, error, paper] = bytes;
+  for (const byte of [printer, offline, error, paper]) {
+    if ((byte & 0x93) !== 0x12) {
+      throw new Error(`상태 응답 형식 오류 (0x${byte.toString(16).padStart(2, '0')})`);
+    }
+  }
+
+  let paperState = 'ok';
+  if ((paper & 0x60) || (offline & 0x20)) {
+    paperState = 'out';
+  } else if (paper & 0x0c) {
+    paperState = 'nearEnd';
+  }
+
+  return {
+    source: 'escpos',
+    online: (printer & 0x08) === 0,
+    paper: paperState,
+    coverOpen: Boolean(offline & 0x04),
+    cutterError: Boolean(error & 0x04),
+    unrecoverableError: Boolean(error & 0x08),
+    recoverableError: Boolean(error & 0x20),
+    drawerOpen: Boolean(printer & 0x04)
+  };
+}
+
+/**
+ * 출력 가능 여부 판단
+ *
+ * 용지 없음/커버 열림/오류는 출력 불가 (작업 보류), 용지 부족은 경고만
+ *
+ * @param {boolean} online - 전송 방식 기준 온라인 여부
+ * @param {HardwareStatus|null} hardware
+ * @returns {{ ready: boolean, problems: string[], warnings: string[] }}
+ */
+export function evaluateHardware(online, hardware) {
+  const problems = [];
+  const warnings = [];
+  if (!online || !hardware) {
+    return { ready: online, problems, warnings };
+  }
+
+  if (hardware.paper === 'out') problems.push('용지 없음');
+  if (hardware.coverOpen) problems.push('커버 열림');
+  if (hardware.cutterError) problems.push('커터 오류');
+  if (hardware.unrecoverableError) problems.push('복구 불가 오류 (프린터 전원을 껐다 켜세요)');
+  if (hardware.recoverableError) problems.push('일시 오류 (헤드 과열 등)');
+  if (problems.length === 0 && hardware.online === false) problems.push('프린터 오프라인');
+
+  if (hardware.paper === 'nearEnd') warnings.push('용지 부족');
+
+  return { ready: problems.length === 0, problems, warnings };
+}
@@ -0,0 +1,160 @@
+/**
+ * 기본 배달 영수증 템플릿
+ *
+ * 템플릿 도입 전 buildReceipt가 직접 출력하던 순서를 그대로 옮긴 것
+ * (같은 주문이면 템플릿 도입 전과 바이트 단위로 같은 출력)
+ *
+ * 매장별로 바꾸려면 이 구조를 JSON으로 복사해 templates/default.json으로 저장
+ * - 문법은 templates/index.js 주석 참고
+ */
+export default {
+  name: 'default',
+  sections: [
+    // 재출력 배너 - 라이더가 원본/사본을 구분할 수 있도록 반전 + 2배 높이로 강조
+    {
+      id: 'reprint',
+      when: 'reprint',
+      align: 'center',
+      lines: [
+        { type: 'text', text: ' 재출력 ({{reprint.count}}회차) ', invert: true, size: 'doubleHeight', bold: true },
+        { type: 'text', text: '재출력 일시: {{reprint.requestedAt|datetime}}' }
+      ]
+    },
+    // 매장 정보 (설정 store.* - 지출 증빙용 영수증 요건)
+    {
+      id: 'store',
+      when: 'store.name',
+      align: 'center',
+      lines: [
+        { type: 'text', text: '{{store.name}}', size: 'doubleHeight', bold: true },
+        { type: 'text', text: '사업자등록번호: {{store.businessNumber}}', when: 'store.businessNumber' },
+        { type: 'text', text: '대표: {{store.owner}}', when: 'store.owner' },
+        { type: 'text', text: '{{store.address}}', when: 'store.address' },
+        { type: 'text', text: 'Tel. {{store.phone}}', when: 'store.phone' }
+      ]
+    },
+    // 예약배달 표시
+    {
+      id: 'scheduled',
+      when: 'isScheduled',
+      type: 'text',
+      text: '** {{scheduledTime}} 예약배달 **',
+      align: 'center',
+      size: 'doubleHeight',
+      bold: true
+    },
+    // 헤더 (주문번호)
+    {
+      id: 'header',
+      align: 'center',
+      lines: [
+        { type: 'rule' },
+        { type: 'text', text: '{{orderLabel}}', size: 'quad', bold: true }
+      ]
+    },
+    { type: 'rule' },
+    // 주문 정보
+    {
+      id: 'orderInfo',
+      lines: [
+        { type: 'text', text: '주문일시: {{paidAt|datetime}}' },
+        { type: 'text', text: '도착예정: {{scheduledTime}}', when: 'isScheduled', bold: true },
+        { type: 'separator' }
+      ]
+    },
+    // 고객 정보
+    {
+      id: 'customer',
+      lines: [
+        { type: 'text', text: '[고객정보]' },
+        { type: 'text', text: '{{buyerName}} / {{phone}}', size: 'doubleHeight', bold: true },
+        { type: 'blank' }
+      ]
+    },
+    // 배달 주소
+    {
+      id: 'address',
+      lines: [
+        { type: 'text', text: '[배달주소]' },
+        {
+          size: 'doubleHeight',
+          bold: true,
+          lines: [
+            { type: 'text', text: '{{address1}}' },
+            { type: 'text', text: '{{address2}}', when: 'address2' }
+          ]
+        },
+        { type: 'separator' }
+      ]
+    },
+    // 상품 목록
+    {
+      id: 'items',
+      lines: [
+        { type: 'items', headers: ['상품명', '수량', '가격', '총합'] },
+        { type: 'separator' }
+      ]
+    },
+    // 합계 - 총합계는 4배 면적이므로 절반 폭(half) 기준으로 정렬
+    {
+      id: 'totals',
+      lines: [
+        {
+          bold: true,
+          lines: [
+            { type: 'row', label: '상품합계:', value: '{{totalProductAmount|amount}}' },
+            { type: 'row', label: '상품할인:', value: '-{{itemDiscount|amount}}', when: 'itemDiscount' },
+            { type: 'row', label: '배달비({{distanceKm}}km):', value: '{{deliveryFee|amount}}' },
+            { type: 'discounts' }
+          ]
+        },
+        { type: 'rule' },
+        { type: 'row', label: '합계:', value: '{{totalAmount|amount}}', width: 'half', align: 'center', size: 'quad', bold: true },
+        { type: 'rule' }
+      ]
+    },
+    // 결제수단 (요청에 있을 때만)
+    {
+      id: 'payment',
+      when: 'paymentLabel',
+      lines: [
+        { type: 'row', label: '결제수단:', value: '{{paymentLabel}}' },
+        { type: 'row', label: '승인번호:', value: '{{approvalNumber}}', when: 'approvalNumber' },
+        { type: 'separator' }
+      ]
+    },
+    // 공급가액/부가세 (사업자등록번호를 설정했을 때만, totals.js)
+    {
+      id: 'tax',
+      when: 'tax',
+      lines: [
+        { type: 'row', label: '과세 공급가액:', value: '{{tax.supplyAmount|amount}}' },
+        { type: 'row', label: '부가세:', value: '{{tax.vat|amount}}' },
+        {
+          when: 'tax.taxFreeAmount',
+          lines: [
+            { type: 'row', label: '면세 물품가액:', value: '{{tax.taxFreeAmount|amount}}' },
+            { type: 'text', text: '(* 표시는 면세 품목)' }
+          ]
+        },
+        { type: 'separator' }
+      ]
+    },
+    // QR 코드 / 바코드 - 설정했을 때만 출력 (receipt.js buildCodes)
+    {
+      id: 'qr',
+      when: 'qrUrl',
+      align: 'center',
+      lines: [
+        { type: 'qr', data: '{{qrUrl}}' },
+        { type: 'text', text: '{{qrLabel}}' }
+      ]
+    },
+    { id: 'barcode', when: 'barcodeData', align: 'center', type: 'barcode', data: '{{barcodeData}}' },
+    // 매장 안내 문구 (설정 store.footer, 여러 줄 가능)
+    { id: 'footer', when: 'store.footer', align: 'center', type: 'text', text: '{{store.footer}}' },
+    // 용지 여백 (절단 시 내용 잘림 방지) + 절단 (오토커터 지원 프린터만 동작)
+    { type: 'feed', lines: 3 },
+    { type: 'cut' }
+  ]
+};
@@ -0,0 +1,205 @@
+import { readdirSync, readFileSync, existsSync } from 'fs';
+import { join, basename, extname } from 'path';
+import defaultTemplate from './default.js';
+import riderTemplate from './rider.js';
+import kitchenTemplate from './kitchen.js';
+import pickupTemplate from './pickup.js';
+
+/**
+ * 영수증 템플릿 레지스트리
+ *
+ * 배경:
+ * - 주소를 고객정보 위로 옮기거나 공지 문구를 넣는 정도의 레이아웃 변경에도
+ *   buildReceipt 코드를 고쳐 .exe를 다시 배포해야 했음
+ * - 레이아웃을 JSON 템플릿으로 분리하고, 시작 시 설정 디렉토리의 *.json을 읽어 등록
+ *
+ * 템플릿 구조:
+ * {
+ *   "name": "default",
+ *   "sections": [노드, ...]
+ * }
+ *
+ * 노드 = 그룹 또는 출력 요소
+ * - 그룹: { "id"?, "lines": [노드, ...], ...스타일, "when"? }
+ * - 출력 요소: { "type": ..., ...스타일, "when"? }
+ *   - text: { "text": "주문일시: {{paidAt|datetime}}" } - 자유 문구 (바인딩 포함, 줄바꿈 \n이 있으면 여러 줄)
+ *   - row: { "label": "상품합계:", "value": "{{totalProductAmount|amount}}", "width"?: 숫자 | "half" }
+ *   - items: { "headers": ["상품명", "수량", "가격", "총합"] } - 상품 표 (칼럼 폭은 용지 프로필)
+ *            { "layout": "names" } - 가격 없이 "상품명 x수량" 목록 (포장용)
+ *   - discounts: 주문 할인(쿠폰/포인트) 목록 - 할인마다 "이름: -금액" 1줄 (없으면 출력 없음)
+ *   - qr: { "data": "{{qrUrl}}", "cellSize"?: 1-8 } - QR 코드 (내용이 비면 생략)
+ *   - barcode: { "data": "{{barcodeData}}", "height"?: 1-255 } - CODE128 바코드 (내용이 비면 생략)
+ *   - rule: "=" 구분선 / separator: "-" 구분선 / blank: 빈 줄
+ *   - feed: { "lines": 3 } - 용지 여백 / cut: 용지 절단
+ *
+ * 스타일: "align": "left" | "center" | "right", "bold": true, "invert": true,
+ *         "size": "normal" | "doubleHeight" | "doubleWidth" | "quad"
+ * 조건: "when": "isScheduled" (값이 있으면 출력), "when": "!address2" (값이 없으면 출력)
+ * 바인딩: {{필드}} 또는 {{필드|필터}} - 필터: amount (15,900원), number (15,900), datetime,
+ *         maskPhone (010-****-5678), url (URL 인코딩)
+ *
+ * 바인딩 가능한 필드: 주문 데이터 전체 + orderLabel, isScheduled, scheduledTime, totalAmount, reprint,
+ *                   isPickup, pickupTime, pickupCode (픽업 주문),
+ *                   itemDiscount, paymentLabel, tax.supplyAmount / tax.vat / tax.taxFreeAmount (totals.js),
+ *                   store.name / businessNumber / owner / address / phone / footer (설정 store.*),
+ *                   qrUrl, qrLabel, links.order / links.map / links.review, barcodeData
+ */
+
+export const DEFAULT_TEMPLATE = 'default';
+
+const NODE_TYPES = ['text', 'row', 'items', 'discounts', 'qr', 'barcode', 'rule', 'separator', 'blank', 'feed', 'cut'];
+const ALIGNS = ['left', 'center', 'right'];
+const SIZES = ['normal', 'doubleHeight', 'doubleWidth', 'quad'];
+const ITEM_LAYOUTS = ['table', 'names'];
+
+// 내장 템플릿 - 기본(고객용) + 사본 종류/주문 유형별 (receipt.js COPY_TYPES)
+const templates = new Map([
+  [DEFAULT_TEMPLATE, defaultTemplate],
+  ['rider', riderTemplate],
+  ['kitchen', kitchenTemplate],
+  ['pickup', pickupTemplate]
+]);
+
+/**
+ * 템플릿 구조 검증
+ *
+ * @param {Object} template
+ * @returns {string[]} 오류 목록 (경로 포함, 비어 있으면 정상)
+ */
+export function validateTemplate(template) {
+  const errors = [];
+
+  if (!template || typeof template !== 'object') {
+    return ['템플릿이 객체가 아닙니다'];
+  }
+  if (!Array.isArray(template.sections)) {
+    return ['sections 배열이 없습니다'];
+  }
+
+  const visit = (node, path) => {
+    if (!node || typeof node !== 'object') {
+      errors.push(`${path}: 객체가 아닙니다`);
+      return;
+    }
+    if (node.align !== undefined && !ALIGNS.includes(node.align)) {
+      errors.push(`${path}.align: ${ALIGNS.join(' | ')} 중 하나여야 합니다`);
+    }
+    if (node.size !== undefined && !SIZES.includes(node.size)) {
+      errors.push(`${path}.size: ${SIZES.join(' | ')} 중 하나여야 합니다`);
+    }
+    if (node.when !== undefined && typeof node.when !== 'string') {
+      errors.push(`${path}.when: 필드 이름(문자열)이어야 합니다`);
+    }
+
+    if (node.lines !== undefined && node.type === undefined) {
+      if (!Array.isArray(node.lines)) {
+        errors.push(`${path}.lines: 배열이어야 합니다`);
+        return;
+      }
+      node.lines.forEach((child, i) => visit(child, `${path}.lines[${i}]`));
+      return;
+    }
+
+    if (!NODE_TYPES.includes(node.type)) {
+      errors.push(`${path}.type: ${NODE_TYPES.join(' | ')} 중 하나여야 합니다 (그룹이면 lines 배열 필요)`);
+      return;
+    }
+    if (node.type === 'text' && typeof node.text !== 'string') {
+      errors.push(`${path}.text: 문자열이어야 합니다`);
+    }
+    if (node.type === 'row') {
+      if (typeof node.label !== 'string') errors.push(`${path}.label: 문자열이어야 합니다`);
+      if (typeof node.value !== 'string') errors.push(`${path}.value: 문자열이어야 합니다`);
+      if (node.width !== undefined && node.width !== 'half' && !Number.isInteger(node.width)) {
+        errors.push(`${path}.width: 정수 또는 "half"여야 합니다`);
+      }
+    }
+    if (node.type === 'items' && node.headers !== undefined
+      && (!Array.isArray(node.headers) || node.headers.length !== 4)) {
+      errors.push(`${path}.headers: 칼럼 레이블 4개(상품명, 수량, 가격, 총합) 배열이어야 합니다`);
+    }
+    if (node.type === 'items' && node.layout !== undefined && !ITEM_LAYOUTS.includes(node.layout)) {
+      errors.push(`${path}.layout: ${ITEM_LAYOUTS.join(' | ')} 중 하나여야 합니다`);
+    }
+    if ((node.type === 'qr' || node.type === 'barcode') && typeof node.data !== 'string') {
+      errors.push(`${path}.data: 문자열이어야 합니다`);
+    }
+    if (node.type === 'qr' && node.cellSize !== undefined
+      && !(Number.isInteger(node.cellSize) && node.cellSize >= 1 && node.cellSize <= 8)) {
+      errors.push(`${path}.cellSize: 1-8 정수여야 합니다`);
+    }
+    if (node.type === 'barcode' && node.height !== undefined
+      && !(Number.isInteger(node.height) && node.height >= 1 && node.height <= 255)) {
+      errors.push(`${path}.height: 1-255 정수여야 합니다`);
+    }
+    if (node.type === 'feed' && node.lines !== undefined && !Number.isInteger(node.lines)) {
+      errors.push(`${path}.lines: 정수여야 합니다`);
+    }
+  };
+
+  template.sections.forEach((node, i) => visit(node, `sections[${i}]`));
+  return errors;
+}
+
+/**
+ * 템플릿 등록 (검증 실패 시 throw)
+ *
+ * @param {string} name - 템플릿 이름
+ * @param {Object} template
+ */
+export function registerTemplate(name, template) {
+  const errors = validateTemplate(template);
+  if (errors.length > 0) {
+    throw new Error(`템플릿 '${name}' 오류:\n  - ${errors.join('\n  - ')}`);
+  }
+  templates.set(name, template);
+}
+
+/**
+ * 디렉토리의 *.json 템플릿 일괄 등록
+ *
+ * 파일 이름(확장자 제외)이 템플릿 이름 - default.json, rider.json, kitchen.json이 있으면 내장 템플릿을 대체
+ * 하나라도 잘못되면 서버 시작을 막음 (출력 시점이 아니라 시작 시점에 발견하도록)
+ *
+ * @param {string} dir - 템플릿 디렉토리 (없으면 무시)
+ * @returns {string[]} 등록된 템플릿 이름
+ */
+export function loadTemplates(dir) {
+  if (!existsSync(dir)) return [];
+
+  const loaded = [];
+  for (const file of readdirSync(dir).filter(f => extname(f) === '.json').sort()) {
+    const name = basename(file, '.json');
+    let template;
+    try {
+      template = JSON.parse(readFileSync(join(dir, file), 'utf-8'));
+    } catch (error) {
+      throw new Error(`템플릿 파일 ${file} JSON 파싱 실패: ${error.message}`);
+    }
+    registerTemplate(name, template);
+    loaded.push(name);
+  }
+  return loaded;
+}
+
+/**
+ * 템플릿 조회
+ *
+ * @param {string} [name] - 템플릿 이름 (생략 시 default)
+ * @returns {Object}
+ */
+export function getTemplate(name = DEFAULT_TEMPLATE) {
+  const template = templates.get(name);
+  if (!template) {
+    throw new Error(`존재하지 않는 템플릿: ${name}`);
+  }
+  return template;
+}
+
+/**
+ * 등록된 템플릿 이름 목록
+ * @returns {string[]}
+ */
+export function listTemplates() {
+  return [...templates.keys()];
+}
@@ -0,0 +1,42 @@
+/**
+ * 포장/주방용 사본 템플릿
+ *
+ * 포장대에서 멀리서도 읽을 수 있도록 상품명과 수량만 2배 높이로 출력
+ * - 가격과 고객 정보는 빼고, 도착예정/픽업 일시는 포장 순서를 정하는 데 필요하므로 유지
+ */
+export default {
+  name: 'kitchen',
+  sections: [
+    {
+      id: 'reprint',
+      when: 'reprint',
+      align: 'center',
+      lines: [
+        { type: 'text', text: ' 재출력 ({{reprint.count}}회차) ', invert: true, size: 'doubleHeight', bold: true }
+      ]
+    },
+    {
+      id: 'header',
+      align: 'center',
+      lines: [
+        { type: 'text', text: '[포장용]', bold: true },
+        { type: 'rule' },
+        { type: 'text', text: '{{orderLabel}}', size: 'quad', bold: true },
+        { type: 'text', text: '도착예정: {{scheduledTime}}', when: 'isScheduled', size: 'doubleHeight', bold: true },
+        { type: 'text', text: '픽업 {{pickupTime}}', when: 'isPickup', bold: true }
+      ]
+    },
+    { type: 'rule' },
+    {
+      id: 'items',
+      lines: [
+        { type: 'items', layout: 'names', size: 'doubleHeight', bold: true },
+        { type: 'rule' }
+      ]
+    },
+    // 바코드 - 포장 완료/배달 완료 스캔용 (설정했을 때만)
+    { id: 'barcode', when: 'barcodeData', align: 'center', type: 'barcode', data: '{{barcodeData}}' },
+    { type: 'feed', lines: 3 },
+    { type: 'cut' }
+  ]
+};
@@ -0,0 +1,124 @@
+/**
+ * 매장 픽업 영수증 템플릿 (픽업 주문의 고객용 사본)
+ *
+ * 손님이 찾으러 왔을 때 번호로 바로 찾을 수 있도록 픽업 번호를 가장 크게 출력
+ * - 배달 주소, 배달비 줄은 없음 (합계 = 상품합계)
+ */
+export default {
+  name: 'pickup',
+  sections: [
+    {
+      id: 'reprint',
+      when: 'reprint',
+      align: 'center',
+      lines: [
+        { type: 'text', text: ' 재출력 ({{reprint.count}}회차) ', invert: true, size: 'doubleHeight', bold: true },
+        { type: 'text', text: '재출력 일시: {{reprint.requestedAt|datetime}}' }
+      ]
+    },
+    // 매장 정보 (설정 store.* - 지출 증빙용 영수증 요건)
+    {
+      id: 'store',
+      when: 'store.name',
+      align: 'center',
+      lines: [
+        { type: 'text', text: '{{store.name}}', size: 'doubleHeight', bold: true },
+        { type: 'text', text: '사업자등록번호: {{store.businessNumber}}', when: 'store.businessNumber' },
+        { type: 'text', text: '대표: {{store.owner}}', when: 'store.owner' },
+        { type: 'text', text: '{{store.address}}', when: 'store.address' },
+        { type: 'text', text: 'Tel. {{store.phone}}', when: 'store.phone' }
+      ]
+    },
+    // 픽업 배너 + 픽업 번호
+    {
+      id: 'header',
+      align: 'center',
+      lines: [
+        { type: 'text', text: ' 픽업 ', invert: true, size: 'quad', bold: true },
+        { type: 'rule' },
+        { type: 'text', text: '픽업번호' },
+        { type: 'text', text: '{{pickupCode}}', size: 'quad', bold: true }
+      ]
+    },
+    { type: 'rule' },
+    {
+      id: 'orderInfo',
+      lines: [
+        { type: 'text', text: '주문일시: {{paidAt|datetime}}' },
+        { type: 'text', text: '주문번호: {{orderLabel}}', when: 'pickupNumber' },
+        { type: 'text', text: '[픽업일시]' },
+        { type: 'text', text: '{{pickupTime}}', size: 'doubleHeight', bold: true },
+        { type: 'separator' }
+      ]
+    },
+    {
+      id: 'customer',
+      lines: [
+        { type: 'text', text: '[고객정보]' },
+        { type: 'text', text: '{{buyerName}} / {{phone}}', size: 'doubleHeight', bold: true },
+        { type: 'separator' }
+      ]
+    },
+    {
+      id: 'items',
+      lines: [
+        { type: 'items', headers: ['상품명', '수량', '가격', '총합'] },
+        { type: 'separator' }
+      ]
+    },
+    {
+      id: 'totals',
+      lines: [
+        {
+          bold: true,
+          lines: [
+            { type: 'row', label: '상품합계:', value: '{{totalProductAmount|amount}}' },
+            { type: 'row', label: '상품할인:', value: '-{{itemDiscount|amount}}', when: 'itemDiscount' },
+            { type: 'discounts' }
+          ]
+        },
+        { type: 'rule' },
+        { type: 'row', label: '합계:', value: '{{totalAmount|amount}}', width: 'half', align: 'center', size: 'quad', bold: true },
+        { type: 'rule' }
+      ]
+    },
+    {
+      id: 'payment',
+      when: 'paymentLabel',
+      lines: [
+        { type: 'row', label: '결제수단:', value: '{{paymentLabel}}' },
+        { type: 'row', label: '승인번호:', value: '{{approvalNumber}}', when: 'approvalNumber' },
+        { type: 'separator' }
+      ]
+    },
+    {
+      id: 'tax',
+      when: 'tax',
+      lines: [
+        { type: 'row', label: '과세 공급가액:', value: '{{tax.supplyAmount|amount}}' },
+        { type: 'row', label: '부가세:', value: '{{tax.vat|amount}}' },
+        {
+          when: 'tax.taxFreeAmount',
+          lines: [
+            { type: 'row', label: '면세 물품가액:', value: '{{tax.taxFreeAmount|amount}}' },
+            { type: 'text', text: '(* 표시는 면세 품목)' }
+          ]
+        },
+        { type: 'separator' }
+      ]
+    },
+    {
+      id: 'qr',
+      when: 'qrUrl',
+      align: 'center',
+      lines: [
+        { type: 'qr', data: '{{qrUrl}}' },
+        { type: 'text', text: '{{qrLabel}}' }
+      ]
+    },
+    { id: 'barcode', when: 'barcodeData', align: 'center', type: 'barcode', data: '{{barcodeData}}' },
+    { id: 'footer', when: 'store.footer', align: 'center', type: 'text', text: '{{store.footer}}' },
+    { type: 'feed', lines: 3 },
+    { type: 'cut' }
+  ]
+};
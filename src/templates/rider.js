@@ -0,0 +1,75 @@
+/**
+ * 배달기사용 사본 템플릿
+ *
+ * 배달에 필요한 정보(주문번호, 도착예정, 연락처, 주소)만 크게 출력하고 가격은 뺌
+ * - 전화번호 가림(maskPhone)이 켜져 있으면 {{phone}}이 "010-****-5678" 형태로 바인딩됨
+ */
+export default {
+  name: 'rider',
+  sections: [
+    {
+      id: 'reprint',
+      when: 'reprint',
+      align: 'center',
+      lines: [
+        { type: 'text', text: ' 재출력 ({{reprint.count}}회차) ', invert: true, size: 'doubleHeight', bold: true },
+        { type: 'text', text: '재출력 일시: {{reprint.requestedAt|datetime}}' }
+      ]
+    },
+    {
+      id: 'header',
+      align: 'center',
+      lines: [
+        { type: 'text', text: '[배달기사용]', bold: true },
+        { type: 'rule' },
+        { type: 'text', text: '{{orderLabel}}', size: 'quad', bold: true }
+      ]
+    },
+    { type: 'rule' },
+    {
+      id: 'scheduled',
+      when: 'isScheduled',
+      lines: [
+        { type: 'text', text: '도착예정: {{scheduledTime}}', size: 'doubleHeight', bold: true },
+        { type: 'separator' }
+      ]
+    },
+    {
+      id: 'customer',
+      lines: [
+        { type: 'text', text: '[고객정보]' },
+        { type: 'text', text: '{{buyerName}} / {{phone}}', size: 'doubleHeight', bold: true },
+        { type: 'blank' }
+      ]
+    },
+    {
+      id: 'address',
+      lines: [
+        { type: 'text', text: '[배달주소]' },
+        {
+          size: 'doubleHeight',
+          bold: true,
+          lines: [
+            { type: 'text', text: '{{address1}}' },
+            { type: 'text', text: '{{address2}}', when: 'address2' }
+          ]
+        },
+        { type: 'text', text: '거리: {{distanceKm}}km' },
+        { type: 'rule' }
+      ]
+    },
+    // QR 코드 / 바코드 - 설정했을 때만 출력 (receipt.js buildCodes)
+    {
+      id: 'qr',
+      when: 'qrUrl',
+      align: 'center',
+      lines: [
+        { type: 'qr', data: '{{qrUrl}}' },
+        { type: 'text', text: '{{qrLabel}}' }
+      ]
+    },
+    { id: 'barcode', when: 'barcodeData', align: 'center', type: 'barcode', data: '{{barcodeData}}' },
+    { type: 'feed', lines: 3 },
+    { type: 'cut' }
+  ]
+};
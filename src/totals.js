@@ -0,0 +1,77 @@
+/**
+ * 결제 금액 계산 (할인, 공급가액/부가세, 면세)
+ *
+ * 배경:
+ * - 지출 증빙용 영수증을 요청하는 손님이 있는데 영수증에 할인, 결제수단, 부가세 구분이 없었음
+ * - 과일/채소 같은 신선 농산물은 부가세 면세라 결제금액 전체를 과세로 나누면 부가세가 틀림
+ *
+ * 기술적 결정:
+ * 1. items[].amount는 할인 전 금액(단가 × 수량) 그대로 - totalProductAmount 검증과 상품 표의 단가는 이전과 같음
+ *    상품 할인은 items[].discount, 주문 할인(쿠폰/포인트)은 discounts[]
+ * 2. 결제금액 = 상품합계 - 상품 할인 + 배달비 - 주문 할인
+ * 3. 과세/면세는 상품별 taxFree (생략 시 과세), 배달비는 과세
+ * 4. 주문 할인은 과세/면세 금액 비율로 나눠 뺌 (과세 쪽을 원 단위로 반올림, 나머지는 면세 쪽)
+ * 5. 공급가액 = 과세 금액 × 10/11 반올림, 부가세 = 과세 금액 - 공급가액 (둘의 합이 항상 과세 금액)
+ */
+
+/**
+ * 주문 할인 종류 → 영수증 표시 이름 (discounts[].label이 없을 때)
+ */
+export const DISCOUNT_TYPES = {
+  coupon: '쿠폰 할인',
+  points: '포인트 사용',
+  other: '할인'
+};
+
+/**
+ * 결제수단 → 영수증 표시 이름
+ */
+export const PAYMENT_METHODS = {
+  card: '카드',
+  cash: '현금',
+  transfer: '계좌이체',
+  easyPay: '간편결제',
+  other: '기타'
+};
+
+/**
+ * 주문 금액 계산
+ *
+ * @param {Object} data - 주문 데이터 (/print 바디, 검증을 통과한 값)
+ * @returns {Object} { productAmount, itemDiscount, deliveryFee, discounts: [{ label, amount }], orderDiscount,
+ *                     totalAmount, taxableAmount, supplyAmount, vat, taxFreeAmount }
+ */
+export function computeTotals(data) {
+  let taxable = 0;
+  let taxFree = 0;
+  let itemDiscount = 0;
+  for (const { amount, discount = 0, taxFree: exempt } of data.items || []) {
+    itemDiscount += discount;
+    if (exempt) taxFree += amount - discount;
+    else taxable += amount - discount;
+  }
+
+  // 픽업 주문은 배달비 없음 (schema.js가 0보다 큰 값을 거부)
+  const deliveryFee = data.deliveryFee ?? 0;
+  taxable += deliveryFee;
+
+  const discounts = (data.discounts || []).map(({ type, label, amount }) => ({ label: label || DISCOUNT_TYPES[type], amount }));
+  const orderDiscount = discounts.reduce((total, discount) => total + discount.amount, 0);
+  const base = taxable + taxFree;
+  const taxableDiscount = base > 0 ? Math.round(orderDiscount * taxable / base) : 0;
+  const taxableAmount = taxable - taxableDiscount;
+  const supplyAmount = Math.round(taxableAmount * 10 / 11);
+
+  return {
+    productAmount: data.totalProductAmount,
+    itemDiscount,
+    deliveryFee,
+    discounts,
+    orderDiscount,
+    totalAmount: base - orderDiscount,
+    taxableAmount,
+    supplyAmount,
+    vat: taxableAmount - supplyAmount,
+    taxFreeAmount: taxFree - (orderDiscount - taxableDiscount)
+  };
+}
@@ -0,0 +1,101 @@
+import { spawn } from 'child_process';
+
+/**
+ * CUPS 전송 방식 (Linux/macOS 개발 환경)
+ *
+ * `lp -o raw`로 드라이버 변환 없이 ESC/POS 바이트를 그대로 큐에 넣음
+ * 상태는 `lpstat -p`의 출력(idle/printing/disabled)으로 판단
+ */
+
+/**
+ * 명령 실행 (stdin으로 입력 전달, 종료 코드 0이 아니면 실패)
+ *
+ * @returns {Promise<string>} stdout
+ */
+function run(command, args, { input, timeoutMs }) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(command, args, { timeout: timeoutMs });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', chunk => { stdout += chunk; });
+    child.stderr.on('data', chunk => { stderr += chunk; });
+    child.once('error', reject);
+    child.once('close', (code, signal) => {
+      if (code === 0) return resolve(stdout);
+      const reason = signal ? `시간 초과 (${signal})` : (stderr.trim() || `종료 코드 ${code}`);
+      reject(new Error(`${command} 실패: ${reason}`));
+    });
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * CUPS에 등록된 프린터 전체 목록 (GET /printers)
+ *
+ * `lpstat -p` 한 줄: "printer NAME is idle.  enabled since ..." / "printer NAME disabled since ..."
+ *
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - 명령 타임아웃 (기본 10000)
+ * @returns {Promise<{ name: string, port: string, driver: string, isDefault: boolean, online: boolean }[]>}
+ */
+export async function listCupsPrinters({ timeoutMs = 10000 } = {}) {
+  const output = await run('lpstat', ['-p'], { timeoutMs });
+  let defaultName = null;
+  try {
+    const match = /destination:\s*(\S+)/.exec(await run('lpstat', ['-d'], { timeoutMs }));
+    defaultName = match ? match[1] : null;
+  } catch (error) {
+    // 기본 프린터가 없으면 lpstat -d가 실패할 수 있음
+  }
+
+  return output.split('\n')
+    .map(line => /^printer\s+(\S+)\s+(.*)$/.exec(line))
+    .filter(Boolean)
+    .map(([, name, state]) => ({
+      name,
+      port: '',
+      driver: '',
+      isDefault: name === defaultName,
+      online: !/disabled/i.test(state)
+    }));
+}
+
+/**
+ * CUPS 전송 생성
+ *
+ * @param {Object} options
+ * @param {string} [options.printerName] - CUPS 큐 이름 (생략 시 시스템 기본 프린터)
+ * @param {number} [options.timeoutMs] - 명령 타임아웃 (기본 10000)
+ * @returns {Transport}
+ */
+export function createCupsTransport({ printerName, timeoutMs = 10000 } = {}) {
+  const destination = printerName ? ['-d', printerName] : [];
+
+  return {
+    type: 'cups',
+
+    describe() {
+      return `CUPS (${printerName || '기본 프린터'})`;
+    },
+
+    async getStatus() {
+      try {
+        const args = printerName ? ['-p', printerName] : ['-d'];
+        const output = await run('lpstat', args, { timeoutMs });
+        if (/disabled/i.test(output)) {
+          return { online: false, reason: '프린터 비활성화됨 (lpstat disabled)' };
+        }
+        if (/no system default destination/i.test(output)) {
+          return { online: false, reason: '기본 프린터 없음' };
+        }
+        return { online: true, reason: null };
+      } catch (error) {
+        return { online: false, reason: error.message };
+      }
+    },
+
+    async send(buffer) {
+      await run('lp', [...destination, '-o', 'raw'], { input: buffer, timeoutMs });
+    }
+  };
+}
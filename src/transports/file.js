@@ -0,0 +1,59 @@
+import { writeFileSync, mkdirSync, accessSync, constants } from 'fs';
+import { join } from 'path';
+
+/**
+ * 파일 출력 방식
+ *
+ * 두 가지 용도:
+ * 1. directory 지정 - 작업마다 .bin 파일로 저장 (프린터 없는 개발 환경, 출력 결과 확인용)
+ * 2. path 지정 - 해당 경로에 바이트를 그대로 기록 (Linux /dev/usb/lp0 같은 디바이스 파일)
+ */
+
+let sequence = 0;
+
+/**
+ * 파일 전송 생성
+ *
+ * @param {Object} options
+ * @param {string} [options.directory] - 작업별 파일을 저장할 디렉토리
+ * @param {string} [options.path] - 바이트를 기록할 파일/디바이스 경로
+ * @returns {Transport}
+ */
+export function createFileTransport({ directory, path } = {}) {
+  if (!directory && !path) {
+    throw new Error('파일 전송에는 directory 또는 path 설정이 필요합니다');
+  }
+
+  return {
+    type: 'file',
+
+    describe() {
+      return directory ? `파일 저장 (${directory})` : `파일 기록 (${path})`;
+    },
+
+    async getStatus() {
+      try {
+        if (directory) {
+          mkdirSync(directory, { recursive: true });
+          accessSync(directory, constants.W_OK);
+        } else {
+          accessSync(path, constants.W_OK);
+        }
+        return { online: true, reason: null };
+      } catch (error) {
+        return { online: false, reason: `쓰기 불가: ${error.message}` };
+      }
+    },
+
+    async send(buffer) {
+      if (directory) {
+        mkdirSync(directory, { recursive: true });
+        sequence = (sequence + 1) % 1000;
+        const fileName = `receipt-${Date.now()}-${String(sequence).padStart(3, '0')}.bin`;
+        writeFileSync(join(directory, fileName), buffer);
+      } else {
+        writeFileSync(path, buffer);
+      }
+    }
+  };
+}
@@ -0,0 +1,230 @@
+import { spawn } from 'child_process';
+
+/**
+ * 상주 도우미 프로세스 (요청/응답 1줄 JSON, stdin/stdout)
+ *
+ * 배경:
+ * - Windows 전송은 출력/상태 조회마다 powershell을 execSync로 새로 띄웠음
+ *   (실행 + Add-Type C# 컴파일 + Get-CimInstance로 수 초, 그동안 Node 이벤트 루프 전체가 멈춤)
+ * - /health 폴링 중에는 출력이, 출력 중에는 /health와 다른 요청이 최대 타임아웃(10초)까지 멈췄음
+ *
+ * 기술적 결정:
+ * 1. 프로세스를 한 번 띄워 두고 요청을 stdin으로 보냄 (시작/컴파일 비용은 처음 1회)
+ *    - 요청: {"id":1,"op":"print",...}  응답: {"id":1,"ok":true,"result":...} / {"id":1,"ok":false,"error":"..."}
+ *    - 도우미는 시작 준비가 끝나면 {"ready":true}를 먼저 보냄 (그 전까지 요청은 대기열에)
+ * 2. 한 번에 1건씩 보내고 응답을 받은 뒤 다음 요청 (도우미는 단일 스레드 - 응답 순서 = 요청 순서)
+ * 3. 요청마다 타임아웃 + AbortSignal 취소
+ *    - 대기열에 있는 요청은 빼기만 함
+ *    - 실행 중인 요청은 도우미 안에서 멈춘 Win32 호출을 끊을 방법이 없으므로 프로세스를 종료하고
+ *      다음 요청에서 새로 띄움
+ * 4. 도우미가 시작 중에 종료되면(실행 파일 없음 등) 대기 요청을 모두 실패 처리 - 다음 요청에서 다시 시도
+ *    (요청이 없으면 다시 띄우지 않음 - 재시작 반복 방지)
+ * 5. 자식 프로세스/파이프는 unref - 대기 중인 요청(타이머)이 없으면 서버 종료를 막지 않음
+ *    (부모가 종료되면 도우미는 stdin EOF로 스스로 끝남)
+ */
+
+const DEFAULT_STARTUP_TIMEOUT_MS = 30000;
+
+/**
+ * 도우미 호스트 생성 (프로세스는 첫 요청 때 시작)
+ *
+ * @param {Object} options
+ * @param {string} options.name - 로그용 이름
+ * @param {string} options.command - 실행 파일
+ * @param {string[]} [options.args] - 인자
+ * @param {number} [options.startupTimeoutMs] - {"ready":true}까지 대기 (기본 30000)
+ * @returns {{ request: (message: Object, options?: { timeoutMs?: number, signal?: AbortSignal }) => Promise<*>, close: () => void }}
+ */
+export function createHelperHost({ name, command, args = [], startupTimeoutMs = DEFAULT_STARTUP_TIMEOUT_MS }) {
+  const pending = [];     // 보내지 않은 요청
+  let current = null;     // 응답을 기다리는 요청
+  let child = null;
+  let ready = false;
+  let startupTimer = null;
+  let output = '';
+  let nextId = 1;
+  let closed = false;
+
+  function start() {
+    const proc = spawn(command, args, { stdio: ['pipe', 'pipe', 'pipe'], windowsHide: true });
+    child = proc;
+    ready = false;
+    output = '';
+    let stderr = '';
+
+    proc.stdout.setEncoding('utf-8');
+    proc.stdout.on('data', chunk => {
+      if (proc !== child) return;
+      output += chunk;
+      let newline;
+      while ((newline = output.indexOf('\n')) !== -1) {
+        const line = output.slice(0, newline).trim();
+        output = output.slice(newline + 1);
+        if (line) onLine(line);
+      }
+    });
+    proc.stderr.setEncoding('utf-8');
+    proc.stderr.on('data', chunk => { stderr = (stderr + chunk).slice(-2000); });
+    proc.stdin.on('error', () => {}); // 종료된 프로세스에 쓰기 (EPIPE) - exit에서 처리
+    proc.once('error', error => onExit(proc, `${command} 실행 실패: ${error.message}`));
+    proc.once('exit', (code, signal) => {
+      onExit(proc, `${name} 도우미 종료 (${signal || `종료 코드 ${code}`})${stderr.trim() ? `: ${stderr.trim().split('\n').pop()}` : ''}`);
+    });
+
+    proc.unref();
+    for (const stream of [proc.stdin, proc.stdout, proc.stderr]) stream.unref();
+
+    startupTimer = setTimeout(() => {
+      restart(new Error(`${name} 도우미 시작 시간 초과 (${startupTimeoutMs}ms)`), { failPending: true });
+    }, startupTimeoutMs);
+  }
+
+  function onLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      console.warn(`[Helper] ${name}: 해석할 수 없는 출력 무시: ${line.slice(0, 200)}`);
+      return;
+    }
+    if (message.ready) {
+      clearTimeout(startupTimer);
+      ready = true;
+      console.log(`[Helper] ${name} 도우미 준비됨 (pid ${child.pid})`);
+      pump();
+      return;
+    }
+    if (!current || message.id !== current.id) return; // 타임아웃/취소 후 늦게 온 응답
+    const entry = current;
+    current = null;
+    settle(entry, message.ok ? null : new Error(message.error || `${name} 요청 실패`), message.result);
+    pump();
+  }
+
+  function onExit(proc, reason) {
+    if (proc !== child) return;
+    const wasReady = ready;
+    detach(new Error(reason));
+    if (!wasReady) {
+      // 시작 실패 - 대기 요청도 같은 이유로 실패 (다음 요청에서 다시 시작)
+      console.error(`[Helper] ${reason}`);
+      pending.splice(0).forEach(entry => settle(entry, new Error(reason)));
+      return;
+    }
+    console.warn(`[Helper] ${reason}`);
+    pump();
+  }
+
+  /**
+   * 현재 프로세스와의 연결을 끊고 응답 대기 중인 요청 실패 처리
+   *
+   * @returns {ChildProcess|null} 끊은 프로세스
+   */
+  function detach(error) {
+    const proc = child;
+    clearTimeout(startupTimer);
+    child = null;
+    ready = false;
+    if (current) {
+      const entry = current;
+      current = null;
+      settle(entry, error);
+    }
+    return proc;
+  }
+
+  /**
+   * 도우미 프로세스 종료 후 남은 요청은 새 프로세스로 (멈춘 요청 취소, 시작 시간 초과)
+   */
+  function restart(error, { failPending = false } = {}) {
+    const proc = detach(error);
+    if (failPending) {
+      pending.splice(0).forEach(entry => settle(entry, error));
+    }
+    if (proc) {
+      console.warn(`[Helper] ${name} 도우미 재시작 (pid ${proc.pid}): ${error.message}`);
+      proc.kill();
+    }
+    pump();
+  }
+
+  /**
+   * 다음 요청 전송 (도우미가 없으면 시작, 준비 전이거나 응답 대기 중이면 대기)
+   */
+  function pump() {
+    if (closed || current || pending.length === 0) return;
+    if (!child) {
+      start();
+      return;
+    }
+    if (!ready) return;
+
+    const entry = pending.shift();
+    current = entry;
+    entry.timer = setTimeout(() => {
+      restart(new Error(`${name} 요청 시간 초과 (${entry.timeoutMs}ms)`));
+    }, entry.timeoutMs);
+    child.stdin.write(`${JSON.stringify({ id: entry.id, ...entry.message })}\n`);
+  }
+
+  function settle(entry, error, result) {
+    clearTimeout(entry.timer);
+    if (entry.signal) entry.signal.removeEventListener('abort', entry.onAbort);
+    if (error) entry.reject(error);
+    else entry.resolve(result);
+  }
+
+  function cancel(entry) {
+    const index = pending.indexOf(entry);
+    if (index !== -1) {
+      pending.splice(index, 1);
+      settle(entry, abortError());
+    } else if (current === entry) {
+      restart(abortError());
+    }
+  }
+
+  return {
+    /**
+     * 요청 전송
+     *
+     * @param {Object} message - { op, ...인자 } (id는 자동)
+     * @param {Object} [options]
+     * @param {number} [options.timeoutMs] - 전송 후 응답까지 (기본 10000, 대기열/시작 시간 제외)
+     * @param {AbortSignal} [options.signal] - 취소
+     * @returns {Promise<*>} 응답의 result
+     */
+    request(message, { timeoutMs = 10000, signal } = {}) {
+      if (closed) return Promise.reject(new Error(`${name} 도우미가 종료되었습니다`));
+      if (signal && signal.aborted) return Promise.reject(abortError());
+
+      return new Promise((resolve, reject) => {
+        const entry = { id: nextId++, message, timeoutMs, signal, resolve, reject, timer: null, onAbort: null };
+        if (signal) {
+          entry.onAbort = () => cancel(entry);
+          signal.addEventListener('abort', entry.onAbort, { once: true });
+        }
+        pending.push(entry);
+        pump();
+      });
+    },
+
+    /**
+     * 도우미 종료 (대기/실행 중 요청은 실패 처리)
+     */
+    close() {
+      if (closed) return;
+      closed = true;
+      const error = new Error(`${name} 도우미가 종료되었습니다`);
+      const proc = detach(error);
+      pending.splice(0).forEach(entry => settle(entry, error));
+      if (proc) proc.kill();
+    }
+  };
+}
+
+function abortError() {
+  const error = new Error('요청이 취소되었습니다');
+  error.name = 'AbortError';
+  return error;
+}
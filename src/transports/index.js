@@ -0,0 +1,63 @@
+import { createWindowsTransport, listWindowsPrinters } from './windows.js';
+import { createTcpTransport } from './tcp.js';
+import { createCupsTransport, listCupsPrinters } from './cups.js';
+import { createFileTransport } from './file.js';
+
+/**
+ * 프린터 전송 계층
+ *
+ * 영수증 바이트(ESC/POS)를 만드는 일과 프린터까지 보내는 일을 분리
+ * - windows: Windows 스풀러 (USB 프린터, 매장 기본값)
+ * - tcp: RAW TCP 9100 (이더넷 프린터)
+ * - cups: lp -o raw (Linux/macOS)
+ * - file: 디렉토리/디바이스 파일 (개발, 테스트)
+ *
+ * @typedef {Object} Transport
+ * @property {string} type - 전송 방식 이름
+ * @property {() => string} describe - 로그용 설명
+ * @property {(options?: { signal?: AbortSignal }) => Promise<{ online: boolean, reason: string|null, hardware?: HardwareStatus|null }>} getStatus
+ *           - 출력 가능 여부 (드라이버가 알려주는 하드웨어 상태가 있으면 hardware 포함)
+ * @property {(buffer: Buffer, options?: { signal?: AbortSignal }) => Promise<void>} send - RAW 바이트 전송 (실패 시 throw)
+ *           - signal: 큐 종료 시 취소 (windows만 사용 - tcp/cups/file은 자체 타임아웃으로 끝나므로 무시)
+ * @property {(request: Buffer, length: number) => Promise<Buffer>} [query]
+ *           - 명령 전송 후 응답 수신 (응답 채널이 있는 방식만: tcp) - 실시간 상태 조회용 (status.js)
+ * @property {() => void} [close] - 상주 자원 정리 (windows: PowerShell 도우미) - 설정 변경/서버 종료 시
+ */
+
+const FACTORIES = {
+  windows: createWindowsTransport,
+  tcp: createTcpTransport,
+  cups: createCupsTransport,
+  file: createFileTransport
+};
+
+export const TRANSPORT_TYPES = Object.keys(FACTORIES);
+
+/**
+ * 설정에 맞는 전송 방식 생성
+ *
+ * @param {Object} config - { type, ...전송별 옵션 }
+ * @returns {Transport}
+ */
+export function createTransport({ type = 'windows', ...options } = {}) {
+  const factory = FACTORIES[type];
+  if (!factory) {
+    throw new Error(`알 수 없는 전송 방식: ${type} (사용 가능: ${TRANSPORT_TYPES.join(', ')})`);
+  }
+  return factory(options);
+}
+
+/**
+ * 이 PC에 설치된 프린터 목록 (Windows는 스풀러, 그 외는 CUPS)
+ *
+ * 전송 방식 설정과 무관하게 OS에 등록된 프린터를 모두 조회 - 매장에서 프린터를 골라 설정에 저장하는 용도
+ *
+ * @param {Object} [options] - { timeoutMs, signal } (signal은 windows만 사용)
+ * @returns {Promise<{ transport: string, printers: Object[] }>} transport: 목록의 프린터를 쓸 때의 전송 방식
+ */
+export async function listInstalledPrinters(options = {}) {
+  if (process.platform === 'win32') {
+    return { transport: 'windows', printers: await listWindowsPrinters(options) };
+  }
+  return { transport: 'cups', printers: await listCupsPrinters(options) };
+}
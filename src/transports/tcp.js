@@ -0,0 +1,112 @@
+import net from 'net';
+
+/**
+ * RAW TCP 전송 방식 (이더넷 프린터, 기본 포트 9100)
+ *
+ * 대부분의 이더넷 영수증 프린터는 9100 포트로 받은 바이트를 그대로 ESC/POS로 해석
+ * (HP JetDirect 방식) - 드라이버/스풀러 없이 소켓 연결만으로 출력 가능
+ * 같은 소켓으로 응답도 돌아오므로 실시간 상태 조회(query)를 지원
+ */
+
+/**
+ * 소켓 연결 (timeoutMs 안에 연결되지 않으면 실패)
+ *
+ * @returns {Promise<net.Socket>}
+ */
+function connect(host, port, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const socket = net.createConnection({ host, port });
+    socket.setTimeout(timeoutMs);
+    socket.once('connect', () => resolve(socket));
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error(`연결 시간 초과 (${host}:${port})`));
+    });
+    socket.once('error', reject);
+  });
+}
+
+/**
+ * TCP 전송 생성
+ *
+ * @param {Object} options
+ * @param {string} options.host - 프린터 IP 또는 호스트명
+ * @param {number} [options.port] - 포트 (기본 9100)
+ * @param {number} [options.timeoutMs] - 연결/전송 타임아웃 (기본 5000)
+ * @param {number} [options.statusTimeoutMs] - 상태 응답 대기 시간 (기본 2000)
+ * @returns {Transport}
+ */
+export function createTcpTransport({ host, port = 9100, timeoutMs = 5000, statusTimeoutMs = 2000 } = {}) {
+  if (!host) {
+    throw new Error('TCP 전송에는 host 설정이 필요합니다');
+  }
+
+  return {
+    type: 'tcp',
+
+    describe() {
+      return `TCP ${host}:${port}`;
+    },
+
+    /**
+     * 연결 가능 여부로 온라인 판단 (9100 포트는 상태 응답이 없으므로 연결만 확인)
+     */
+    async getStatus() {
+      try {
+        const socket = await connect(host, port, timeoutMs);
+        socket.destroy();
+        return { online: true, reason: null };
+      } catch (error) {
+        return { online: false, reason: error.message };
+      }
+    },
+
+    /**
+     * 명령 전송 후 응답 수신 (length 바이트를 받으면 연결 종료)
+     *
+     * 상태 조회를 지원하지 않는 프린터는 응답이 없으므로 statusTimeoutMs 후 실패
+     */
+    async query(request, length) {
+      const socket = await connect(host, port, timeoutMs);
+      socket.setTimeout(statusTimeoutMs);
+      return new Promise((resolve, reject) => {
+        const chunks = [];
+        let received = 0;
+        let done = false;
+        const finish = (error, response) => {
+          if (done) return;
+          done = true;
+          socket.destroy();
+          if (error) reject(error); else resolve(response);
+        };
+        socket.on('data', chunk => {
+          chunks.push(chunk);
+          received += chunk.length;
+          if (received >= length) finish(null, Buffer.concat(chunks).subarray(0, length));
+        });
+        socket.once('timeout', () => finish(new Error(`상태 응답 없음 (${host}:${port})`)));
+        socket.once('error', error => finish(error));
+        socket.once('close', () => finish(new Error(`응답 전에 연결 종료됨 (${host}:${port})`)));
+        socket.write(request);
+      });
+    },
+
+    /**
+     * 버퍼 전송 후 연결 종료 - 프린터가 소켓 종료를 작업 끝으로 인식
+     */
+    async send(buffer) {
+      const socket = await connect(host, port, timeoutMs);
+      await new Promise((resolve, reject) => {
+        socket.once('error', reject);
+        socket.once('timeout', () => {
+          socket.destroy();
+          reject(new Error(`전송 시간 초과 (${host}:${port})`));
+        });
+        socket.once('close', hadError => {
+          if (!hadError) resolve();
+        });
+        socket.end(buffer);
+      });
+    }
+  };
+}
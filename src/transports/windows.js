@@ -0,0 +1,330 @@
+import { writeFileSync, existsSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { unknownHardwareStatus } from '../status.js';
+import { createHelperHost } from './helper.js';
+
+/**
+ * Windows 프린터 스풀러 전송 방식 (기본값)
+ *
+ * 기술적 결정:
+ * 1. 드라이버가 설치된 USB 프린터는 가상 포트(USB001 등)로 잡히므로 파일 쓰기로 접근 불가
+ * 2. winspool.Drv의 WritePrinter로 RAW 데이터를 직접 스풀러에 전달
+ * 3. 프린터 이름은 Get-CimInstance Win32_Printer에서 이름 패턴(기본 *SEWOO*)으로 탐색
+ * 4. 스풀러는 응답 채널이 없으므로 하드웨어 상태는 드라이버가 보고하는 DetectedErrorState만 사용
+ *    (드라이버가 양방향 통신을 지원하지 않으면 항상 "알 수 없음")
+ * 5. PowerShell은 상주 도우미(helper.js)로 실행 - 요청마다 띄우지 않고, 이벤트 루프를 막지 않음
+ *    - 출력은 프린터마다 도우미 1개, 조회(Get-CimInstance)는 모든 프린터가 도우미 1개를 공유
+ *      (상태 조회가 출력 뒤에 줄 서지 않고, 출력이 조회 뒤에 줄 서지 않음)
+ *    - 프린터 탐색 결과는 캐시 - DISCOVERY_MAX_AGE_MS가 지나면 캐시로 바로 응답하고 뒤에서 다시 조회
+ *    - C# 도우미(Add-Type) 컴파일은 첫 출력 때 1회
+ *    - 출력/조회에 AbortSignal을 받아 도우미 요청에 넘김 (큐 종료, GET /printers 연결 끊김)
+ *      취소된 탐색은 캐시에 남기지 않음 (취소는 프린터 상태가 아님)
+ */
+
+/**
+ * PowerShell 도우미 스크립트 (helper.js 프로토콜 - stdin 1줄 요청, stdout 1줄 응답)
+ *
+ * - print: winspool.Drv의 Win32 API를 P/Invoke로 호출
+ *   OpenPrinter → StartDocPrinter(RAW) → StartPagePrinter → WritePrinter → 정리
+ * - find: 이름 패턴에 맞는 첫 프린터 (없으면 null)
+ * - list: 설치된 프린터 전체
+ */
+const HELPER_SCRIPT = `$ErrorActionPreference = 'Stop'
+$utf8 = New-Object System.Text.UTF8Encoding $false
+[Console]::InputEncoding = $utf8
+[Console]::OutputEncoding = $utf8
+
+$RawPrinterSource = @"
+using System;
+using System.Runtime.InteropServices;
+
+[StructLayout(LayoutKind.Sequential, CharSet = CharSet.Ansi)]
+public class DOCINFOA {
+    [MarshalAs(UnmanagedType.LPStr)] public string pDocName;
+    [MarshalAs(UnmanagedType.LPStr)] public string pOutputFile;
+    [MarshalAs(UnmanagedType.LPStr)] public string pDataType;
+}
+
+public class RawPrinterHelper {
+    [DllImport("winspool.Drv", EntryPoint="OpenPrinterA", SetLastError=true)]
+    public static extern bool OpenPrinter([MarshalAs(UnmanagedType.LPStr)] string p, out IntPtr h, IntPtr d);
+    [DllImport("winspool.Drv", EntryPoint="ClosePrinter", SetLastError=true)]
+    public static extern bool ClosePrinter(IntPtr h);
+    [DllImport("winspool.Drv", EntryPoint="StartDocPrinterA", SetLastError=true)]
+    public static extern bool StartDocPrinter(IntPtr h, Int32 l, [In, MarshalAs(UnmanagedType.LPStruct)] DOCINFOA d);
+    [DllImport("winspool.Drv", EntryPoint="EndDocPrinter", SetLastError=true)]
+    public static extern bool EndDocPrinter(IntPtr h);
+    [DllImport("winspool.Drv", EntryPoint="StartPagePrinter", SetLastError=true)]
+    public static extern bool StartPagePrinter(IntPtr h);
+    [DllImport("winspool.Drv", EntryPoint="EndPagePrinter", SetLastError=true)]
+    public static extern bool EndPagePrinter(IntPtr h);
+    [DllImport("winspool.Drv", EntryPoint="WritePrinter", SetLastError=true)]
+    public static extern bool WritePrinter(IntPtr h, IntPtr p, Int32 c, out Int32 w);
+
+    public static bool Send(string name, byte[] data) {
+        IntPtr hPrinter;
+        DOCINFOA di = new DOCINFOA();
+        di.pDocName = "ESC/POS Receipt";
+        di.pDataType = "RAW";
+        if (!OpenPrinter(name, out hPrinter, IntPtr.Zero)) return false;
+        if (!StartDocPrinter(hPrinter, 1, di)) { ClosePrinter(hPrinter); return false; }
+        if (!StartPagePrinter(hPrinter)) { EndDocPrinter(hPrinter); ClosePrinter(hPrinter); return false; }
+        IntPtr pBytes = Marshal.AllocCoTaskMem(data.Length);
+        Marshal.Copy(data, 0, pBytes, data.Length);
+        int written;
+        bool ok = WritePrinter(hPrinter, pBytes, data.Length, out written);
+        Marshal.FreeCoTaskMem(pBytes);
+        EndPagePrinter(hPrinter);
+        EndDocPrinter(hPrinter);
+        ClosePrinter(hPrinter);
+        return ok;
+    }
+}
+"@
+` + String.raw`
+[Console]::Out.WriteLine('{"ready":true}')
+[Console]::Out.Flush()
+
+while ($null -ne ($line = [Console]::In.ReadLine())) {
+    $response = @{}
+    try {
+        $request = ConvertFrom-Json $line
+        $response.id = $request.id
+        switch ($request.op) {
+            'print' {
+                if (-not ('RawPrinterHelper' -as [type])) { Add-Type -TypeDefinition $RawPrinterSource }
+                if (-not [RawPrinterHelper]::Send($request.printer, [Convert]::FromBase64String($request.data))) {
+                    throw 'RAW print failed'
+                }
+                $response.result = $true
+            }
+            'find' {
+                $response.result = Get-CimInstance Win32_Printer | Where-Object { $_.Name -like $request.pattern } |
+                    Select-Object -First 1 Name,PortName,WorkOffline,DetectedErrorState
+            }
+            'list' {
+                $response.result = @(Get-CimInstance Win32_Printer | Select-Object Name,PortName,DriverName,Default,WorkOffline)
+            }
+            default { throw "unknown op: $($request.op)" }
+        }
+        $response.ok = $true
+    } catch {
+        $response.ok = $false
+        $response.error = $_.Exception.Message
+    }
+    [Console]::Out.WriteLine((ConvertTo-Json $response -Compress -Depth 4))
+    [Console]::Out.Flush()
+}`;
+
+/**
+ * Win32_Printer.DetectedErrorState 중 영수증 프린터에 해당하는 값
+ * (0 알 수 없음, 1 기타, 2 오류 없음 등 나머지는 하드웨어 상태를 판단할 수 없음)
+ */
+const SPOOLER_ERROR_STATES = {
+  3: { paper: 'nearEnd' },
+  4: { paper: 'out' },
+  7: { coverOpen: true },
+  9: { online: false }
+};
+
+/**
+ * 프린터 탐색 결과 재사용 시간 - 지나면 캐시로 응답하고 뒤에서 다시 조회
+ */
+const DISCOVERY_MAX_AGE_MS = 5000;
+
+let helperScriptPath = null;
+let queryHost = null;
+
+/**
+ * 도우미 스크립트를 임시 디렉토리에 생성 (최초 1회, 도우미가 다시 시작될 때 파일이 지워졌으면 다시)
+ */
+function ensureHelperScript() {
+  if (helperScriptPath && existsSync(helperScriptPath)) {
+    return helperScriptPath;
+  }
+  helperScriptPath = join(tmpdir(), 'onuljang-print-helper.ps1');
+  writeFileSync(helperScriptPath, HELPER_SCRIPT, 'utf-8');
+  return helperScriptPath;
+}
+
+/**
+ * PowerShell 도우미 생성
+ *
+ * @param {string} name - 로그용 이름
+ */
+function createPowerShellHost(name) {
+  return createHelperHost({
+    name,
+    command: 'powershell',
+    args: ['-NoProfile', '-NonInteractive', '-ExecutionPolicy', 'Bypass', '-File', ensureHelperScript()]
+  });
+}
+
+/**
+ * 조회용 도우미 (모든 Windows 프린터 공유)
+ */
+function getQueryHost() {
+  if (!queryHost) {
+    queryHost = createPowerShellHost('Windows 프린터 조회');
+  }
+  return queryHost;
+}
+
+/**
+ * Get-CimInstance로 프린터 정보 조회
+ *
+ * Windows 11에서 wmic이 제거되어 PowerShell로 대체
+ * Get-CimInstance Win32_Printer는 PS 3.0+ (Windows 10/11 기본 탑재)
+ *
+ * @param {string} pattern - PowerShell -like 패턴 (예: '*SEWOO*')
+ * @param {Object} options
+ * @param {number} options.timeoutMs - 조회 타임아웃
+ * @param {AbortSignal} [options.signal] - 취소
+ * @returns {Promise<{ name: string, port: string, workOffline: boolean, errorState: number|null } | null>}
+ *          없으면 null, 조회 실패(타임아웃 등)는 reject
+ */
+async function queryPrinter(pattern, { timeoutMs, signal }) {
+  const printer = await getQueryHost().request({ op: 'find', pattern }, { timeoutMs, signal });
+  if (!printer || !printer.Name) return null;
+  return {
+    name: printer.Name,
+    port: (printer.PortName || '').replace(/[^A-Za-z0-9]/g, ''),
+    workOffline: printer.WorkOffline,
+    errorState: Number.isInteger(printer.DetectedErrorState) ? printer.DetectedErrorState : null
+  };
+}
+
+/**
+ * DetectedErrorState → 하드웨어 상태 (판단할 수 없는 값이면 null)
+ *
+ * @param {number|null} errorState
+ * @returns {HardwareStatus|null}
+ */
+function toHardwareStatus(errorState) {
+  const known = SPOOLER_ERROR_STATES[errorState];
+  if (!known) return null;
+  return { ...unknownHardwareStatus('spooler'), ...known };
+}
+
+/**
+ * 설치된 프린터 전체 목록 (GET /printers)
+ *
+ * @param {Object} [options]
+ * @param {number} [options.timeoutMs] - 조회 타임아웃 (기본 10000)
+ * @param {AbortSignal} [options.signal] - 취소 (요청한 클라이언트 연결이 끊김)
+ * @returns {Promise<{ name: string, port: string, driver: string, isDefault: boolean, online: boolean }[]>}
+ */
+export async function listWindowsPrinters({ timeoutMs = 10000, signal } = {}) {
+  const data = await getQueryHost().request({ op: 'list' }, { timeoutMs, signal });
+  if (!data) return [];
+  return (Array.isArray(data) ? data : [data]).map(printer => ({
+    name: printer.Name,
+    port: printer.PortName || '',
+    driver: printer.DriverName || '',
+    isDefault: Boolean(printer.Default),
+    online: !printer.WorkOffline
+  }));
+}
+
+/**
+ * Windows 스풀러 전송 생성
+ *
+ * @param {Object} options
+ * @param {string} [options.printerName] - Windows 등록 프린터 이름 (지정 시 탐색 생략)
+ * @param {string} [options.match] - 자동 탐색 이름 패턴 (기본 '*SEWOO*')
+ * @param {string} [options.fallbackName] - 탐색 실패 시 사용할 프린터 이름 (기본 'SEWOO SLK-TS 100')
+ * @param {number} [options.timeoutMs] - 도우미 요청 타임아웃 (기본 10000)
+ * @returns {Transport}
+ */
+export function createWindowsTransport({
+  printerName,
+  match = '*SEWOO*',
+  fallbackName = 'SEWOO SLK-TS 100',
+  timeoutMs = 10000
+} = {}) {
+  const pattern = printerName || match;
+  const printHost = createPowerShellHost(`Windows 출력 (${pattern})`);
+  let discovery = null;    // { info, error, checkedAt } - 마지막 탐색 결과
+  let refreshing = null;   // 진행 중인 탐색 (동시 요청은 결과 공유)
+
+  /**
+   * 프린터 다시 탐색 (실패해도 reject하지 않고 discovery.error에 기록 - 취소만 reject)
+   *
+   * 진행 중인 탐색이 있으면 합류 (signal은 탐색을 시작한 요청의 것만 적용)
+   */
+  function refresh(signal) {
+    if (!refreshing) {
+      refreshing = queryPrinter(pattern, { timeoutMs, signal })
+        .then(info => ({ info, error: null }), error => {
+          if (signal && signal.aborted) throw error;
+          return { info: null, error };
+        })
+        .then(({ info, error }) => {
+          if (info && (!discovery || !discovery.info || discovery.info.name !== info.name)) {
+            console.log(`[Printer] ${info.name} 발견 → 포트: ${info.port}`);
+          }
+          if (error && !(discovery && discovery.error)) {
+            console.warn(`[Printer] ${pattern} 프린터 조회 실패:`, error.message);
+          }
+          discovery = { info, error, checkedAt: Date.now() };
+          return discovery;
+        })
+        .finally(() => {
+          refreshing = null;
+        });
+    }
+    return refreshing;
+  }
+
+  /**
+   * 탐색 결과 (처음에는 조회를 기다리고, 이후에는 캐시로 바로 응답 - 오래됐으면 뒤에서 갱신)
+   */
+  function discover(signal) {
+    if (!discovery) return refresh(signal);
+    if (Date.now() - discovery.checkedAt > DISCOVERY_MAX_AGE_MS) refresh().catch(() => {});
+    return Promise.resolve(discovery);
+  }
+
+  return {
+    type: 'windows',
+
+    describe() {
+      return `Windows 스풀러 (${discovery && discovery.info ? discovery.info.name : pattern})`;
+    },
+
+    async getStatus({ signal } = {}) {
+      const { info, error } = await discover(signal);
+      if (!info) {
+        return { online: false, reason: error ? `프린터 조회 실패: ${error.message}` : `프린터를 찾을 수 없음 (${pattern})` };
+      }
+      return {
+        online: !info.workOffline, // false = 온라인
+        reason: info.workOffline ? '프린터 오프라인' : null,
+        hardware: toHardwareStatus(info.errorState)
+      };
+    },
+
+    /**
+     * RAW 데이터 전송
+     *
+     * 출력 도우미가 winspool.Drv Win32 API로 프린터 스풀러에 전송 (바이트는 base64로 stdin에)
+     * signal이 취소되면 대기 중인 요청은 빼고, 전송 중이면 도우미를 종료 (WritePrinter를 끊을 방법이 없음)
+     */
+    async send(buffer, { signal } = {}) {
+      const { info } = discovery && discovery.info ? discovery : await refresh(signal);
+      if (!info) {
+        console.warn(`[Printer] ${pattern} 프린터를 찾을 수 없습니다. 기본 이름으로 시도합니다.`);
+      }
+      const name = info ? info.name : (printerName || fallbackName);
+      await printHost.request({ op: 'print', printer: name, data: buffer.toString('base64') }, { timeoutMs, signal });
+    },
+
+    /**
+     * 출력 도우미 종료 (진행 중인 출력은 실패 처리)
+     */
+    close() {
+      printHost.close();
+    }
+  };
+}
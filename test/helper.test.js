@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, chmodSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join, delimiter } from 'path';
+import { createHelperHost } from '../src/transports/helper.js';
+import { createWindowsTransport, listWindowsPrinters } from '../src/transports/windows.js';
+
+/**
+ * 대역 도우미 (node -e) - helper.js 프로토콜
+ *
+ * READY_DELAY_MS 후 {"ready":true}, 준비 전에 받은 줄 수는 ping 응답의 early로 알려줌
+ * op: ping(pid 응답), hang(응답 없음), crash(종료 코드 3), never-ready는 인자로
+ */
+const STUB_HELPER = `
+const neverReady = process.argv.includes('never-ready');
+let ready = false;
+let early = 0;
+require('readline').createInterface({ input: process.stdin }).on('line', line => {
+  if (!ready) early += 1;
+  const request = JSON.parse(line);
+  if (request.op === 'hang') return;
+  if (request.op === 'crash') process.exit(3);
+  process.stdout.write(JSON.stringify({ id: request.id, ok: true, result: { pid: process.pid, early } }) + '\\n');
+});
+if (!neverReady) {
+  setTimeout(() => {
+    ready = true;
+    process.stdout.write('{"ready":true}\\n');
+  }, Number(process.env.READY_DELAY_MS || 0));
+}
+`;
+
+function stubHost(name, { args = [], ...options } = {}) {
+  return createHelperHost({ name, command: process.execPath, args: ['-e', STUB_HELPER, '--', ...args], ...options });
+}
+
+test('helper: 준비 전 요청은 {"ready":true}까지 대기 후 전송', async t => {
+  process.env.READY_DELAY_MS = '200';
+  const host = stubHost('handshake');
+  t.after(() => {
+    host.close();
+    delete process.env.READY_DELAY_MS;
+  });
+
+  const startedAt = Date.now();
+  const [first, second] = await Promise.all([host.request({ op: 'ping' }), host.request({ op: 'ping' })]);
+  assert.ok(Date.now() - startedAt >= 150);
+  assert.equal(first.early, 0);
+  assert.equal(second.pid, first.pid);
+});
+
+test('helper: 준비 신호가 없으면 시작 시간 초과로 대기 요청 실패', async t => {
+  const host = stubHost('never-ready', { args: ['never-ready'], startupTimeoutMs: 200 });
+  t.after(() => host.close());
+
+  await assert.rejects(host.request({ op: 'ping' }), /시작 시간 초과 \(200ms\)/);
+});
+
+test('helper: 요청 시간 초과 시 도우미를 다시 띄우고 다음 요청 처리', async t => {
+  const host = stubHost('timeout');
+  t.after(() => host.close());
+
+  const { pid } = await host.request({ op: 'ping' });
+  const hung = host.request({ op: 'hang' }, { timeoutMs: 200 });
+  const next = host.request({ op: 'ping' });
+  await assert.rejects(hung, /요청 시간 초과 \(200ms\)/);
+  assert.notEqual((await next).pid, pid);
+});
+
+test('helper: 취소 - 대기열 요청은 빼기만, 실행 중 요청은 도우미 재시작', async t => {
+  const host = stubHost('abort');
+  t.after(() => host.close());
+
+  const { pid } = await host.request({ op: 'ping' });
+  const running = new AbortController();
+  const queued = new AbortController();
+  const hung = host.request({ op: 'hang' }, { signal: running.signal });
+  const waiting = host.request({ op: 'ping' }, { signal: queued.signal });
+
+  queued.abort();
+  await assert.rejects(waiting, { name: 'AbortError' });
+  running.abort();
+  await assert.rejects(hung, { name: 'AbortError' });
+  assert.notEqual((await host.request({ op: 'ping' })).pid, pid);
+
+  const aborted = new AbortController();
+  aborted.abort();
+  await assert.rejects(host.request({ op: 'ping' }, { signal: aborted.signal }), { name: 'AbortError' });
+});
+
+test('helper: 도우미가 죽으면 실행 중 요청 실패, 다음 요청에서 다시 시작', async t => {
+  const host = stubHost('crash');
+  t.after(() => host.close());
+
+  const { pid } = await host.request({ op: 'ping' });
+  await assert.rejects(host.request({ op: 'crash' }), /crash 도우미 종료 \(종료 코드 3\)/);
+  assert.notEqual((await host.request({ op: 'ping' })).pid, pid);
+
+  host.close();
+  await assert.rejects(host.request({ op: 'ping' }), /도우미가 종료되었습니다/);
+});
+
+test('helper: 실행 파일이 없으면 대기 요청 실패, 다음 요청에서 다시 시도', async () => {
+  const host = createHelperHost({ name: 'missing', command: join(tmpdir(), 'no-such-helper') });
+  await assert.rejects(host.request({ op: 'ping' }), /실행 실패/);
+  await assert.rejects(host.request({ op: 'ping' }), /실행 실패/);
+  host.close();
+});
+
+/**
+ * PATH 앞에 두는 가짜 powershell (windows.js의 도우미 스크립트 대신 같은 프로토콜로 응답)
+ *
+ * find/list는 SLOW_QUERY_MS 걸리는 느린 조회 (Get-CimInstance), print는 받은 바이트를 printed.bin에 추가
+ * 프린터 이름이 HANG이면 print에 응답하지 않음
+ */
+const SLOW_QUERY_MS = 500;
+const FAKE_POWERSHELL = `#!${process.execPath}
+const { appendFileSync } = require('fs');
+const { join } = require('path');
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const lines = [];
+let busy = false;
+async function run() {
+  if (busy) return;
+  busy = true;
+  while (lines.length) {
+    const request = JSON.parse(lines.shift());
+    let result = true;
+    if (request.op === 'find' || request.op === 'list') {
+      await sleep(${SLOW_QUERY_MS});
+      const printer = { Name: request.pattern || 'SEWOO SLK-TS 100', PortName: 'USB001', WorkOffline: false, DetectedErrorState: 2 };
+      result = request.op === 'list' ? [printer] : printer;
+    } else if (request.op === 'print') {
+      if (request.printer === 'HANG') continue;
+      appendFileSync(join(__dirname, 'printed.bin'), Buffer.from(request.data, 'base64'));
+    }
+    process.stdout.write(JSON.stringify({ id: request.id, ok: true, result }) + '\\n');
+  }
+  busy = false;
+}
+require('readline').createInterface({ input: process.stdin }).on('line', line => {
+  lines.push(line);
+  run();
+});
+process.stdout.write('{"ready":true}\\n');
+`;
+
+test('windows: 느린 조회(GET /printers, /health)가 출력을 막지 않고, 출력은 signal로 취소', { skip: process.platform === 'win32' }, async t => {
+  const dir = mkdtempSync(join(tmpdir(), 'onuljang-powershell-'));
+  writeFileSync(join(dir, 'powershell'), FAKE_POWERSHELL);
+  chmodSync(join(dir, 'powershell'), 0o755);
+  const originalPath = process.env.PATH;
+  process.env.PATH = `${dir}${delimiter}${originalPath}`;
+
+  const transport = createWindowsTransport({ printerName: 'SEWOO SLK-TS 100', timeoutMs: 5000 });
+  const hanging = createWindowsTransport({ printerName: 'HANG', timeoutMs: 5000 });
+  t.after(() => {
+    transport.close();
+    hanging.close();
+    process.env.PATH = originalPath;
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  // 첫 탐색은 조회를 기다림, 이후 상태는 캐시
+  assert.deepEqual(await transport.getStatus(), {
+    online: true,
+    reason: null,
+    hardware: null
+  });
+  await transport.send(Buffer.from('warm-up\n'));
+
+  const startedAt = Date.now();
+  let printedAt = null;
+  let listedAt = null;
+  const listing = listWindowsPrinters({ timeoutMs: 5000 }).then(printers => {
+    listedAt = Date.now() - startedAt;
+    return printers;
+  });
+  const bytes = Buffer.from([0x1b, 0x40, 0xbe, 0xc8, 0x0a, 0x1d, 0x56, 0x00]);
+  await transport.send(bytes).then(() => {
+    printedAt = Date.now() - startedAt;
+  });
+  const status = await transport.getStatus();
+  assert.equal(status.online, true);
+  assert.equal((await listing)[0].name, 'SEWOO SLK-TS 100');
+
+  assert.ok(printedAt < SLOW_QUERY_MS - 100, `출력 ${printedAt}ms - 조회 뒤에 줄 서지 않아야 함`);
+  assert.ok(listedAt >= SLOW_QUERY_MS - 50);
+  assert.deepEqual(readFileSync(join(dir, 'printed.bin')), Buffer.concat([Buffer.from('warm-up\n'), bytes]));
+
+  await hanging.getStatus();
+  const controller = new AbortController();
+  const stuck = hanging.send(Buffer.from('never'), { signal: controller.signal });
+  setTimeout(() => controller.abort(), 100);
+  await assert.rejects(stuck, { name: 'AbortError' });
+});
@@ -0,0 +1,29 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildIdempotencyKey } from '../src/idempotency.js';
+
+const order = {
+  orderId: 123,
+  displayCode: 1995,
+  buyerName: '홍길동',
+  items: [{ productName: '사과', quantity: 2, amount: 6000 }]
+};
+
+test('같은 주문을 출력 옵션만 바꿔 보내면 같은 키', () => {
+  const key = buildIdempotencyKey(order);
+  assert.equal(buildIdempotencyKey({ ...order, copies: ['customer', 'rider'] }), key);
+  assert.equal(buildIdempotencyKey({ ...order, printer: 'packing', paperProfile: '58mm', qr: false }), key);
+  assert.equal(buildIdempotencyKey({ ...order, reprint: true, beep: false }), key);
+});
+
+test('필드 순서가 달라도 같은 키', () => {
+  const { items, ...rest } = order;
+  assert.equal(buildIdempotencyKey({ items, ...rest }), buildIdempotencyKey(order));
+});
+
+test('주문 내용이 바뀌면 다른 키', () => {
+  const key = buildIdempotencyKey(order);
+  assert.match(key, /^123:1995:[0-9a-f]{16}$/);
+  assert.notEqual(buildIdempotencyKey({ ...order, items: [{ productName: '사과', quantity: 3, amount: 9000 }] }), key);
+  assert.notEqual(buildIdempotencyKey({ ...order, buyerName: '김철수' }), key);
+});
@@ -0,0 +1,58 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { configurePrinter, getPrinterStatus, getPrinterKind, listPrinters } from '../src/printer.js';
+
+/**
+ * 프린터 상태 조회 - 로컬 9100 서버로 프린터가 받은 바이트 확인
+ */
+async function startPrinterServer() {
+  const received = [];
+  const server = net.createServer(socket => {
+    socket.on('data', chunk => {
+      received.push(chunk);
+      // DLE EOT n마다 상태 1바이트 응답 (0x12 - 모든 항목 정상)
+      const queries = chunk.toString('latin1').split('\x10\x04').length - 1;
+      if (queries > 0) socket.write(Buffer.alloc(queries, 0x12));
+    });
+    socket.on('error', () => {});
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, port: server.address().port, received };
+}
+
+test('영수증 프린터: tcp면 DLE EOT로 하드웨어 상태 조회', async () => {
+  const { server, port, received } = await startPrinterServer();
+  try {
+    configurePrinter({ name: 'counter', transport: { type: 'tcp', host: '127.0.0.1', port, statusTimeoutMs: 500 } });
+    const status = await getPrinterStatus({ name: 'counter' });
+    assert.equal(getPrinterKind('counter'), 'receipt');
+    assert.equal(status.online, true);
+    assert.equal(status.ready, true);
+    assert.equal(status.hardware.source, 'escpos');
+    assert.ok(received.length > 0 && received.every(chunk => chunk[0] === 0x10 && chunk[1] === 0x04));
+  } finally {
+    server.close();
+  }
+});
+
+test('라벨 프린터: ESC/POS 상태 조회를 보내지 않고 연결 여부로만 판단', async () => {
+  const { server, port, received } = await startPrinterServer();
+  try {
+    configurePrinter({ name: 'label', kind: 'label', transport: { type: 'tcp', host: '127.0.0.1', port, statusTimeoutMs: 500 } });
+    const startedAt = Date.now();
+    const status = await getPrinterStatus({ name: 'label' });
+    assert.equal(getPrinterKind('label'), 'label');
+    assert.deepEqual({ online: status.online, ready: status.ready, hardware: status.hardware }, { online: true, ready: true, hardware: null });
+    assert.ok(Date.now() - startedAt < 500, '상태 응답 대기 없음');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    assert.deepEqual(received, []);
+    assert.equal(listPrinters().find(item => item.name === 'label').kind, 'label');
+  } finally {
+    server.close();
+  }
+});
+
+test('알 수 없는 프린터 종류는 등록 시 오류', () => {
+  assert.throws(() => configurePrinter({ name: 'x', kind: 'sticker', transport: { type: 'file', directory: '.' } }), /알 수 없는 프린터 종류/);
+});
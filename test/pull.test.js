@@ -0,0 +1,275 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { mkdtempSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { initPull, stopPull, getPullStatus } from '../src/pull.js';
+import { publish } from '../src/events.js';
+
+/**
+ * pull 모드 - 로컬 스텁 백엔드 (http.createServer)
+ *
+ * 주문 조회/보고 요청을 기록하고, 테스트마다 응답을 바꿔 끼움
+ */
+
+let server;
+let baseUrl;
+let requests;
+let handlers;
+let dir;
+
+beforeEach(async () => {
+  requests = [];
+  handlers = {};
+  dir = mkdtempSync(join(tmpdir(), 'onuljang-pull-'));
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, baseUrl);
+      const entry = { method: req.method, path: url.pathname, after: url.searchParams.get('after'), headers: req.headers, body: body ? JSON.parse(body) : null };
+      requests.push(entry);
+      const handler = handlers[url.pathname];
+      if (!handler) {
+        res.writeHead(404).end();
+        return;
+      }
+      handler(entry, res);
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterEach(async () => {
+  await stopPull();
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  rmSync(dir, { recursive: true, force: true });
+});
+
+function start({ mode = 'poll', ackUrl = null, accept = () => ({ jobs: [] }), getJob = () => null, getHistory } = {}) {
+  initPull({
+    url: `${baseUrl}/orders`,
+    mode,
+    intervalSeconds: 0.05,
+    ackUrl: ackUrl && `${baseUrl}${ackUrl}`,
+    token: 'store-token',
+    timeoutMs: 2000,
+    dir,
+    accept,
+    getJob,
+    getHistory
+  });
+}
+
+function json(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+async function waitFor(predicate, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('조건을 기다리다 시간 초과');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+function savedState() {
+  return JSON.parse(readFileSync(join(dir, 'pull.json'), 'utf-8'));
+}
+
+const order = (orderId, extra = {}) => ({ orderId, buyerName: '홍길동', items: [], ...extra });
+
+test('poll: hasMore 페이지를 이어 받고 커서를 after로 보냄', async () => {
+  const pages = {
+    null: { orders: [order(1), order(2)], cursor: 'c2', hasMore: true },
+    c2: { orders: [order(3, { cursor: 'c3' })], hasMore: true },
+    c3: { orders: [] }
+  };
+  handlers['/orders'] = (req, res) => json(res, 200, pages[req.after]);
+  const accepted = [];
+  start({ accept: data => { accepted.push(data); return { jobs: [] }; } });
+
+  await waitFor(() => requests.some(req => req.after === 'c3'));
+  assert.deepEqual(requests.slice(0, 3).map(req => req.after), [null, 'c2', 'c3']);
+  assert.equal(requests[0].headers.authorization, 'Bearer store-token');
+  assert.deepEqual(accepted.map(data => data.orderId), [1, 2, 3]);
+  assert.equal(accepted[2].cursor, undefined, '커서는 주문 내용(멱등성 키)에 넣지 않음');
+  assert.equal(savedState().cursor, 'c3');
+  assert.equal(getPullStatus().cursor, 'c3');
+});
+
+test('poll: 재시작하면 저장된 커서부터 조회', async () => {
+  handlers['/orders'] = (req, res) => json(res, 200, req.after ? { orders: [] } : { orders: [order(7)], cursor: 'c7' });
+  start();
+  await waitFor(() => requests.some(req => req.after === 'c7'));
+  await stopPull();
+
+  requests = [];
+  start();
+  await waitFor(() => requests.length > 0);
+  assert.equal(requests[0].after, 'c7');
+});
+
+test('poll: 백엔드 오류는 lastError로 남기고 다음 주기에 재시도', async () => {
+  let calls = 0;
+  let release;
+  const recovered = new Promise(resolve => { release = resolve; });
+  handlers['/orders'] = (req, res) => {
+    calls += 1;
+    if (calls === 1) json(res, 503, { error: 'maintenance' });
+    else recovered.then(() => json(res, 200, { orders: calls === 2 ? [order(5)] : [] }));
+  };
+  const accepted = [];
+  start({ accept: data => { accepted.push(data.orderId); return { jobs: [] }; } });
+
+  await waitFor(() => calls === 2);
+  assert.equal(getPullStatus().lastError, 'HTTP 503');
+  assert.deepEqual(accepted, []);
+  release();
+
+  await waitFor(() => accepted.length === 1);
+  assert.deepEqual(accepted, [5]);
+  assert.equal(getPullStatus().lastError, null);
+  assert.equal(savedState().cursor, 5);
+});
+
+test('sse: id를 커서로 저장하고 재연결 시 Last-Event-ID로 이어 받음', async () => {
+  const streams = [];
+  handlers['/orders'] = (req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    streams.push(res);
+    if (streams.length === 1) {
+      res.write(': connected\n\n');
+      res.write(`event: order\nid: e1\ndata: ${JSON.stringify(order(11))}\n\n`);
+      res.write('event: ping\ndata: {}\n\n');
+      res.write(`id: e2\ndata: ${JSON.stringify(order(12))}\n\n`);
+      res.end();
+    }
+  };
+  const accepted = [];
+  start({ mode: 'sse', accept: data => { accepted.push(data.orderId); return { jobs: [] }; } });
+
+  await waitFor(() => streams.length >= 2);
+  assert.deepEqual(accepted, [11, 12]);
+  assert.equal(requests[0].headers['last-event-id'], undefined);
+  assert.equal(requests[0].headers.accept, 'text/event-stream');
+  assert.equal(requests[1].headers['last-event-id'], 'e2');
+  assert.equal(requests[1].after, 'e2');
+  assert.equal(savedState().cursor, 'e2');
+
+  await stopPull();
+  requests = [];
+  start({ mode: 'sse' });
+  await waitFor(() => requests.length > 0);
+  assert.equal(requests[0].headers['last-event-id'], 'e2');
+});
+
+test('ack: 모든 작업이 끝나면 1회 보고, 5xx면 다음 주기에 같은 보고 재전송', async () => {
+  handlers['/orders'] = (req, res) => json(res, 200, req.after ? { orders: [] } : { orders: [order(21), order(22, { items: 'bad' })] });
+  let ackCalls = 0;
+  handlers['/acks'] = (req, res) => {
+    ackCalls += 1;
+    if (ackCalls <= 2) json(res, 503, {});
+    else json(res, 200, {});
+  };
+  start({
+    ackUrl: '/acks',
+    accept: data => (data.orderId === 22 ? { error: '검증 실패' } : { jobs: [{ id: 'job-a' }, { id: 'job-b' }] }),
+    getJob: id => ({ id, status: 'queued' })
+  });
+
+  // 거부된 주문은 바로 보고 대기열로 (503)
+  await waitFor(() => ackCalls >= 1);
+  assert.equal(getPullStatus().pendingAcks, 2);
+
+  publish('job.printed', { id: 'job-a' });
+  publish('job.failed', { id: 'job-b', error: '용지 없음' });
+
+  await waitFor(() => requests.filter(req => req.path === '/acks').length >= 4);
+  await waitFor(() => getPullStatus().pendingAcks === 0);
+
+  const acks = requests.filter(req => req.path === '/acks').map(req => req.body);
+  const rejected = acks.filter(ack => ack.orderId === 22);
+  const failed = acks.filter(ack => ack.orderId === 21);
+  assert.ok(rejected.length >= 2, '거부 보고가 재전송됨');
+  assert.deepEqual(new Set(rejected.map(ack => JSON.stringify(ack))).size, 1, '재전송은 같은 내용');
+  assert.equal(rejected[0].status, 'rejected');
+  assert.equal(failed.length, 1);
+  assert.deepEqual(
+    { status: failed[0].status, jobIds: failed[0].jobIds, error: failed[0].error },
+    { status: 'failed', jobIds: ['job-a', 'job-b'], error: '용지 없음' }
+  );
+  assert.equal(requests.find(req => req.path === '/acks').headers.authorization, 'Bearer store-token');
+  assert.deepEqual(savedState().outbox, []);
+});
+
+test('ack: 보내지 못한 보고는 재시작 후에도 재전송', async () => {
+  handlers['/orders'] = (req, res) => json(res, 200, req.after ? { orders: [] } : { orders: [order(31, { items: 'bad' })] });
+  handlers['/acks'] = (req, res) => json(res, 500, {});
+  start({ ackUrl: '/acks', accept: () => ({ error: '검증 실패' }) });
+
+  await waitFor(() => requests.some(req => req.path === '/acks'));
+  await stopPull();
+  assert.equal(savedState().outbox.length, 1);
+
+  handlers['/acks'] = (req, res) => json(res, 200, {});
+  requests = [];
+  start({ ackUrl: '/acks' });
+  await waitFor(() => getPullStatus().pendingAcks === 0);
+  const [ack] = requests.filter(req => req.path === '/acks').map(req => req.body);
+  assert.equal(ack.orderId, 31);
+  assert.equal(ack.status, 'rejected');
+});
+
+test('ack: 이미 접수된 주문은 함께 등록된 작업(프린터별 사본)이 모두 끝나야 보고', async () => {
+  handlers['/orders'] = (req, res) => json(res, 200, req.after ? { orders: [] } : { orders: [order(51)] });
+  handlers['/acks'] = (req, res) => json(res, 200, {});
+  start({
+    ackUrl: '/acks',
+    accept: () => ({ duplicate: { id: 'job-customer' }, duplicateJobs: [{ id: 'job-customer' }, { id: 'job-rider' }] }),
+    getJob: id => ({ id, status: 'queued' })
+  });
+
+  await waitFor(() => savedState().tracking.length === 1);
+  publish('job.printed', { id: 'job-customer' });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(requests.filter(req => req.path === '/acks').length, 0, '사본 1건만 끝났으면 보고하지 않음');
+
+  publish('job.failed', { id: 'job-rider', error: '용지 없음' });
+  await waitFor(() => requests.some(req => req.path === '/acks'));
+  const [ack] = requests.filter(req => req.path === '/acks').map(req => req.body);
+  assert.deepEqual(
+    { status: ack.status, jobIds: ack.jobIds, error: ack.error },
+    { status: 'failed', jobIds: ['job-customer', 'job-rider'], error: '용지 없음' }
+  );
+});
+
+test('ack: 재시작 후 큐에서 정리된 작업은 출력 기록으로 판단, 기록도 없으면 failed', async () => {
+  handlers['/orders'] = (req, res) => json(res, 200, req.after ? { orders: [] } : { orders: [order(41), order(42), order(43)] });
+  start({
+    ackUrl: '/acks',
+    accept: data => ({ jobs: [{ id: `job-${data.orderId}` }] }),
+    getJob: id => ({ id, status: 'queued' })
+  });
+  await waitFor(() => savedState().tracking.length === 3);
+  await stopPull();
+
+  // 재시작 - 작업은 모두 큐에서 정리됨 (keepFinished 초과)
+  handlers['/acks'] = (req, res) => json(res, 200, {});
+  const history = {
+    'job-41': { id: 'job-41', status: 'printed', error: null },
+    'job-43': { id: 'job-43', status: 'failed', error: '커버 열림' }
+  };
+  start({ ackUrl: '/acks', getJob: () => null, getHistory: id => history[id] || null });
+  await waitFor(() => getPullStatus().pendingAcks === 0 && requests.filter(req => req.path === '/acks').length === 3);
+
+  const acks = Object.fromEntries(requests.filter(req => req.path === '/acks').map(req => [req.body.orderId, req.body]));
+  assert.equal(acks[41].status, 'printed');
+  assert.equal(acks[42].status, 'failed');
+  assert.match(acks[42].error, /출력 결과를 확인할 수 없음/);
+  assert.deepEqual({ status: acks[43].status, error: acks[43].error }, { status: 'failed', error: '커버 열림' });
+  assert.deepEqual(savedState().tracking, []);
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { initQueue, enqueueJobs, stopQueue, getJob, JobStatus } from '../src/queue.js';
+
+test('stopQueue: 유예 시간 안에 끝나지 않은 출력은 signal로 취소하고 대기열로 되돌림', async t => {
+  const dir = mkdtempSync(join(tmpdir(), 'onuljang-queue-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  let started;
+  const running = new Promise(resolve => { started = resolve; });
+  let readySignal = null;
+  initQueue({
+    dir,
+    isReady: async (printer, { signal }) => {
+      readySignal = signal;
+      return true;
+    },
+    // Windows 도우미에서 멈춘 출력 - 취소될 때까지 끝나지 않음
+    handler: (job, { signal }) => new Promise((resolve, reject) => {
+      started();
+      signal.addEventListener('abort', () => reject(new Error('프린터 출력 오류: 요청이 취소되었습니다')), { once: true });
+    })
+  });
+
+  const [job] = enqueueJobs({ orderId: 1 });
+  await running;
+  assert.equal(getJob(job.id).status, JobStatus.PRINTING);
+
+  const stoppedAt = Date.now();
+  await stopQueue({ graceMs: 100 });
+  assert.ok(Date.now() - stoppedAt < 2000);
+  assert.equal(readySignal.aborted, true);
+
+  const saved = JSON.parse(readFileSync(join(dir, 'jobs.json'), 'utf-8'));
+  const restored = saved.jobs.find(item => item.id === job.id);
+  assert.equal(restored.status, JobStatus.QUEUED);
+  assert.equal(restored.attempts, 0);
+  assert.equal(restored.nextAttemptAt, null);
+});
+
+test('initQueue: retentionDays가 지난 완료/실패 작업은 개인정보와 함께 삭제, 대기 작업은 유지', async t => {
+  const dir = mkdtempSync(join(tmpdir(), 'onuljang-queue-'));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+
+  const daysAgo = days => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const job = (id, status, updatedAt) => ({
+    id,
+    orderId: id,
+    key: `key-${id}`,
+    printer: 'default',
+    status,
+    attempts: 1,
+    createdAt: updatedAt,
+    updatedAt,
+    data: { orderId: id, buyerName: '홍길동', phone: '010-1234-5678', address: '서울시 어딘가' }
+  });
+  writeFileSync(join(dir, 'jobs.json'), JSON.stringify({
+    jobs: [
+      job('old-done', JobStatus.DONE, daysAgo(40)),
+      job('old-failed', JobStatus.FAILED, daysAgo(31)),
+      job('old-queued', JobStatus.QUEUED, daysAgo(40)),
+      job('recent-done', JobStatus.DONE, daysAgo(1))
+    ],
+    reprintCounts: {}
+  }));
+
+  initQueue({ dir, retentionDays: 30 });
+  await stopQueue();
+
+  const saved = JSON.parse(readFileSync(join(dir, 'jobs.json'), 'utf-8'));
+  assert.deepEqual(saved.jobs.map(item => item.id), ['old-queued', 'recent-done']);
+  assert.equal(getJob('old-done'), null);
+  assert.doesNotMatch(readFileSync(join(dir, 'jobs.json'), 'utf-8'), /old-done|old-failed/);
+});
@@ -0,0 +1,107 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, writeFileSync, existsSync } from 'fs';
+import { fileURLToPath } from 'url';
+import { createPrinter } from '../src/printer.js';
+import { buildReceipts } from '../src/receipt.js';
+import { renderPreview } from '../src/preview.js';
+
+/**
+ * 영수증 골든 파일 테스트
+ *
+ * buildReceipts가 만든 ESC/POS 바이트를 미리보기 해석기(preview.js)로 텍스트로 그려
+ * test/fixtures/receipts/*.txt와 비교 - 레이아웃이 바뀌면 실패
+ *
+ * 의도한 변경이면 UPDATE_GOLDEN=1 npm test로 다시 만들고 diff를 확인한 뒤 커밋
+ * (시각은 시간대 없는 ISO 문자열 - 실행 PC 시간대와 무관하게 같은 결과)
+ */
+
+const FIXTURES = fileURLToPath(new URL('./fixtures/receipts/', import.meta.url));
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+const scheduled = {
+  orderId: 456,
+  displayCode: 1995,
+  paidAt: '2026-02-11T10:00:00',
+  scheduledDeliveryHour: 15,
+  scheduledDeliveryMinute: 10,
+  buyerName: '김철수',
+  phone: '010-9876-5432',
+  items: [
+    { productName: '딸기', quantity: 1, amount: 15000 },
+    { productName: '망고', quantity: 2, amount: 16000 },
+    { productName: '제주 한라봉 선물세트 3kg (특대과)', quantity: 1, amount: 39000 }
+  ],
+  totalProductAmount: 70000,
+  deliveryFee: 3500,
+  distanceKm: 2.5,
+  address1: '서울시 서초구 반포동 67-8',
+  address2: '3층 302호'
+};
+
+const immediate = {
+  orderId: 123,
+  displayCode: 1996,
+  paidAt: '2026-02-11T14:30:00',
+  buyerName: '홍길동',
+  phone: '010-1234-5678',
+  items: [
+    { productName: '사과', quantity: 2, amount: 10000 },
+    { productName: '바나나', quantity: 1, amount: 3000 }
+  ],
+  totalProductAmount: 13000,
+  deliveryFee: 2900,
+  distanceKm: 1.2,
+  address1: '서울시 강남구 역삼동 123-45',
+  address2: '2층 201호'
+};
+
+const CASES = [
+  { name: 'scheduled', data: scheduled },
+  { name: 'immediate', data: immediate },
+  { name: 'reprint', data: immediate, options: { reprint: { count: 2, requestedAt: '2026-02-11T15:00:00' } } },
+  { name: 'copies', data: scheduled, options: { copies: ['customer', 'rider'], maskPhone: true } }
+];
+
+for (const paper of ['58mm', '80mm']) {
+  for (const { name, data, options = {} } of CASES) {
+    test(`영수증 ${paper} ${name}`, () => {
+      const printer = createPrinter({ paper, render: 'text' });
+      buildReceipts(printer, data, options);
+      const actual = renderPreview(printer.getBuffer(), { format: 'text', paper });
+
+      const file = `${FIXTURES}${paper}-${name}.txt`;
+      if (UPDATE) {
+        writeFileSync(file, actual, 'utf-8');
+        return;
+      }
+      assert.ok(existsSync(file), `골든 파일 없음: ${file} (UPDATE_GOLDEN=1 npm test로 생성)`);
+      assert.equal(actual, readFileSync(file, 'utf-8'));
+    });
+  }
+}
+
+test('픽업 주문은 요청의 template과 관계없이 픽업 레이아웃', () => {
+  const pickup = {
+    ...immediate,
+    orderType: 'pickup',
+    pickupDate: '2026-02-12',
+    pickupSlot: '15:00-16:00',
+    pickupNumber: 'P-17',
+    deliveryFee: 0,
+    distanceKm: undefined,
+    address1: undefined,
+    address2: undefined
+  };
+  const render = options => {
+    const printer = createPrinter({ paper: '80mm', render: 'text' });
+    buildReceipts(printer, pickup, options);
+    return renderPreview(printer.getBuffer(), { format: 'text', paper: '80mm' });
+  };
+
+  const expected = render({});
+  assert.match(expected, /픽업/);
+  assert.match(expected, /P-17/);
+  assert.equal(render({ template: 'default' }), expected);
+  assert.equal(render({ template: 'rider', copies: ['customer', 'kitchen'] }), render({ copies: ['customer', 'kitchen'] }));
+});
@@ -0,0 +1,61 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createPrinter } from '../src/printer.js';
+import { printDailyReport, toCsv } from '../src/report.js';
+import { renderPreview } from '../src/preview.js';
+
+const report = {
+  date: '2026-02-11',
+  generatedAt: '2026-02-11T23:00:00',
+  orderCount: 2,
+  purgedCount: 0,
+  totalProductAmount: 26000,
+  totalDeliveryFee: 2900,
+  totalDiscount: 1000,
+  totalAmount: 27900,
+  totalSupplyAmount: 23636,
+  totalVat: 2364,
+  totalTaxFreeAmount: 0,
+  immediateCount: 1,
+  scheduledCount: 0,
+  pickupCount: 1,
+  distance: [{ label: '1km 미만', count: 0 }, { label: '1~3km', count: 1 }],
+  products: [
+    { productName: '=HYPERLINK("http://example.com","사과")', quantity: 2, amount: 10000 },
+    { productName: '+1 바나나', quantity: 1, amount: 3000 },
+    { productName: '-망고', quantity: 1, amount: 8000 },
+    { productName: '@SUM(A1)', quantity: 1, amount: 4000 },
+    { productName: '\t딸기', quantity: 1, amount: 1000 },
+    { productName: '한라봉', quantity: 1, amount: 0 }
+  ],
+  hourly: Array.from({ length: 24 }, (_, hour) => ({ hour, count: hour === 14 ? 2 : 0 }))
+};
+
+test('CSV: 수식으로 시작하는 칸은 \'를 붙여 문자열로 (숫자 음수는 그대로)', () => {
+  const lines = toCsv({ ...report, totalDiscount: -1000 }).replace(/^﻿/, '').split('\r\n');
+  const products = lines.filter(line => line.startsWith('상품 (수량),'));
+
+  assert.deepEqual(products, [
+    '상품 (수량),"\'=HYPERLINK(""http://example.com"",""사과"")",2,10000',
+    '상품 (수량),\'+1 바나나,1,3000',
+    '상품 (수량),\'-망고,1,8000',
+    '상품 (수량),\'@SUM(A1),1,4000',
+    '상품 (수량),\'\t딸기,1,1000',
+    '상품 (수량),한라봉,1,0'
+  ]);
+  assert.ok(lines.includes('요약,할인 합계,,-1000'));
+});
+
+for (const [paper, columns] of [['58mm', 32], ['80mm', 48]]) {
+  test(`집계표 ${paper}: 구분선은 본문 폭(${columns}자) 한 줄`, () => {
+    const printer = createPrinter({ paper, render: 'text' });
+    printDailyReport(printer, report);
+    const lines = renderPreview(printer.getBuffer(), { format: 'text', paper }).split('\n');
+
+    const rules = lines.filter(line => /^-+$/.test(line.trim()));
+    assert.ok(rules.length >= 7);
+    for (const line of rules) {
+      assert.equal(line.trim().length, columns);
+    }
+  });
+}
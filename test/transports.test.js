@@ -0,0 +1,150 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { spawn } from 'child_process';
+import { mkdtempSync, readdirSync, readFileSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { createTcpTransport } from '../src/transports/tcp.js';
+import { createFileTransport } from '../src/transports/file.js';
+
+const HOST = '127.0.0.1';
+
+/**
+ * 받은 바이트를 연결마다 모으는 로컬 9100 서버
+ */
+async function startPrinterServer(onConnection = () => {}) {
+  const received = [];
+  const server = net.createServer(socket => {
+    const chunks = [];
+    socket.on('data', chunk => chunks.push(chunk));
+    socket.on('end', () => received.push(Buffer.concat(chunks)));
+    onConnection(socket);
+  });
+  await new Promise(resolve => server.listen(0, HOST, resolve));
+  return { server, port: server.address().port, received };
+}
+
+async function closedPort() {
+  const server = net.createServer();
+  await new Promise(resolve => server.listen(0, HOST, resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+}
+
+test('tcp: 보낸 바이트를 그대로 받고 연결 종료', async () => {
+  const { server, port, received } = await startPrinterServer();
+  try {
+    const transport = createTcpTransport({ host: HOST, port });
+    const bytes = Buffer.from([0x1b, 0x40, 0xbe, 0xc8, 0xb3, 0xe7, 0x0a, 0x1d, 0x56, 0x00]);
+    await transport.send(bytes);
+    await transport.send(Buffer.from('second'));
+    assert.deepEqual(received, [bytes, Buffer.from('second')]);
+    assert.deepEqual(await transport.getStatus(), { online: true, reason: null });
+  } finally {
+    server.close();
+  }
+});
+
+test('tcp: 상태 조회는 요청을 보내고 length 바이트만 받음', async () => {
+  const { server, port } = await startPrinterServer(socket => {
+    socket.on('data', chunk => {
+      if (chunk[0] === 0x10 && chunk[1] === 0x04) socket.write(Buffer.from([0x12, 0x99]));
+    });
+  });
+  try {
+    const transport = createTcpTransport({ host: HOST, port, statusTimeoutMs: 500 });
+    assert.deepEqual(await transport.query(Buffer.from([0x10, 0x04, 0x01]), 1), Buffer.from([0x12]));
+  } finally {
+    server.close();
+  }
+});
+
+test('tcp: 상태 응답이 없으면 statusTimeoutMs 후 실패', async () => {
+  const { server, port } = await startPrinterServer();
+  try {
+    const transport = createTcpTransport({ host: HOST, port, statusTimeoutMs: 100 });
+    await assert.rejects(transport.query(Buffer.from([0x10, 0x04, 0x01]), 1), /상태 응답 없음/);
+  } finally {
+    server.close();
+  }
+});
+
+test('tcp: 연결 거부', async () => {
+  const transport = createTcpTransport({ host: HOST, port: await closedPort(), timeoutMs: 1000 });
+  await assert.rejects(transport.send(Buffer.from('x')), { code: 'ECONNREFUSED' });
+  const status = await transport.getStatus();
+  assert.equal(status.online, false);
+  assert.match(status.reason, /ECONNREFUSED/);
+});
+
+test('tcp: 연결 시간 초과', { skip: process.platform === 'win32' && 'SIGSTOP 필요' }, async t => {
+  // 정지시킨 프로세스의 listen 소켓 - accept 대기열(backlog)이 차면 SYN이 무시되어 연결이 끝나지 않음
+  const child = spawn(process.execPath, ['-e', `
+    require('net').createServer().listen({ port: 0, host: '${HOST}', backlog: 1 }, function () {
+      console.log(this.address().port);
+      process.kill(process.pid, 'SIGSTOP');
+    });
+  `], { stdio: ['ignore', 'pipe', 'inherit'] });
+  t.after(() => child.kill('SIGKILL'));
+  const port = Number(await new Promise(resolve => child.stdout.once('data', resolve)));
+
+  const fillers = [];
+  try {
+    for (let i = 0; i < 4; i++) {
+      const socket = net.createConnection({ host: HOST, port });
+      socket.on('error', () => {});
+      fillers.push(socket);
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+
+    const transport = createTcpTransport({ host: HOST, port, timeoutMs: 300 });
+    const startedAt = Date.now();
+    await assert.rejects(transport.send(Buffer.from('x')), /연결 시간 초과/);
+    assert.ok(Date.now() - startedAt < 2000);
+  } finally {
+    fillers.forEach(socket => socket.destroy());
+  }
+});
+
+test('file: directory - 작업마다 .bin 파일', async () => {
+  const directory = join(mkdtempSync(join(tmpdir(), 'onuljang-file-')), 'out');
+  try {
+    const transport = createFileTransport({ directory });
+    assert.deepEqual(await transport.getStatus(), { online: true, reason: null });
+    await transport.send(Buffer.from('first'));
+    await transport.send(Buffer.from('second'));
+
+    const files = readdirSync(directory).sort();
+    assert.equal(files.length, 2);
+    files.forEach(file => assert.match(file, /^receipt-\d+-\d{3}\.bin$/));
+    assert.deepEqual(files.map(file => readFileSync(join(directory, file), 'utf-8')).sort(), ['first', 'second']);
+  } finally {
+    rmSync(join(directory, '..'), { recursive: true, force: true });
+  }
+});
+
+test('file: path - 같은 경로에 바이트 기록, 쓸 수 없으면 오프라인', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'onuljang-file-'));
+  try {
+    const path = join(dir, 'lp0');
+    writeFileSync(path, '');
+    const transport = createFileTransport({ path });
+    assert.equal((await transport.getStatus()).online, true);
+    await transport.send(Buffer.from([0x1b, 0x40]));
+    assert.deepEqual(readFileSync(path), Buffer.from([0x1b, 0x40]));
+
+    const missing = createFileTransport({ path: join(dir, 'missing', 'lp0') });
+    const status = await missing.getStatus();
+    assert.equal(status.online, false);
+    assert.match(status.reason, /^쓰기 불가/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('설정 누락은 생성 시 오류', () => {
+  assert.throws(() => createTcpTransport({}), /host/);
+  assert.throws(() => createFileTransport({}), /directory 또는 path/);
+});